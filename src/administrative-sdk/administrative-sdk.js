@@ -13,6 +13,17 @@ import UserController from './user/user-controller';
 
 /**
  * Facade for all methods used in the ITSLanguage Administrative SDK.
+ *
+ * Every method performing a request accepts an options object as its last parameter.
+ * Valid options include:
+ * * signal - An `AbortSignal` to cancel the request with. A cancelled request is rejected with a
+ * {@link CancellationError}.
+ * * retry - Overrides of the retry policy of the {@link Connection} for this request, or `false` to disable retrying
+ * it.
+ * * queue - Whether the request may be queued by an {@link OfflineQueue} when the network is not available (default:
+ * true).
+ * * cache - Whether a response cached by the {@link HttpCache} of the {@link Connection} may be used without asking the
+ * server whether it changed (default: true).
  */
 export default class AdministrativeSDK {
   /**
@@ -34,50 +45,84 @@ export default class AdministrativeSDK {
     this._userController = new UserController(this._connection);
   }
 
+  /**
+   * Get an SDK acting within another scope, like an organisation of the current tenant or a user to impersonate.
+   * This SDK keeps acting within its own scope, so it can be used again once done with the other scope. Log out of
+   * the SDK acting within the other scope once done with it, so its token is no longer refreshed.
+   *
+   * @example
+   * const scope = connection.scope;
+   * sdk.withScope(scope.organisation('fb'))
+   *   .then(organisationSdk => organisationSdk.getUsers()
+   *     .then(() => organisationSdk.logout()));
+   *
+   * @param {Scope} scope - The scope to act within.
+   * @returns {Promise.<AdministrativeSDK>} Promise containing the SDK acting within the scope.
+   * @throws {Promise.<Error>} scope parameter of type "Scope" is required.
+   * @throws {Promise.<AuthenticationError>} If no token could be obtained for the scope.
+   */
+  withScope(scope) {
+    return this._connection.withScope(scope)
+      .then(connection => new AdministrativeSDK(connection));
+  }
+
+  /**
+   * Log out of the connection of the SDK, as described by {@link Connection#logout}.
+   *
+   * @returns {Promise} Promise which resolves once logged out.
+   */
+  logout() {
+    return this._connection.logout();
+  }
+
   /**
    * Create a category.
    *
    * @param {Category} category - Object to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category>} Promise containing the newly created Category.
-   * @throws {Promise.<Error>} category parameter of type "Category" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} category parameter of type "Category" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createCategory(category) {
-    return this._categoryController.createCategory(category);
+  createCategory(category, options) {
+    return this._categoryController.createCategory(category, options);
   }
 
   /**
    * Get a category.
    *
    * @param {string} categoryId - Specify a category identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category>} Promise containing an Category.
-   * @throws {Promise.<Error>} categoryId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} categoryId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getCategory(categoryId) {
-    return this._categoryController.getCategory(categoryId);
+  getCategory(categoryId, options) {
+    return this._categoryController.getCategory(categoryId, options);
   }
 
   /**
    * Get and return all top level categories which do not have a parent Category.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category[]>} Promise containing an array of Categories.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getTopLevelCategories() {
-    return this._categoryController.getTopLevelCategories();
+  getTopLevelCategories(options) {
+    return this._categoryController.getTopLevelCategories(options);
   }
 
   /**
    * Get and return all categories which have a specific category as parent.
    *
    * @param {string} parentId - Specify a category parent identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category[]>} Promise containing an array of Categories.
-   * @throws {Promise.<Error>} parentId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} parentId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getCategoriesWithParent(parentId) {
-    return this._categoryController.getCategoriesWithParent(parentId);
+  getCategoriesWithParent(parentId, options) {
+    return this._categoryController.getCategoriesWithParent(parentId, options);
   }
 
   /**
@@ -86,11 +131,12 @@ export default class AdministrativeSDK {
    * It is necessary for a choice challenge to exist for a recording to be valid.
    *
    * @param {ChoiceChallenge} choiceChallenge - Object to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceChallenge>} Containing the newly created ChoiceChallenge.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createChoiceChallenge(choiceChallenge) {
-    return this._choiceChallengeController.createChoiceChallenge(choiceChallenge);
+  createChoiceChallenge(choiceChallenge, options) {
+    return this._choiceChallengeController.createChoiceChallenge(choiceChallenge, options);
   }
 
   /**
@@ -98,22 +144,24 @@ export default class AdministrativeSDK {
    * {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a choice challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceChallenge>} Containing a ChoiceChallenge.
-   * @throws {Promise.<Error>} {@link ChoiceChallenge#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link ChoiceChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getChoiceChallenge(challengeId) {
-    return this._choiceChallengeController.getChoiceChallenge(challengeId);
+  getChoiceChallenge(challengeId, options) {
+    return this._choiceChallengeController.getChoiceChallenge(challengeId, options);
   }
 
   /**
    * Get and return all choice challenges in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceChallenge[]>} Containing an array of ChoiceChallenges.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getChoiceChallenges() {
-    return this._choiceChallengeController.getChoiceChallenges();
+  getChoiceChallenges(options) {
+    return this._choiceChallengeController.getChoiceChallenges(options);
   }
 
   /**
@@ -122,17 +170,25 @@ export default class AdministrativeSDK {
    * @param {ChoiceChallenge} challenge - The choice challenge to perform.
    * @param {AudioRecorder} recorder - The audio recorder to extract audio from.
    * @param {boolean} [trim=true] - Whether to trim the start and end of recorded audio.
-   * @returns {Promise.<ChoiceRecognition>} A {@link https://github.com/cujojs/when} Promise containing a {@link ChoiceRecognition}.
-   * @emits {string} 'ReadyToReceive' when the call is made to receive audio. The recorder can now send audio.
-   * @throws {Promise.<Error>} {@link ChoiceChallenge} parameter is required or invalid.
-   * @throws {Promise.<Error>} {@link ChoiceChallenge#id} field is required.
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * signal - An `AbortSignal` to cancel the session with. The recorder is stopped when the session is cancelled.
+   * @returns {StreamingSession} The session, which is returned at once. The {@link StreamingSession#result} of the
+   * session is a Promise containing a {@link ChoiceRecognition}, which is rejected with the errors below.
+   * @emits {Event} 'ready' on the session, when the server is ready to receive audio. The recorder can now record.
+   * @throws {Promise.<ValidationError>} {@link ChoiceChallenge} parameter is required or invalid.
+   * @throws {Promise.<ValidationError>} {@link ChoiceChallenge#id} field is required.
    * @throws {Promise.<Error>} If the connection is not open.
    * @throws {Promise.<Error>} If the recorder is already recording.
    * @throws {Promise.<Error>} If a recognition session is already in progress.
-   * @throws {Promise.<Error>} If something went wrong during analysis.
+   * @throws {Promise.<CancellationError>} If the session was cancelled.
+   * @throws {Promise.<TimeoutError>} If the server did not answer the session in time.
+   * @throws {Promise.<RpcError>} If something went wrong during analysis.
+   * @throws {Promise.<StreamingError>} If the server could not finish the recognition, with the partial recognition
+   * as model.
    */
-  startStreamingChoiceRecognition(challenge, recorder, trim) {
-    return this._choiceRecognitionController.startStreamingChoiceRecognition(challenge, recorder, trim);
+  startStreamingChoiceRecognition(challenge, recorder, trim, options) {
+    return this._choiceRecognitionController.startStreamingChoiceRecognition(challenge, recorder, trim, options);
   }
 
   /**
@@ -141,13 +197,14 @@ export default class AdministrativeSDK {
    *
    * @param {string} challengeId - Specify a choice challenge identifier.
    * @param {string} recognitionId - Specify a choice recognition identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceRecognition>} Promise containing a ChoiceRecognition.
-   * @throws {Promise.<Error>} {@link ChoiceChallenge#id} field is required.
-   * @throws {Promise.<Error>} {@link ChoiceRecognition#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link ChoiceChallenge#id} field is required.
+   * @throws {Promise.<ValidationError>} {@link ChoiceRecognition#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getChoiceRecognition(challengeId, recognitionId) {
-    return this._choiceRecognitionController.getChoiceRecognition(challengeId, recognitionId);
+  getChoiceRecognition(challengeId, recognitionId, options) {
+    return this._choiceRecognitionController.getChoiceRecognition(challengeId, recognitionId, options);
   }
 
   /**
@@ -155,46 +212,50 @@ export default class AdministrativeSDK {
    * {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a choice challenge to list speech recognitions for.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceRecognition[]>} Promise containing an array of ChoiceRecognitions.
-   * @throws {Promise.<Error>} {@link ChoiceChallenge#id} is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link ChoiceChallenge#id} is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getChoiceRecognitions(challengeId) {
-    return this._choiceRecognitionController.getChoiceRecognitions(challengeId);
+  getChoiceRecognitions(challengeId, options) {
+    return this._choiceRecognitionController.getChoiceRecognitions(challengeId, options);
   }
 
   /**
    * Create an organisation. The organisation will be owned by the current active tenant.
    *
    * @param {Organisation} organisation - Object to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Organisation>} Promise containing the newly created Organisation.
-   * @throws {Promise.<Error>} organisation field of type "Organisation" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} organisation field of type "Organisation" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createOrganisation(organisation) {
-    return this._organisationController.createOrganisation(organisation);
+  createOrganisation(organisation, options) {
+    return this._organisationController.createOrganisation(organisation, options);
   }
 
   /**
    * Get an organisation. You can only get an organisation the current tenant is the owner of.
    *
    * @param {string} organisationId - Specify an organisation identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Organisation>} Promise containing an Organisation.
-   * @throws {Promise.<Error>} {@link Organisation#id} field of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link Organisation#id} field of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getOrganisation(organisationId) {
-    return this._organisationController.getOrganisation(organisationId);
+  getOrganisation(organisationId, options) {
+    return this._organisationController.getOrganisation(organisationId, options);
   }
 
   /**
    * Get and return all organisations the current tenant is the owner of.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Organisation[]>} Promise containing an array of Organisations.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getOrganisations() {
-    return this._organisationController.getOrganisations();
+  getOrganisations(options) {
+    return this._organisationController.getOrganisations(options);
   }
 
   /**
@@ -203,21 +264,55 @@ export default class AdministrativeSDK {
    * @param {PronunciationChallenge} challenge - The pronunciation challenge to perform.
    * @param {AudioRecorder} recorder - The audio recorder to extract audio from.
    * @param {boolean} [trim] - Whether to trim the start and end of recorded audio (default: true).
-   * @returns {Promise.<PronunciationAnalysis>} A {@link https://github.com/cujojs/when} Promise containing a {@link PronunciationAnalysis}.
-   * @emits {string} 'ReadyToReceive' when the call is made to receive audio. The recorder can now send audio.
-   * @emits {Object} When the sent audio has finished alignment. Aligning audio is the process of mapping the audio
-   * to spoken words and determining when what is said. An object is sent containing a property 'progress',
-   * which is the sent audio alignment, and a property 'referenceAlignment' which is the alignment of the
-   * reference audio.
-   * @throws {Promise.<Error>} If challenge is not an object or not defined.
-   * @throws {Promise.<Error>} If challenge has no id.
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * signal - An `AbortSignal` to cancel the session with. The recorder is stopped when the session is cancelled.
+   * @returns {StreamingSession} The session, which is returned at once. The {@link StreamingSession#result} of the
+   * session is a Promise containing a {@link PronunciationAnalysis}, which is rejected with the errors below.
+   * @emits {Event} 'ready' on the session, when the server is ready to receive audio. The recorder can now record.
+   * @emits {Event} 'alignmentprogress' With arguments: [alignment] on the session, when the sent audio has finished
+   * alignment. Aligning audio is the process of mapping the audio to spoken words and determining when what is said.
+   * The alignment holds a property 'progress', which is the sent audio alignment.
+   * @throws {Promise.<ValidationError>} If challenge is not an object or not defined.
+   * @throws {Promise.<ValidationError>} If challenge has no id.
    * @throws {Promise.<Error>} If the connection is not open.
    * @throws {Promise.<Error>} If the recorder is already recording.
    * @throws {Promise.<Error>} If a session is already in progress.
-   * @throws {Promise.<Error>} If something went wrong during analysis.
+   * @throws {Promise.<CancellationError>} If the session was cancelled.
+   * @throws {Promise.<TimeoutError>} If the server did not answer the session in time.
+   * @throws {Promise.<StreamingError>} If the server could not finish the analysis, with the partial analysis
+   * as model.
+   * @throws {Promise.<RpcError>} If something went wrong during analysis.
    */
-  startStreamingPronunciationAnalysis(challenge, recorder, trim) {
-    return this._pronAnalaController.startStreamingPronunciationAnalysis(challenge, recorder, trim);
+  startStreamingPronunciationAnalysis(challenge, recorder, trim, options) {
+    return this._pronAnalaController.startStreamingPronunciationAnalysis(challenge, recorder, trim, options);
+  }
+
+  /**
+   * Start a pronunciation analysis of a pre-recorded audio file, like a WAV or OGG file uploaded by a user.
+   *
+   * @param {PronunciationChallenge} challenge - The pronunciation challenge to perform.
+   * @param {Blob|ArrayBuffer} blob - The audio file, which holds 16 bit PCM WAV audio, or Opus or Vorbis OGG audio.
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * trim - Whether to trim the start and end of the audio (default: true).
+   * * signal - An `AbortSignal` to cancel the session with.
+   * @returns {StreamingSession} The session, which is returned at once. The {@link StreamingSession#result} of the
+   * session is a Promise containing a {@link PronunciationAnalysis}, which is rejected with the errors below.
+   * @emits {Event} 'alignmentprogress' With arguments: [alignment] on the session, when the sent audio has finished
+   * alignment, as described by {@link AdministrativeSDK#startStreamingPronunciationAnalysis}.
+   * @throws {Promise.<ValidationError>} If challenge is not an object or not defined.
+   * @throws {Promise.<ValidationError>} If challenge has no id.
+   * @throws {Promise.<ValidationError>} If the file is missing, empty or not a supported WAV or OGG file.
+   * @throws {Promise.<Error>} If the connection is not open.
+   * @throws {Promise.<CancellationError>} If the session was cancelled.
+   * @throws {Promise.<TimeoutError>} If the server did not answer the session in time.
+   * @throws {Promise.<StreamingError>} If the server could not finish the analysis, with the partial analysis
+   * as model.
+   * @throws {Promise.<RpcError>} If something went wrong during analysis.
+   */
+  analysePronunciationFromBlob(challenge, blob, options) {
+    return this._pronAnalaController.analysePronunciationFromBlob(challenge, blob, options);
   }
 
   /**
@@ -226,13 +321,14 @@ export default class AdministrativeSDK {
    *
    * @param {string} challengeId - Specify a pronunciation challenge identifier.
    * @param {string} analysisId - Specify a pronunciation analysis identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationAnalysis>} Promise containing a PronunciationAnalysis.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} {@link PronunciationAnalysis#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ValidationError>} {@link PronunciationAnalysis#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationAnalysis(challengeId, analysisId) {
-    return this._pronAnalaController.getPronunciationAnalysis(challengeId, analysisId);
+  getPronunciationAnalysis(challengeId, analysisId, options) {
+    return this._pronAnalaController.getPronunciationAnalysis(challengeId, analysisId, options);
   }
 
   /**
@@ -242,60 +338,66 @@ export default class AdministrativeSDK {
    * @param {string} challengeId - Specify a pronunciation challenge identifier to list
    * speech recordings for.
    * @param {boolean} [detailed=false] - Returns extra analysis metadata when true.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationAnalysis[]>} Promise containing an array PronunciationAnalyses.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationAnalyses(challengeId, detailed) {
-    return this._pronAnalaController.getPronunciationAnalyses(challengeId, detailed);
+  getPronunciationAnalyses(challengeId, detailed, options) {
+    return this._pronAnalaController.getPronunciationAnalyses(challengeId, detailed, options);
   }
 
   /**
    * Create a pronunciation challenge. The created challenge will be part of the current active {@link Organisation}
    * derived from the OAuth2 scope.
    *
-   * @param {PronunciationChallenge} challenge - Object to create..
+   * @param {PronunciationChallenge} challenge - Object to create.
+   * @param {Blob} audioBlob - Audio fragment to link to the challenge.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing the newly created PronunciationChallenge.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#referenceAudio} of type "Blob" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#referenceAudio} of type "Blob" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createPronunciationChallenge(challenge) {
-    return this._pronChallController.createPronunciationChallenge(challenge);
+  createPronunciationChallenge(challenge, audioBlob, options) {
+    return this._pronChallController.createPronunciationChallenge(challenge, audioBlob, options);
   }
 
   /**
    * Get a pronunciation challenge from the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a pronunciation challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing a PronunciationChallenge.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationChallenge(challengeId) {
-    return this._pronChallController.getPronunciationChallenge(challengeId);
+  getPronunciationChallenge(challengeId, options) {
+    return this._pronChallController.getPronunciationChallenge(challengeId, options);
   }
 
   /**
    * Get and return all pronunciation challenges in the current active {@link Organisation} derived from
    * the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge[]>} Promise containing an array of PronunciationChallenges.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationChallenges() {
-    return this._pronChallController.getPronunciationChallenges();
+  getPronunciationChallenges(options) {
+    return this._pronChallController.getPronunciationChallenges(options);
   }
 
   /**
    * Delete a pronunciation challenge from the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - A pronunciation challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing the given challenge ID.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  deletePronunciationChallenge(challengeId) {
-    return this._pronChallController.deletePronunciationChallenge(challengeId);
+  deletePronunciationChallenge(challengeId, options) {
+    return this._pronChallController.deletePronunciationChallenge(challengeId, options);
   }
 
   /**
@@ -303,33 +405,36 @@ export default class AdministrativeSDK {
    *
    * @param {SpeechChallenge} speechChallenge - Object to create.
    * @param {?Blob} audioBlob - Audio fragment to link to the challenge.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing the newly created SpeechChallenge.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createSpeechChallenge(speechChallenge, audioBlob) {
-    return this._speechChallengeController.createSpeechChallenge(speechChallenge, audioBlob);
+  createSpeechChallenge(speechChallenge, audioBlob, options) {
+    return this._speechChallengeController.createSpeechChallenge(speechChallenge, audioBlob, null, null, options);
   }
 
   /**
    * Get a speech challenge from the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a speech challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing a SpeechChallenge.
-   * @throws {Promise.<Error>} {@link SpeechChallenge#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link SpeechChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getSpeechChallenge(challengeId) {
-    return this._speechChallengeController.getSpeechChallenge(challengeId);
+  getSpeechChallenge(challengeId, options) {
+    return this._speechChallengeController.getSpeechChallenge(challengeId, options);
   }
 
   /**
    * Get and return all speech challenges in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<SpeechChallenge[]>} Promise containing an array of SpeechChallenges.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getSpeechChallenges() {
-    return this._speechChallengeController.getSpeechChallenges();
+  getSpeechChallenges(options) {
+    return this._speechChallengeController.getSpeechChallenges(options);
   }
 
   /**
@@ -337,17 +442,26 @@ export default class AdministrativeSDK {
    *
    * @param {SpeechChallenge} challenge - The speech challenge to perform.
    * @param {AudioRecorder} recorder - The audio recorder to extract audio from.
-   * @returns {Promise.<SpeechRecording>} A {@link https://github.com/cujojs/when} Promise containing a {@link SpeechRecording}.
-   * @emits {string} 'ReadyToReceive' when the call is made to receive audio. The recorder can now send audio.
-   * @throws {Promise.<Error>} If challenge is not an object or not defined.
-   * @throws {Promise.<Error>} If challenge has no id.
+   * @param {boolean} [trim=true] - Whether to trim the start and end of recorded audio.
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * signal - An `AbortSignal` to cancel the session with. The recorder is stopped when the session is cancelled.
+   * @returns {StreamingSession} The session, which is returned at once. The {@link StreamingSession#result} of the
+   * session is a Promise containing a {@link SpeechRecording}, which is rejected with the errors below.
+   * @emits {Event} 'ready' on the session, when the server is ready to receive audio. The recorder can now record.
+   * @throws {Promise.<ValidationError>} If challenge is not an object or not defined.
+   * @throws {Promise.<ValidationError>} If challenge has no id.
    * @throws {Promise.<Error>} If the connection is not open.
    * @throws {Promise.<Error>} If the recorder is already recording.
    * @throws {Promise.<Error>} If a session is already in progress.
-   * @throws {Promise.<Error>} If something went wrong during recording.
+   * @throws {Promise.<CancellationError>} If the session was cancelled.
+   * @throws {Promise.<TimeoutError>} If the server did not answer the session in time.
+   * @throws {Promise.<RpcError>} If something went wrong during recording.
+   * @throws {Promise.<StreamingError>} If the server could not finish the recording, with the partial recording
+   * as model.
    */
-  startStreamingSpeechRecording(challenge, recorder) {
-    return this._speechRecordingController.startStreamingSpeechRecording(challenge, recorder);
+  startStreamingSpeechRecording(challenge, recorder, trim, options) {
+    return this._speechRecordingController.startStreamingSpeechRecording(challenge, recorder, trim, options);
   }
 
   /**
@@ -356,13 +470,14 @@ export default class AdministrativeSDK {
    *
    * @param {string} challengeId - Specify a speech challenge identifier.
    * @param {string} recordingId - Specify a speech recording identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<SpeechRecording>} Promise containing a SpeechRecording.
-   * @throws {Promise.<Error>} {@link SpeechChallenge#id} field is required.
-   * @throws {Promise.<Error>} {@link SpeechRecording#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link SpeechChallenge#id} field is required.
+   * @throws {Promise.<ValidationError>} {@link SpeechRecording#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getSpeechRecording(challengeId, recordingId) {
-    return this._speechRecordingController.getSpeechRecording(challengeId, recordingId);
+  getSpeechRecording(challengeId, recordingId, options) {
+    return this._speechRecordingController.getSpeechRecording(challengeId, recordingId, options);
   }
 
   /**
@@ -370,56 +485,61 @@ export default class AdministrativeSDK {
    * derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a speech challenge identifier to list speech recordings for.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<SpeechRecording[]>} Promise containing an array of SpeechRecordings.
-   * @throws {Promise.<Error>} {@link SpeechChallenge#id} is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link SpeechChallenge#id} is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getSpeechRecordings(challengeId) {
-    return this._speechRecordingController.getSpeechRecordings(challengeId);
+  getSpeechRecordings(challengeId, options) {
+    return this._speechRecordingController.getSpeechRecordings(challengeId, options);
   }
 
   /**
    * Create a user. The user will be created in the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {User} user - User to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User>} Promise containing the newly created User.
-   * @throws {Promise.<Error>} user parameter of type "User" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} user parameter of type "User" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createUser(user) {
-    return this._userController.createUser(user);
+  createUser(user, options) {
+    return this._userController.createUser(user, options);
   }
 
   /**
    * Get a user in the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} userId - Specify a user identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User>} Promise containing a User.
-   * @throws {Promise.<Error>} userId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} userId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getUser(userId) {
-    return this._userController.getUser(userId);
+  getUser(userId, options) {
+    return this._userController.getUser(userId, options);
   }
 
   /**
    * Get the current authenticated user.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User>} The current authenticated user.
-   * @throws {Promise.<Error>} If something went wrong in the server.
+   * @throws {Promise.<ApiError>} If something went wrong in the server.
    */
-  getCurrentUser() {
-    return this._userController.getCurrentUser();
+  getCurrentUser(options) {
+    return this._userController.getCurrentUser(options);
   }
 
   /**
    * Get and return all users in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User[]>} Promise containing an array of Users.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getUsers() {
-    return this._userController.getUsers();
+  getUsers(options) {
+    return this._userController.getUsers(options);
   }
 
   /**
@@ -427,57 +547,62 @@ export default class AdministrativeSDK {
    *
    * @param {string} userId - The identifier of the user to register credentials to.
    * @param {EmailCredentials} emailCredentials - The credentials to register to the user.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<EmailCredentials>} A promise containing the created EmailCredentials.
-   * @throws {Promise.<Error>} UserId parameter of type "string" is required.
-   * @throws {Promise.<Error>} EmailCredentials parameter of type "EmailCredentials" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} UserId parameter of type "string" is required.
+   * @throws {Promise.<ValidationError>} EmailCredentials parameter of type "EmailCredentials" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createEmailCredentials(userId, emailCredentials) {
-    return this._emailCredentialsController.createEmailCredentials(userId, emailCredentials);
+  createEmailCredentials(userId, emailCredentials, options) {
+    return this._emailCredentialsController.createEmailCredentials(userId, emailCredentials, options);
   }
 
   /**
    * Get and return all roles available in the API.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Role[]>} Promise containing an array of Roles.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  getRoles() {
-    return this._roleController.getRoles();
+  getRoles(options) {
+    return this._roleController.getRoles(options);
   }
 
   /**
    * Get a single role.
    *
    * @param {string} roleId - Identifier of the role.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Role>} Promise containing a Role.
-   * @throws {Promise.<Error>} roleId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} roleId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getRole(roleId) {
-    return this._roleController.getRole(roleId);
+  getRole(roleId, options) {
+    return this._roleController.getRole(roleId, options);
   }
 
   /**
    * Get the profile of the given user active in the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} userId - Specify a User identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Profile>} Promise containing a Profile.
-   * @throws {Promise.<Error>} userId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} userId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getProfile(userId) {
-    return this._profileController.getProfile(userId);
+  getProfile(userId, options) {
+    return this._profileController.getProfile(userId, options);
   }
 
   /**
    * Get and return all profiles of all users in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Profile[]>} Array of Profiles.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  getProfiles() {
-    return this._profileController.getProfiles();
+  getProfiles(options) {
+    return this._profileController.getProfiles(options);
   }
 }
 
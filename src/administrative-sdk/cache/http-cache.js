@@ -0,0 +1,166 @@
+import ApiError from '../errors/api-error';
+import IndexedDbCacheStore from './indexeddb-cache-store';
+import MemoryCacheStore from './memory-cache-store';
+
+/**
+ * Cache of the responses of the REST api to GET requests.
+ *
+ * The cache passes the requests of a {@link Connection} through its middleware. A cached response is used as long as
+ * it is younger than the configured time to live. After that, the request is sent with the `ETag` of the cached
+ * response in an `If-None-Match` header, so the server can answer with 304 Not Modified instead of sending the same
+ * response again.
+ *
+ * When a request changing data succeeds, the cached responses of the collection it changed are removed. A POST to
+ * `/categories` removes the cached responses of `/categories` and the URLs within it, like `/categories/1`. A DELETE
+ * of `/challenges/speech/1` removes those of `/challenges/speech` and the URLs within it.
+ *
+ * A response is only used for the scope of the {@link Connection} it was cached for, so a user or organisation never
+ * gets the responses of another one, even when the cache is kept in IndexedDB across sessions.
+ */
+export default class HttpCache {
+  /**
+   * @param {Connection} connection - The connection to cache the responses of.
+   * @param {Object} [options] - Options to configure the cache with.
+   * Valid options include:
+   * * store - Where to cache the responses. Either `'memory'`, `'indexeddb'`, or an object implementing the same
+   * methods as the {@link MemoryCacheStore} (default: `'memory'`).
+   * * ttl - The number of milliseconds a cached response is used without asking the server whether it changed
+   * (default: 60000).
+   * * databaseName - The name of the IndexedDB database of the `'indexeddb'` store.
+   * * indexedDB - The IndexedDB implementation of the `'indexeddb'` store.
+   */
+  constructor(connection, options) {
+    this._settings = Object.assign({
+      store: 'memory',
+      ttl: 60000
+    }, options);
+    this._store = HttpCache._createStore(this._settings);
+    this._connection = connection;
+    this._logger = connection.logger.child('cache');
+    this._middleware = (context, next) => this._handleRequest(context, next);
+    this._connection.addMiddleware(this._middleware);
+  }
+
+  /**
+   * Create the store of the cached responses.
+   *
+   * @param {Object} settings - The settings of the cache.
+   * @returns {Object} The store.
+   * @private
+   */
+  static _createStore(settings) {
+    if (settings.store === 'memory') {
+      return new MemoryCacheStore();
+    }
+    if (settings.store === 'indexeddb') {
+      // The store picks its own options from those of the cache.
+      return new IndexedDbCacheStore(settings);
+    }
+    return settings.store;
+  }
+
+  /**
+   * Remove the cached responses of the collection a URL belongs to.
+   *
+   * @param {string} url - The URL of the collection, like `https://api.itslanguage.nl/categories`.
+   * @returns {Promise} Promise which resolves once the responses are removed.
+   */
+  invalidate(url) {
+    const path = url.split('?')[0];
+    return this._store.keys()
+      .then(urls => Promise.all(urls
+        .filter(cached => {
+          const cachedPath = cached.split('?')[0];
+          return cachedPath === path || cachedPath.indexOf(path + '/') === 0;
+        })
+        .map(cached => this._store.delete(cached))));
+  }
+
+  /**
+   * Remove all cached responses, for example when another user logs in.
+   *
+   * @returns {Promise} Promise which resolves once the cache is empty.
+   */
+  clear() {
+    return this._store.clear();
+  }
+
+  /**
+   * The middleware through which the requests of the connection are passed.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @param {Function} next - Function passing the request on.
+   * @returns {Promise} Promise containing the result of the request.
+   * @private
+   */
+  _handleRequest(context, next) {
+    if (context.type !== 'request') {
+      return next();
+    }
+    if (context.method !== 'GET') {
+      return next()
+        .then(result => {
+          const path = context.url.split('?')[0];
+          const collection = context.method === 'POST' ? path : path.substring(0, path.lastIndexOf('/'));
+          return this.invalidate(collection)
+            .catch(error => this._logger.warn('Unable to invalidate the cache:', error))
+            .then(() => result);
+        });
+    }
+    const url = context.url;
+    const scope = this._connection.scope ? this._connection.scope.toString() : null;
+    return this._store.get(url)
+      .catch(error => {
+        this._logger.warn('Unable to read the cache:', error);
+        return null;
+      })
+      .then(cached => {
+        // The response cached for another scope is replaced by the one of the current scope.
+        const entry = cached && cached.scope === scope ? cached : null;
+        if (entry && entry.expires > Date.now() && context.options.cache !== false) {
+          this._logger.debug('Using cached response:', url);
+          return entry.result;
+        }
+        if (entry && entry.etag) {
+          context.headers['If-None-Match'] = entry.etag;
+        }
+        return next()
+          .then(result => this._save(url, scope, result, context.response), error => {
+            if (entry && error instanceof ApiError && error.status === 304) {
+              this._logger.debug('Cached response was not modified:', url);
+              return this._save(url, scope, entry.result, context.response, entry.etag);
+            }
+            return Promise.reject(error);
+          });
+      });
+  }
+
+  /**
+   * Cache the result of a request.
+   *
+   * @param {string} url - The URL of the request.
+   * @param {?string} scope - The scope of the connection when the request was made.
+   * @param {Object} result - The result of the request.
+   * @param {?Response} response - The response of the server, if any.
+   * @param {?string} [etag] - The ETag of the result, if the response does not hold one.
+   * @returns {Promise} Promise containing the result.
+   * @private
+   */
+  _save(url, scope, result, response, etag = null) {
+    const headers = response ? response.headers : null;
+    const cacheControl = headers && headers.get('Cache-Control') || '';
+    const entry = {
+      url,
+      scope,
+      result,
+      etag: headers && headers.get('ETag') || etag,
+      expires: Date.now() + this._settings.ttl
+    };
+    if (cacheControl.indexOf('no-store') !== -1 || !entry.etag && this._settings.ttl <= 0) {
+      return Promise.resolve(result);
+    }
+    return this._store.set(entry)
+      .catch(error => this._logger.warn('Unable to write the cache:', error))
+      .then(() => result);
+  }
+}
@@ -0,0 +1,83 @@
+import ObjectStore from '../utils/object-store';
+
+/**
+ * Store of cached responses which persists them in IndexedDB, so they are kept when the page is reloaded. It
+ * implements the same methods as the {@link MemoryCacheStore}.
+ */
+export default class IndexedDbCacheStore {
+  /**
+   * @param {Object} [options] - Options to configure the store with.
+   * Valid options include:
+   * * databaseName - The name of the IndexedDB database to store the responses in (default: `'itslanguage-cache'`).
+   * * indexedDB - The IndexedDB implementation (default: the global `indexedDB`).
+   * @throws {Error} If no IndexedDB implementation is available.
+   */
+  constructor(options) {
+    this._settings = Object.assign({
+      databaseName: 'itslanguage-cache',
+      indexedDB: typeof indexedDB === 'undefined' /* istanbul ignore next */ ? null : indexedDB
+    }, options);
+    if (!this._settings.indexedDB) {
+      throw new Error('No IndexedDB capabilities');
+    }
+    this._store = new ObjectStore(this._settings.indexedDB, this._settings.databaseName, IndexedDbCacheStore.STORE,
+      {keyPath: 'url'});
+  }
+
+  /**
+   * Get a cached response.
+   *
+   * @param {string} url - The URL of the response.
+   * @returns {Promise.<?Object>} Promise containing the entry, or `null` if the response was not cached.
+   */
+  get(url) {
+    return this._store.request('readonly', store => store.get(url))
+      .then(entry => entry || null);
+  }
+
+  /**
+   * Cache a response.
+   *
+   * @param {Object} entry - The entry to store, identified by its `url`.
+   * @returns {Promise} Promise which resolves once the entry is stored.
+   */
+  set(entry) {
+    return this._store.request('readwrite', store => store.put(entry))
+      .then(() => undefined);
+  }
+
+  /**
+   * Remove a cached response.
+   *
+   * @param {string} url - The URL of the response.
+   * @returns {Promise} Promise which resolves once the entry is removed.
+   */
+  delete(url) {
+    return this._store.request('readwrite', store => store.delete(url));
+  }
+
+  /**
+   * Get the URLs of all cached responses.
+   *
+   * @returns {Promise.<string[]>} Promise containing the URLs.
+   */
+  keys() {
+    return this._store.request('readonly', store => store.getAllKeys());
+  }
+
+  /**
+   * Remove all cached responses.
+   *
+   * @returns {Promise} Promise which resolves once the store is empty.
+   */
+  clear() {
+    return this._store.request('readwrite', store => store.clear());
+  }
+}
+
+/**
+ * The name of the object store holding the cached responses.
+ *
+ * @type {string}
+ */
+IndexedDbCacheStore.STORE = 'responses';
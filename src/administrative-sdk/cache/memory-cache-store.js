@@ -0,0 +1,74 @@
+/**
+ * Store of cached responses which keeps them in memory, so they are lost when the page is reloaded.
+ *
+ * A store of cached responses holds entries which are identified by their `url`. All methods return promises, so
+ * stores persisting the entries asynchronously can be used interchangeably.
+ */
+export default class MemoryCacheStore {
+  constructor() {
+    this._entries = {};
+  }
+
+  /**
+   * Get a cached response.
+   *
+   * @param {string} url - The URL of the response.
+   * @returns {Promise.<?Object>} Promise containing the entry, or `null` if the response was not cached.
+   */
+  get(url) {
+    const entry = this._entries.hasOwnProperty(url) ? MemoryCacheStore._copy(this._entries[url]) : null;
+    return Promise.resolve(entry);
+  }
+
+  /**
+   * Cache a response.
+   *
+   * @param {Object} entry - The entry to store, identified by its `url`.
+   * @returns {Promise} Promise which resolves once the entry is stored.
+   */
+  set(entry) {
+    this._entries[entry.url] = MemoryCacheStore._copy(entry);
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove a cached response.
+   *
+   * @param {string} url - The URL of the response.
+   * @returns {Promise} Promise which resolves once the entry is removed.
+   */
+  delete(url) {
+    delete this._entries[url];
+    return Promise.resolve();
+  }
+
+  /**
+   * Get the URLs of all cached responses.
+   *
+   * @returns {Promise.<string[]>} Promise containing the URLs.
+   */
+  keys() {
+    return Promise.resolve(Object.keys(this._entries));
+  }
+
+  /**
+   * Remove all cached responses.
+   *
+   * @returns {Promise} Promise which resolves once the store is empty.
+   */
+  clear() {
+    this._entries = {};
+    return Promise.resolve();
+  }
+
+  /**
+   * Copy an entry, so changes to the result of a request do not change the cached result.
+   *
+   * @param {Object} entry - The entry to copy.
+   * @returns {Object} The copy.
+   * @private
+   */
+  static _copy(entry) {
+    return JSON.parse(JSON.stringify(entry));
+  }
+}
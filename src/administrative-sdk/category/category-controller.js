@@ -1,4 +1,5 @@
 import Category from './category';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the Category model.
@@ -20,18 +21,19 @@ export default class CategoryController {
    * Create a category.
    *
    * @param {Category} category - Object to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category>} Promise containing the newly created Category.
-   * @throws {Promise.<Error>} category parameter of type "Category" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} category parameter of type "Category" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createCategory(category) {
+  createCategory(category, options) {
     if (!(category instanceof Category)) {
-      return Promise.reject(new Error('category parameter of type "Category" is required'));
+      return Promise.reject(new ValidationError('category parameter of type "Category" is required'));
     }
 
     const url = this._connection._settings.apiUrl + '/categories';
     const fd = JSON.stringify(category);
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new Category(data.id, data.parent, data.name, data.description, data.color,
           data.speechChallenges);
@@ -47,17 +49,18 @@ export default class CategoryController {
    * Get a category.
    *
    * @param {string} categoryId - Specify a category identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category>} Promise containing an Category.
-   * @throws {Promise.<Error>} categoryId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} categoryId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getCategory(categoryId) {
+  getCategory(categoryId, options) {
     if (typeof categoryId !== 'string') {
-      return Promise.reject(new Error('categoryId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('categoryId parameter of type "string" is required'));
     }
 
     const url = this._connection._settings.apiUrl + '/categories/' + categoryId;
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const result = new Category(data.id, data.parent, data.name, data.description, data.color,
           data.speechChallenges);
@@ -72,34 +75,36 @@ export default class CategoryController {
   /**
    * Get and return all top level categories which do not have a parent Category.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category[]>} Promise containing an array of Categories.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getTopLevelCategories() {
-    return this.getCategories();
+  getTopLevelCategories(options) {
+    return this.getCategories(null, options);
   }
 
   /**
    * Get and return all categories which have a specific category as parent.
    *
    * @param {string} parentId - Specify a category parent identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Category[]>} Promise containing an array of Categories.
-   * @throws {Promise.<Error>} parentId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} parentId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getCategoriesWithParent(parentId) {
+  getCategoriesWithParent(parentId, options) {
     if (typeof parentId !== 'string') {
-      return Promise.reject(new Error('parentId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('parentId parameter of type "string" is required'));
     }
-    return this.getCategories('/' + parentId + '/categories');
+    return this.getCategories('/' + parentId + '/categories', options);
   }
 
-  getCategories(urlModification = null) {
+  getCategories(urlModification, options) {
     let url = this._connection._settings.apiUrl + '/categories';
-    if (urlModification !== null) {
+    if (urlModification) {
       url += urlModification;
     }
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const category = new Category(datum.id, datum.parent, datum.name, datum.description, datum.color,
           datum.speechChallenges);
@@ -1,4 +1,5 @@
 import ChoiceChallenge from './choice-challenge';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the {@link ChoiceChallenge} model.
@@ -22,17 +23,18 @@ export default class ChoiceChallengeController {
    * It is necessary for a choice challenge to exist for a recording to be valid.
    *
    * @param {ChoiceChallenge} choiceChallenge - Object to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceChallenge>} Containing the newly created ChoiceChallenge.
-   * @throws {Promise.<Error>} choiceChallenge parameter of type "ChoiceChallenge" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} choiceChallenge parameter of type "ChoiceChallenge" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createChoiceChallenge(choiceChallenge) {
+  createChoiceChallenge(choiceChallenge, options) {
     if (!(choiceChallenge instanceof ChoiceChallenge)) {
-      return Promise.reject(new Error('choiceChallenge parameter of type "ChoiceChallenge" is required'));
+      return Promise.reject(new ValidationError('choiceChallenge parameter of type "ChoiceChallenge" is required'));
     }
     const url = this._connection._settings.apiUrl + '/challenges/choice';
     const fd = JSON.stringify(choiceChallenge);
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new ChoiceChallenge(data.id, data.question, data.choices);
         result.created = new Date(data.created);
@@ -48,16 +50,17 @@ export default class ChoiceChallengeController {
    * {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a choice challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceChallenge>} Containing a ChoiceChallenge.
-   * @throws {Promise.<Error>} challengeId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} challengeId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getChoiceChallenge(challengeId) {
+  getChoiceChallenge(challengeId, options) {
     if (typeof challengeId !== 'string') {
-      return Promise.reject(new Error('challengeId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('challengeId parameter of type "string" is required'));
     }
     const url = this._connection._settings.apiUrl + '/challenges/choice/' + challengeId;
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const challenge = new ChoiceChallenge(data.id, data.question, data.choices);
         challenge.created = new Date(data.created);
@@ -71,12 +74,13 @@ export default class ChoiceChallengeController {
   /**
    * Get and return all choice challenges in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<ChoiceChallenge[]>} Containing an array of ChoiceChallenges.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getChoiceChallenges() {
+  getChoiceChallenges(options) {
     const url = this._connection._settings.apiUrl + '/challenges/choice';
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const challenge = new ChoiceChallenge(datum.id, datum.question, datum.choices);
         challenge.created = new Date(datum.created);
@@ -0,0 +1,465 @@
+/* eslint-disable
+camelcase
+ */
+
+import AuthenticationError from '../errors/authentication-error';
+import Base64Utils from '../utils/base64-utils';
+
+/**
+ * The OAuth2 authorization code flow with PKCE, optionally extended to an OpenID Connect login. The user is sent to
+ * the authorization server, which redirects back to the redirect URI with a code. That code is exchanged for an
+ * OAuth2 token by the {@link Connection}, together with the code verifier only this page knows.
+ *
+ * The state, nonce and code verifier of an authorization in progress are kept in `sessionStorage`, so the redirect
+ * URI may be a different page than the one starting the authorization. The ID token is received directly from the
+ * token endpoint, so its claims are checked but its signature is not.
+ *
+ * @private
+ */
+export default class AuthorizationCodeFlow {
+  /**
+   * @param {Connection} connection - The connection to exchange the codes for tokens with.
+   * @param {Object} options - Options of the flow, as described by the `authorization` option of the
+   * {@link Connection}.
+   * @throws {Error} If no client id or redirect URI is given.
+   * @throws {Error} If no Web Crypto implementation is available.
+   */
+  constructor(connection, options) {
+    const global = typeof window === 'undefined' /* istanbul ignore next */ ? null : window;
+    this._settings = Object.assign({
+      authorizationUrl: connection._settings.apiUrl + '/authorize',
+      silentRedirectUri: options.redirectUri,
+      openid: false,
+      issuer: null,
+      silentTimeout: 10000,
+      storage: global && global.sessionStorage || null,
+      window: global,
+      crypto: typeof crypto === 'undefined' /* istanbul ignore next */ ? null : crypto
+    }, options);
+    if (typeof this._settings.clientId !== 'string') {
+      throw new Error('options.clientId of type "string" is required');
+    }
+    if (typeof this._settings.redirectUri !== 'string') {
+      throw new Error('options.redirectUri of type "string" is required');
+    }
+    if (!this._settings.crypto || !this._settings.crypto.subtle) {
+      throw new Error('No Web Crypto capabilities');
+    }
+    this._connection = connection;
+
+    /**
+     * The authorizations in progress, by their state.
+     *
+     * @type {Object}
+     */
+    this._transactions = {};
+  }
+
+  /**
+   * Create the URL of the authorization server to send the user to.
+   *
+   * @param {Object} request - The authorization request.
+   * Valid properties include:
+   * * scope - The scope of the requested token, like `'tenant/4/organisation/fb'`.
+   * * prompt - The OpenID Connect `prompt` parameter, like `'none'` or `'login'`.
+   * * redirectUri - The redirect URI, if not the configured one.
+   * @returns {Promise.<string>} Promise containing the URL.
+   */
+  createAuthorizationUrl(request) {
+    return this._start(request)
+      .then(transaction => transaction.url);
+  }
+
+  /**
+   * Send the user to the authorization server. The page at the redirect URI is expected to call
+   * {@link Connection#handleAuthorizationCallback}.
+   *
+   * @param {Object} request - The authorization request, as described by
+   * {@link AuthorizationCodeFlow#createAuthorizationUrl}.
+   * @returns {Promise} Promise which resolves once the browser is being redirected.
+   */
+  redirect(request) {
+    return this.createAuthorizationUrl(request)
+      .then(url => {
+        this._settings.window.location.assign(url);
+      });
+  }
+
+  /**
+   * Let the user authorize in a popup. The popup is opened right away, so browsers allow it when this is called from
+   * a click handler. It is closed once it reached the redirect URI.
+   *
+   * @param {Object} request - The authorization request, as described by
+   * {@link AuthorizationCodeFlow#createAuthorizationUrl}.
+   * @returns {Promise.<Object>} Promise containing the result, as described by
+   * {@link AuthorizationCodeFlow#handleCallback}.
+   * @throws {Promise.<AuthenticationError>} If the popup was blocked or closed, or the authorization failed.
+   */
+  popup(request) {
+    const popup = this._settings.window.open('', 'itslanguage-authorization', 'width=500,height=600');
+    if (!popup) {
+      return Promise.reject(new AuthenticationError('Unable to open the authorization popup', null, 'popup_blocked'));
+    }
+    return this._authorizeIn(popup, request, 0, url => {
+      popup.location.href = url;
+    })
+      .then(result => {
+        popup.close();
+        return result;
+      }, error => {
+        popup.close();
+        return Promise.reject(error);
+      });
+  }
+
+  /**
+   * Obtain a new token without user interaction, by authorizing in a hidden iframe while the user is still logged in
+   * at the authorization server.
+   *
+   * @param {Object} request - The authorization request, as described by
+   * {@link AuthorizationCodeFlow#createAuthorizationUrl}.
+   * @returns {Promise.<Object>} Promise containing the result, as described by
+   * {@link AuthorizationCodeFlow#handleCallback}.
+   * @throws {Promise.<AuthenticationError>} If the user has to log in again, or the authorization server did not
+   * answer in time.
+   */
+  renew(request) {
+    const document = this._settings.window.document;
+    const iframe = document.createElement('iframe');
+    iframe.style.display = 'none';
+    document.body.appendChild(iframe);
+    const silentRequest = Object.assign({}, request, {prompt: 'none', redirectUri: this._settings.silentRedirectUri});
+    return this._authorizeIn(iframe.contentWindow, silentRequest, this._settings.silentTimeout, url => {
+      iframe.src = url;
+    })
+      .then(result => {
+        document.body.removeChild(iframe);
+        return result;
+      }, error => {
+        document.body.removeChild(iframe);
+        return Promise.reject(error);
+      });
+  }
+
+  /**
+   * Handle the redirect of the authorization server. The state is checked against the authorizations in progress,
+   * and the code is exchanged for a token.
+   *
+   * @param {string} url - The URL the authorization server redirected to.
+   * @returns {Promise.<Object>} Promise containing the token response of the server as `data`, the claims of the ID
+   * token as `claims` if OpenID Connect is used, and the authorization request as `request`.
+   * @throws {Promise.<AuthenticationError>} If the authorization server returned an error, the state is unknown or
+   * the ID token is invalid.
+   * @throws {Promise.<AuthenticationError>} If the server refused the code.
+   */
+  handleCallback(url) {
+    const params = AuthorizationCodeFlow._parseParameters(url);
+    const transaction = params.state ? this._takeTransaction(params.state) : null;
+    if (params.error) {
+      return Promise.reject(new AuthenticationError(params.error_description || params.error, null, params.error));
+    }
+    if (!transaction) {
+      return Promise.reject(
+        new AuthenticationError('Unknown state in the authorization response', null, 'invalid_state'));
+    }
+    if (!params.code) {
+      return Promise.reject(
+        new AuthenticationError('Missing code in the authorization response', null, 'invalid_request'));
+    }
+    const formData = 'grant_type=authorization_code' +
+      '&code=' + encodeURIComponent(params.code) +
+      '&redirect_uri=' + encodeURIComponent(transaction.redirectUri) +
+      '&client_id=' + encodeURIComponent(this._settings.clientId) +
+      '&code_verifier=' + encodeURIComponent(transaction.codeVerifier);
+    return this._connection._requestToken(formData)
+      .then(data => ({
+        data,
+        claims: transaction.nonce ? this._validateIdToken(data.id_token, transaction.nonce) : null,
+        request: transaction.request
+      }));
+  }
+
+  /**
+   * Start an authorization and remember it until the authorization server redirects back.
+   *
+   * @param {Object} request - The authorization request, as described by
+   * {@link AuthorizationCodeFlow#createAuthorizationUrl}.
+   * @returns {Promise.<Object>} Promise containing the `url` to send the user to and the `state` of the
+   * authorization.
+   * @private
+   */
+  _start(request) {
+    const state = this._randomString(16);
+    const nonce = this._settings.openid ? this._randomString(16) : null;
+    const codeVerifier = this._randomString(32);
+    const redirectUri = request.redirectUri || this._settings.redirectUri;
+    return this._codeChallenge(codeVerifier)
+      .then(codeChallenge => {
+        this._saveTransaction(state, {
+          nonce,
+          codeVerifier,
+          redirectUri,
+          request: {scope: request.scope}
+        });
+        const params = {
+          response_type: 'code',
+          client_id: this._settings.clientId,
+          redirect_uri: redirectUri,
+          scope: this._settings.openid ? 'openid ' + request.scope : request.scope,
+          state,
+          code_challenge: codeChallenge,
+          code_challenge_method: 'S256'
+        };
+        if (nonce) {
+          params.nonce = nonce;
+        }
+        if (request.prompt) {
+          params.prompt = request.prompt;
+        }
+        const query = Object.keys(params)
+          .map(name => name + '=' + encodeURIComponent(params[name]))
+          .join('&');
+        const url = this._settings.authorizationUrl;
+        return {
+          url: url + (url.indexOf('?') === -1 ? '?' : '&') + query,
+          state
+        };
+      });
+  }
+
+  /**
+   * Authorize in a popup or iframe and handle the redirect once it reached the redirect URI.
+   *
+   * @param {Window} target - The window of the popup or iframe.
+   * @param {Object} request - The authorization request, as described by
+   * {@link AuthorizationCodeFlow#createAuthorizationUrl}.
+   * @param {number} timeout - The number of milliseconds after which to give up, or 0 to wait indefinitely.
+   * @param {Function} navigate - Function which is called with the URL to open in the window.
+   * @returns {Promise.<Object>} Promise containing the result, as described by
+   * {@link AuthorizationCodeFlow#handleCallback}.
+   * @private
+   */
+  _authorizeIn(target, request, timeout, navigate) {
+    return this._start(request)
+      .then(transaction => {
+        navigate(transaction.url);
+        return this._waitForRedirect(target, request.redirectUri || this._settings.redirectUri, timeout)
+          .catch(error => {
+            this._takeTransaction(transaction.state);
+            return Promise.reject(error);
+          });
+      })
+      .then(url => this.handleCallback(url));
+  }
+
+  /**
+   * Wait until a popup or iframe reached the redirect URI. Its location can't be read while it shows a page of the
+   * authorization server, because that is on a different origin.
+   *
+   * @param {Window} target - The window of the popup or iframe.
+   * @param {string} redirectUri - The redirect URI.
+   * @param {number} timeout - The number of milliseconds after which to give up, or 0 to wait indefinitely.
+   * @returns {Promise.<string>} Promise containing the URL the authorization server redirected to.
+   * @throws {Promise.<AuthenticationError>} If the popup was closed or the timeout passed.
+   * @private
+   */
+  _waitForRedirect(target, redirectUri, timeout) {
+    const started = Date.now();
+    return new Promise((resolve, reject) => {
+      const timer = setInterval(() => {
+        let href = null;
+        if (target.closed) {
+          clearInterval(timer);
+          reject(new AuthenticationError('The authorization was cancelled', null, 'access_denied'));
+          return;
+        }
+        try {
+          href = target.location.href;
+        } catch (e) {
+          // The authorization server is still being shown.
+        }
+        if (href && href.indexOf(redirectUri) === 0) {
+          clearInterval(timer);
+          resolve(href);
+        } else if (timeout && Date.now() - started >= timeout) {
+          clearInterval(timer);
+          reject(new AuthenticationError('The authorization server did not respond in time', null, 'timeout'));
+        }
+      }, AuthorizationCodeFlow.POLL_INTERVAL);
+    });
+  }
+
+  /**
+   * Check the claims of an ID token and return them.
+   *
+   * @param {?string} idToken - The ID token returned by the server.
+   * @param {string} nonce - The nonce of the authorization.
+   * @returns {Object} The claims of the ID token.
+   * @throws {AuthenticationError} If the ID token is missing or invalid.
+   * @private
+   */
+  _validateIdToken(idToken, nonce) {
+    function invalid(reason) {
+      return new AuthenticationError('Invalid ID token: ' + reason, null, 'invalid_id_token');
+    }
+    if (!idToken) {
+      throw invalid('missing');
+    }
+    let claims = null;
+    try {
+      claims = AuthorizationCodeFlow._decodeJwtPayload(idToken);
+    } catch (e) {
+      throw invalid('malformed');
+    }
+    const audience = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+    if (claims.nonce !== nonce) {
+      throw invalid('nonce mismatch');
+    }
+    if (audience.indexOf(this._settings.clientId) === -1) {
+      throw invalid('audience mismatch');
+    }
+    if (this._settings.issuer && claims.iss !== this._settings.issuer) {
+      throw invalid('issuer mismatch');
+    }
+    if (!claims.exp || claims.exp * 1000 <= Date.now()) {
+      throw invalid('expired');
+    }
+    return claims;
+  }
+
+  /**
+   * Remember an authorization in progress.
+   *
+   * @param {string} state - The state of the authorization.
+   * @param {Object} transaction - The secrets and request of the authorization.
+   * @private
+   */
+  _saveTransaction(state, transaction) {
+    this._transactions[state] = transaction;
+    const storage = this._settings.storage;
+    if (storage) {
+      const stored = JSON.parse(storage.getItem(AuthorizationCodeFlow.STORAGE_KEY) || '{}');
+      stored[state] = transaction;
+      storage.setItem(AuthorizationCodeFlow.STORAGE_KEY, JSON.stringify(stored));
+    }
+  }
+
+  /**
+   * Get an authorization in progress and forget it, so a redirect can't be handled twice.
+   *
+   * @param {string} state - The state of the authorization.
+   * @returns {?Object} The secrets and request of the authorization, or `null` if it is unknown.
+   * @private
+   */
+  _takeTransaction(state) {
+    let transaction = this._transactions[state] || null;
+    delete this._transactions[state];
+    const storage = this._settings.storage;
+    if (storage) {
+      const stored = JSON.parse(storage.getItem(AuthorizationCodeFlow.STORAGE_KEY) || '{}');
+      transaction = transaction || stored[state] || null;
+      delete stored[state];
+      storage.setItem(AuthorizationCodeFlow.STORAGE_KEY, JSON.stringify(stored));
+    }
+    return transaction;
+  }
+
+  /**
+   * Create a random URL safe string.
+   *
+   * @param {number} size - The number of random bytes to encode.
+   * @returns {string} The string.
+   * @private
+   */
+  _randomString(size) {
+    const bytes = this._settings.crypto.getRandomValues(new Uint8Array(size));
+    return AuthorizationCodeFlow._base64Url(bytes);
+  }
+
+  /**
+   * Derive the PKCE code challenge from a code verifier.
+   *
+   * @param {string} codeVerifier - The code verifier.
+   * @returns {Promise.<string>} Promise containing the URL safe base64 encoded SHA-256 hash of the verifier.
+   * @private
+   */
+  _codeChallenge(codeVerifier) {
+    const bytes = new Uint8Array(codeVerifier.split('').map(character => character.charCodeAt(0)));
+    return Promise.resolve(this._settings.crypto.subtle.digest('SHA-256', bytes))
+      .then(hash => AuthorizationCodeFlow._base64Url(hash));
+  }
+
+  /**
+   * Encode binary data as URL safe base64 without padding.
+   *
+   * @param {ArrayBuffer|Uint8Array} buffer - The data.
+   * @returns {string} The encoded data.
+   * @private
+   */
+  static _base64Url(buffer) {
+    return Base64Utils._arrayBufferToBase64(buffer)
+      .replace(/\+/g, '-')
+      .replace(/\//g, '_')
+      .replace(/=+$/, '');
+  }
+
+  /**
+   * Decode the payload of a JSON Web Token.
+   *
+   * @param {string} jwt - The token.
+   * @returns {Object} The payload.
+   * @throws {Error} If the token is malformed.
+   * @private
+   */
+  static _decodeJwtPayload(jwt) {
+    const payload = jwt.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(payload + '==='.slice((payload.length + 3) % 4));
+    const encoded = binary.split('')
+      .map(character => '%' + ('0' + character.charCodeAt(0).toString(16)).slice(-2))
+      .join('');
+    return JSON.parse(decodeURIComponent(encoded));
+  }
+
+  /**
+   * Get the parameters of the query and fragment of a URL.
+   *
+   * @param {string} url - The URL.
+   * @returns {Object} The decoded parameters by name.
+   * @private
+   */
+  static _parseParameters(url) {
+    const params = {};
+    function decode(value) {
+      return decodeURIComponent(value.replace(/\+/g, ' '));
+    }
+    const hashIndex = url.indexOf('#');
+    const path = hashIndex === -1 ? url : url.substring(0, hashIndex);
+    const fragment = hashIndex === -1 ? '' : url.substring(hashIndex + 1);
+    const query = path.indexOf('?') === -1 ? '' : path.substring(path.indexOf('?') + 1);
+    (query + '&' + fragment).split('&')
+      .filter(pair => pair)
+      .forEach(pair => {
+        const separator = pair.indexOf('=');
+        if (separator === -1) {
+          params[decode(pair)] = '';
+        } else {
+          params[decode(pair.substring(0, separator))] = decode(pair.substring(separator + 1));
+        }
+      });
+    return params;
+  }
+}
+
+/**
+ * The key under which the authorizations in progress are kept in `sessionStorage`.
+ *
+ * @type {string}
+ */
+AuthorizationCodeFlow.STORAGE_KEY = 'itslanguage.authorization';
+
+/**
+ * The number of milliseconds between checks whether a popup or iframe reached the redirect URI.
+ *
+ * @type {number}
+ */
+AuthorizationCodeFlow.POLL_INTERVAL = 100;
@@ -2,8 +2,25 @@
 camelcase
  */
 
+import ApiError from '../errors/api-error';
+import AuthenticationError from '../errors/authentication-error';
+import AuthorizationCodeFlow from './authorization-code-flow';
+import CancellationError from '../errors/cancellation-error';
+import ConnectionLostError from '../errors/connection-lost-error';
+import ConnectionMonitor from './connection-monitor';
+import HttpCache from '../cache/http-cache';
+import Logger from '../../logger/logger';
+import MemoryTokenStore from '../token-store/memory-token-store';
+import MsgpackSerializer from './msgpack-serializer';
+import RpcError from '../errors/rpc-error';
+import Scope from '../scope/scope';
+import TrafficRecorder from '../traffic-recorder/traffic-recorder';
+import TrafficReplayer from '../traffic-recorder/traffic-replayer';
+import WebSocketTransport from './websocket-transport';
+import WebStorageTokenStore from '../token-store/web-storage-token-store';
 import autobahn from 'autobahn';
 import ee from 'event-emitter';
+import when from 'when';
 /**
  * Controller class for managing connection interaction.
  */
@@ -18,6 +35,82 @@ export default class Connection {
    * * oAuth2Token - An OAuth2 token string.
    * * adminPrincipal - The username of the admin account.
    * * adminPassword - The password of the admin account.
+   * * tokenRefreshMargin - The number of milliseconds before the OAuth2 token expires at which it is refreshed
+   * (default: 60000).
+   * * fetch - The fetch implementation to perform HTTP requests with (default: the global `fetch`).
+   * * Headers - The Headers implementation belonging to `fetch` (default: the global `Headers`).
+   * * WebSocket - The implementation of the W3C WebSocket API to connect to the Websocket server with. By default
+   * the browser's WebSocket is used, or the `ws` package when running in Node.js.
+   * * binaryAudio - Whether to offer the MessagePack serialization of WAMP to the websocket server, so audio is
+   * streamed as binary instead of in base64 (default: true). Routers which only speak JSON are streamed to in base64.
+   * * streaming - Flow control of the audio written by the streaming sessions. Valid options include:
+   *   * maxInFlightWrites - The maximum number of writes a session waits for the server to receive at once. Audio
+   *   recorded meanwhile is queued (default: 4).
+   *   * maxWriteSize - The maximum number of bytes of queued audio which are combined into one write (default:
+   *   65536).
+   *   * timeouts - The number of milliseconds each phase of a session may take before the session is ended and
+   *   rejected with a {@link TimeoutError}, or `0` to wait for ever. The phases are `init`, each RPC starting the
+   *   session on the server (default: 10000), `write`, each write of audio (default: 10000), and `result`, finishing
+   *   the session once all audio was sent (default: 60000). They can be set per type of session as well, like
+   *   `{result: 30000, pronunciation: {result: 120000}}`.
+   * * retry - The retry policy for HTTP requests to the REST api, or `false` to disable retrying. Requests are
+   * retried when the network fails or the server responds with one of the given status codes. Valid options include:
+   *   * maxRetries - The maximum number of times a request is retried (default: 3).
+   *   * initialDelay - The delay in milliseconds before the first retry (default: 500).
+   *   * maxDelay - The maximum delay in milliseconds between retries (default: 30000).
+   *   * delayGrowth - The factor the delay is multiplied with after each retry (default: 2).
+   *   * jitter - The maximum random deviation applied to each delay, as a fraction of the delay (default: 0.1).
+   *   * statusCodes - The HTTP status codes on which to retry (default: 408, 429, 500, 502, 503 and 504).
+   *   * methods - The HTTP methods which are safe to retry (default: GET, HEAD, OPTIONS, PUT and DELETE).
+   *   * retryAfter - Whether to wait for the duration given by a `Retry-After` header of the response, if any
+   *   (default: true).
+   * * reconnect - Automatic reconnection of the websocket, or `false` to disable it. Valid options include:
+   *   * maxRetries - The maximum number of reconnection attempts (default: 15).
+   *   * initialDelay - The delay in milliseconds before the first reconnection attempt (default: 1500).
+   *   * maxDelay - The maximum delay in milliseconds between reconnection attempts (default: 300000).
+   *   * delayGrowth - The factor the delay is multiplied with after each attempt (default: 1.5).
+   *   * jitter - The standard deviation of a random jitter applied to each delay, as a fraction of the delay
+   *   (default: 0.1).
+   * * logger - The {@link Logger} to log with, or the options of a new one. By default only warnings and errors are
+   * logged to the console.
+   * * middleware - The middleware to pass requests to the REST api and RPCs through, as described by
+   * {@link Connection#addMiddleware}.
+   * * cache - Caching of the responses of the REST api to GET requests, or `true` to cache them in memory. The options
+   * are those of the {@link HttpCache}. By default responses are not cached.
+   * * record - Recording of the requests to the REST api and the RPCs, or `true` to record them. The options are those
+   * of the {@link TrafficRecorder}. By default nothing is recorded.
+   * * replay - A recording made by the {@link TrafficRecorder} to answer the requests to the REST api and the RPCs
+   * from, instead of the server. The connection to the websocket server is then opened without connecting to it.
+   * * heartbeat - A periodic heartbeat over the websocket connection to measure its latency, or `true` to send it
+   * with the defaults. By default no heartbeat is sent. Valid options include:
+   *   * interval - The number of milliseconds between heartbeats (default: 10000).
+   *   * timeout - The number of milliseconds after which an unanswered heartbeat counts as missed (default: 5000).
+   *   * procedure - The procedure to call on the router (default: `'nl.itslanguage.heartbeat'`). Any answer counts,
+   *   including an error, so the procedure does not need to exist.
+   *   * samples - The number of recent heartbeats the quality of the connection is judged by (default: 5).
+   *   * degradedLatency - The average round-trip latency in milliseconds from which the connection is degraded
+   *   (default: 300).
+   *   * poorLatency - The average round-trip latency in milliseconds from which the connection is poor (default:
+   *   1000).
+   * * tokenStore - Where to keep the OAuth2 token obtained by {@link Connection#getOauth2Token}, so it can be restored
+   * after a page reload. Either `'memory'`, `'localStorage'`, `'sessionStorage'`, or an object implementing the same
+   * methods as the {@link MemoryTokenStore} (default: `'memory'`). The credentials the token was obtained with are
+   * never stored.
+   * * tokenStorageKey - The key under which the token is kept in `localStorage` or `sessionStorage` (default:
+   * `'itslanguage.token'`).
+   * * broadcastChannel - The name of a `BroadcastChannel` over which logins, token refreshes and logouts are shared
+   * with the connections in other tabs, or `null` to not share them (default: `null`).
+   * * BroadcastChannel - The BroadcastChannel implementation (default: the global `BroadcastChannel`).
+   * * authorization - The client of the authorization code flow, used by {@link Connection#authorize}. Valid options
+   * include:
+   *   * clientId - The id of the OAuth2 client. Required.
+   *   * redirectUri - The URI the authorization server redirects back to. Required.
+   *   * silentRedirectUri - The URI the authorization server redirects back to when the token is renewed silently
+   *   (default: the `redirectUri`).
+   *   * authorizationUrl - The URL of the authorization endpoint (default: the `/authorize` endpoint of the REST api).
+   *   * openid - Whether to log in using OpenID Connect, which yields an ID token (default: false).
+   *   * issuer - The issuer the ID token must be issued by, if it is to be checked.
+   *   * silentTimeout - The number of milliseconds to wait for a silent renewal (default: 10000).
    */
   constructor(options) {
     /**
@@ -28,14 +121,237 @@ export default class Connection {
       apiUrl: 'https://api.itslanguage.nl',
       oAuth2Token: null,
       wsUrl: null,
-      wsToken: null
+      wsToken: null,
+      tokenRefreshMargin: 60000,
+      tokenStore: 'memory',
+      tokenStorageKey: 'itslanguage.token',
+      broadcastChannel: null,
+      binaryAudio: true
     }, options);
-    Connection._sdkCompatibility();
-    this._analysisId = null;
-    this._recordingId = null;
-    this._recognitionId = null;
+    this._settings.retry = Object.assign({
+      maxRetries: 3,
+      initialDelay: 500,
+      maxDelay: 30000,
+      delayGrowth: 2,
+      jitter: 0.1,
+      statusCodes: [408, 429, 500, 502, 503, 504],
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+      retryAfter: true
+    }, this._settings.retry === false ? {maxRetries: 0} : this._settings.retry);
+    this._settings.streaming = Object.assign({
+      maxInFlightWrites: 4,
+      maxWriteSize: 65536
+    }, this._settings.streaming);
+    this._settings.streaming.timeouts = Object.assign({
+      init: 10000,
+      write: 10000,
+      result: 60000
+    }, this._settings.streaming.timeouts);
+    if (this._settings.reconnect !== false) {
+      this._settings.reconnect = Object.assign({
+        maxRetries: 15,
+        initialDelay: 1500,
+        maxDelay: 300000,
+        delayGrowth: 1.5,
+        jitter: 0.1
+      }, this._settings.reconnect);
+    }
+    this._logger = Logger.from(this._settings.logger, 'connection');
+    Connection._sdkCompatibility(this._settings.WebSocket);
     this._emitter = ee({});
     this._connection = null;
+    this._connectPromise = null;
+    this._connectDeferred = null;
+    this._state = 'idle';
+
+    /**
+     * The moment in milliseconds since the epoch at which the OAuth2 token expires, or `null` if unknown.
+     *
+     * @type {?number}
+     */
+    this._tokenExpiry = null;
+    this._refreshToken = null;
+    this._tokenRequest = null;
+    this._tokenRefresh = null;
+    this._tokenRefreshTimer = null;
+    this._authorizationRequest = null;
+    this._idTokenClaims = null;
+
+    /**
+     * The scope of the OAuth2 token, or `null` if unknown.
+     *
+     * @type {?Scope}
+     */
+    this._scope = null;
+
+    /**
+     * @type {?AuthorizationCodeFlow}
+     */
+    this._authorization = null;
+    if (this._settings.authorization) {
+      this._authorization = new AuthorizationCodeFlow(this, this._settings.authorization);
+    }
+
+    /**
+     * RPCs which have been made, but have not yet been answered by the server. These are sent when the websocket
+     * connection is restored after it was lost, unless they were sent before and are not idempotent.
+     *
+     * @type {Object[]}
+     */
+    this._pendingCalls = [];
+
+    /**
+     * The streaming sessions in progress.
+     *
+     * @type {StreamingSession[]}
+     */
+    this._sessions = [];
+
+    /**
+     * The middleware which requests and RPCs are passed through, in order.
+     *
+     * @type {Function[]}
+     */
+    this._middleware = (this._settings.middleware || []).slice();
+
+    /**
+     * @type {?HttpCache}
+     */
+    this._cache = null;
+    if (this._settings.cache) {
+      this._cache = new HttpCache(this, this._settings.cache === true ? {} : this._settings.cache);
+    }
+
+    /**
+     * @type {?TrafficRecorder}
+     */
+    this._recorder = null;
+    if (this._settings.record) {
+      this._recorder = new TrafficRecorder(this, this._settings.record === true ? {} : this._settings.record);
+    }
+
+    /**
+     * @type {?TrafficReplayer}
+     */
+    this._replayer = null;
+    if (this._settings.replay) {
+      this._replayer = new TrafficReplayer(this, this._settings.replay);
+    }
+
+    /**
+     * @type {ConnectionMonitor}
+     */
+    this._monitor = new ConnectionMonitor(this, this._settings.heartbeat);
+
+    this._tokenStore = Connection._createTokenStore(this._settings.tokenStore, this._settings.tokenStorageKey);
+    this._channel = this._createChannel();
+    this._tokenRestore = this._restoreToken();
+  }
+
+  /**
+   * The logger of the connection. The controllers using the connection log with children of it.
+   *
+   * @type {Logger}
+   */
+  get logger() {
+    return this._logger;
+  }
+
+  /**
+   * The cache of the responses of the REST api, or `null` if responses are not cached.
+   *
+   * @type {?HttpCache}
+   */
+  get cache() {
+    return this._cache;
+  }
+
+  /**
+   * The recorder of the requests to the REST api and the RPCs, or `null` if they are not recorded.
+   *
+   * @type {?TrafficRecorder}
+   */
+  get recorder() {
+    return this._recorder;
+  }
+
+  /**
+   * The replayer answering the requests to the REST api and the RPCs, or `null` if the server answers them.
+   *
+   * @type {?TrafficReplayer}
+   */
+  get replayer() {
+    return this._replayer;
+  }
+
+  /**
+   * Promise which resolves once the OAuth2 token kept in the token store has been restored. Requests to the REST api
+   * wait for it, but the token is needed to {@link Connection#connect} as well.
+   *
+   * @type {Promise.<boolean>}
+   */
+  get restored() {
+    return this._tokenRestore;
+  }
+
+  /**
+   * The claims of the ID token obtained by an OpenID Connect login, like the `sub` and `name` of the user, or `null`
+   * if unknown.
+   *
+   * @type {?Object}
+   */
+  get idTokenClaims() {
+    return this._idTokenClaims;
+  }
+
+  /**
+   * The scope of the OAuth2 token obtained by {@link Connection#getOauth2Token} or {@link Connection#authorize}, as
+   * returned by the server. It is `null` if the token was set directly, as its scope is unknown then.
+   *
+   * @type {?Scope}
+   */
+  get scope() {
+    return this._scope;
+  }
+
+  /**
+   * The streaming sessions in progress, like pronunciation analyses, in the order they were started. Several
+   * sessions may stream over the connection at once, each with a recorder of its own.
+   *
+   * @type {StreamingSession[]}
+   */
+  get sessions() {
+    return this._sessions.slice();
+  }
+
+  /**
+   * How the streaming sessions send audio to the websocket server: `'binary'` if MessagePack was negotiated with the
+   * server, so audio is sent as an `ArrayBuffer`, or `'base64'` if it speaks JSON or the connection is not open.
+   *
+   * @type {string}
+   */
+  get audioEncoding() {
+    const transport = this._session && this._session._socket;
+    return transport && transport.serializer && transport.serializer.BINARY ? 'binary' : 'base64';
+  }
+
+  /**
+   * Get the statistics of the websocket connection, to judge its health before streaming audio over it. The latency
+   * and quality of the connection are only known if the `heartbeat` option is enabled.
+   *
+   * @returns {Object} The statistics, holding:
+   * * calls - The number of RPCs made.
+   * * failedCalls - The number of RPCs which failed.
+   * * averageCallTime - The average number of milliseconds an RPC took to be answered, or `null` if none was.
+   * * heartbeats - The number of heartbeats sent.
+   * * missedHeartbeats - The number of heartbeats which were not answered in time.
+   * * latency - The round-trip latency of the last answered heartbeat in milliseconds, or `null` if none was.
+   * * averageLatency - The average round-trip latency of the most recent heartbeats in milliseconds, or `null` if
+   * none of them was answered.
+   * * quality - The quality of the connection: `'good'`, `'degraded'` or `'poor'`, or `null` if it is unknown.
+   */
+  getStats() {
+    return this._monitor.getStats();
   }
 
   /**
@@ -58,6 +374,78 @@ export default class Connection {
     this._emitter.off(name, handler);
   }
 
+  /**
+   * Add middleware which requests to the REST api and RPCs are passed through.
+   *
+   * Middleware is a function which is called with a context describing the request and a `next` function. It
+   * returns a promise of the result of the request, which it usually obtains by calling `next`. This way it can
+   * change the request before passing it on, change the result or error afterwards, or not pass the request on at all
+   * and return a result of its own, like one from a cache. Middleware is called in the order in which it was added.
+   *
+   * The context of a request to the REST api contains:
+   * * type - `'request'`.
+   * * method - The HTTP method.
+   * * url - The URL of the request.
+   * * headers - An object with the names and values of the HTTP headers to send. The `Authorization` header is
+   * added when the request is sent.
+   * * body - The body of the request, if any.
+   * * options - The options of the request, like the `signal` to cancel it with.
+   * * response - The `Response` of the server, once it has been received.
+   *
+   * The result of the request is the parsed JSON body of the response.
+   *
+   * The context of an RPC contains:
+   * * type - `'call'`.
+   * * rpc - The full URI of the RPC, like `'nl.itslanguage.pronunciation.analyse'`.
+   * * args - The arguments of the RPC.
+   * * idempotent - Whether the RPC is sent again when the connection is lost before it is answered.
+   *
+   * @example
+   * connection.addMiddleware((context, next) => {
+   *   if (context.type === 'request') {
+   *     context.headers['X-Request-Id'] = uuid.v4();
+   *   }
+   *   return next();
+   * });
+   *
+   * @param {Function} middleware - The middleware to add.
+   */
+  addMiddleware(middleware) {
+    this._middleware.push(middleware);
+  }
+
+  /**
+   * Remove middleware.
+   *
+   * @param {Function} middleware - The middleware to remove.
+   */
+  removeMiddleware(middleware) {
+    this._middleware = this._middleware.filter(other => other !== middleware);
+  }
+
+  /**
+   * Pass a request through the middleware.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @param {Function} handler - The function which performs the request once it has passed all middleware.
+   * @returns {Promise} Promise containing the result of the request.
+   * @private
+   */
+  _runMiddleware(context, handler) {
+    const middleware = this._middleware.slice();
+    function dispatch(index) {
+      if (index === middleware.length) {
+        return handler();
+      }
+      try {
+        return middleware[index](context, () => dispatch(index + 1));
+      } catch (error) {
+        return Promise.reject(error);
+      }
+    }
+    return dispatch(0);
+  }
+
   /**
    * Fire an event.
    *
@@ -73,21 +461,120 @@ export default class Connection {
    * Assemble a HTTP Authentication header.
    *
    * @returns {Promise.<string>} Promise containing an authorization header string.
-   * @throws {Promise.<Error>} If the oAuth2Token in {@link Connection#settings} is not set.
+   * @throws {Promise.<AuthenticationError>} If the oAuth2Token in {@link Connection#settings} is not set.
    */
   _getAuthHeaders() {
-    if (!this._settings.oAuth2Token) {
-      return Promise.reject('Please set oAuth2Token');
-    }
-    const authHeader = 'Bearer ' + this._settings.oAuth2Token;
-    return Promise.resolve(authHeader);
+    return this._tokenRestore
+      .then(() => {
+        if (!this._settings.oAuth2Token) {
+          throw new AuthenticationError('Please set oAuth2Token');
+        }
+        if (this._tokenExpiresSoon() && this._canRefreshToken()) {
+          return this.refreshOauth2Token()
+            .then(() => 'Bearer ' + this._settings.oAuth2Token);
+        }
+        return 'Bearer ' + this._settings.oAuth2Token;
+      });
+  }
+
+  /**
+   * The state of the websocket connection. This is one of:
+   * * `'idle'` - No connection has been made yet.
+   * * `'connecting'` - The connection is being opened.
+   * * `'open'` - The connection is open and RPCs can be made.
+   * * `'reconnecting'` - The connection was lost and is being restored.
+   * * `'closed'` - The connection has been closed and will not be restored.
+   *
+   * @type {string}
+   */
+  get state() {
+    return this._state;
+  }
+
+  /**
+   * Change the state of the websocket connection.
+   *
+   * @param {string} state - The new state.
+   * @emits {Event} 'statechange' With arguments: [new state, previous state].
+   * @private
+   */
+  _setState(state) {
+    const previous = this._state;
+    this._state = state;
+    this.fireEvent('statechange', [state, previous]);
+  }
+
+  /**
+   * Create the promise which is returned by {@link Connection#connect} until the connection is open.
+   *
+   * @private
+   */
+  _createConnectPromise() {
+    const deferred = {};
+    this._connectPromise = new Promise((resolve, reject) => {
+      deferred.resolve = resolve;
+      deferred.reject = reject;
+    });
+    // Nobody may be waiting for the connection to be restored.
+    this._connectPromise.catch(() => {});
+    this._connectDeferred = deferred;
   }
 
   /**
    * Create a connection to the websocket server.
    *
+   * If the connection is lost unexpectedly, it is automatically restored as configured by the `reconnect` option.
+   * RPCs which were made while the connection was lost are sent once the connection is restored.
+   *
+   * @returns {Promise} Promise which resolves once the connection is open.
+   * @throws {Promise.<Error>} If the connection could not be created.
+   * @throws {Promise.<AuthenticationError>} If the server refused the OAuth2 token.
+   * @throws {Promise.<Error>} If the connection was closed before it was opened.
+   * @emits {Event} 'websocketOpened' When the connection has been opened.
+   * @emits {Event} 'websocketReconnecting' With arguments: [attempt, delay in milliseconds] when the connection
+   * was lost and a reconnection attempt is scheduled.
+   * @emits {Event} 'websocketClosed' When the connection has been closed and will not be restored.
+   * @emits {Event} 'websocketError' With arguments: [error] when an error occurs.
+   * @emits {Event} 'connectionquality' With arguments: [new quality, previous quality] when the `heartbeat` option is
+   * enabled and the quality of the connection changes, as described by {@link Connection#getStats}.
    */
-  webSocketConnect() {
+  connect() {
+    if (this._state === 'open') {
+      return Promise.resolve();
+    }
+    if (this._state === 'connecting' || this._state === 'reconnecting') {
+      return this._connectPromise;
+    }
+    if (this._replayer) {
+      // The RPCs are answered by the replayer.
+      this._setState('open');
+      this.fireEvent('websocketOpened');
+      return Promise.resolve();
+    }
+    let connection = null;
+    // Open a websocket connection for streaming audio
+    try {
+      connection = this._createConnection();
+    } catch (e) {
+      this._logger.error('WebSocket creation error: ' + e);
+      return Promise.reject(e);
+    }
+    this._createConnectPromise();
+    this._connection = connection;
+    this._setState('connecting');
+    connection.open();
+    return this._connectPromise;
+  }
+
+  /**
+   * Set up a WAMP connection to the router. The connection is not opened yet.
+   *
+   * Events of the connection are ignored once it is no longer the current connection of this {@link Connection}.
+   *
+   * @returns {autobahn.Connection} The created connection.
+   * @private
+   */
+  _createConnection() {
     const self = this;
     /**
      * This callback is fired during Ticket-based authentication.
@@ -103,79 +590,552 @@ export default class Connection {
     }
 
     const authUrl = this._settings.wsUrl;
-    let connection = null;
-    // Open a websocket connection for streaming audio
-    try {
-      // Set up WAMP connection to router
-      connection = new autobahn.Connection({
-        url: authUrl,
-        realm: 'default',
-        // the following attributes must be set for Ticket-based authentication
-        authmethods: ['ticket'],
-        authid: 'oauth2',
-        details: {
-          ticket: this._settings.oAuth2Token
-        },
-        onchallenge: onOAuth2Challenge
-      });
-    } catch (e) {
-      console.log('WebSocket creation error: ' + e);
-      return;
+    const reconnect = this._settings.reconnect;
+    const transport = {
+      type: 'websocket',
+      url: authUrl,
+      // MessagePack is offered first, so the router picks it if it speaks it.
+      serializers: this._settings.binaryAudio ?
+        [new MsgpackSerializer(), new autobahn.serializer.JSONSerializer()] :
+        [new autobahn.serializer.JSONSerializer()]
+    };
+    if (this._settings.WebSocket) {
+      transport.type = WebSocketTransport.TYPE;
+      transport.WebSocket = this._settings.WebSocket;
     }
+    // Set up WAMP connection to router
+    const connection = new autobahn.Connection({
+      url: authUrl,
+      transports: [transport],
+      realm: 'default',
+      // the following attributes must be set for Ticket-based authentication
+      authmethods: ['ticket'],
+      authid: 'oauth2',
+      details: {
+        ticket: this._settings.oAuth2Token
+      },
+      onchallenge: onOAuth2Challenge,
+      // Autobahn handles the reconnection schedule, but uses seconds instead of milliseconds.
+      max_retries: reconnect ? reconnect.maxRetries : 0,
+      initial_retry_delay: reconnect ? reconnect.initialDelay / 1000 : undefined,
+      max_retry_delay: reconnect ? reconnect.maxDelay / 1000 : undefined,
+      retry_delay_growth: reconnect ? reconnect.delayGrowth : undefined,
+      retry_delay_jitter: reconnect ? reconnect.jitter : undefined
+    });
+    let opened = false;
     connection.onerror = function(e) {
-      console.log('WebSocket error: ' + e);
+      self._logger.error('WebSocket error: ' + e);
       self.fireEvent('websocketError', [e]);
     };
     connection.onopen = function(session) {
-      console.log('WebSocket connection opened');
+      if (self._connection !== connection) {
+        // The connection was restored after it was replaced or formally disconnected.
+        connection.close(null, 'Requested formal disconnect');
+        return;
+      }
+      self._logger.info('WebSocket connection opened');
+      opened = true;
       self._session = session;
+      self._setState('open');
       self.fireEvent('websocketOpened');
+      self._connectDeferred.resolve();
+      self._resendPendingCalls();
     };
-    connection.onclose = function() {
-      console.log('WebSocket disconnected');
+    connection.onclose = function(reason, details) {
+      if (self._connection !== connection) {
+        return;
+      }
       self._session = null;
+      if (details && details.will_retry) {
+        self._logger.warn('WebSocket connection lost, reconnecting in ' + details.retry_delay + ' seconds');
+        if (opened && self._state !== 'reconnecting') {
+          self._setState('reconnecting');
+          self._createConnectPromise();
+        }
+        self.fireEvent('websocketReconnecting', [details.retry_count, details.retry_delay * 1000]);
+        return;
+      }
+      self._logger.info('WebSocket disconnected');
+      self._connection = null;
+      self._setState('closed');
+      self._rejectPendingCalls(new Error('WebSocket connection was closed.'));
       self.fireEvent('websocketClosed');
+      self._connectDeferred.reject(Connection._closedError(details));
     };
+    return connection;
+  }
+
+  /**
+   * Create the error with which {@link Connection#connect} is rejected when the connection was closed before it was
+   * opened.
+   *
+   * @param {?Object} details - The details autobahn passes when the connection is closed.
+   * @returns {Error} The error.
+   * @private
+   */
+  static _closedError(details) {
+    const reason = details && details.reason;
+    if (!reason) {
+      return new Error('WebSocket connection was closed before it was opened.');
+    }
+    const message = 'WebSocket connection was closed before it was opened: ' + (details.message || reason);
+    if (Connection.AUTHENTICATION_ERRORS.indexOf(reason) !== -1) {
+      return new AuthenticationError(message, null, reason);
+    }
+    return new Error(message);
+  }
+
+  /**
+   * Replace an open connection to the websocket server by a new one, so the WAMP session is authenticated with the
+   * current OAuth2 token. RPCs which have not been answered yet are sent again over the new connection.
+   *
+   * @returns {Promise} Promise which resolves once the new connection is open.
+   * @private
+   */
+  _reauthenticateWebSocket() {
+    if (this._state !== 'open') {
+      // A connection which is being opened or restored authenticates using the current token already.
+      return Promise.resolve();
+    }
+    const previous = this._connection;
+    let connection = null;
+    try {
+      connection = this._createConnection();
+    } catch (e) {
+      this._logger.error('WebSocket creation error: ' + e);
+      return Promise.reject(e);
+    }
+    this._session = null;
+    this._createConnectPromise();
     this._connection = connection;
-    this._connection.open();
+    this._setState('reconnecting');
+    try {
+      previous.close(null, 'Re-authenticating');
+    } catch (e) {
+      // Autobahn throws if the connection was already closed.
+    }
+    connection.open();
+    return this._connectPromise;
+  }
+
+  /**
+   * Create a connection to the websocket server.
+   *
+   * @deprecated Use {@link Connection#connect} instead.
+   * @returns {Promise} Promise which resolves once the connection is open.
+   */
+  webSocketConnect() {
+    return this.connect();
+  }
+
+  /**
+   * Make an RPC to active current session.
+   *
+   * If the connection is being restored, the call is sent once the connection is open again. A call which was sent
+   * before the connection was lost is only sent again if it is marked idempotent by passing `idempotent: true` in its
+   * options, since the server may have handled it already. Other calls are rejected with a
+   * {@link ConnectionLostError} once the connection is restored. The call is passed through the middleware first.
+   *
+   * @param {string} rpc - The RPC to call. It will be prefixed with `'nl.itslanguage.'`.
+   * @param {...any} args - Any arguments to pass to the RPC: its positional arguments, keyword arguments and options.
+   * @return {Promise} The result of the call.
+   * @throws {Promise.<RpcError>} If the server returned an error.
+   * @throws {Promise.<ConnectionLostError>} If the connection was lost before a call which is not idempotent was
+   * answered.
+   * @throws {Promise.<Error>} If the connection was not open or was closed before the call was answered.
+   */
+  call(rpc, ...args) {
+    const options = args[2];
+    const idempotent = Boolean(options && options.idempotent);
+    if (options && 'idempotent' in options) {
+      // The option is meant for the connection, not for the server.
+      args[2] = Object.assign({}, options);
+      delete args[2].idempotent;
+    }
+    const context = {
+      type: 'call',
+      rpc: 'nl.itslanguage.' + rpc,
+      args,
+      idempotent
+    };
+    // The result is passed on through a deferred of its own, so progress is reported even if middleware does not.
+    const deferred = when.defer();
+    let invoked = false;
+    const handler = () => {
+      invoked = true;
+      const result = this._invokeCall(context);
+      this._monitor.trackCall(result);
+      result.then(null, () => {}, progress => deferred.notify(progress));
+      return result;
+    };
+    // Following the result right away would end the progress reports of the deferred. The progress of middleware
+    // answering the RPC itself, like the replayer, is passed on as well.
+    when(this._runMiddleware(context, handler)).then(deferred.resolve, deferred.reject, progress => {
+      if (!invoked) {
+        deferred.notify(progress);
+      }
+    });
+    return deferred.promise;
+  }
+
+  /**
+   * Make an RPC once it has passed the middleware.
+   *
+   * @param {Object} context - The context of the RPC, as described by {@link Connection#addMiddleware}.
+   * @return {Promise} The result of the call.
+   * @private
+   */
+  _invokeCall(context) {
+    this._logger.debug('Calling RPC:', context.rpc);
+    if (!this._session && this._state !== 'connecting' && this._state !== 'reconnecting') {
+      return when.reject(new Error('WebSocket connection was not open.'));
+    }
+    const pendingCall = {
+      url: context.rpc,
+      args: context.args,
+      idempotent: context.idempotent,
+      session: null,
+      deferred: when.defer()
+    };
+    this._pendingCalls.push(pendingCall);
+    if (this._session) {
+      this._sendCall(pendingCall);
+    }
+    return pendingCall.deferred.promise;
+  }
+
+  /**
+   * Send a pending RPC over the current session.
+   *
+   * The result is only passed on if the call was answered through the session it was sent over. If the connection
+   * was lost in the meantime, the call is sent again or rejected once the connection is restored.
+   *
+   * @param {Object} pendingCall - The RPC to send.
+   * @private
+   */
+  _sendCall(pendingCall) {
+    const session = this._session;
+    pendingCall.session = session;
+    const isCurrent = () => pendingCall.session === session && this._session === session;
+    const settle = () => {
+      this._pendingCalls = this._pendingCalls.filter(call => call !== pendingCall);
+    };
+    let result;
+    try {
+      result = session.call(pendingCall.url, ...pendingCall.args);
+    } catch (error) {
+      settle();
+      pendingCall.deferred.reject(error);
+      return;
+    }
+    when(result).then(
+      res => {
+        if (isCurrent()) {
+          settle();
+          pendingCall.deferred.resolve(res);
+        }
+      },
+      error => {
+        if (isCurrent()) {
+          settle();
+          // Autobahn rejects with an error object holding the WAMP error URI.
+          pendingCall.deferred.reject(error && typeof error.error === 'string' ? RpcError.fromWampError(error) : error);
+        }
+      },
+      progress => {
+        if (isCurrent()) {
+          pendingCall.deferred.notify(progress);
+        }
+      });
+  }
+
+  /**
+   * Send the RPCs which were made while the connection was lost, and the idempotent RPCs which were not answered
+   * before it was lost. The other RPCs which were not answered are rejected, since the server may have handled them.
+   *
+   * @private
+   */
+  _resendPendingCalls() {
+    this._pendingCalls
+      .filter(pendingCall => pendingCall.session !== this._session)
+      .forEach(pendingCall => {
+        if (pendingCall.session && !pendingCall.idempotent) {
+          this._logger.warn('RPC was not answered before the connection was lost:', pendingCall.url);
+          this._pendingCalls = this._pendingCalls.filter(call => call !== pendingCall);
+          pendingCall.deferred.reject(new ConnectionLostError(
+            'The connection was lost before the RPC was answered.', pendingCall.url));
+          return;
+        }
+        this._logger.info('Resending RPC after reconnecting:', pendingCall.url);
+        this._sendCall(pendingCall);
+      });
+  }
+
+  /**
+   * Reject all RPCs which have not been answered yet.
+   *
+   * @param {Error} error - The reason for the rejection.
+   * @private
+   */
+  _rejectPendingCalls(error) {
+    const pendingCalls = this._pendingCalls;
+    this._pendingCalls = [];
+    pendingCalls.forEach(pendingCall => pendingCall.deferred.reject(error));
+  }
+
+  /**
+   * Close the connection to the websocket server. Any RPCs which have not been answered yet are rejected.
+   *
+   * @returns {Promise} Promise which resolves once the connection is closed.
+   * @emits {Event} 'websocketClosed' When the connection has been closed.
+   */
+  disconnect() {
+    const connection = this._connection;
+    if (!connection) {
+      if (this._replayer && this._state === 'open') {
+        this._setState('closed');
+        this.fireEvent('websocketClosed');
+      }
+      return Promise.resolve();
+    }
+    this._connection = null;
+    this._session = null;
+    const closed = new Promise(resolve => {
+      if (!connection.isConnected) {
+        // The connection is waiting to be restored, so there is nothing left to close.
+        resolve();
+        return;
+      }
+      connection.onclose = () => resolve();
+    });
+    try {
+      connection.close(null, 'Requested formal disconnect');
+    } catch (e) {
+      // Autobahn throws if the connection was already closed.
+    }
+    this._setState('closed');
+    this._rejectPendingCalls(new Error('WebSocket connection was closed.'));
+    this._connectDeferred.reject(new Error('WebSocket connection was closed before it was opened.'));
+    this.fireEvent('websocketClosed');
+    return closed;
+  }
+
+  /**
+   * Close the connection to the websocket server.
+   *
+   * @deprecated Use {@link Connection#disconnect} instead.
+   * @returns {Promise} Promise which resolves once the connection is closed.
+   */
+  webSocketDisconnect() {
+    return this.disconnect();
+  }
+
+  /**
+   * Perform a HTTP request to the API using authentication.
+   *
+   * The request is passed through the middleware first. If the server responds with 401 Unauthorized, the OAuth2
+   * token is refreshed if possible and the request is retried once. Failed requests are retried according to the
+   * retry policy.
+   *
+   * @param {string} method - The HTTP method to use.
+   * @param {string} url - Url to send the request to.
+   * @param {?(FormData|string)} body - The body to send.
+   * @param {Object} [options] - Options of the request.
+   * Valid options include:
+   * * signal - An `AbortSignal` to cancel the request with.
+   * * retry - Overrides of the retry policy of the {@link Connection} for this request, or `false` to disable
+   * retrying it.
+   * * queue - Whether the request may be queued by an {@link OfflineQueue} (default: true).
+   * * cache - Whether a cached response may be used for a GET request without asking the server whether it changed
+   * (default: true).
+   * @returns {Promise} Promise containing a result.
+   * @throws {Promise.<CancellationError>} If the request was cancelled.
+   * @throws {Promise.<AuthenticationError>} If no valid OAuth2 token is available.
+   * @throws {Promise.<ApiError>} If the server returned an error.
+   * @throws {Promise.<Error>} If the network failed.
+   * @private
+   */
+  _secureAjax(method, url, body, options = {}) {
+    const signal = options.signal;
+    if (signal && signal.aborted) {
+      return Promise.reject(new CancellationError());
+    }
+    const headers = {};
+    if (typeof body === 'string') {
+      headers['Content-Type'] = 'application/json; charset=utf-8';
+    }
+    const context = {
+      type: 'request',
+      method,
+      url,
+      headers,
+      body,
+      options,
+      response: null
+    };
+    const result = this._runMiddleware(context, () => this._performRequest(context));
+    return Connection._abortable(Promise.resolve(result), signal);
+  }
+
+  /**
+   * Perform a HTTP request to the API once it has passed the middleware.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @returns {Promise} Promise containing a result.
+   * @private
+   */
+  _performRequest(context) {
+    const options = context.options;
+    const retry = Object.assign({}, this._settings.retry, options.retry === false ? {maxRetries: 0} : options.retry);
+    const request = () => this._getAuthHeaders()
+      .then(auth => {
+        const headers = this._createHeaders();
+        headers.append('Authorization', auth);
+        Object.keys(context.headers).forEach(name => headers.append(name, context.headers[name]));
+        const fetchOptions = {
+          method: context.method,
+          headers
+        };
+        if (context.method === 'POST') {
+          fetchOptions.body = context.body;
+        }
+        if (options.signal) {
+          fetchOptions.signal = options.signal;
+        }
+        return this._fetchWithRetry(context.url, fetchOptions, retry);
+      });
+    return request()
+      .then(response => {
+        if (response.status === 401 && this._canRefreshToken()) {
+          return this.refreshOauth2Token()
+            .then(request);
+        }
+        return response;
+      })
+      .then(response => {
+        context.response = response;
+        return this.handleResponse(response);
+      });
+  }
+
+  /**
+   * Reject a promise with a {@link CancellationError} as soon as an `AbortSignal` is aborted.
+   *
+   * @param {Promise} promise - The promise to make abortable.
+   * @param {?AbortSignal} signal - The signal to listen to.
+   * @returns {Promise} Promise which settles like the given promise, unless it was aborted first.
+   * @throws {Promise.<CancellationError>} If the signal was aborted.
+   * @private
+   */
+  static _abortable(promise, signal) {
+    if (!signal) {
+      return promise;
+    }
+    return new Promise((resolve, reject) => {
+      const removeListener = Connection._onAbort(signal, () => reject(new CancellationError()));
+      promise.then(result => {
+        removeListener();
+        resolve(result);
+      }, error => {
+        removeListener();
+        reject(signal.aborted ? new CancellationError() : error);
+      });
+    });
+  }
+
+  /**
+   * Call a function once an `AbortSignal` is aborted, or right away if it has been aborted already.
+   *
+   * @param {?AbortSignal} signal - The signal to listen to.
+   * @param {Function} callback - The function to call.
+   * @returns {Function} Function to stop listening to the signal.
+   * @private
+   */
+  static _onAbort(signal, callback) {
+    if (!signal) {
+      return () => {};
+    }
+    if (signal.aborted) {
+      callback();
+      return () => {};
+    }
+    signal.addEventListener('abort', callback);
+    return () => signal.removeEventListener('abort', callback);
   }
 
   /**
-   * Make an RPC to active current session.
+   * Perform a HTTP request, retrying it according to a retry policy.
    *
-   * @param {string} rpc - The RPC to call. It will be prefixed with `'nl.itslanguage.'`.
-   * @param {...any} args - Any arguments to pass to the RPC.
-   * @return {Promise} The result of the call.
+   * @param {string} url - Url to send the request to.
+   * @param {Object} fetchOptions - The fetch options.
+   * @param {Object} retry - The retry policy, as described by the options of {@link Connection}.
+   * @returns {Promise.<Response>} Promise containing the final response.
+   * @throws {Promise.<Error>} If the network failed on the final attempt.
+   * @private
    */
-  call(rpc, ...args) {
-    const url = 'nl.itslanguage.' + rpc;
-    console.debug('Calling RPC:', url);
-    return this._session.call(url, ...args);
+  _fetchWithRetry(url, fetchOptions, retry) {
+    const maxRetries = retry.methods.indexOf(fetchOptions.method) === -1 ? 0 : retry.maxRetries;
+    const attempt = retryCount => {
+      const retryLater = response => {
+        const delay = Connection._retryDelay(retry, retryCount, response);
+        this.fireEvent('requestRetrying', [url, retryCount + 1, delay]);
+        return new Promise(resolve => setTimeout(resolve, delay))
+          .then(() => {
+            if (fetchOptions.signal && fetchOptions.signal.aborted) {
+              throw new CancellationError();
+            }
+            return attempt(retryCount + 1);
+          });
+      };
+      return this._fetch(url, fetchOptions)
+        .then(response => {
+          if (retryCount < maxRetries && retry.statusCodes.indexOf(response.status) !== -1) {
+            return retryLater(response);
+          }
+          return response;
+        }, error => {
+          if (retryCount < maxRetries && !(fetchOptions.signal && fetchOptions.signal.aborted)) {
+            return retryLater(null);
+          }
+          throw error;
+        });
+    };
+    return attempt(0);
   }
 
-  webSocketDisconnect() {
-    this._connection.close(null, 'Requested formal disconnect');
+  /**
+   * Calculate the delay before retrying a HTTP request.
+   *
+   * @param {Object} retry - The retry policy, as described by the options of {@link Connection}.
+   * @param {number} retryCount - The number of times the request has been retried already.
+   * @param {?Response} response - The response to the failed request, or `null` if the network failed.
+   * @returns {number} The delay in milliseconds.
+   * @private
+   */
+  static _retryDelay(retry, retryCount, response) {
+    const retryAfter = response && retry.retryAfter ? response.headers.get('Retry-After') : null;
+    if (retryAfter) {
+      // The Retry-After header holds either a number of seconds or a HTTP date.
+      const seconds = Number(retryAfter);
+      const delay = isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+      if (!isNaN(delay)) {
+        return Math.min(Math.max(delay, 0), retry.maxDelay);
+      }
+    }
+    const delay = Math.min(retry.initialDelay * Math.pow(retry.delayGrowth, retryCount), retry.maxDelay);
+    return Math.round(delay * (1 + retry.jitter * (Math.random() * 2 - 1)));
   }
 
   /**
    * Perform a HTTP GET to the API using authentication.
    *
    * @param {string} url - Url to retrieve.
+   * @param {Object} [options] - Options of the request, as described by {@link Connection#_secureAjax}.
    * @returns {Promise} Promise containing a result.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  _secureAjaxGet(url) {
-    return this._getAuthHeaders()
-      .then(auth => {
-        const headers = new Headers();
-        headers.append('Authorization', auth);
-        const options = {
-          method: 'GET',
-          headers
-        };
-        return fetch(url, options)
-          .then(this.handleResponse);
-      });
+  _secureAjaxGet(url, options) {
+    return this._secureAjax('GET', url, null, options);
   }
 
   /**
@@ -183,61 +1143,47 @@ export default class Connection {
    *
    * @param {string} url - Url to submit to.
    * @param {FormData} formdata - The form to POST.
+   * @param {Object} [options] - Options of the request, as described by {@link Connection#_secureAjax}.
    * @returns {Promise} Promise containing a result.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  _secureAjaxPost(url, formdata) {
-    return this._getAuthHeaders()
-      .then(auth => {
-        const headers = new Headers();
-        headers.append('Authorization', auth);
-        if (typeof formdata === 'string') {
-          headers.append('Content-Type',
-            'application/json; charset=utf-8');
-        }
-        const options = {
-          method: 'POST',
-          headers,
-          body: formdata
-        };
-        return fetch(url, options)
-          .then(this.handleResponse);
-      });
+  _secureAjaxPost(url, formdata, options) {
+    return this._secureAjax('POST', url, formdata, options);
   }
 
   /**
    * Perform a HTTP DELETE to the API using authentication.
    *
    * @param {string} url - Url to submit to.
+   * @param {Object} [options] - Options of the request, as described by {@link Connection#_secureAjax}.
    * @returns {Promise} Promise containing a result.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  _secureAjaxDelete(url) {
-    return this._getAuthHeaders()
-      .then(auth => {
-        const headers = new Headers();
-        headers.append('Authorization', auth);
-        const options = {
-          method: 'DELETE',
-          headers
-        };
-        return fetch(url, options)
-          .then(this.handleResponse);
-      });
+  _secureAjaxDelete(url, options) {
+    return this._secureAjax('DELETE', url, null, options);
   }
 
+  /**
+   * Obtain the result of a response of the REST api.
+   *
+   * @param {Response} response - The response.
+   * @returns {Promise} Promise containing the parsed JSON body of the response, if any.
+   * @throws {Promise.<AuthenticationError>} If the server refused the OAuth2 token.
+   * @throws {Promise.<ApiError>} If the server returned any other error.
+   */
   handleResponse(response) {
     return response.text()
           .then(textResponse => {
-            if (response.headers.get('Content-type').includes('application/json')) {
-              const result = JSON.parse(textResponse);
-              if (response.ok) {
-                return result;
-              }
-              return Promise.reject(result);
-            } else if (!response.ok) {
-              return Promise.reject(response.status + ': ' + response.statusText);
+            const isJson = (response.headers.get('Content-type') || '').includes('application/json');
+            const result = isJson && textResponse ? JSON.parse(textResponse) : null;
+            if (response.ok) {
+              return isJson ? result : undefined;
+            }
+            const message = result && result.message ? result.message : response.status + ': ' + response.statusText;
+            if (response.status === 401) {
+              return Promise.reject(new AuthenticationError(message, response.status));
             }
+            return Promise.reject(new ApiError(message, response.status, result && result.errors || [], result));
           });
   }
 
@@ -246,104 +1192,483 @@ export default class Connection {
    *
    * @param {string} url - The URL to add an access token to.
    * @returns {string} An url with the access token appended.
+   * @throws {AuthenticationError} If the oAuth2Token in {@link Connection#settings} is not set.
    */
   addAccessToken(url) {
     if (!this._settings.oAuth2Token) {
-      throw new Error('Please set oAuth2Token');
+      throw new AuthenticationError('Please set oAuth2Token');
     }
     const secureUrl = url + (url.match(/\?/) ? '&' : '?') + 'access_token=' +
       encodeURIComponent(this._settings.oAuth2Token);
     return secureUrl;
   }
 
+  /**
+   * Create an empty set of HTTP headers.
+   *
+   * @returns {Headers} The headers.
+   * @private
+   */
+  _createHeaders() {
+    const HeadersImpl = this._settings.Headers;
+    return HeadersImpl ? new HeadersImpl() : new Headers();
+  }
+
+  /**
+   * Perform a HTTP request using the configured fetch implementation.
+   *
+   * @param {string} url - Url to send the request to.
+   * @param {Object} options - The fetch options.
+   * @returns {Promise.<Response>} Promise containing the response.
+   * @private
+   */
+  _fetch(url, options) {
+    const fetchImpl = this._settings.fetch;
+    return fetchImpl ? fetchImpl(url, options) : fetch(url, options);
+  }
+
+  /**
+   * Whether the SDK runs in Node.js instead of a browser.
+   *
+   * @returns {boolean} True when running in Node.js.
+   * @private
+   */
+  static _isNode() {
+    return typeof process !== 'undefined' && Boolean(process.versions && process.versions.node);
+  }
+
   /**
    * Logs browser compatibility for required and optional SDK capabilities.
    *
+   * @param {?Function} webSocket - The WebSocket implementation passed in the options, if any.
    * @throws {Error} In case of compatibility issues.
    */
-  static _sdkCompatibility() {
+  static _sdkCompatibility(webSocket = null) {
     // WebSocket
     // http://caniuse.com/#feat=websockets
-    if (!('WebSocket' in window)) {
+    // In Node.js autobahn uses the `ws` package.
+    if (!webSocket && !Connection._isNode() && typeof WebSocket === 'undefined') {
       throw new Error('No WebSocket capabilities');
     }
   }
 
   /**
-   * Cancel any current streaming audio recording.
+   * Cancel streaming sessions in progress. The recorder of each session is stopped, the listeners the session added
+   * to it are removed and the server is asked to abort the session. The promise returned when the session was started
+   * is rejected with a {@link CancellationError}.
    *
-   * @param {AudioRecorder} recorder - The audio recorder currently recording.
+   * @param {StreamingSession|string|AudioRecorder} [target] - The session to cancel, the id of the session, or the
+   * audio recorder of the session. By default all sessions in progress are cancelled.
+   * @emits {Event} 'sessioncancelled' With arguments: [session] for each cancelled session.
    */
-  cancelStreaming(recorder) {
-    const self = this;
-
-    if (this._recordingId === null && this._analysisId === null && this._recognitionId === null) {
-      console.info('No session in progress, nothing to cancel.');
+  cancelStreaming(target) {
+    const sessions = this._sessions.filter(session => target === undefined || session === target ||
+      session.id === target || session.recorder === target);
+    if (sessions.length === 0) {
+      this._logger.info('No session in progress, nothing to cancel.');
       return;
     }
+    sessions.forEach(session => {
+      this._logger.info('Cancelling the ' + session.type + ' session with id ' + session.id);
+      session.cancel();
+    });
+  }
 
-    recorder.removeAllEventListeners();
-    if (recorder.isRecording()) {
-      recorder.stop();
-    }
+  /**
+   * Add a streaming session to the sessions in progress.
+   *
+   * @param {StreamingSession} session - The session.
+   * @private
+   */
+  _addSession(session) {
+    this._sessions.push(session);
+  }
 
-    // This session is over.
-    self._recordingId = null;
-    self._analysisId = null;
-    self._recognitionId = null;
+  /**
+   * Remove a streaming session from the sessions in progress.
+   *
+   * @param {StreamingSession} session - The session.
+   * @private
+   */
+  _removeSession(session) {
+    this._sessions = this._sessions.filter(other => other !== session);
   }
 
   /**
    * Log an error caught from an RPC call.
    *
-   * @param {Object} result - Error object.
+   * @param {Error} error - The error. For an {@link RpcError} the WAMP error URI is logged.
+   * @param {Logger} [logger] - The logger to log with. By default the error is logged to the console.
    */
-  static logRPCError(result) {
-    console.error('RPC error returned:', result.error);
+  static logRPCError(error, logger = new Logger()) {
+    logger.error('RPC error returned:', error.uri || error.message);
   }
 
   /**
-   * Ask the server for an OAuth2 token.
+   * Create the OAuth2 scope for a tenant, organisation and user.
    *
-   * @param {BasicAuth} basicAuth - Basic Auth to obtain credentials from.
-   * @param {string} organisationId - Id of the organisation to request a token for.
-   * @param {string} userId - Id of the user to request a token for.
-   * @returns {Promise} Promise containing a access_token, token_type and scope.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @param {string} tenantId - Id of the tenant.
+   * @param {?string} organisationId - Id of the organisation.
+   * @param {?string} userId - Id of the user. This is ignored if no organisation is given.
+   * @returns {Scope} The OAuth2 scope.
+   * @private
    */
-  getOauth2Token(basicAuth, organisationId, userId) {
+  static _createScope(tenantId, organisationId, userId) {
+    return new Scope(tenantId, organisationId || null, organisationId && userId || null);
+  }
+
+  /**
+   * Request an OAuth2 token from the server.
+   *
+   * @param {string} formData - The url encoded token request.
+   * @returns {Promise} Promise containing the token response of the server.
+   * @throws {Promise.<AuthenticationError>} If the server returned an error.
+   * @private
+   */
+  _requestToken(formData) {
     const url = this._settings.apiUrl + '/tokens';
-    let scopes = 'tenant/' + basicAuth.tenantId;
-    if (organisationId) {
-      scopes += '/organisation/' + organisationId;
-    }
-    if (organisationId && userId) {
-      scopes += '/user/' + userId;
-    }
-    const headers = new Headers();
+    const headers = this._createHeaders();
     headers.append('Content-Type',
       'application/x-www-form-urlencoded; charset=utf8');
-    const formData = 'grant_type=password&scope=' + scopes +
-      '&username=' + basicAuth.principal +
-      '&password=' + basicAuth.credentials;
     const options = {
       method: 'POST',
       headers,
       body: formData
     };
-    return fetch(url, options)
+    return this._fetch(url, options)
       .then(response =>
         response.json()
           .then(data => {
             if (response.ok) {
-              this._settings.oAuth2Token = data.access_token;
               return data;
             }
-            throw data;
+            const message = data.error_description || data.message || data.error ||
+              response.status + ': ' + response.statusText;
+            throw new AuthenticationError(message, response.status, data.error || null);
           })
       );
   }
 
+  /**
+   * Request an OAuth2 token using the resource owner password credentials grant.
+   *
+   * @param {BasicAuth} basicAuth - Basic Auth to obtain credentials from.
+   * @param {Scope} scope - The scope to request a token for.
+   * @returns {Promise} Promise containing the token response of the server.
+   * @throws {Promise.<AuthenticationError>} If the server returned an error.
+   * @private
+   */
+  _passwordGrant(basicAuth, scope) {
+    const formData = 'grant_type=password&scope=' + scope +
+      '&username=' + basicAuth.principal +
+      '&password=' + basicAuth.credentials;
+    return this._requestToken(formData);
+  }
+
+  /**
+   * Store an OAuth2 token response, keep it in the token store and share it with the other tabs. The scope returned
+   * by the server replaces the requested one.
+   *
+   * @param {Object} data - The token response of the server.
+   * @private
+   */
+  _storeToken(data) {
+    const scope = Scope.parse(data.scope) || this._scope;
+    this._applyToken({
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || this._refreshToken,
+      expiry: data.expires_in ? Date.now() + data.expires_in * 1000 : null,
+      scope: scope ? scope.toString() : null
+    });
+    const token = this._getToken();
+    this._tokenStore.set(token)
+      .catch(error => this._logger.warn('Unable to store the OAuth2 token:', error));
+    this._broadcast({type: 'token', token});
+  }
+
+  /**
+   * Use an OAuth2 token, keep track of when it expires and schedule refreshing it.
+   *
+   * @param {Object} token - The token, as kept in the token store.
+   * @private
+   */
+  _applyToken(token) {
+    this._settings.oAuth2Token = token.accessToken;
+    this._tokenExpiry = token.expiry;
+    this._refreshToken = token.refreshToken || null;
+    this._scope = Scope.parse(token.scope);
+    clearTimeout(this._tokenRefreshTimer);
+    this._tokenRefreshTimer = null;
+    if (this._tokenExpiry !== null && this._canRefreshToken()) {
+      const delay = Math.max(0, this._tokenExpiry - this._settings.tokenRefreshMargin - Date.now());
+      this._tokenRefreshTimer = setTimeout(() => {
+        this._tokenRefreshTimer = null;
+        // Failures are reported using the authenticationFailed event.
+        this.refreshOauth2Token().catch(() => {});
+      }, delay);
+    }
+  }
+
+  /**
+   * Get the current OAuth2 token in the form in which it is kept in the token store.
+   *
+   * @returns {Object} The token.
+   * @private
+   */
+  _getToken() {
+    return {
+      accessToken: this._settings.oAuth2Token,
+      refreshToken: this._refreshToken,
+      expiry: this._tokenExpiry,
+      scope: this._scope ? this._scope.toString() : null
+    };
+  }
+
+  /**
+   * Forget the OAuth2 token and the credentials it was obtained with.
+   *
+   * @private
+   */
+  _clearToken() {
+    this._settings.oAuth2Token = null;
+    this._tokenExpiry = null;
+    this._refreshToken = null;
+    this._scope = null;
+    this._tokenRequest = null;
+    this._authorizationRequest = null;
+    this._idTokenClaims = null;
+    clearTimeout(this._tokenRefreshTimer);
+    this._tokenRefreshTimer = null;
+  }
+
+  /**
+   * Create the store of the OAuth2 token.
+   *
+   * @param {string|Object} store - The `tokenStore` option.
+   * @param {string} key - The key under which the token is kept in a Web Storage.
+   * @returns {Object} The store.
+   * @throws {Error} If the Web Storage is not available.
+   * @private
+   */
+  static _createTokenStore(store, key) {
+    if (store === 'memory') {
+      return new MemoryTokenStore();
+    }
+    if (store === 'localStorage' || store === 'sessionStorage') {
+      const storage = typeof window === 'undefined' /* istanbul ignore next */ ? null : window[store];
+      if (!storage) {
+        throw new Error('No ' + store + ' capabilities');
+      }
+      return new WebStorageTokenStore(storage, key);
+    }
+    return store;
+  }
+
+  /**
+   * Restore the OAuth2 token kept in the token store, unless a token was given to the constructor. A token which
+   * expired and can't be refreshed is removed from the store instead.
+   *
+   * @returns {Promise.<boolean>} Promise containing whether a token was restored. It is never rejected.
+   * @emits {Event} 'tokenRestored' When a token was restored.
+   * @private
+   */
+  _restoreToken() {
+    if (this._settings.oAuth2Token) {
+      return Promise.resolve(false);
+    }
+    return this._tokenStore.get()
+      .then(token => {
+        // A token may have been obtained while the store was being read.
+        if (!token || this._settings.oAuth2Token) {
+          return false;
+        }
+        if (token.expiry !== null && token.expiry <= Date.now() && !token.refreshToken) {
+          return this._tokenStore.clear().then(() => false);
+        }
+        this._applyToken(token);
+        this.fireEvent('tokenRestored');
+        return true;
+      })
+      .catch(error => {
+        this._logger.warn('Unable to restore the OAuth2 token:', error);
+        return false;
+      });
+  }
+
+  /**
+   * Create the channel over which logins, token refreshes and logouts are shared with the other tabs.
+   *
+   * @returns {?BroadcastChannel} The channel, or `null` if nothing is shared.
+   * @private
+   */
+  _createChannel() {
+    const BroadcastChannelImpl = this._settings.BroadcastChannel ||
+      (typeof BroadcastChannel === 'undefined' /* istanbul ignore next */ ? null : BroadcastChannel);
+    if (!this._settings.broadcastChannel || !BroadcastChannelImpl) {
+      return null;
+    }
+    const channel = new BroadcastChannelImpl(this._settings.broadcastChannel);
+    channel.onmessage = event => this._handleBroadcast(event.data);
+    if (channel.unref) {
+      // Node.js would otherwise keep running as long as the channel is open.
+      channel.unref();
+    }
+    return channel;
+  }
+
+  /**
+   * Share a message with the connections in the other tabs.
+   *
+   * @param {Object} message - The message to share.
+   * @private
+   */
+  _broadcast(message) {
+    if (this._channel) {
+      this._channel.postMessage(message);
+    }
+  }
+
+  /**
+   * Handle a message shared by the connection in another tab. The token is already stored by that connection.
+   *
+   * @param {Object} message - The shared message.
+   * @emits {Event} 'tokenRestored' When another tab obtained a new token.
+   * @private
+   */
+  _handleBroadcast(message) {
+    if (message.type === 'token') {
+      // The credentials known here may be those of another user than the one who obtained the token.
+      this._tokenRequest = null;
+      this._authorizationRequest = null;
+      this._applyToken(message.token);
+      this.fireEvent('tokenRestored');
+      this._reauthenticateWebSocket().catch(() => {});
+    } else if (message.type === 'logout') {
+      this._logout();
+    }
+  }
+
+  /**
+   * Check whether the OAuth2 token expires within the configured refresh margin.
+   *
+   * @returns {boolean} True if the token expires soon. False if it doesn't or if its expiry is unknown.
+   * @private
+   */
+  _tokenExpiresSoon() {
+    return this._tokenExpiry !== null &&
+      this._tokenExpiry - this._settings.tokenRefreshMargin <= Date.now();
+  }
+
+  /**
+   * Check whether a new OAuth2 token can be obtained without user interaction.
+   *
+   * @returns {boolean} True if a refresh token or the credentials or authorization used to obtain the current token
+   * are known.
+   * @private
+   */
+  _canRefreshToken() {
+    return Boolean(this._refreshToken || this._tokenRequest || this._authorizationRequest);
+  }
+
+  /**
+   * Obtain a new OAuth2 token. A refresh token is used if the server issued one. Otherwise, or if refreshing fails,
+   * the credentials the current token was obtained with are used to request a new one. A token obtained by
+   * {@link Connection#authorize} is renewed silently instead.
+   *
+   * Concurrent calls share the same request. An open websocket connection is re-authenticated using the new token.
+   *
+   * @returns {Promise} Promise containing the token response of the server.
+   * @throws {Promise.<AuthenticationError>} If no refresh token or credentials are known.
+   * @throws {Promise.<AuthenticationError>} If the server returned an error.
+   * @emits {Event} 'tokenRefreshed' With arguments: [token response] when a new token was obtained.
+   * @emits {Event} 'authenticationFailed' With arguments: [error] when no new token could be obtained.
+   */
+  refreshOauth2Token() {
+    if (this._tokenRefresh) {
+      return this._tokenRefresh;
+    }
+    const tokenRequest = this._tokenRequest;
+    const authorizationRequest = this._authorizationRequest;
+    const requestToken = () => {
+      if (tokenRequest) {
+        return this._passwordGrant(tokenRequest.basicAuth, tokenRequest.scope);
+      }
+      if (authorizationRequest) {
+        return this._authorization.renew(authorizationRequest)
+          .then(result => {
+            this._idTokenClaims = result.claims;
+            return result.data;
+          });
+      }
+      return Promise.reject(new AuthenticationError('Unable to refresh the OAuth2 token'));
+    };
+    let request;
+    if (this._refreshToken) {
+      const formData = 'grant_type=refresh_token&refresh_token=' + encodeURIComponent(this._refreshToken);
+      request = this._requestToken(formData)
+        .catch(error => {
+          this._refreshToken = null;
+          if (!tokenRequest && !authorizationRequest) {
+            throw error;
+          }
+          return requestToken();
+        });
+    } else {
+      request = requestToken();
+    }
+    this._tokenRefresh = request
+      .then(data => {
+        this._tokenRefresh = null;
+        this._storeToken(data);
+        this.fireEvent('tokenRefreshed', [data]);
+        // The new token is used for REST calls already, even if re-authenticating the websocket fails.
+        this._reauthenticateWebSocket().catch(() => {});
+        return data;
+      }, error => {
+        this._tokenRefresh = null;
+        this.fireEvent('authenticationFailed', [error]);
+        throw error;
+      });
+    return this._tokenRefresh;
+  }
+
+  /**
+   * Ask the server for an OAuth2 token.
+   *
+   * The expiry of the token is tracked, and the token is refreshed before it expires.
+   *
+   * @param {BasicAuth} basicAuth - Basic Auth to obtain credentials from.
+   * @param {string} organisationId - Id of the organisation to request a token for.
+   * @param {string} userId - Id of the user to request a token for.
+   * @returns {Promise} Promise containing a access_token, token_type and scope.
+   * @throws {Promise.<AuthenticationError>} If the server refused the credentials.
+   */
+  getOauth2Token(basicAuth, organisationId, userId) {
+    return this._passwordLogin(basicAuth, Connection._createScope(basicAuth.tenantId, organisationId, userId));
+  }
+
+  /**
+   * Obtain an OAuth2 token using the resource owner password credentials grant, and start using it.
+   *
+   * @param {BasicAuth} basicAuth - Basic Auth to obtain credentials from.
+   * @param {Scope} scope - The scope to request a token for.
+   * @returns {Promise} Promise containing the token response of the server.
+   * @throws {Promise.<AuthenticationError>} If the server refused the credentials.
+   * @private
+   */
+  _passwordLogin(basicAuth, scope) {
+    return this._passwordGrant(basicAuth, scope)
+      .then(data => {
+        this._tokenRequest = {basicAuth, scope};
+        this._scope = scope;
+        this._authorizationRequest = null;
+        this._idTokenClaims = null;
+        this._refreshToken = null;
+        this._storeToken(data);
+        return data;
+      });
+  }
+
   /**
    * Request authentication for a {@link User}. The basicAuth now contains the user's username and password.
    *
@@ -353,4 +1678,176 @@ export default class Connection {
   getUserAuth(basicAuth, organisationId) {
     return this.getOauth2Token(basicAuth, organisationId, basicAuth.principal);
   }
+
+  /**
+   * Log in using the authorization code flow with PKCE, by sending the user to the authorization server. Unlike
+   * {@link Connection#getOauth2Token}, the password of the user is never seen by the SDK. The page at the
+   * redirect URI completes the login by calling {@link Connection#handleAuthorizationCallback}.
+   *
+   * @param {string} tenantId - Id of the tenant to request a token for.
+   * @param {?string} [organisationId] - Id of the organisation to request a token for.
+   * @param {?string} [userId] - Id of the user to request a token for.
+   * @returns {Promise} Promise which resolves once the browser is being redirected.
+   * @throws {Promise.<Error>} If the `authorization` option is not set.
+   */
+  authorize(tenantId, organisationId, userId) {
+    if (!this._authorization) {
+      return Promise.reject(new Error('Please set the authorization option'));
+    }
+    return this._authorization.redirect({scope: Connection._createScope(tenantId, organisationId, userId).toString()});
+  }
+
+  /**
+   * Log in using the authorization code flow with PKCE in a popup, so the current page is kept. Call this from a
+   * click handler, or the browser may block the popup.
+   *
+   * @param {string} tenantId - Id of the tenant to request a token for.
+   * @param {?string} [organisationId] - Id of the organisation to request a token for.
+   * @param {?string} [userId] - Id of the user to request a token for.
+   * @returns {Promise} Promise containing the token response of the server.
+   * @throws {Promise.<Error>} If the `authorization` option is not set.
+   * @throws {Promise.<AuthenticationError>} If the popup was blocked or closed, or the authorization failed.
+   */
+  authorizeWithPopup(tenantId, organisationId, userId) {
+    if (!this._authorization) {
+      return Promise.reject(new Error('Please set the authorization option'));
+    }
+    return this._authorization.popup({scope: Connection._createScope(tenantId, organisationId, userId).toString()})
+      .then(result => this._authorized(result));
+  }
+
+  /**
+   * Complete a login started by {@link Connection#authorize}, on the page the authorization server redirected to.
+   * The state is validated, the code is exchanged for a token and, for an OpenID Connect login, the nonce and other
+   * claims of the ID token are checked.
+   *
+   * The token is tracked like the one obtained by {@link Connection#getOauth2Token}. When it expires, it is renewed
+   * silently in a hidden iframe, unless the server issued a refresh token.
+   *
+   * @param {string} [url] - The URL the authorization server redirected to (default: the current location).
+   * @returns {Promise} Promise containing the token response of the server.
+   * @throws {Promise.<Error>} If the `authorization` option is not set.
+   * @throws {Promise.<AuthenticationError>} If the authorization failed or its response is invalid.
+   */
+  handleAuthorizationCallback(url = window.location.href) {
+    if (!this._authorization) {
+      return Promise.reject(new Error('Please set the authorization option'));
+    }
+    return this._authorization.handleCallback(url)
+      .then(result => this._authorized(result));
+  }
+
+  /**
+   * Start using a token obtained by the authorization code flow.
+   *
+   * @param {Object} result - The result of the flow, as described by {@link AuthorizationCodeFlow#handleCallback}.
+   * @returns {Object} The token response of the server.
+   * @private
+   */
+  _authorized(result) {
+    this._tokenRequest = null;
+    this._authorizationRequest = result.request;
+    this._idTokenClaims = result.claims;
+    this._refreshToken = null;
+    this._scope = Scope.parse(result.request.scope);
+    this._storeToken(result.data);
+    return result.data;
+  }
+
+  /**
+   * Create a connection acting within another scope, like an organisation of the tenant of this connection or a
+   * user to impersonate. The connection obtains a token of its own, so the token of this connection is left alone and
+   * can be used again once done with the other scope.
+   *
+   * The token is obtained using the credentials of this connection, or by silently authorizing again if this
+   * connection was authorized using {@link Connection#authorize}. The new connection only shares the settings of this
+   * connection needed to reach the servers and to authorize: the URLs, the fetch, Headers and WebSocket
+   * implementations, the retry, reconnect and streaming policies, the logger and the authorization. It does not store
+   * or share its token, cache, record or replay traffic, send heartbeats, or pass requests through middleware.
+   *
+   * The new connection keeps refreshing its token until it is done with. Call {@link Connection#logout} on it then,
+   * which leaves the token of this connection alone.
+   *
+   * @param {Scope} scope - The scope to act within.
+   * @returns {Promise.<Connection>} Promise containing the connection acting within the scope.
+   * @throws {Promise.<Error>} scope parameter of type "Scope" is required.
+   * @throws {Promise.<AuthenticationError>} If neither credentials nor an authorization are known.
+   * @throws {Promise.<AuthenticationError>} If the server refused to issue a token for the scope.
+   */
+  withScope(scope) {
+    if (!(scope instanceof Scope)) {
+      return Promise.reject(new Error('scope parameter of type "Scope" is required'));
+    }
+    const tokenRequest = this._tokenRequest;
+    const authorizationRequest = this._authorizationRequest;
+    if (!tokenRequest && !authorizationRequest) {
+      return Promise.reject(new AuthenticationError('Unable to obtain an OAuth2 token for another scope'));
+    }
+    const settings = this._settings;
+    const connection = new Connection({
+      apiUrl: settings.apiUrl,
+      wsUrl: settings.wsUrl,
+      fetch: settings.fetch,
+      Headers: settings.Headers,
+      WebSocket: settings.WebSocket,
+      binaryAudio: settings.binaryAudio,
+      retry: settings.retry,
+      reconnect: settings.reconnect,
+      streaming: settings.streaming,
+      tokenRefreshMargin: settings.tokenRefreshMargin,
+      logger: settings.logger,
+      authorization: settings.authorization
+    });
+    if (tokenRequest) {
+      return connection._passwordLogin(tokenRequest.basicAuth, scope)
+        .then(() => connection);
+    }
+    return connection._authorization.renew({scope: scope.toString()})
+      .then(result => {
+        connection._authorized(result);
+        return connection;
+      });
+  }
+
+  /**
+   * Log out. The OAuth2 token is forgotten and removed from the token store, the connection to the websocket server
+   * is closed and cached responses are removed. The connections in other tabs log out as well.
+   *
+   * @returns {Promise} Promise which resolves once logged out.
+   * @emits {Event} 'loggedOut' When logged out.
+   */
+  logout() {
+    this._broadcast({type: 'logout'});
+    return this._logout();
+  }
+
+  /**
+   * Log out without telling the other tabs.
+   *
+   * @returns {Promise} Promise which resolves once logged out.
+   * @emits {Event} 'loggedOut' When logged out.
+   * @private
+   */
+  _logout() {
+    this._clearToken();
+    const cleared = this._tokenStore.clear()
+      .catch(error => this._logger.warn('Unable to remove the stored OAuth2 token:', error));
+    const cache = this._cache ? this._cache.clear()
+      .catch(error => this._logger.warn('Unable to clear the cache:', error)) : null;
+    return Promise.all([cleared, cache, this.disconnect()])
+      .then(() => {
+        this.fireEvent('loggedOut');
+      });
+  }
 }
+
+/**
+ * The WAMP reasons for closing a connection which indicate that the server refused the OAuth2 token.
+ *
+ * @type {string[]}
+ */
+Connection.AUTHENTICATION_ERRORS = [
+  'wamp.error.authentication_failed',
+  'wamp.error.not_authorized',
+  'wamp.error.no_auth_method'
+];
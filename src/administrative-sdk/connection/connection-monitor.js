@@ -0,0 +1,204 @@
+import when from 'when';
+
+/**
+ * Monitor of the health of the connection to the websocket server. It keeps statistics of the RPCs made by a
+ * {@link Connection} and, if enabled, regularly sends a heartbeat over the WAMP session to measure the round-trip
+ * latency. From the latency the quality of the connection is judged, so an app can warn the user before streaming
+ * audio over a bad connection.
+ *
+ * The heartbeat calls a procedure on the router. Any answer of the router counts, including an error, so the
+ * procedure does not need to exist. A heartbeat which is not answered in time counts as missed.
+ *
+ * @private
+ */
+export default class ConnectionMonitor {
+  /**
+   * @param {Connection} connection - The connection to monitor.
+   * @param {Object|boolean} [options] - Options of the heartbeat, as described by the `heartbeat` option of the
+   * {@link Connection}, or `true` to use the defaults. By default no heartbeat is sent.
+   */
+  constructor(connection, options) {
+    this._heartbeat = null;
+    if (options) {
+      this._heartbeat = Object.assign({
+        interval: 10000,
+        timeout: 5000,
+        procedure: 'nl.itslanguage.heartbeat',
+        samples: 5,
+        degradedLatency: 300,
+        poorLatency: 1000
+      }, options === true ? {} : options);
+    }
+    this._connection = connection;
+    this._logger = connection.logger.child('monitor');
+    this._calls = 0;
+    this._failedCalls = 0;
+    this._callTime = 0;
+    this._answeredCalls = 0;
+    this._heartbeats = 0;
+    this._missedHeartbeats = 0;
+
+    /**
+     * The round-trip latencies of the most recent heartbeats in milliseconds, oldest first. A missed heartbeat is
+     * `null`.
+     *
+     * @type {Array.<?number>}
+     */
+    this._latencies = [];
+    this._quality = null;
+    this._timer = null;
+    this._connection.addEventListener('statechange', state => this._handleStateChange(state));
+  }
+
+  /**
+   * The quality of the connection: `'good'`, `'degraded'` or `'poor'`, or `null` if it is unknown because the
+   * connection is not open or no heartbeat was sent yet.
+   *
+   * @type {?string}
+   */
+  get quality() {
+    return this._quality;
+  }
+
+  /**
+   * The statistics of the connection.
+   *
+   * @returns {Object} The statistics, holding:
+   * * calls - The number of RPCs made.
+   * * failedCalls - The number of RPCs which failed.
+   * * averageCallTime - The average number of milliseconds an RPC took to be answered, or `null` if none was.
+   * * heartbeats - The number of heartbeats sent.
+   * * missedHeartbeats - The number of heartbeats which were not answered in time.
+   * * latency - The round-trip latency of the last answered heartbeat in milliseconds, or `null` if none was.
+   * * averageLatency - The average round-trip latency of the most recent heartbeats in milliseconds, or `null` if
+   * none of them was answered.
+   * * quality - The quality of the connection, as described by {@link ConnectionMonitor#quality}.
+   */
+  getStats() {
+    const answered = this._latencies.filter(latency => latency !== null);
+    return {
+      calls: this._calls,
+      failedCalls: this._failedCalls,
+      averageCallTime: this._answeredCalls ? this._callTime / this._answeredCalls : null,
+      heartbeats: this._heartbeats,
+      missedHeartbeats: this._missedHeartbeats,
+      latency: answered.length ? answered[answered.length - 1] : null,
+      averageLatency: answered.length ? answered.reduce((sum, latency) => sum + latency, 0) / answered.length : null,
+      quality: this._quality
+    };
+  }
+
+  /**
+   * Count an RPC made by the connection.
+   *
+   * @param {Promise} result - Promise containing the result of the RPC.
+   */
+  trackCall(result) {
+    const started = Date.now();
+    this._calls++;
+    when(result).then(() => {
+      this._callTime += Date.now() - started;
+      this._answeredCalls++;
+    }, () => {
+      this._failedCalls++;
+    });
+  }
+
+  /**
+   * Start or stop the heartbeat as the connection opens and closes.
+   *
+   * @param {string} state - The new state of the connection.
+   * @private
+   */
+  _handleStateChange(state) {
+    if (!this._heartbeat) {
+      return;
+    }
+    clearTimeout(this._timer);
+    this._timer = null;
+    if (state === 'open') {
+      this._sendHeartbeat();
+    } else if (state === 'reconnecting') {
+      this._setQuality('poor');
+    } else {
+      this._latencies = [];
+      this._setQuality(null);
+    }
+  }
+
+  /**
+   * Send a heartbeat and schedule the next one once it was answered or missed.
+   *
+   * @private
+   */
+  _sendHeartbeat() {
+    const session = this._connection._session;
+    if (!session) {
+      // The connection is answered by the replayer.
+      return;
+    }
+    const started = Date.now();
+    this._heartbeats++;
+    new Promise(resolve => {
+      const timer = setTimeout(() => resolve(null), this._heartbeat.timeout);
+      when.try(() => session.call(this._heartbeat.procedure)).then(null, () => {}).then(() => {
+        clearTimeout(timer);
+        resolve(Date.now() - started);
+      });
+    })
+      .then(latency => {
+        if (this._connection._session !== session) {
+          return;
+        }
+        if (latency === null) {
+          this._missedHeartbeats++;
+          this._logger.warn('Heartbeat not answered within ' + this._heartbeat.timeout + ' milliseconds');
+        }
+        this._latencies = this._latencies.concat(latency).slice(-this._heartbeat.samples);
+        this._setQuality(this._judgeQuality());
+        this._timer = setTimeout(() => this._sendHeartbeat(), this._heartbeat.interval);
+      });
+  }
+
+  /**
+   * Judge the quality of the connection from the most recent heartbeats. The connection is poor if the last
+   * heartbeat was missed or the average latency is at least the `poorLatency`. It is degraded if an earlier heartbeat
+   * was missed or the average latency is at least the `degradedLatency`.
+   *
+   * @returns {string} The quality.
+   * @private
+   */
+  _judgeQuality() {
+    const answered = this._latencies.filter(latency => latency !== null);
+    if (this._latencies[this._latencies.length - 1] === null) {
+      return 'poor';
+    }
+    const average = answered.reduce((sum, latency) => sum + latency, 0) / answered.length;
+    if (average >= this._heartbeat.poorLatency) {
+      return 'poor';
+    }
+    if (answered.length < this._latencies.length || average >= this._heartbeat.degradedLatency) {
+      return 'degraded';
+    }
+    return 'good';
+  }
+
+  /**
+   * Change the quality of the connection.
+   *
+   * @param {?string} quality - The new quality.
+   * @emits {Event} 'connectionquality' With arguments: [new quality, previous quality] on the connection.
+   * @private
+   */
+  _setQuality(quality) {
+    const previous = this._quality;
+    if (quality === previous) {
+      return;
+    }
+    this._quality = quality;
+    if (quality) {
+      this._logger.info('Connection quality changed to ' + quality);
+    }
+    this._connection.fireEvent('connectionquality', [quality, previous]);
+  }
+}
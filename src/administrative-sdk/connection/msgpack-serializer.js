@@ -0,0 +1,49 @@
+import msgpack from 'msgpack-lite';
+
+/**
+ * WAMP serializer for the MessagePack serialization of WAMP. Unlike the MessagePack serializer of autobahn, it
+ * sends an `ArrayBuffer` as MessagePack binary and receives binary as an `ArrayBuffer`, so audio can be streamed to
+ * the server without encoding it in base64 first.
+ *
+ * @private
+ */
+export default class MsgpackSerializer {
+  constructor() {
+    /**
+     * The serializer identifier, as used in the WAMP subprotocol `'wamp.2.msgpack'`.
+     *
+     * @type {string}
+     */
+    this.SERIALIZER_ID = 'msgpack';
+
+    /**
+     * Whether the serialized messages are binary.
+     *
+     * @type {boolean}
+     */
+    this.BINARY = true;
+    this._codec = msgpack.createCodec({binarraybuffer: true, preset: true});
+  }
+
+  /**
+   * Serialize a WAMP message.
+   *
+   * @param {Array} message - The WAMP message.
+   * @returns {Uint8Array} The serialized message.
+   */
+  serialize(message) {
+    return msgpack.encode(message, {codec: this._codec});
+  }
+
+  /**
+   * Unserialize a WAMP message. A WebSocket of the browser receives binary messages as an `ArrayBuffer`, which is
+   * decoded as its bytes.
+   *
+   * @param {ArrayBuffer|Uint8Array} payload - The serialized message.
+   * @returns {Array} The WAMP message.
+   */
+  unserialize(payload) {
+    const bytes = payload instanceof ArrayBuffer ? new Uint8Array(payload) : payload;
+    return msgpack.decode(bytes, {codec: this._codec});
+  }
+}
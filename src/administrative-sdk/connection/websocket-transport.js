@@ -0,0 +1,118 @@
+/* eslint-disable
+camelcase
+ */
+
+import autobahn from 'autobahn';
+
+/**
+ * Autobahn transport factory for a WebSocket implementation which is passed in, instead of the one autobahn picks
+ * for the current environment. The implementation must follow the W3C WebSocket API, as the browser's WebSocket
+ * and the `ws` package in Node.js do.
+ *
+ * @private
+ */
+export default class WebSocketTransport {
+  /**
+   * @param {Object} options - Options of the transport.
+   * Valid options include:
+   * * url - The URL of the Websocket server.
+   * * WebSocket - The WebSocket constructor to use.
+   * * serializers - The WAMP serializers to offer, in order of preference. Defaults to JSON, followed by MessagePack
+   * if it is available.
+   * @throws {Error} If no url or WebSocket constructor is given.
+   */
+  constructor(options) {
+    if (typeof options.url !== 'string') {
+      throw new Error('options.url of type "string" is required');
+    }
+    if (typeof options.WebSocket !== 'function') {
+      throw new Error('options.WebSocket of type "Function" is required');
+    }
+    if (!options.serializers) {
+      options.serializers = [new autobahn.serializer.JSONSerializer()];
+      if (autobahn.serializer.MsgpackSerializer) {
+        options.serializers.push(new autobahn.serializer.MsgpackSerializer());
+      }
+    }
+    if (!options.protocols) {
+      options.protocols = options.serializers.map(serializer => 'wamp.2.' + serializer.SERIALIZER_ID);
+    }
+
+    /**
+     * The transport type, as registered with autobahn.
+     *
+     * @type {string}
+     */
+    this.type = WebSocketTransport.TYPE;
+    this._options = options;
+  }
+
+  /**
+   * Create a WAMP transport over a new WebSocket.
+   *
+   * @returns {Object} The WAMP transport.
+   */
+  create() {
+    const options = this._options;
+    const transport = {
+      protocol: undefined,
+      serializer: undefined,
+      info: {
+        type: 'websocket',
+        url: options.url,
+        protocol: null
+      },
+      // These will get overridden by the WAMP session using this transport.
+      onmessage() {},
+      onopen() {},
+      onclose() {}
+    };
+
+    const websocket = new options.WebSocket(options.url, options.protocols);
+    websocket.binaryType = 'arraybuffer';
+
+    websocket.onopen = () => {
+      const serializerId = websocket.protocol.split('.')[2];
+      transport.serializer = options.serializers.find(serializer => serializer.SERIALIZER_ID === serializerId);
+      transport.protocol = websocket.protocol;
+      transport.info.protocol = websocket.protocol;
+      transport.onopen();
+    };
+
+    websocket.onmessage = evt => {
+      let payload = evt.data;
+      if (payload instanceof ArrayBuffer) {
+        payload = new Uint8Array(payload);
+      }
+      transport.onmessage(transport.serializer.unserialize(payload));
+    };
+
+    // Errors are always followed by a close event, which is handled below.
+    websocket.onclose = evt => {
+      transport.onclose({
+        code: evt.code,
+        reason: evt.reason,
+        wasClean: evt.wasClean
+      });
+    };
+
+    transport.send = msg => {
+      websocket.send(transport.serializer.serialize(msg));
+    };
+
+    transport.close = (code, reason) => {
+      websocket.close(code, reason);
+    };
+
+    return transport;
+  }
+}
+
+/**
+ * The type under which this transport is registered with autobahn.
+ *
+ * @type {string}
+ */
+WebSocketTransport.TYPE = 'itslanguage.websocket';
+
+autobahn.transports.register(WebSocketTransport.TYPE, WebSocketTransport);
@@ -1,4 +1,5 @@
 import EmailCredentials from './email-credentials';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the Email Credentials model.
@@ -21,23 +22,24 @@ export default class EmailCredentialsController {
    *
    * @param {string} userId - The identifier of the user to register credentials to.
    * @param {EmailCredentials} emailCredentials - The credentials to register to the user.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<EmailCredentials>} A promise containing the created EmailCredentials.
-   * @throws {Promise.<Error>} userId parameter of type "string" is required.
-   * @throws {Promise.<Error>} emailCredentials parameter of type "EmailCredentials" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} userId parameter of type "string" is required.
+   * @throws {Promise.<ValidationError>} emailCredentials parameter of type "EmailCredentials" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createEmailCredentials(userId, emailCredentials) {
+  createEmailCredentials(userId, emailCredentials, options) {
     if (typeof userId !== 'string') {
-      return Promise.reject(new Error('userId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('userId parameter of type "string" is required'));
     }
 
     if (!(emailCredentials instanceof EmailCredentials)) {
-      return Promise.reject(new Error('emailCredentials parameter of type "EmailCredentials" is required'));
+      return Promise.reject(new ValidationError('emailCredentials parameter of type "EmailCredentials" is required'));
     }
 
     const url = this._connection._settings.apiUrl + '/users/' + userId + '/emailauths';
     const fd = JSON.stringify(emailCredentials);
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new EmailCredentials(data.email, data.password);
         result.created = new Date(data.created);
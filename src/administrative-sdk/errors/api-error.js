@@ -0,0 +1,37 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which a request to the REST api is rejected when the server responded with an error status.
+ *
+ * @param {string} message - Description of the error.
+ * @param {number} status - The HTTP status code of the response.
+ * @param {Object[]} [fieldErrors] - The errors of individual fields of the submitted resource. Each error contains
+ * the `resource`, `field` and `code` of the invalid field.
+ * @param {?Object} [body] - The parsed JSON body of the response, if any.
+ */
+export default function ApiError(message, status, fieldErrors = [], body = null) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'ApiError';
+
+  /**
+   * @type {number}
+   */
+  this.status = status;
+
+  /**
+   * @type {Object[]}
+   */
+  this.fieldErrors = fieldErrors;
+
+  /**
+   * @type {?Object}
+   */
+  this.body = body;
+}
+
+ApiError.prototype = Object.create(SdkError.prototype);
+ApiError.prototype.constructor = ApiError;
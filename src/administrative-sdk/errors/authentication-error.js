@@ -0,0 +1,31 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which a request is rejected when no valid OAuth2 token is available, or when the server refused the
+ * credentials or token.
+ *
+ * @param {string} message - Description of the error.
+ * @param {?number} [status] - The HTTP status code of the response, if the server refused the request.
+ * @param {?string} [code] - The OAuth2 error code returned by the server, like `'invalid_grant'`.
+ */
+export default function AuthenticationError(message, status = null, code = null) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'AuthenticationError';
+
+  /**
+   * @type {?number}
+   */
+  this.status = status;
+
+  /**
+   * @type {?string}
+   */
+  this.code = code;
+}
+
+AuthenticationError.prototype = Object.create(SdkError.prototype);
+AuthenticationError.prototype.constructor = AuthenticationError;
@@ -0,0 +1,18 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which a request is rejected when it was cancelled through an `AbortSignal`.
+ *
+ * @param {string} [message] - Description of the cancellation.
+ */
+export default function CancellationError(message = 'The request was cancelled.') {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'CancellationError';
+}
+
+CancellationError.prototype = Object.create(SdkError.prototype);
+CancellationError.prototype.constructor = CancellationError;
@@ -0,0 +1,26 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which an RPC to the websocket server is rejected when the connection was lost after the RPC was sent,
+ * and the RPC is not safe to send again. Whether the server handled the RPC is unknown, so the operation it belongs
+ * to, like a streaming session, has to be retried as a whole once the connection is restored.
+ *
+ * @param {string} message - Description of the error.
+ * @param {string} rpc - The full URI of the RPC, like `'nl.itslanguage.pronunciation.write'`.
+ */
+export default function ConnectionLostError(message, rpc) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'ConnectionLostError';
+
+  /**
+   * @type {string}
+   */
+  this.rpc = rpc;
+}
+
+ConnectionLostError.prototype = Object.create(SdkError.prototype);
+ConnectionLostError.prototype.constructor = ConnectionLostError;
@@ -0,0 +1,25 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which a request to the REST api is rejected when it could not be sent, but was queued by an
+ * {@link OfflineQueue} to be sent once the network is available again.
+ *
+ * @param {string} message - Description of the error.
+ * @param {Object} item - The queued request.
+ */
+export default function OfflineError(message, item) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'OfflineError';
+
+  /**
+   * @type {Object}
+   */
+  this.item = item;
+}
+
+OfflineError.prototype = Object.create(SdkError.prototype);
+OfflineError.prototype.constructor = OfflineError;
@@ -0,0 +1,54 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which an RPC to the websocket server is rejected when the server returned an error.
+ *
+ * @param {string} message - Description of the error.
+ * @param {string} uri - The WAMP error URI, like `'nl.itslanguage.alignment_failed'`.
+ * @param {Array} [args] - The positional arguments of the WAMP error.
+ * @param {Object} [kwargs] - The keyword arguments of the WAMP error.
+ */
+export default function RpcError(message, uri, args = [], kwargs = {}) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'RpcError';
+
+  /**
+   * @type {string}
+   */
+  this.uri = uri;
+
+  /**
+   * @type {Array}
+   */
+  this.args = args;
+
+  /**
+   * @type {Object}
+   */
+  this.kwargs = kwargs;
+}
+
+RpcError.prototype = Object.create(SdkError.prototype);
+RpcError.prototype.constructor = RpcError;
+
+/**
+ * Create an error from the error object autobahn rejects a failed RPC with.
+ *
+ * @param {Object} error - The autobahn error, containing the `error` URI, `args` and `kwargs`.
+ * @returns {RpcError} The error.
+ */
+RpcError.fromWampError = function(error) {
+  const args = error.args || [];
+  const kwargs = error.kwargs || {};
+  let message = error.error;
+  if (typeof kwargs.message === 'string') {
+    message = kwargs.message;
+  } else if (typeof args[0] === 'string') {
+    message = args[0];
+  }
+  return new RpcError(message, error.error, args, kwargs);
+};
@@ -0,0 +1,23 @@
+/**
+ * Base of all errors with which the SDK rejects. Use `instanceof` on it, or on one of the more specific errors, to
+ * tell the errors of the SDK apart from programming errors.
+ *
+ * This is a plain constructor instead of a class, because Babel cannot extend built-in classes like `Error`.
+ *
+ * @param {string} message - Description of the error.
+ */
+export default function SdkError(message) {
+  /**
+   * @type {string}
+   */
+  this.name = 'SdkError';
+
+  /**
+   * @type {string}
+   */
+  this.message = message;
+  this.stack = new Error(message).stack;
+}
+
+SdkError.prototype = Object.create(Error.prototype);
+SdkError.prototype.constructor = SdkError;
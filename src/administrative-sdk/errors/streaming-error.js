@@ -0,0 +1,27 @@
+import RpcError from './rpc-error';
+
+/**
+ * Error with which a streaming session is rejected when the server could not finish it. The server may still
+ * have produced a partial result, like an analysis without alignment, which is passed along as the model.
+ *
+ * @param {string} message - Description of the error.
+ * @param {string} uri - The WAMP error URI, like `'nl.itslanguage.alignment_failed'`.
+ * @param {?Object} [model] - The partial {@link PronunciationAnalysis}, {@link SpeechRecording} or
+ * {@link ChoiceRecognition}, if any.
+ */
+export default function StreamingError(message, uri, model = null) {
+  RpcError.call(this, message, uri);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'StreamingError';
+
+  /**
+   * @type {?Object}
+   */
+  this.model = model;
+}
+
+StreamingError.prototype = Object.create(RpcError.prototype);
+StreamingError.prototype.constructor = StreamingError;
@@ -0,0 +1,31 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which a streaming session is rejected when the websocket server did not answer one of its phases in time,
+ * as configured by the `streaming` option of the {@link Connection}.
+ *
+ * @param {string} message - Description of the error.
+ * @param {string} phase - The phase of the session which timed out: `'init'`, `'write'` or `'result'`.
+ * @param {number} timeout - The number of milliseconds the phase was allowed to take.
+ */
+export default function TimeoutError(message, phase, timeout) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'TimeoutError';
+
+  /**
+   * @type {string}
+   */
+  this.phase = phase;
+
+  /**
+   * @type {number}
+   */
+  this.timeout = timeout;
+}
+
+TimeoutError.prototype = Object.create(SdkError.prototype);
+TimeoutError.prototype.constructor = TimeoutError;
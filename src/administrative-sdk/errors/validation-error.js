@@ -0,0 +1,19 @@
+import SdkError from './sdk-error';
+
+/**
+ * Error with which a method is rejected when it was called with missing or invalid parameters. No request has been
+ * made to the server in that case.
+ *
+ * @param {string} message - Description of the invalid parameter.
+ */
+export default function ValidationError(message) {
+  SdkError.call(this, message);
+
+  /**
+   * @type {string}
+   */
+  this.name = 'ValidationError';
+}
+
+ValidationError.prototype = Object.create(SdkError.prototype);
+ValidationError.prototype.constructor = ValidationError;
@@ -0,0 +1,356 @@
+import ApiError from '../errors/api-error';
+import ObjectStore from '../utils/object-store';
+import OfflineError from '../errors/offline-error';
+import SdkError from '../errors/sdk-error';
+import ee from 'event-emitter';
+
+/**
+ * Queue of requests to the REST api which could not be sent because the network was not available.
+ *
+ * Once created, the queue passes the requests of a {@link Connection} through its middleware. Requests which change
+ * data, like creating a user, are stored in IndexedDB when they fail because of the network. They are rejected with
+ * an {@link OfflineError}, which holds the queued request. The stored requests are sent again in the order in which
+ * they were made as soon as the queue is created, a request succeeds again or the browser comes back online. Until
+ * then, new requests which change data are queued as well, so they are not sent before the requests queued earlier.
+ * When the database cannot be opened, the requests are sent without queueing them.
+ *
+ * The queued requests belong to the user who made them. They are removed when the connection logs out, and a request
+ * queued for another scope than the current one of the connection is dropped instead of being sent.
+ *
+ * Each queued request is described by an object containing:
+ * * id - The identifier of the request in the queue.
+ * * method - The HTTP method.
+ * * url - The URL of the request.
+ * * body - The JSON body of the request, if any.
+ * * scope - The scope of the connection when the request was queued, if known.
+ * * queued - The moment in milliseconds since the epoch at which the request was queued.
+ */
+export default class OfflineQueue {
+  /**
+   * @param {Connection} connection - The connection to queue the requests of.
+   * @param {Object} [options] - Options to configure the queue with.
+   * Valid options include:
+   * * databaseName - The name of the IndexedDB database to store the requests in (default:
+   * `'itslanguage-offline-queue'`).
+   * * indexedDB - The IndexedDB implementation (default: the global `indexedDB`).
+   * * methods - The HTTP methods of requests which are queued (default: POST, PUT and DELETE).
+   * * resolveConflict - A function which is called with a queued request and the {@link ApiError} with which the
+   * server rejected it when it was sent again. It returns the request to send instead, or `null` to drop the
+   * request. It may also return a promise of either. By default rejected requests are dropped.
+   * @throws {Error} If no IndexedDB implementation is available.
+   */
+  constructor(connection, options) {
+    this._settings = Object.assign({
+      databaseName: 'itslanguage-offline-queue',
+      indexedDB: typeof indexedDB === 'undefined' /* istanbul ignore next */ ? null : indexedDB,
+      methods: ['POST', 'PUT', 'DELETE'],
+      resolveConflict: null
+    }, options);
+    if (!this._settings.indexedDB) {
+      throw new Error('No IndexedDB capabilities');
+    }
+    this._connection = connection;
+    this._logger = connection.logger.child('queue');
+    this._emitter = ee({});
+    this._replay = null;
+
+    /**
+     * The number of queued requests.
+     *
+     * @type {number}
+     */
+    this._size = 0;
+    this._store = new ObjectStore(this._settings.indexedDB, this._settings.databaseName, OfflineQueue.STORE,
+      {keyPath: 'id', autoIncrement: true});
+
+    /**
+     * Promise containing whether the queue can be used, which is not the case when the database cannot be opened.
+     *
+     * @type {Promise.<boolean>}
+     */
+    this._ready = this._store.request('readonly', store => store.count())
+      .then(size => {
+        this._size = size;
+        return true;
+      }, error => {
+        this._logger.warn('Unable to open the offline queue, requests are sent without queueing them:', error);
+        return false;
+      });
+    // Send the requests which were queued before, like in an earlier session.
+    this._ready.then(available => {
+      if (available && this._size > 0) {
+        this.replay();
+      }
+    });
+
+    this._middleware = (context, next) => this._handleRequest(context, next);
+    this._connection.addMiddleware(this._middleware);
+    this._onOnline = () => this.replay();
+    /* istanbul ignore else */
+    if (typeof window !== 'undefined' && window.addEventListener) {
+      window.addEventListener('online', this._onOnline);
+    }
+    this._onLoggedOut = () => {
+      this.clear().catch(error => this._logger.warn('Unable to clear the offline queue:', error));
+    };
+    this._connection.addEventListener('loggedOut', this._onLoggedOut);
+  }
+
+  /**
+   * Add an event listener.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to add.
+   */
+  addEventListener(name, handler) {
+    this._emitter.on(name, handler);
+  }
+
+  /**
+   * Remove an event listener.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to remove.
+   */
+  removeEventListener(name, handler) {
+    this._emitter.off(name, handler);
+  }
+
+  /**
+   * Fire an event.
+   *
+   * @param {string} name - Name of the event.
+   * @param {[]} args - Arguments.
+   * @private
+   */
+  fireEvent(name, args = []) {
+    this._emitter.emit(name, ...args);
+  }
+
+  /**
+   * Get the queued requests.
+   *
+   * @returns {Promise.<Object[]>} Promise containing the queued requests, in the order in which they are sent.
+   */
+  getItems() {
+    return this._store.request('readonly', store => store.getAll());
+  }
+
+  /**
+   * Remove all queued requests without sending them.
+   *
+   * @returns {Promise} Promise which resolves once the queue is empty.
+   */
+  clear() {
+    return this._store.request('readwrite', store => store.clear())
+      .then(() => {
+        this._size = 0;
+      });
+  }
+
+  /**
+   * Send the queued requests again, one by one in the order in which they were made. Sending stops when the network
+   * fails again or the server fails with a 5xx status. The remaining requests are sent on the next attempt.
+   *
+   * When the server rejects a request with any other error, the `resolveConflict` option decides whether the request
+   * is dropped or sent again in a different form. Requests queued for another scope are dropped without sending them.
+   *
+   * @returns {Promise.<number>} Promise containing the number of requests which are still queued.
+   * @emits {Event} 'replayed' With arguments: [request, result] when a queued request was sent successfully.
+   * @emits {Event} 'replayfailed' With arguments: [request, error] when the server rejected a queued request, or it
+   * was queued for another scope, and it was dropped.
+   */
+  replay() {
+    if (!this._replay) {
+      this._replay = this._ready
+        // The scope of the connection is known once its token has been restored.
+        .then(available => available ? this._connection.restored.then(() => this._replayNext()) : null)
+        .then(() => {
+          this._replay = null;
+          return this._size;
+        }, () => {
+          this._replay = null;
+          return this._size;
+        });
+    }
+    return this._replay;
+  }
+
+  /**
+   * Stop queueing the requests of the connection. Requests which are still queued remain stored, and are sent once
+   * a new queue is created for the same database.
+   *
+   * @returns {Promise} Promise which resolves once the database is closed.
+   */
+  close() {
+    this._connection.removeMiddleware(this._middleware);
+    this._connection.removeEventListener('loggedOut', this._onLoggedOut);
+    /* istanbul ignore else */
+    if (typeof window !== 'undefined' && window.removeEventListener) {
+      window.removeEventListener('online', this._onOnline);
+    }
+    return this._store.close();
+  }
+
+  /**
+   * The middleware through which the requests of the connection are passed.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @param {Function} next - Function passing the request on.
+   * @returns {Promise} Promise containing the result of the request.
+   * @throws {Promise.<OfflineError>} If the request was queued.
+   * @private
+   */
+  _handleRequest(context, next) {
+    if (context.type !== 'request' || context.options.queue === false) {
+      return next();
+    }
+    const queueable = this._settings.methods.indexOf(context.method) !== -1 &&
+      (context.body === null || typeof context.body === 'string');
+    if (!queueable) {
+      return next()
+        .then(result => {
+          if (this._size > 0) {
+            this.replay();
+          }
+          return result;
+        });
+    }
+    return this._ready
+      .then(available => {
+        if (!available) {
+          return next();
+        }
+        if (this._size > 0) {
+          // Sending the request now would overtake the requests queued earlier.
+          const queued = this._enqueue(context);
+          queued.catch(() => this.replay());
+          return queued;
+        }
+        return next()
+          .catch(error => {
+            // Errors of the SDK are answers of the server, or cancellations. Anything else is a network failure.
+            if (error instanceof SdkError) {
+              return Promise.reject(error);
+            }
+            return this._enqueue(context);
+          });
+      });
+  }
+
+  /**
+   * Store a request in the queue.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @returns {Promise} Promise which is rejected once the request is stored.
+   * @throws {Promise.<OfflineError>} The error holding the queued request.
+   * @emits {Event} 'queued' With arguments: [request] when the request was queued.
+   * @private
+   */
+  _enqueue(context) {
+    const item = {
+      method: context.method,
+      url: context.url,
+      body: context.body,
+      scope: this._getScope(),
+      queued: Date.now()
+    };
+    this._size++;
+    return this._store.request('readwrite', store => store.add(item))
+      .then(id => {
+        item.id = id;
+        this.fireEvent('queued', [item]);
+        return Promise.reject(
+          new OfflineError('The request was queued to be sent once the network is available again.', item));
+      }, error => {
+        this._size--;
+        return Promise.reject(error);
+      });
+  }
+
+  /**
+   * Send the first queued request, and the ones after it.
+   *
+   * @returns {Promise} Promise which resolves once the queue is empty.
+   * @throws {Promise.<Error>} If a request could not be sent.
+   * @private
+   */
+  _replayNext() {
+    return this._store.request('readonly', store => store.getAll(null, 1))
+      .then(items => {
+        if (!items.length) {
+          return null;
+        }
+        const item = items[0];
+        if (item.scope !== this._getScope()) {
+          this.fireEvent('replayfailed', [item, new SdkError('The request was queued for another scope')]);
+          return this._dequeue(item)
+            .then(() => this._replayNext());
+        }
+        return this._connection._secureAjax(item.method, item.url, item.body, {queue: false, retry: false})
+          .then(result => {
+            this.fireEvent('replayed', [item, result]);
+            return this._dequeue(item);
+          }, error => {
+            if (!(error instanceof ApiError) || error.status >= 500) {
+              return Promise.reject(error);
+            }
+            return this._resolveConflict(item, error);
+          })
+          .then(() => this._replayNext());
+      });
+  }
+
+  /**
+   * Decide what to do with a queued request which the server rejected.
+   *
+   * @param {Object} item - The queued request.
+   * @param {ApiError} error - The error with which the server rejected the request.
+   * @returns {Promise} Promise which resolves once the request is dropped or replaced.
+   * @emits {Event} 'replayfailed' With arguments: [request, error] when the request was dropped.
+   * @private
+   */
+  _resolveConflict(item, error) {
+    const resolveConflict = this._settings.resolveConflict;
+    return Promise.resolve(resolveConflict ? resolveConflict(item, error) : null)
+      .then(replacement => {
+        if (!replacement) {
+          this.fireEvent('replayfailed', [item, error]);
+          return this._dequeue(item);
+        }
+        const updated = Object.assign({}, replacement, {id: item.id});
+        return this._store.request('readwrite', store => store.put(updated));
+      });
+  }
+
+  /**
+   * Get the scope of the connection, which the queued requests belong to.
+   *
+   * @returns {?string} The scope, or `null` if unknown.
+   * @private
+   */
+  _getScope() {
+    return this._connection.scope ? this._connection.scope.toString() : null;
+  }
+
+  /**
+   * Remove a request from the queue.
+   *
+   * @param {Object} item - The queued request.
+   * @returns {Promise} Promise which resolves once the request is removed.
+   * @private
+   */
+  _dequeue(item) {
+    return this._store.request('readwrite', store => store.delete(item.id))
+      .then(() => {
+        this._size--;
+      });
+  }
+}
+
+/**
+ * The name of the object store holding the queued requests.
+ *
+ * @type {string}
+ */
+OfflineQueue.STORE = 'requests';
@@ -1,4 +1,5 @@
 import Organisation from './organisation';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the Organisation model.
@@ -20,18 +21,19 @@ export default class OrganisationController {
    * Create an organisation. The organisation will be owned by the current active tenant.
    *
    * @param {Organisation} organisation - Object to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Organisation>} Promise containing the newly created Organisation.
-   * @throws {Promise.<Error>} organisation parameter of type "Organisation" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} organisation parameter of type "Organisation" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createOrganisation(organisation) {
+  createOrganisation(organisation, options) {
     if (!(organisation instanceof Organisation)) {
-      return Promise.reject(new Error('organisation parameter of type "Organisation" is required'));
+      return Promise.reject(new ValidationError('organisation parameter of type "Organisation" is required'));
     }
     const url = this._connection._settings.apiUrl + '/organisations';
     const fd = JSON.stringify(organisation);
 
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new Organisation(data.id, data.name);
         result.created = new Date(data.created);
@@ -44,17 +46,18 @@ export default class OrganisationController {
    * Get an organisation the current tenant is the owner of.
    *
    * @param {string} organisationId - Specify an organisation identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Organisation>} Promise containing an Organisation.
-   * @throws {Promise.<Error>} organisationId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} organisationId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getOrganisation(organisationId) {
+  getOrganisation(organisationId, options) {
     if (typeof organisationId !== 'string') {
-      return Promise.reject(new Error('organisationId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('organisationId parameter of type "string" is required'));
     }
     const url = this._connection._settings.apiUrl + '/organisations/' + organisationId;
 
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const organisation = new Organisation(data.id, data.name);
         organisation.created = new Date(data.created);
@@ -66,13 +69,14 @@ export default class OrganisationController {
   /**
    * Get and return all organisations the current tenant is the owner of.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Organisation[]>} Promise containing an array of Organisations.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getOrganisations() {
+  getOrganisations(options) {
     const url = this._connection._settings.apiUrl + '/organisations';
 
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const organisation = new Organisation(datum.id, datum.name);
         organisation.created = new Date(datum.created);
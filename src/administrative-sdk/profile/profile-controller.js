@@ -1,4 +1,5 @@
 import Profile from './profile';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the Profile model.
@@ -20,17 +21,18 @@ export default class ProfileController {
    * Get the profile of the given user active in the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} userId - Specify a User identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Profile>} Promise containing a Profile.
-   * @throws {Promise.<Error>} userId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} userId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getProfile(userId) {
+  getProfile(userId, options) {
     if (typeof userId !== 'string') {
-      return Promise.reject(new Error('userId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('userId parameter of type "string" is required'));
     }
     const url = this._connection._settings.apiUrl + '/profiles/' + userId;
 
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const profile = new Profile(data.firstName, data.lastName, data.infix, data.gender, new Date(data.birthDate));
         profile.created = new Date(data.created);
@@ -42,12 +44,13 @@ export default class ProfileController {
   /**
    * Get and return all profiles of all users in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Profile[]>} Array of Profiles.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  getProfiles() {
+  getProfiles(options) {
     const url = this._connection._settings.apiUrl + '/profiles';
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const profile = new Profile(datum.firstName, datum.lastName, datum.infix, datum.gender,
           new Date(datum.birthDate));
@@ -1,14 +1,14 @@
 /* eslint-disable
  camelcase
  */
-import Base64Utils from '../utils/base64-utils';
-import Connection from '../connection/connection-controller';
+import AudioFile from '../../audio/audio-file';
 import Phoneme from '../phoneme/phoneme';
 import PronunciationAnalysis from './pronunciation-analysis';
 import PronunciationChallenge from '../pronunciation-challenge/pronunciation-challenge';
+import StreamingEngine from '../streaming-session/streaming-engine';
+import ValidationError from '../errors/validation-error';
 import Word from '../word/word';
 import WordChunk from '../word-chunk/word-chunk';
-import when from 'when';
 
 /**
  * Controller class for the PronunciationAnalysis model.
@@ -24,6 +24,41 @@ export default class PronunciationAnalysisController {
      * @type {Connection}
      */
     this._connection = connection;
+
+    /**
+     * The engine streaming the audio of the analyses.
+     * @type {StreamingEngine}
+     */
+    this._engine = new StreamingEngine(connection, {
+      type: 'pronunciation',
+      logger: 'pronunciation-analysis',
+      name: 'analysis',
+      init: 'init_analysis',
+      finish: 'analyse',
+      progress: true,
+      errors: {
+        'nl.itslanguage.ref_alignment_failed': 'Reference alignment failed',
+        'nl.itslanguage.alignment_failed': 'Alignment failed',
+        'nl.itslanguage.analysis_failed': 'Analysis failed'
+      },
+      validate(challenge) {
+        if (!(challenge instanceof PronunciationChallenge)) {
+          throw new ValidationError('challenge parameter of type "PronunciationChallenge" is required');
+        }
+        if (typeof challenge.id !== 'string') {
+          throw new ValidationError('challenge.id field of type "string" is required');
+        }
+      },
+      // Alignment may not be successful, in which case the analysis holds just the basic metadata.
+      createModel: (challenge, data) => new PronunciationAnalysis(
+        challenge.id, data.userId, data.id,
+        new Date(data.created), new Date(data.updated),
+        connection.addAccessToken(data.audioUrl),
+        data.score, data.confidenceScore,
+        data.words && PronunciationAnalysisController._wordsToModels(data.words)
+      ),
+      createProgress: progress => ({progress})
+    });
   }
 
   /**
@@ -50,183 +85,63 @@ export default class PronunciationAnalysisController {
   }
 
   /**
-   * Initialise the pronunciation analysis challenge through RPCs.
-   *
-   * @param {PronunciationChallenge} challenge - Challenge.
-   * @private
-   */
-  pronunciationAnalysisInitChallenge(challenge) {
-    return this._connection.call('pronunciation.init_challenge',
-      [this._connection._analysisId, challenge.id]);
-  }
-
-  /**
-   * Initialise the pronunciation analysis audio specs through RPCs.
+   * Start a pronunciation analysis from streaming audio. Several sessions may stream over the connection at once,
+   * each with a recorder of its own.
    *
-   * @param {AudioRecorder} recorder - AudioRecorder.
-   * @param {Function} dataavailableCb - Callback.
-   * @private
+   * @param {PronunciationChallenge} challenge - The pronunciation challenge to perform.
+   * @param {AudioRecorder} recorder - The audio recorder to extract audio from.
+   * @param {?boolean} trim - Whether to trim the start and end of recorded audio (default: true).
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * signal - An `AbortSignal` to cancel the session with. The recorder is stopped when the session is cancelled.
+   * @returns {StreamingSession} The session, which is returned at once. The {@link StreamingSession#result} of the
+   * session is a Promise containing a {@link PronunciationAnalysis}, which is rejected with the errors below.
+   * @emits {Event} 'ready' on the session, when the server is ready to receive audio. The recorder can now record.
+   * @emits {Event} 'alignmentprogress' With arguments: [alignment] on the session, when the sent audio has finished
+   * alignment. Aligning audio is the process of mapping the audio to spoken words and determining when what is said.
+   * The alignment holds a property 'progress', which is the sent audio alignment.
+   * @throws {Promise.<ValidationError>} challenge parameter of type "PronunciationChallenge" is required.
+   * @throws {Promise.<ValidationError>} challenge.id field of type "string" is required.
+   * @throws {Promise.<Error>} If the connection is not open.
+   * @throws {Promise.<Error>} If the recorder is already recording.
+   * @throws {Promise.<Error>} If the recorder is used by another session in progress.
+   * @throws {Promise.<CancellationError>} If the session was cancelled.
+   * @throws {Promise.<TimeoutError>} If the server did not answer the session in time.
+   * @throws {Promise.<RpcError>} If something went wrong during analysis.
+   * @throws {Promise.<StreamingError>} If the server could not finish the analysis, with the partial analysis
+   * as model.
    */
-  pronunciationAnalysisInitAudio(recorder, dataavailableCb) {
-    // Indicate to the socket server that we're about to start recording a
-    // challenge. This allows the socket server some time to fetch the metadata
-    // and reference audio to start the analysis when audio is actually submitted.
-    const specs = recorder.getAudioSpecs();
-    return this._connection.call('pronunciation.init_audio',
-      [this._connection._analysisId, specs.audioFormat], specs.audioParameters)
-      .then(analysisId => {
-        console.log('Accepted audio parameters for analysisId after init_audio: ' + this._connection._analysisId);
-        // Start listening for streaming data.
-        recorder.addEventListener('dataavailable', dataavailableCb);
-        return analysisId;
-      });
+  startStreamingPronunciationAnalysis(challenge, recorder, trim, options) {
+    return this._engine.start(challenge, recorder, trim, options);
   }
 
   /**
-   * Start a pronunciation analysis from streaming audio.
+   * Start a pronunciation analysis of a pre-recorded audio file, like a WAV or OGG file uploaded by a user. The file
+   * is streamed to the server in chunks, like the audio of a recorder.
    *
    * @param {PronunciationChallenge} challenge - The pronunciation challenge to perform.
-   * @param {AudioRecorder} recorder - The audio recorder to extract audio from.
-   * @param {?boolean} trim - Whether to trim the start and end of recorded audio (default: true).
-   * @returns {Promise.<PronunciationAnalysis>} A {@link https://github.com/cujojs/when} Promise containing a {@link PronunciationAnalysis}.
-   * @emits {string} 'ReadyToReceive' when the call is made to receive audio. The recorder can now send audio.
-   * @emits {Object} When the sent audio has finished alignment. Aligning audio is the process of mapping the audio
-   * to spoken words and determining when what is said. An object is sent containing a property 'progress',
-   * which is the sent audio alignment, and a property 'referenceAlignment' which is the alignment of the
-   * reference audio.
-   * @throws {Promise.<Error>} challenge parameter of type "PronunciationChallenge" is required.
-   * @throws {Promise.<Error>} challenge.id field of type "string" is required.
+   * @param {Blob|ArrayBuffer} blob - The audio file, which holds 16 bit PCM WAV audio, or Opus or Vorbis OGG audio.
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * trim - Whether to trim the start and end of the audio (default: true).
+   * * signal - An `AbortSignal` to cancel the session with.
+   * @returns {StreamingSession} The session, which is returned at once. The {@link StreamingSession#result} of the
+   * session is a Promise containing a {@link PronunciationAnalysis}, which is rejected with the errors below.
+   * @emits {Event} 'alignmentprogress' With arguments: [alignment] on the session, when the sent audio has finished
+   * alignment, as described by {@link PronunciationAnalysisController#startStreamingPronunciationAnalysis}.
+   * @throws {Promise.<ValidationError>} challenge parameter of type "PronunciationChallenge" is required.
+   * @throws {Promise.<ValidationError>} challenge.id field of type "string" is required.
+   * @throws {Promise.<ValidationError>} If the file is missing, empty or not a supported WAV or OGG file.
    * @throws {Promise.<Error>} If the connection is not open.
-   * @throws {Promise.<Error>} If the recorder is already recording.
-   * @throws {Promise.<Error>} If a session is already in progress.
-   * @throws {Promise.<Error>} If something went wrong during analysis.
+   * @throws {Promise.<CancellationError>} If the session was cancelled.
+   * @throws {Promise.<TimeoutError>} If the server did not answer the session in time.
+   * @throws {Promise.<RpcError>} If something went wrong during analysis.
+   * @throws {Promise.<StreamingError>} If the server could not finish the analysis, with the partial analysis
+   * as model.
    */
-  startStreamingPronunciationAnalysis(challenge, recorder, trim) {
-    if (!(challenge instanceof PronunciationChallenge)) {
-      return Promise.reject(new Error('challenge parameter of type "PronunciationChallenge" is required'));
-    }
-    if (typeof challenge.id !== 'string') {
-      return Promise.reject(new Error('challenge.id field of type "string" is required'));
-    }
-    if (!this._connection._session) {
-      return Promise.reject(new Error('WebSocket connection was not open.'));
-    }
-    if (recorder.isRecording()) {
-      return Promise.reject(new Error('Recorder should not yet be recording.'));
-    }
-
-    if (this._connection._analysisId !== null) {
-      return Promise.reject(new Error('Session with analysisId ' + this._connection._analysisId +
-        ' still in progress.'));
-    }
-    const self = this;
-    this._connection._analyisId = null;
-    let trimAudioStart = 0.15;
-    const trimAudioEnd = 0.0;
-    if (trim === false) {
-      trimAudioStart = 0.0;
-    }
-    return new when.Promise((resolve, reject, notify) => {
-      function reportDone(data) {
-        const analysis = new PronunciationAnalysis(
-          challenge.id, data.userId, data.id,
-          new Date(data.created), new Date(data.updated),
-          self._connection.addAccessToken(data.audioUrl),
-          data.score, data.confidenceScore,
-          PronunciationAnalysisController._wordsToModels(data.words)
-        );
-        resolve({analysisId: self._connection._analysisId, analysis});
-      }
-
-      function reportProgress(progress) {
-        notify({progress, referenceAlignment: self._referenceAlignment});
-      }
-
-      function reportError(data) {
-        // Either there was an unexpected error, or the audio failed to
-        // align, in which case no analysis is provided, but just the
-        // basic metadata.
-        const analysis = new PronunciationAnalysis(
-          challenge.id, data.userId, data.id,
-          new Date(data.created), new Date(data.updated),
-          self._connection.addAccessToken(data.audioUrl));
-        reject({analysis, message: data.message});
-      }
-
-      // Start streaming the binary audio when the user instructs
-      // the audio recorder to start recording.
-      function startStreaming(chunk) {
-        const encoded = Base64Utils._arrayBufferToBase64(chunk);
-        console.log('Sending audio chunk to websocket for analysisId: ' +
-          self._connection._analysisId);
-        self._connection.call('pronunciation.write',
-          [self._connection._analysisId, encoded, 'base64'])
-          .catch(res => {
-            Connection.logRPCError(res);
-            reportError(res);
-          });
-      }
-
-      function initAnalysis(analysisId) {
-        self._connection._analysisId = analysisId;
-        console.log('Got analysisId after initialisation: ' + self._connection._analysisId);
-      }
-
-      // Stop listening when the audio recorder stopped.
-      function stopListening() {
-        recorder.removeEventListener('recorded', stopListening);
-        recorder.removeEventListener('dataavailable', startStreaming);
-
-        // When done, submit any plain text (non-JSON) to start analysing.
-        self._connection.call('pronunciation.analyse',
-          [self._connection._analysisId], {}, {receive_progress: true})
-          .progress(progress => {
-            reportProgress(progress);
-          })
-          .then(reportDone)
-          .catch(res => {
-            if (res.error === 'nl.itslanguage.ref_alignment_failed') {
-              res.kwargs.analysis.message = 'Reference alignment failed';
-            } else if (res.error === 'nl.itslanguage.alignment_failed') {
-              res.kwargs.analysis.message = 'Alignment failed';
-            } else if (res.error === 'nl.itslanguage.analysis_failed') {
-              res.kwargs.analysis.message = 'Analysis failed';
-            } else {
-              res.kwargs.analysis.message = 'Unhandled error';
-              Connection.logRPCError(res);
-            }
-            reportError(res.kwargs.analysis);
-          });
-      }
-
-      recorder.addEventListener('recorded', stopListening);
-      self._connection.call('pronunciation.init_analysis', [],
-        {
-          trimStart: trimAudioStart,
-          trimEnd: trimAudioEnd
-        })
-        .then(initAnalysis)
-        .then(() => self.pronunciationAnalysisInitChallenge(challenge))
-        .then(() => notify('ReadyToReceive'))
-        .then(() => new Promise(resolve_ => {
-          if (recorder.hasUserMediaApproval()) {
-            resolve_();
-          } else {
-            recorder.addEventListener('ready', resolve_);
-          }
-        }))
-        .then(() => self.pronunciationAnalysisInitAudio(recorder, startStreaming))
-        .catch(reject);
-    })
-      .then(res => {
-        self._connection._analysisId = null;
-        return Promise.resolve(res);
-      })
-      .catch(error => {
-        self._connection._analysisId = null;
-        Connection.logRPCError(error);
-        return Promise.reject(error);
-      });
+  analysePronunciationFromBlob(challenge, blob, options = {}) {
+    const file = new AudioFile(blob, {}, this._connection.logger.child('audio-file'));
+    return this._engine.start(challenge, file, options.trim, options);
   }
 
   /**
@@ -235,21 +150,22 @@ export default class PronunciationAnalysisController {
    *
    * @param {string} challengeId - Specify a pronunciation challenge identifier.
    * @param {string} analysisId - Specify a pronunciation analysis identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationAnalysis>} Promise containing a PronunciationAnalysis.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} {@link PronunciationAnalysis#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ValidationError>} {@link PronunciationAnalysis#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationAnalysis(challengeId, analysisId) {
+  getPronunciationAnalysis(challengeId, analysisId, options) {
     if (!challengeId) {
-      return Promise.reject(new Error('challengeId field is required'));
+      return Promise.reject(new ValidationError('challengeId field is required'));
     }
     if (!analysisId) {
-      return Promise.reject(new Error('analysisId field is required'));
+      return Promise.reject(new ValidationError('analysisId field is required'));
     }
     const url = this._connection._settings.apiUrl + '/challenges/pronunciation/' +
       challengeId + '/analyses/' + analysisId;
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(datum => {
         const analysis = new PronunciationAnalysis(challengeId, datum.userId,
           datum.id, new Date(datum.created), new Date(datum.updated),
@@ -271,20 +187,21 @@ export default class PronunciationAnalysisController {
    * @param {string} challengeId - Specify a pronunciation challenge identifier to list
    * speech recordings for.
    * @param {boolean} [detailed=false] - Returns extra analysis metadata when true.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationAnalysis[]>} Promise containing an array PronunciationAnalyses.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationAnalyses(challengeId, detailed) {
+  getPronunciationAnalyses(challengeId, detailed, options) {
     if (!challengeId) {
-      return Promise.reject(new Error('challengeId field is required'));
+      return Promise.reject(new ValidationError('challengeId field is required'));
     }
     let url = this._connection._settings.apiUrl + '/challenges/pronunciation/' +
       challengeId + '/analyses';
     if (detailed) {
       url += '?detailed=true';
     }
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const analysis = new PronunciationAnalysis(challengeId, datum.userId,
           datum.id, new Date(datum.created), new Date(datum.updated),
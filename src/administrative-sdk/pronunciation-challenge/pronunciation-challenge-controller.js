@@ -1,4 +1,5 @@
 import PronunciationChallenge from './pronunciation-challenge';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the PronunciationChallenge model.
@@ -22,25 +23,26 @@ export default class PronunciationChallengeController {
    *
    * @param {PronunciationChallenge} challenge - Object to create.
    * @param {Blob} audioBlob - Audio fragment to link to the challenge.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing the newly created PronunciationChallenge.
-   * @throws {Promise.<Error>} challenge parameter of type "PronunciationChallenge" is required.
-   * @throws {Promise.<Error>} audioBlob parameter of type "Blob" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} challenge parameter of type "PronunciationChallenge" is required.
+   * @throws {Promise.<ValidationError>} audioBlob parameter of type "Blob" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createPronunciationChallenge(challenge, audioBlob) {
+  createPronunciationChallenge(challenge, audioBlob, options) {
     if (!(challenge instanceof PronunciationChallenge)) {
-      return Promise.reject(new Error('challenge parameter of type "PronunciationChallenge" is required'));
+      return Promise.reject(new ValidationError('challenge parameter of type "PronunciationChallenge" is required'));
     }
 
     if (!(audioBlob instanceof Blob)) {
-      return Promise.reject(new Error(
+      return Promise.reject(new ValidationError(
         'audioBlob parameter of type "Blob" is required'));
     }
 
     challenge.referenceAudio = audioBlob;
     const url = this._connection._settings.apiUrl + '/challenges/pronunciation';
     const fd = JSON.stringify(challenge);
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new PronunciationChallenge(data.id, data.transcription, data.referenceAudioUrl);
         result.created = new Date(data.created);
@@ -54,16 +56,17 @@ export default class PronunciationChallengeController {
    * Get a pronunciation challenge from the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - Specify a pronunciation challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing a PronunciationChallenge.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationChallenge(challengeId) {
+  getPronunciationChallenge(challengeId, options) {
     if (!challengeId) {
-      return Promise.reject(new Error('challengeId field is required'));
+      return Promise.reject(new ValidationError('challengeId field is required'));
     }
     const url = this._connection._settings.apiUrl + '/challenges/pronunciation/' + challengeId;
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const challenge = new PronunciationChallenge(data.id, data.transcription, data.referenceAudioUrl);
         challenge.created = new Date(data.created);
@@ -77,12 +80,13 @@ export default class PronunciationChallengeController {
    * Get and return all pronunciation challenges in the current active {@link Organisation} derived from
    * the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge[]>} Promise containing a list of PronunciationChallenges.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getPronunciationChallenges() {
+  getPronunciationChallenges(options) {
     const url = this._connection._settings.apiUrl + '/challenges/pronunciation';
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const challenge = new PronunciationChallenge(datum.id, datum.transcription, datum.referenceAudioUrl);
         challenge.created = new Date(datum.created);
@@ -96,17 +100,18 @@ export default class PronunciationChallengeController {
    * Delete a pronunciation challenge from the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} challengeId - A pronunciation challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing the given challenge ID.
-   * @throws {Promise.<Error>} {@link PronunciationChallenge#id} field is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} {@link PronunciationChallenge#id} field is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  deletePronunciationChallenge(challengeId) {
+  deletePronunciationChallenge(challengeId, options) {
     if (!challengeId) {
-      return Promise.reject(new Error('challengeId field is required'));
+      return Promise.reject(new ValidationError('challengeId field is required'));
     }
     const url = this._connection._settings.apiUrl + '/challenges/pronunciation/' +
       challengeId;
-    return this._connection._secureAjaxDelete(url)
+    return this._connection._secureAjaxDelete(url, options)
       .then(() => challengeId);
   }
 }
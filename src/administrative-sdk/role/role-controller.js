@@ -1,4 +1,5 @@
 import Role from './role';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the Role model.
@@ -19,12 +20,13 @@ export default class RoleController {
   /**
    * Get and return all roles available in the API.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Role[]>} Promise containing an array of Roles.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  getRoles() {
+  getRoles(options) {
     const url = this._connection._settings.apiUrl + '/roles';
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => new Role(datum.name, datum.permissions)));
   }
 
@@ -32,16 +34,17 @@ export default class RoleController {
    * Get a single role.
    *
    * @param {string} roleId - Identifier of the role.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<Role>} Promise containing a Role.
-   * @throws {Promise.<Error>} roleId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} roleId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getRole(roleId) {
+  getRole(roleId, options) {
     if (typeof roleId !== 'string') {
-      return Promise.reject(new Error('roleId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('roleId parameter of type "string" is required'));
     }
     const url = this._connection._settings.apiUrl + '/roles/' + roleId;
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => new Role(data.name, data.permissions));
   }
 }
@@ -0,0 +1,134 @@
+/**
+ * Scope domain model. An OAuth2 token is valid within a scope, which is either a whole tenant, an organisation
+ * within the tenant, or a user within the organisation. The requests of the SDK act within the scope of the token,
+ * like creating a user in the organisation of the scope.
+ */
+export default class Scope {
+  /**
+   * @param {string} tenantId - The Tenant identifier.
+   * @param {?string} [organisationId] - The Organisation identifier, for an organisation or user scope.
+   * @param {?string} [userId] - The User identifier, for a user scope.
+   * @throws {Error} tenantId parameter of type "string" is required.
+   * @throws {Error} organisationId parameter of type "string|null" is required.
+   * @throws {Error} userId parameter of type "string|null" is required.
+   * @throws {Error} organisationId is required for a user scope.
+   */
+  constructor(tenantId, organisationId = null, userId = null) {
+    if (typeof tenantId !== 'string') {
+      throw new Error(
+        'tenantId parameter of type "string" is required');
+    }
+
+    if (organisationId !== null && typeof organisationId !== 'string') {
+      throw new Error(
+        'organisationId parameter of type "string|null" is required');
+    }
+
+    if (userId !== null && typeof userId !== 'string') {
+      throw new Error(
+        'userId parameter of type "string|null" is required');
+    }
+
+    if (userId !== null && organisationId === null) {
+      throw new Error(
+        'organisationId is required for a user scope');
+    }
+
+    /**
+     * The Tenant identifier.
+     * @type {string}
+     */
+    this.tenantId = tenantId;
+
+    /**
+     * The Organisation identifier, or `null` for a tenant scope.
+     * @type {?string}
+     */
+    this.organisationId = organisationId;
+
+    /**
+     * The User identifier, or `null` for a tenant or organisation scope.
+     * @type {?string}
+     */
+    this.userId = userId;
+  }
+
+  /**
+   * Parse the scope of an OAuth2 token, like the one returned by the token endpoint. Other scopes the token may have,
+   * like `openid`, are ignored.
+   *
+   * @param {?string} scope - The space separated scopes, like `'tenant/4/organisation/fb'`.
+   * @returns {?Scope} The scope, or `null` if the scopes do not contain a tenant scope.
+   */
+  static parse(scope) {
+    const match = /(?:^|\s)tenant\/([^/\s]+)(?:\/organisation\/([^/\s]+)(?:\/user\/([^/\s]+))?)?(?=\s|$)/
+      .exec(scope || '');
+    if (!match) {
+      return null;
+    }
+    return new Scope(match[1], match[2] || null, match[3] || null);
+  }
+
+  /**
+   * The scope of an organisation within the tenant of this scope.
+   *
+   * @param {string} organisationId - The Organisation identifier.
+   * @returns {Scope} The organisation scope.
+   */
+  organisation(organisationId) {
+    return new Scope(this.tenantId, organisationId);
+  }
+
+  /**
+   * The scope of a user within the organisation of this scope.
+   *
+   * @param {string} userId - The User identifier.
+   * @returns {Scope} The user scope.
+   * @throws {Error} If this is a tenant scope.
+   */
+  user(userId) {
+    return new Scope(this.tenantId, this.organisationId, userId);
+  }
+
+  /**
+   * The scope this scope is part of: the organisation of a user scope, or the tenant of an organisation scope.
+   *
+   * @returns {?Scope} The parent scope, or `null` for a tenant scope.
+   */
+  parent() {
+    if (this.userId !== null) {
+      return new Scope(this.tenantId, this.organisationId);
+    }
+    if (this.organisationId !== null) {
+      return new Scope(this.tenantId);
+    }
+    return null;
+  }
+
+  /**
+   * Check whether another scope is the same as this one.
+   *
+   * @param {?Scope} other - The other scope.
+   * @returns {boolean} True if both scopes are the same.
+   */
+  equals(other) {
+    return Boolean(other) && other.tenantId === this.tenantId && other.organisationId === this.organisationId &&
+      other.userId === this.userId;
+  }
+
+  /**
+   * Format the scope as the OAuth2 scope of a token request.
+   *
+   * @returns {string} The scope, like `'tenant/4/organisation/fb/user/1'`.
+   */
+  toString() {
+    let scope = 'tenant/' + this.tenantId;
+    if (this.organisationId !== null) {
+      scope += '/organisation/' + this.organisationId;
+    }
+    if (this.userId !== null) {
+      scope += '/user/' + this.userId;
+    }
+    return scope;
+  }
+}
@@ -1,4 +1,5 @@
 import SpeechChallenge from './speech-challenge';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the SpeechChallenge model.
@@ -27,25 +28,26 @@ export default class SpeechChallengeController {
    * @param {?Blob} audioBlob - Audio fragment to link to the challenge.
    * @param {?Blob} srtFile - SRT file in HTML5 Blob format to accompany the challenge.
    * @param {?Blob} image - Image file in HTML5 Blob format to accompany the challenge.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing the newly created SpeechChallenge.
-   * @throws {Promise.<Error>} speechChallenge field of type "SpeechChallenge" is required
-   * @throws {Promise.<Error>} audioBlob parameter of type "Blob" is required.
-   * @throws {Promise.<Error>} srtFile parameter of type "Blob" is required.
-   * @throws {Promise.<Error>} image parameter of type "Blob" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} speechChallenge field of type "SpeechChallenge" is required
+   * @throws {Promise.<ValidationError>} audioBlob parameter of type "Blob" is required.
+   * @throws {Promise.<ValidationError>} srtFile parameter of type "Blob" is required.
+   * @throws {Promise.<ValidationError>} image parameter of type "Blob" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createSpeechChallenge(speechChallenge, audioBlob = null, srtFile = null, image = null) {
+  createSpeechChallenge(speechChallenge, audioBlob = null, srtFile = null, image = null, options) {
     if (!(speechChallenge instanceof SpeechChallenge)) {
-      return Promise.reject(new Error('speechChallenge field of type "SpeechChallenge" is required'));
+      return Promise.reject(new ValidationError('speechChallenge field of type "SpeechChallenge" is required'));
     }
     if (audioBlob !== null && !(audioBlob instanceof Blob)) {
-      return Promise.reject(new Error('audioBlob parameter of type "Blob|null" is required'));
+      return Promise.reject(new ValidationError('audioBlob parameter of type "Blob|null" is required'));
     }
     if (srtFile !== null && !(srtFile instanceof Blob)) {
-      return Promise.reject(new Error('srtFile parameter of type "Blob|null" is required'));
+      return Promise.reject(new ValidationError('srtFile parameter of type "Blob|null" is required'));
     }
     if (image !== null && !(image instanceof Blob)) {
-      return Promise.reject(new Error('image parameter of type "Blob|null" is required'));
+      return Promise.reject(new ValidationError('image parameter of type "Blob|null" is required'));
     }
     speechChallenge.referenceAudio = audioBlob;
     speechChallenge.srt = srtFile;
@@ -53,7 +55,7 @@ export default class SpeechChallengeController {
     const fd = JSON.stringify(speechChallenge);
     const url = this._connection._settings.apiUrl + '/challenges/speech';
 
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new SpeechChallenge(data.id, data.topic, data.referenceAudioUrl, data.srtUrl, data.imageUrl);
         result.created = new Date(data.created);
@@ -68,17 +70,18 @@ export default class SpeechChallengeController {
    * `referenceAudioUrl` which is the URL to download the submitted audio file.
    *
    * @param {string} challengeId - Specify a speech challenge identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<PronunciationChallenge>} Promise containing a SpeechChallenge.
-   * @throws {Promise.<Error>} {@link SpeechChallenge#id} field of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} {@link SpeechChallenge#id} field of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getSpeechChallenge(challengeId) {
+  getSpeechChallenge(challengeId, options) {
     if (typeof challengeId !== 'string') {
-      return Promise.reject(new Error('challengeId field of type "string" is required'));
+      return Promise.reject(new ValidationError('challengeId field of type "string" is required'));
     }
     const url = this._connection._settings.apiUrl + '/challenges/speech/' + challengeId;
 
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const challenge = new SpeechChallenge(data.id, data.topic, data.referenceAudioUrl, data.srtUrl, data.imageUrl);
         challenge.created = new Date(data.created);
@@ -90,13 +93,14 @@ export default class SpeechChallengeController {
   /**
    * Get and return all speech challenges in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<SpeechChallenge[]>} Promise containing an array of SpeechChallenges.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getSpeechChallenges() {
+  getSpeechChallenges(options) {
     const url = this._connection._settings.apiUrl + '/challenges/speech';
 
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const challenge = new SpeechChallenge(datum.id,
           datum.topic, datum.referenceAudioUrl, data.srtUrl, data.imageUrl);
@@ -0,0 +1,255 @@
+/* eslint-disable
+ camelcase
+ */
+import CancellationError from '../errors/cancellation-error';
+import Connection from '../connection/connection-controller';
+import ConnectionLostError from '../errors/connection-lost-error';
+import StreamingError from '../errors/streaming-error';
+import StreamingSession from './streaming-session';
+import TimeoutError from '../errors/timeout-error';
+import when from 'when';
+
+/**
+ * Engine which streams the audio of a recorder to the websocket server for one type of challenge. The controllers of
+ * the streaming challenge types plug into it with a description of their RPCs and models, so they share the pipeline:
+ *
+ * 1. `<type>.<init>` starts a session on the server, which returns its id.
+ * 2. `<type>.init_challenge` sets the challenge of the session, after which the server is ready to receive audio.
+ * 3. `<type>.init_audio` sends the audio specs of the recorder once it has user media approval.
+ * 4. `<type>.write` sends the recorded audio, queued by the {@link StreamingSession}.
+ * 5. `<type>.<finish>` finishes the session once the recorder stopped and all audio was sent, returning the result.
+ *
+ * Every RPC is made through {@link Connection#call}. The RPCs addressing a session by its id are idempotent, so they
+ * are sent again when the connection is lost before they are answered; the server tells resent writes apart by their
+ * sequence number. A session started while the connection is being restored waits until it is open again. When the
+ * connection is lost before the server returned the id of the session, the session fails with a
+ * {@link ConnectionLostError} once the connection is restored, so it can be started again. The session is cancelled
+ * through its signal or by {@link Connection#cancelStreaming}, and errors of the server are mapped to a
+ * {@link StreamingError} holding the partial result when the server returns one. Each RPC may take the time
+ * configured by the `streaming` option of the {@link Connection}, after which the session fails with a
+ * {@link TimeoutError}.
+ *
+ * @private
+ */
+export default class StreamingEngine {
+  /**
+   * @param {Connection} connection - The connection to stream the audio over.
+   * @param {Object} options - The description of the challenge type.
+   * Valid options include:
+   * * type - The type of the session, which is the prefix of its RPCs, like `'pronunciation'`.
+   * * logger - The name of the child logger of the connection to log to.
+   * * name - The name of the result, like `'analysis'` for a result `{analysisId, analysis}`. The server returns a
+   * partial result in the `kwargs` of its error under the same name.
+   * * init - The name of the RPC starting a session, like `'init_analysis'`.
+   * * finish - The name of the RPC finishing a session, like `'analyse'`.
+   * * progress - Whether the finish RPC reports the alignment progress (default: false).
+   * * errors - The messages of the {@link StreamingError} by the URI of the error of the finish RPC. Other errors
+   * of the finish RPC have the message `'Unhandled error'`.
+   * * validate - Function throwing a {@link ValidationError} if the challenge passed to it is invalid.
+   * * createModel - Function creating the model of the result from the challenge and the data of the server. It is
+   * passed partial data when the server could not finish the session.
+   * * createProgress - Function creating the alignment progress from the progress of the finish RPC (default: the
+   * progress itself).
+   */
+  constructor(connection, options) {
+    this._connection = connection;
+    this._options = Object.assign({
+      progress: false,
+      errors: {},
+      validate() {},
+      createProgress: progress => progress
+    }, options);
+  }
+
+  /**
+   * The logger of the engine, a child of the logger of the connection.
+   *
+   * @type {Logger}
+   * @private
+   */
+  get _logger() {
+    return this._connection.logger.child(this._options.logger);
+  }
+
+  /**
+   * Start a session streaming the audio of a recorder. A recorder which has to be loaded first, like an
+   * {@link AudioFile}, is loaded before the session is opened.
+   *
+   * @param {Object} challenge - The challenge to perform.
+   * @param {AudioRecorder|AudioFile} recorder - The audio recorder to extract audio from.
+   * @param {?boolean} trim - Whether to trim the start and end of recorded audio (default: true).
+   * @param {Object} [options] - Options of the session.
+   * Valid options include:
+   * * signal - An `AbortSignal` to cancel the session with. The recorder is stopped when the session is cancelled.
+   * @returns {StreamingSession} The session, which is returned at once.
+   */
+  start(challenge, recorder, trim, options = {}) {
+    const session = new StreamingSession(this._connection, this._options.type, recorder);
+    return session._run(() => {
+      this._options.validate(challenge);
+      if (!recorder.load) {
+        return this._stream(session, challenge, trim, options);
+      }
+      // Follow the session with a when.js Promise, which passes on its progress.
+      return when(recorder.load()).then(() => this._stream(session, challenge, trim, options));
+    });
+  }
+
+  /**
+   * Stream the audio of a session.
+   *
+   * @param {StreamingSession} session - The session to stream.
+   * @param {Object} challenge - The challenge to perform.
+   * @param {?boolean} trim - Whether to trim the start and end of recorded audio.
+   * @param {Object} options - Options of the session.
+   * @returns {Promise.<Object>} A {@link https://github.com/cujojs/when} Promise containing the result of the session,
+   * which reports `'ReadyToReceive'` as progress once the server is ready to receive audio, followed by the alignment
+   * progress if the finish RPC reports it.
+   * @private
+   */
+  _stream(session, challenge, trim, options) {
+    const config = this._options;
+    const connection = this._connection;
+    const logger = this._logger;
+    const recorder = session.recorder;
+    const idName = config.name + 'Id';
+    if (connection.state === 'reconnecting') {
+      // Start streaming once the connection is restored.
+      return connection.connect().then(() => this._stream(session, challenge, trim, options));
+    }
+    if (connection.state !== 'open') {
+      return Promise.reject(new Error('WebSocket connection was not open.'));
+    }
+    if (recorder.isRecording()) {
+      return Promise.reject(new Error('Recorder should not yet be recording.'));
+    }
+    const signal = options.signal;
+    if (signal && signal.aborted) {
+      return Promise.reject(new CancellationError());
+    }
+    session.open();
+    let stopListeningForAbort = null;
+    return new when.Promise((resolve, reject, notify) => {
+      function reportError(error, message = error.message) {
+        // Either there was an unexpected error, or the server could not finish the session, in which case it returns
+        // the partial result with just the basic metadata.
+        const data = error.kwargs && error.kwargs[config.name];
+        if (!data) {
+          reject(error);
+          return;
+        }
+        reject(new StreamingError(message, error.uri, config.createModel(challenge, data)));
+      }
+
+      // Stream the audio as the recorder records it.
+      function writeChunk(chunk) {
+        logger.debug('Sending audio chunk to websocket for ' + idName + ': ' + session.id);
+        session.write(chunk)
+          .catch(error => {
+            if (error instanceof CancellationError) {
+              // The session was cancelled before the audio was sent.
+              return;
+            }
+            Connection.logRPCError(error, logger);
+            reportError(error);
+          });
+      }
+
+      // Finish the session when the recorder stopped. Wait until the audio was sent first, so none of it is lost.
+      function finish() {
+        session.removeRecorderListener('recorded', finish);
+        session.removeRecorderListener('dataavailable', writeChunk);
+        session.drain()
+          .then(() => {
+            const procedure = config.type + '.' + config.finish;
+            if (!config.progress) {
+              return session._timeout('result', connection.call(procedure, [session.id], {}, {idempotent: true}));
+            }
+            return session._timeout('result', connection.call(procedure, [session.id], {}, {
+              receive_progress: true,
+              idempotent: true
+            }))
+              .progress(progress => notify(config.createProgress(progress)));
+          })
+          .then(data => {
+            const result = {};
+            result[idName] = session.id;
+            result[config.name] = config.createModel(challenge, data);
+            resolve(result);
+          })
+          .catch(error => {
+            if (error instanceof CancellationError) {
+              // The session was cancelled while its audio was sent.
+              return;
+            }
+            if (error instanceof TimeoutError || error instanceof ConnectionLostError) {
+              reject(error);
+              return;
+            }
+            let message = config.errors[error.uri];
+            if (!message) {
+              message = 'Unhandled error';
+              Connection.logRPCError(error, logger);
+            }
+            reportError(error, message);
+          });
+      }
+
+      stopListeningForAbort = Connection._onAbort(signal, () => {
+        session.removeRecorderListener('recorded', finish);
+        session.removeRecorderListener('dataavailable', writeChunk);
+        session.cancel();
+      });
+      // The session is cancelled through the signal or by Connection#cancelStreaming.
+      session.addEventListener('cancel', reject);
+
+      session.addRecorderListener('recorded', finish);
+      // Timing out after the server assigned the id aborts the session on the server.
+      session._timeout('init', connection.call(config.type + '.' + config.init, [], {
+        trimStart: trim === false ? 0.0 : 0.15,
+        trimEnd: 0.0
+      })
+        .then(id => {
+          session.id = id;
+          logger.debug('Got ' + idName + ' after initialisation: ' + session.id);
+        }))
+        .then(() => session._timeout('init',
+          connection.call(config.type + '.init_challenge', [session.id, challenge.id], {}, {idempotent: true})))
+        .then(() => notify('ReadyToReceive'))
+        .then(() => new Promise(approved => {
+          if (recorder.hasUserMediaApproval()) {
+            approved();
+          } else {
+            session.addRecorderListener('ready', approved);
+          }
+        }))
+        .then(() => {
+          if (session.cancelled) {
+            throw new CancellationError();
+          }
+          // Indicate to the socket server that we're about to start recording. This allows the socket server some
+          // time to fetch the metadata and reference audio before the audio is actually submitted.
+          const specs = recorder.getAudioSpecs();
+          return session._timeout('init', connection.call(config.type + '.init_audio',
+            [session.id, specs.audioFormat], specs.audioParameters, {idempotent: true}));
+        })
+        .then(() => {
+          logger.debug('Accepted audio parameters for ' + idName + ' after init_audio: ' + session.id);
+          session.addRecorderListener('dataavailable', writeChunk);
+        })
+        .catch(reject);
+    })
+      .then(result => {
+        stopListeningForAbort();
+        session.close();
+        return result;
+      }, error => {
+        stopListeningForAbort();
+        session.close();
+        if (!(error instanceof CancellationError)) {
+          Connection.logRPCError(error, logger);
+        }
+        return Promise.reject(error);
+      });
+  }
+}
@@ -0,0 +1,566 @@
+import Base64Utils from '../utils/base64-utils';
+import CancellationError from '../errors/cancellation-error';
+import TimeoutError from '../errors/timeout-error';
+import ee from 'event-emitter';
+import when from 'when';
+
+/**
+ * A session streaming audio to the websocket server, like a pronunciation analysis. It is returned by the
+ * `startStreaming*` methods of the {@link AdministrativeSDK}, such as
+ * {@link AdministrativeSDK#startStreamingPronunciationAnalysis}, as soon as the session is started. Its outcome is
+ * reported by its {@link StreamingSession#result} and by events:
+ *
+ * ```js
+ * const session = sdk.startStreamingPronunciationAnalysis(challenge, recorder);
+ * session.addEventListener('ready', () => recorder.record());
+ * session.addEventListener('alignmentprogress', alignment => {});
+ * session.result.then(({analysis}) => {});
+ * ```
+ *
+ * The alignment progress can be iterated over as well, where async iteration is supported:
+ *
+ * ```js
+ * for await (const alignment of session) {}
+ * ```
+ *
+ * The session owns the identifier the server assigned to it and the listeners it added to its recorder, so several
+ * sessions can stream over the same {@link Connection} at once. Each session needs a recorder of its own. The sessions
+ * in progress are listed by {@link Connection#sessions}. When a session is cancelled, the server is asked to abort it
+ * as well.
+ *
+ * The audio is written through a queue. Only a limited number of writes wait for the server at once, as configured
+ * by the `streaming` option of the {@link Connection}, and the audio queued meanwhile is combined into larger writes.
+ * Each write carries a sequence number, so the server can tell whether audio went missing or was received twice. A
+ * write which was not answered before the connection was lost is sent again once the connection is restored.
+ *
+ * Each phase of the session which waits for the server may take a limited time, also configured by the `streaming`
+ * option. When the server does not answer in time, the session is ended and rejected with a {@link TimeoutError}.
+ *
+ * For compatibility with earlier versions, a session is also a {@link https://github.com/cujojs/when} Promise of its
+ * result which reports `'ReadyToReceive'` and the alignment progress as progress.
+ */
+export default class StreamingSession {
+  /**
+   * @param {Connection} connection - The connection the session streams over.
+   * @param {string} type - The type of session: `'pronunciation'`, `'recording'` or `'choice'`.
+   * @param {AudioRecorder} recorder - The audio recorder the session streams the audio of.
+   */
+  constructor(connection, type, recorder) {
+    this._connection = connection;
+    this._type = type;
+    this._recorder = recorder;
+    this._id = null;
+    this._cancelled = false;
+    this._expired = false;
+    this._emitter = ee({});
+    this._logger = connection.logger.child('session');
+
+    /**
+     * The listeners added to the recorder which have not been removed yet.
+     *
+     * @type {Object[]}
+     */
+    this._listeners = [];
+
+    /**
+     * The writes waiting to be sent, oldest first.
+     *
+     * @type {Object[]}
+     */
+    this._queue = [];
+    this._inFlightWrites = 0;
+    this._bufferedAmount = 0;
+    this._sequence = 0;
+
+    /**
+     * The alignment progress reported so far.
+     *
+     * @type {Object[]}
+     */
+    this._alignments = [];
+    this._settled = false;
+    this._deferred = when.defer();
+    this._result = new Promise((resolve, reject) => this._deferred.promise.then(resolve, reject));
+    // The result is rejected when the session fails, even if it is only used through the events.
+    this._result.catch(() => {});
+    this._deferred.promise.then(result => {
+      this._settled = true;
+      this._emitter.emit('done', result);
+    }, error => {
+      this._settled = true;
+      this._emitter.emit('error', error);
+    }, progress => {
+      if (progress === 'ReadyToReceive') {
+        this._emitter.emit('ready');
+      } else {
+        this._alignments.push(progress);
+        this._emitter.emit('alignmentprogress', progress);
+      }
+    });
+  }
+
+  /**
+   * The identifier the server assigned to the session, or `null` if it was not initialised yet.
+   *
+   * @type {?string}
+   */
+  get id() {
+    return this._id;
+  }
+
+  set id(id) {
+    this._id = id;
+    if ((this._cancelled || this._expired) && id !== null) {
+      // The session was cancelled or timed out while the server was starting it.
+      this._abort();
+    }
+  }
+
+  /**
+   * The type of session: `'pronunciation'`, `'recording'` or `'choice'`.
+   *
+   * @type {string}
+   */
+  get type() {
+    return this._type;
+  }
+
+  /**
+   * The audio recorder the session streams the audio of.
+   *
+   * @type {AudioRecorder}
+   */
+  get recorder() {
+    return this._recorder;
+  }
+
+  /**
+   * Whether the session was cancelled.
+   *
+   * @type {boolean}
+   */
+  get cancelled() {
+    return this._cancelled;
+  }
+
+  /**
+   * Promise containing the result of the session, like the {@link PronunciationAnalysis} of a pronunciation analysis.
+   * It is rejected with a {@link CancellationError} if the session is cancelled.
+   *
+   * @type {Promise.<Object>}
+   */
+  get result() {
+    return this._result;
+  }
+
+  /**
+   * The number of bytes of audio written to the session which the server did not receive yet. It grows when the
+   * connection cannot keep up with the recorder.
+   *
+   * @type {number}
+   */
+  get bufferedAmount() {
+    return this._bufferedAmount;
+  }
+
+  /**
+   * Whether the session is in progress.
+   *
+   * @type {boolean}
+   */
+  get active() {
+    return this._connection.sessions.indexOf(this) !== -1;
+  }
+
+  /**
+   * Start the session, adding it to the sessions in progress of the connection.
+   *
+   * @throws {Error} If the recorder is used by another session in progress.
+   * @private
+   */
+  open() {
+    const other = this._connection.sessions.find(session => session.recorder === this._recorder);
+    if (other) {
+      throw new Error('Recorder is already used by the ' + other.type + ' session with id ' + other.id + '.');
+    }
+    this._connection._addSession(this);
+  }
+
+  /**
+   * End the session, removing the listeners it added to the recorder.
+   *
+   * @private
+   */
+  close() {
+    this._listeners.slice().forEach(({name, listener}) => this.removeRecorderListener(name, listener));
+    this._connection._removeSession(this);
+  }
+
+  /**
+   * Cancel the session. The session is ended, the recorder is stopped if it is recording and the server is asked to
+   * abort the session. Nothing happens if the session is not in progress.
+   *
+   * @emits {Event} 'cancel' With arguments: [CancellationError] on the session, for the controller to reject the
+   * session with.
+   * @emits {Event} 'sessioncancelled' With arguments: [session] on the connection.
+   */
+  cancel() {
+    if (this._cancelled || !this.active) {
+      return;
+    }
+    this._cancelled = true;
+    this._end();
+    this._emitter.emit('cancel', new CancellationError());
+    this._connection.fireEvent('sessioncancelled', [this]);
+  }
+
+  /**
+   * Write a chunk of audio to the server. The chunk is queued until fewer writes than the `maxInFlightWrites` wait
+   * for the server. The audio is sent as binary if the connection negotiated MessagePack with the server, and in
+   * base64 otherwise, as described by {@link Connection#audioEncoding}.
+   *
+   * @param {ArrayBuffer} chunk - The audio.
+   * @returns {Promise} Promise which resolves once the server received the audio.
+   * @throws {Promise.<CancellationError>} If the session was cancelled or timed out before the audio was sent.
+   * @throws {Promise.<RpcError>} If the server did not accept the audio.
+   * @throws {Promise.<TimeoutError>} If the server did not receive the audio in time.
+   * @private
+   */
+  write(chunk) {
+    if (this._cancelled || this._expired) {
+      return Promise.reject(new CancellationError());
+    }
+    return new Promise((resolve, reject) => {
+      this._queue.push({chunk, resolve, reject});
+      this._bufferedAmount += chunk.byteLength;
+      this._flush();
+    });
+  }
+
+  /**
+   * Wait until the server received all audio written to the session, so none of it is lost when the session is
+   * finished. Failed writes count as done, their errors are reported by {@link StreamingSession#write}.
+   *
+   * @returns {Promise} Promise which resolves once no audio is queued or waiting for the server.
+   * @throws {Promise.<CancellationError>} If the session was cancelled or timed out.
+   * @emits {Event} 'drained' When the last audio written was received by the server.
+   */
+  drain() {
+    if (this._queue.length || this._inFlightWrites) {
+      return new Promise(resolve => this._emitter.once('drained', resolve)).then(() => this.drain());
+    }
+    return this._cancelled || this._expired ? Promise.reject(new CancellationError()) : Promise.resolve();
+  }
+
+  /**
+   * Add an event listener. The session emits:
+   * * ready - When the server is ready to receive audio. The recorder can now record.
+   * * alignmentprogress - With arguments: [alignment], when the audio sent so far was aligned to the words of a
+   * pronunciation challenge. The alignment holds the `progress`.
+   * * chunksent - With arguments: [sequence number, number of bytes], when the server received a write of audio.
+   * * error - With arguments: [error], when the session failed or was cancelled.
+   * * done - With arguments: [result], when the session finished, like the {@link StreamingSession#result}.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to add.
+   */
+  addEventListener(name, handler) {
+    this._emitter.on(name, handler);
+  }
+
+  /**
+   * Remove an event listener.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to remove.
+   */
+  removeEventListener(name, handler) {
+    this._emitter.off(name, handler);
+  }
+
+  /**
+   * Use the result of the session as a {@link https://github.com/cujojs/when} Promise.
+   *
+   * @deprecated Use the {@link StreamingSession#result} and the events of the session instead.
+   * @param {Function} [onFulfilled] - Called with the result of the session.
+   * @param {Function} [onRejected] - Called with the error if the session failed.
+   * @param {Function} [onProgress] - Called with `'ReadyToReceive'` and the alignment progress.
+   * @returns {Promise} A when.js Promise.
+   */
+  then(onFulfilled, onRejected, onProgress) {
+    return this._deferred.promise.then(onFulfilled, onRejected, onProgress);
+  }
+
+  /**
+   * Handle the failure of the session as a {@link https://github.com/cujojs/when} Promise.
+   *
+   * @deprecated Use the {@link StreamingSession#result} and the events of the session instead.
+   * @param {Function} onRejected - Called with the error if the session failed.
+   * @returns {Promise} A when.js Promise.
+   */
+  catch(onRejected) {
+    return this._deferred.promise.catch(onRejected);
+  }
+
+  /**
+   * Listen to the progress of the session as a {@link https://github.com/cujojs/when} Promise.
+   *
+   * @deprecated Use the `'ready'` and `'alignmentprogress'` events of the session instead.
+   * @param {Function} onProgress - Called with `'ReadyToReceive'` and the alignment progress.
+   * @returns {Promise} A when.js Promise.
+   */
+  progress(onProgress) {
+    return this._deferred.promise.progress(onProgress);
+  }
+
+  /**
+   * Run the session, reporting the outcome of the given function as its result.
+   *
+   * @param {Function} run - Function streaming the session. It returns a when.js Promise of the result, which
+   * reports `'ReadyToReceive'` and the alignment progress as progress.
+   * @returns {StreamingSession} The session.
+   * @private
+   */
+  _run(run) {
+    when.try(run).then(this._deferred.resolve, this._deferred.reject, this._deferred.notify);
+    return this;
+  }
+
+  /**
+   * Iterate over the alignment progress of the session, from the start of the session until it finishes. The
+   * iteration fails with the error of the session if it failed.
+   *
+   * @returns {Object} The async iterator.
+   * @private
+   */
+  _iterateAlignments() {
+    let index = 0;
+    let waiting = null;
+    // Wake the pending call of next() on each alignment, and once the session finishes.
+    function wake() {
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve();
+      }
+    }
+    const finish = () => {
+      this._emitter.off('alignmentprogress', wake);
+      this._emitter.off('done', finish);
+      this._emitter.off('error', finish);
+      wake();
+    };
+    if (!this._settled) {
+      this._emitter.on('alignmentprogress', wake);
+      this._emitter.on('done', finish);
+      this._emitter.on('error', finish);
+    }
+    const next = () => {
+      if (index < this._alignments.length) {
+        return Promise.resolve({value: this._alignments[index++], done: false});
+      }
+      if (this._settled) {
+        return this._result.then(() => ({value: undefined, done: true}));
+      }
+      return new Promise(resolve => {
+        waiting = resolve;
+      }).then(next);
+    };
+    return {next};
+  }
+
+  /**
+   * Listen to an event of the recorder for as long as the session is in progress.
+   *
+   * @param {string} name - The name of the event.
+   * @param {Function} listener - The listener.
+   * @private
+   */
+  addRecorderListener(name, listener) {
+    this._listeners.push({name, listener});
+    this._recorder.addEventListener(name, listener);
+  }
+
+  /**
+   * Stop listening to an event of the recorder.
+   *
+   * @param {string} name - The name of the event.
+   * @param {Function} listener - The listener.
+   * @private
+   */
+  removeRecorderListener(name, listener) {
+    this._listeners = this._listeners.filter(other => other.name !== name || other.listener !== listener);
+    this._recorder.removeEventListener(name, listener);
+  }
+
+  /**
+   * Send the queued audio, as long as fewer writes than the `maxInFlightWrites` wait for the server. The chunks
+   * queued meanwhile are combined into writes of at most `maxWriteSize` bytes.
+   *
+   * @private
+   */
+  _flush() {
+    const settings = this._connection._settings.streaming;
+    while (this._queue.length && this._inFlightWrites < settings.maxInFlightWrites) {
+      const writes = [this._queue.shift()];
+      let size = writes[0].chunk.byteLength;
+      while (this._queue.length && size + this._queue[0].chunk.byteLength <= settings.maxWriteSize) {
+        size += this._queue[0].chunk.byteLength;
+        writes.push(this._queue.shift());
+      }
+      this._send(writes, size);
+    }
+    if (!this._queue.length && !this._inFlightWrites) {
+      this._emitter.emit('drained');
+    }
+  }
+
+  /**
+   * Send queued audio in one write.
+   *
+   * @param {Object[]} writes - The queued writes to send.
+   * @param {number} size - The number of bytes of their audio.
+   * @private
+   */
+  _send(writes, size) {
+    const sequence = this._sequence++;
+    const chunk = writes.length === 1 ? writes[0].chunk : StreamingSession._concat(writes.map(write => write.chunk),
+      size);
+    const args = this._connection.audioEncoding === 'binary' ? [this._id, chunk, 'binary'] :
+      [this._id, Base64Utils._arrayBufferToBase64(chunk), 'base64'];
+    this._logger.debug('Writing audio chunk ' + sequence + ' of the ' + this._type + ' session with id ' + this._id);
+    this._inFlightWrites++;
+    this._timeout('write', this._connection.call(this._type + '.write', args, {sequence}, {idempotent: true}))
+      .then(() => {
+        writes.forEach(write => write.resolve());
+        this._emitter.emit('chunksent', sequence, size);
+      }, error => writes.forEach(write => write.reject(error)))
+      .then(() => {
+        this._inFlightWrites--;
+        this._bufferedAmount -= size;
+        this._flush();
+      });
+  }
+
+  /**
+   * Limit the time a phase of the session may take, as configured by the `timeouts` of the `streaming` option of the
+   * {@link Connection}. If the phase takes longer, the session is ended: the listeners it added to the recorder are
+   * removed, the recorder is stopped and the server is asked to abort the session.
+   *
+   * @param {string} phase - The phase of the session: `'init'`, `'write'` or `'result'`.
+   * @param {Promise} promise - Promise which settles when the phase is done.
+   * @returns {Promise} A {@link https://github.com/cujojs/when} Promise which follows the given one, including its
+   * progress.
+   * @throws {Promise.<TimeoutError>} If the phase did not finish in time.
+   * @private
+   */
+  _timeout(phase, promise) {
+    const timeouts = this._connection._settings.streaming.timeouts;
+    const timeout = Object.assign({}, timeouts, timeouts[this._type])[phase];
+    if (!timeout) {
+      return when(promise);
+    }
+    return new when.Promise((resolve, reject, notify) => {
+      const timer = setTimeout(() => {
+        reject(new TimeoutError('The ' + phase + ' of the ' + this._type + ' session with id ' + this._id +
+          ' timed out after ' + timeout + ' milliseconds.', phase, timeout));
+        this._expire();
+      }, timeout);
+      when(promise).then(result => {
+        clearTimeout(timer);
+        resolve(result);
+      }, error => {
+        clearTimeout(timer);
+        reject(error);
+      }, notify);
+    });
+  }
+
+  /**
+   * End the session because the server did not answer in time. Nothing happens if the session is not in progress.
+   *
+   * @private
+   */
+  _expire() {
+    if (this._expired || !this.active) {
+      return;
+    }
+    this._logger.warn('The ' + this._type + ' session with id ' + this._id + ' timed out');
+    this._expired = true;
+    this._end();
+  }
+
+  /**
+   * End the session early: remove the listeners it added to the recorder, drop the audio which was not sent yet,
+   * stop the recorder if it is recording and ask the server to abort the session.
+   *
+   * @private
+   */
+  _end() {
+    this.close();
+    this._dropQueue();
+    if (this._recorder.isRecording()) {
+      this._recorder.stop();
+    }
+    if (this._id !== null) {
+      this._abort();
+    }
+  }
+
+  /**
+   * Drop the audio which was not sent yet, rejecting its writes.
+   *
+   * @private
+   */
+  _dropQueue() {
+    const error = new CancellationError();
+    const dropped = this._queue;
+    this._queue = [];
+    dropped.forEach(write => {
+      this._bufferedAmount -= write.chunk.byteLength;
+      write.reject(error);
+    });
+    if (!this._inFlightWrites) {
+      this._emitter.emit('drained');
+    }
+  }
+
+  /**
+   * Ask the server to abort the session, so it stops waiting for audio.
+   *
+   * @private
+   */
+  _abort() {
+    this._logger.debug('Aborting the ' + this._type + ' session with id ' + this._id);
+    // Aborting twice has the same effect as aborting once, so the call is sent again when the connection is lost.
+    this._connection.call(this._type + '.abort', [this._id], {}, {idempotent: true})
+      .catch(error => {
+        this._logger.warn('The server did not abort the ' + this._type + ' session with id ' + this._id + ':',
+          error.message);
+      });
+  }
+
+  /**
+   * Combine chunks of audio.
+   *
+   * @param {ArrayBuffer[]} chunks - The chunks.
+   * @param {number} size - The number of bytes of the chunks together.
+   * @returns {ArrayBuffer} The combined audio.
+   * @private
+   */
+  static _concat(chunks, size) {
+    const bytes = new Uint8Array(size);
+    let offset = 0;
+    chunks.forEach(chunk => {
+      bytes.set(new Uint8Array(chunk), offset);
+      offset += chunk.byteLength;
+    });
+    return bytes.buffer;
+  }
+}
+
+const asyncIterator = typeof Symbol === 'function' && Symbol.asyncIterator;
+/* istanbul ignore else */
+if (asyncIterator) {
+  StreamingSession.prototype[asyncIterator] = StreamingSession.prototype._iterateAlignments;
+}
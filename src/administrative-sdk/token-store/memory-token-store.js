@@ -0,0 +1,42 @@
+/**
+ * Store of the OAuth2 token of a {@link Connection} which keeps it in memory, so it is lost when the page is reloaded.
+ *
+ * A token store holds a single token, which is an object containing the `accessToken`, the `refreshToken` if any and
+ * the `expiry` in milliseconds since the epoch if known. All methods return promises, so stores persisting the token
+ * asynchronously can be used interchangeably.
+ */
+export default class MemoryTokenStore {
+  constructor() {
+    this._token = null;
+  }
+
+  /**
+   * Get the stored token.
+   *
+   * @returns {Promise.<?Object>} Promise containing the token, or `null` if no token is stored.
+   */
+  get() {
+    return Promise.resolve(this._token);
+  }
+
+  /**
+   * Store a token, replacing the stored one.
+   *
+   * @param {Object} token - The token to store.
+   * @returns {Promise} Promise which resolves once the token is stored.
+   */
+  set(token) {
+    this._token = token;
+    return Promise.resolve();
+  }
+
+  /**
+   * Remove the stored token.
+   *
+   * @returns {Promise} Promise which resolves once the token is removed.
+   */
+  clear() {
+    this._token = null;
+    return Promise.resolve();
+  }
+}
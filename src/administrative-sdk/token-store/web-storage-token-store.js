@@ -0,0 +1,54 @@
+/**
+ * Store of the OAuth2 token of a {@link Connection} which keeps it in a Web Storage, like `localStorage` or
+ * `sessionStorage`. It implements the same methods as the {@link MemoryTokenStore}.
+ */
+export default class WebStorageTokenStore {
+  /**
+   * @param {Storage} storage - The storage to keep the token in.
+   * @param {string} [key] - The key to store the token under.
+   */
+  constructor(storage, key = 'itslanguage.token') {
+    this._storage = storage;
+    this._key = key;
+  }
+
+  /**
+   * Get the stored token.
+   *
+   * @returns {Promise.<?Object>} Promise containing the token, or `null` if no token is stored.
+   * @throws {Promise.<Error>} If the storage is not accessible or holds something else under the key.
+   */
+  get() {
+    return new Promise(resolve => {
+      const value = this._storage.getItem(this._key);
+      resolve(value ? JSON.parse(value) : null);
+    });
+  }
+
+  /**
+   * Store a token, replacing the stored one.
+   *
+   * @param {Object} token - The token to store.
+   * @returns {Promise} Promise which resolves once the token is stored.
+   * @throws {Promise.<Error>} If the storage is not accessible or full.
+   */
+  set(token) {
+    return new Promise(resolve => {
+      this._storage.setItem(this._key, JSON.stringify(token));
+      resolve();
+    });
+  }
+
+  /**
+   * Remove the stored token.
+   *
+   * @returns {Promise} Promise which resolves once the token is removed.
+   * @throws {Promise.<Error>} If the storage is not accessible.
+   */
+  clear() {
+    return new Promise(resolve => {
+      this._storage.removeItem(this._key);
+      resolve();
+    });
+  }
+}
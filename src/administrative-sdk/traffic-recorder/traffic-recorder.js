@@ -0,0 +1,212 @@
+import Base64Utils from '../utils/base64-utils';
+import when from 'when';
+
+/**
+ * Recorder of the requests to the REST api and the RPCs of a {@link Connection}, to debug them later. A recording
+ * holds the request, the result or error and, for RPCs, the progress reports of each. This includes the audio sent
+ * by the streaming sessions, so a session can be replayed by a {@link TrafficReplayer} exactly as it happened. Audio
+ * sent as binary is recorded in base64.
+ *
+ * The recorder passes the requests of the connection through its middleware. Requests answered by middleware added
+ * before it, like the {@link HttpCache}, are not recorded. The `Authorization` header is never recorded, neither are
+ * the credentials of the token requests.
+ *
+ * A recording is a plain object which can be saved as JSON:
+ *
+ * ```js
+ * const json = JSON.stringify(connection.recorder);
+ * ```
+ */
+export default class TrafficRecorder {
+  /**
+   * @param {Connection} connection - The connection to record the traffic of.
+   * @param {Object} [options] - Options to configure the recorder with.
+   * Valid options include:
+   * * maxEntries - The maximum number of requests to keep. The oldest requests are removed when more are recorded
+   * (default: 10000).
+   */
+  constructor(connection, options) {
+    this._settings = Object.assign({
+      maxEntries: 10000
+    }, options);
+    this._entries = [];
+    this._started = new Date();
+    this._recording = true;
+    this._connection = connection;
+    this._logger = connection.logger.child('recorder');
+    this._middleware = (context, next) => this._handleRequest(context, next);
+    this._connection.addMiddleware(this._middleware);
+  }
+
+  /**
+   * Whether requests are being recorded.
+   *
+   * @type {boolean}
+   */
+  get recording() {
+    return this._recording;
+  }
+
+  /**
+   * The recorded requests, oldest first.
+   *
+   * @type {Object[]}
+   */
+  get entries() {
+    return this._entries;
+  }
+
+  /**
+   * Resume recording requests.
+   */
+  start() {
+    this._recording = true;
+  }
+
+  /**
+   * Pause recording requests. The requests recorded so far are kept.
+   */
+  stop() {
+    this._recording = false;
+  }
+
+  /**
+   * Remove the recorded requests.
+   */
+  clear() {
+    this._entries = [];
+    this._started = new Date();
+  }
+
+  /**
+   * The recording, as it is saved as JSON.
+   *
+   * @returns {Object} The recording, holding the `version` of its format, the time it was `started` and the
+   * recorded `entries`.
+   */
+  toJSON() {
+    return {
+      version: TrafficRecorder.VERSION,
+      creator: 'itslanguage-js',
+      started: this._started.toISOString(),
+      entries: this._entries
+    };
+  }
+
+  /**
+   * The middleware through which the requests of the connection are passed.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @param {Function} next - Function passing the request on.
+   * @returns {Promise} Promise containing the result of the request.
+   * @private
+   */
+  _handleRequest(context, next) {
+    if (!this._recording) {
+      return next();
+    }
+    const started = Date.now();
+    const entry = {
+      type: context.type,
+      started: new Date(started).toISOString(),
+      time: null
+    };
+    if (context.type === 'request') {
+      entry.method = context.method;
+      entry.url = context.url;
+      entry.headers = TrafficRecorder._copy(context.headers);
+      entry.body = context.body;
+    } else {
+      entry.rpc = context.rpc;
+      entry.args = TrafficRecorder._copy(context.args);
+      entry.progress = [];
+    }
+    this._add(entry);
+    return this._record(entry, context, next());
+  }
+
+  /**
+   * Record the outcome of a request.
+   *
+   * @param {Object} entry - The entry of the request.
+   * @param {Object} context - The context of the request.
+   * @param {Promise} result - Promise containing the result of the request.
+   * @returns {Promise} The same promise, so its progress is reported as well.
+   * @private
+   */
+  _record(entry, context, result) {
+    const started = Date.parse(entry.started);
+    when(result).then(value => {
+      entry.time = Date.now() - started;
+      if (context.response) {
+        entry.status = context.response.status;
+      }
+      entry.result = TrafficRecorder._copy(value);
+    }, error => {
+      entry.time = Date.now() - started;
+      entry.error = TrafficRecorder._serializeError(error);
+    }, progress => {
+      entry.progress.push({
+        time: Date.now() - started,
+        value: TrafficRecorder._copy(progress)
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Add an entry, removing the oldest one if the recording is full.
+   *
+   * @param {Object} entry - The entry.
+   * @private
+   */
+  _add(entry) {
+    this._entries.push(entry);
+    if (this._entries.length > this._settings.maxEntries) {
+      this._logger.warn('The recording is full, removing the oldest request.');
+      this._entries.shift();
+    }
+  }
+
+  /**
+   * Copy a value the way it is saved as JSON. Binary values, like audio, are encoded in base64.
+   *
+   * @param {*} value - The value.
+   * @returns {*} The copy.
+   * @private
+   */
+  static _copy(value) {
+    if (value === undefined) {
+      return null;
+    }
+    return JSON.parse(JSON.stringify(value, (key, property) =>
+      property instanceof ArrayBuffer ? Base64Utils._arrayBufferToBase64(property) : property));
+  }
+
+  /**
+   * Describe an error the way it is saved as JSON, so it can be recreated when replaying.
+   *
+   * @param {Error} error - The error.
+   * @returns {Object} The name, message and other properties of the error.
+   * @private
+   */
+  static _serializeError(error) {
+    const serialized = {
+      name: error && error.name || 'Error',
+      message: error && error.message || String(error)
+    };
+    ['status', 'fieldErrors', 'body', 'code', 'uri', 'args', 'kwargs'].forEach(property => {
+      if (error && error[property] !== undefined) {
+        serialized[property] = TrafficRecorder._copy(error[property]);
+      }
+    });
+    return serialized;
+  }
+}
+
+/**
+ * The version of the format of the recordings.
+ *
+ * @type {number}
+ */
+TrafficRecorder.VERSION = 1;
@@ -0,0 +1,175 @@
+import ApiError from '../errors/api-error';
+import AuthenticationError from '../errors/authentication-error';
+import CancellationError from '../errors/cancellation-error';
+import RpcError from '../errors/rpc-error';
+import TrafficRecorder from './traffic-recorder';
+import when from 'when';
+
+/**
+ * Replayer of a recording made by a {@link TrafficRecorder}. It answers the requests to the REST api and the RPCs of
+ * a {@link Connection} from the recording instead of the server, so a session can be debugged exactly as it happened.
+ *
+ * Each request is answered by the first request in the recording with the same method and URL, or the same RPC, which
+ * has not been replayed yet. The results, errors and progress reports are those which were recorded. The arguments of
+ * the RPCs are not compared, as they contain the audio of the streaming sessions.
+ *
+ * The audio which was sent in a streaming session is played back by the recorder created by
+ * {@link TrafficReplayer#createRecorder}, so the controllers stream the same audio again.
+ */
+export default class TrafficReplayer {
+  /**
+   * @param {Connection} connection - The connection to answer the requests of.
+   * @param {Object|string} recording - The recording, or the JSON it was saved as.
+   * @throws {Error} recording parameter of type "Object" is required.
+   * @throws {Error} If the recording was made in an unsupported format.
+   */
+  constructor(connection, recording) {
+    const parsed = typeof recording === 'string' ? JSON.parse(recording) : recording;
+    if (!parsed || !Array.isArray(parsed.entries)) {
+      throw new Error('recording parameter of type "Object" is required');
+    }
+    if (parsed.version !== TrafficRecorder.VERSION) {
+      throw new Error('Unsupported recording version: ' + parsed.version);
+    }
+    this._entries = parsed.entries.slice();
+    this._connection = connection;
+    this._logger = connection.logger.child('replayer');
+    this._middleware = (context, next) => this._handleRequest(context, next);
+    this._connection.addMiddleware(this._middleware);
+  }
+
+  /**
+   * The requests of the recording which have not been replayed yet.
+   *
+   * @type {Object[]}
+   */
+  get pending() {
+    return this._entries;
+  }
+
+  /**
+   * Create an audio recorder which records the audio of the next streaming session in the recording. The recorder
+   * implements the methods the controllers use of the {@link AudioRecorder}. It records as soon as the controller
+   * listens for audio, and stops once all audio of the session is played back.
+   *
+   * @returns {Object} The audio recorder.
+   */
+  createRecorder() {
+    const replayer = this;
+    const listeners = {};
+    let recording = false;
+    function fire(name, ...args) {
+      (listeners[name] || []).slice().forEach(listener => listener(...args));
+    }
+    function play() {
+      recording = true;
+      replayer._takeAudio().forEach(chunk => fire('dataavailable', chunk));
+      recording = false;
+      fire('recorded');
+    }
+    return {
+      getAudioSpecs() {
+        const entry = replayer._entries.find(candidate => /\.init_audio$/.test(candidate.rpc));
+        return {
+          audioFormat: entry ? entry.args[0][1] : null,
+          audioParameters: entry && entry.args[1] || {}
+        };
+      },
+      hasUserMediaApproval: () => true,
+      isRecording: () => recording,
+      stop() {
+        recording = false;
+      },
+      addEventListener(name, listener) {
+        listeners[name] = (listeners[name] || []).concat(listener);
+        if (name === 'dataavailable') {
+          setTimeout(play);
+        }
+      },
+      removeEventListener(name, listener) {
+        listeners[name] = (listeners[name] || []).filter(other => other !== listener);
+      }
+    };
+  }
+
+  /**
+   * The middleware through which the requests of the connection are passed.
+   *
+   * @param {Object} context - The context of the request, as described by {@link Connection#addMiddleware}.
+   * @returns {Promise} Promise containing the recorded result of the request.
+   * @throws {Promise.<Error>} If the recording holds no more answers to the request.
+   * @private
+   */
+  _handleRequest(context) {
+    const description = context.type === 'request' ? context.method + ' ' + context.url : context.rpc;
+    const index = this._entries.findIndex(entry => entry.type === context.type && (context.type === 'request' ?
+      entry.method === context.method && entry.url === context.url : entry.rpc === context.rpc));
+    if (index === -1) {
+      return Promise.reject(new Error('The recording holds no more answers to ' + description));
+    }
+    const entry = this._entries.splice(index, 1)[0];
+    this._logger.debug('Replaying:', description);
+    if (context.type === 'request') {
+      return entry.error ? Promise.reject(TrafficReplayer._createError(entry.error)) :
+        Promise.resolve(TrafficRecorder._copy(entry.result));
+    }
+    return when.promise((resolve, reject, notify) => {
+      // Report progress once the caller is listening, like the server does.
+      setTimeout(() => {
+        entry.progress.forEach(progress => notify(TrafficRecorder._copy(progress.value)));
+        if (entry.error) {
+          reject(TrafficReplayer._createError(entry.error));
+        } else {
+          resolve(TrafficRecorder._copy(entry.result));
+        }
+      });
+    });
+  }
+
+  /**
+   * Take the audio of the next streaming session from the recording. The calls writing it are replayed as the
+   * controller writes the audio again.
+   *
+   * @returns {ArrayBuffer[]} The chunks of audio.
+   * @private
+   */
+  _takeAudio() {
+    const first = this._entries.find(entry => /\.write$/.test(entry.rpc));
+    if (!first) {
+      return [];
+    }
+    const sessionId = first.args[0][0];
+    return this._entries
+      .filter(entry => entry.rpc === first.rpc && entry.args[0][0] === sessionId)
+      .map(entry => {
+        const binary = atob(entry.args[0][1]);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+          bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes.buffer;
+      });
+  }
+
+  /**
+   * Recreate a recorded error.
+   *
+   * @param {Object} error - The error, as described by the recording.
+   * @returns {Error} The error.
+   * @private
+   */
+  static _createError(error) {
+    switch (error.name) {
+      case 'ApiError':
+        return new ApiError(error.message, error.status, error.fieldErrors, error.body);
+      case 'AuthenticationError':
+        return new AuthenticationError(error.message, error.status, error.code);
+      case 'CancellationError':
+        return new CancellationError(error.message);
+      case 'RpcError':
+        return new RpcError(error.message, error.uri, error.args, error.kwargs);
+      default:
+        return new Error(error.message);
+    }
+  }
+}
@@ -1,4 +1,5 @@
 import User from './user';
+import ValidationError from '../errors/validation-error';
 
 /**
  * Controller class for the User model.
@@ -20,17 +21,18 @@ export default class UserController {
    * Create a user. The user will be created in the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {User} user - User to create.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User>} Promise containing the newly created User.
-   * @throws {Promise.<Error>} user parameter of type "User" is required.
-   * @throws {Promise.<Error>} If the server returned an error.
+   * @throws {Promise.<ValidationError>} user parameter of type "User" is required.
+   * @throws {Promise.<ApiError>} If the server returned an error.
    */
-  createUser(user) {
+  createUser(user, options) {
     if (!(user instanceof User)) {
-      return Promise.reject(new Error('user parameter of type "User" is required'));
+      return Promise.reject(new ValidationError('user parameter of type "User" is required'));
     }
     const url = this._connection._settings.apiUrl + '/users';
     const fd = JSON.stringify(user);
-    return this._connection._secureAjaxPost(url, fd)
+    return this._connection._secureAjaxPost(url, fd, options)
       .then(data => {
         const result = new User(data.id, data.profile, data.groups, data.roles);
         result.created = new Date(data.created);
@@ -43,16 +45,17 @@ export default class UserController {
    * Get a user in the current active {@link Organisation} derived from the OAuth2 scope.
    *
    * @param {string} userId - Specify a user identifier.
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User>} Promise containing a User.
-   * @throws {Promise.<Error>} userId parameter of type "string" is required.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ValidationError>} userId parameter of type "string" is required.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getUser(userId) {
+  getUser(userId, options) {
     if (typeof userId !== 'string') {
-      return Promise.reject(new Error('userId parameter of type "string" is required'));
+      return Promise.reject(new ValidationError('userId parameter of type "string" is required'));
     }
     const url = this._connection._settings.apiUrl + '/users/' + userId;
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const user = new User(data.id, data.profile, data.groups, data.roles);
         user.created = new Date(data.created);
@@ -64,12 +67,13 @@ export default class UserController {
   /**
    * List all users in the current active {@link Organisation} derived from the OAuth2 scope.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User[]>} Promise containing an array of Users.
-   * @throws {Promise.<Error>} If no result could not be found.
+   * @throws {Promise.<ApiError>} If no result could not be found.
    */
-  getUsers() {
+  getUsers(options) {
     const url = this._connection._settings.apiUrl + '/users';
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => data.map(datum => {
         const user = new User(datum.id, datum.profile, datum.groups, datum.roles);
         user.created = new Date(datum.created);
@@ -81,12 +85,13 @@ export default class UserController {
   /**
    * Get the current authenticated user.
    *
+   * @param {Object} [options] - Options of the request, as described by {@link AdministrativeSDK}.
    * @returns {Promise.<User>} The current authenticated user.
-   * @throws {Promise.<Error>} If something went wrong in the server.
+   * @throws {Promise.<ApiError>} If something went wrong in the server.
    */
-  getCurrentUser() {
+  getCurrentUser(options) {
     const url = this._connection._settings.apiUrl + '/user';
-    return this._connection._secureAjaxGet(url)
+    return this._connection._secureAjaxGet(url, options)
       .then(data => {
         const user = new User(data.id, data.profile, data.groups, data.roles);
         user.created = new Date(data.created);
@@ -16,6 +16,6 @@ export default class Base64Utils {
     for (let i = 0; i < len; i++) {
       binary += String.fromCharCode(bytes[i]);
     }
-    return window.btoa(binary);
+    return btoa(binary);
   }
 }
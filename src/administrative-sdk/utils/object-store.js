@@ -0,0 +1,53 @@
+/**
+ * Promise based access to an object store of an IndexedDB database holding a single store.
+ *
+ * @private
+ */
+export default class ObjectStore {
+  /**
+   * The database is opened right away, and created if it does not exist yet.
+   *
+   * @param {IDBFactory} indexedDB - The IndexedDB implementation.
+   * @param {string} databaseName - The name of the database.
+   * @param {string} storeName - The name of the object store.
+   * @param {Object} storeOptions - The options to create the object store with, like its `keyPath`.
+   */
+  constructor(indexedDB, databaseName, storeName, storeOptions) {
+    this._storeName = storeName;
+    this._db = new Promise((resolve, reject) => {
+      const request = indexedDB.open(databaseName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(storeName, storeOptions);
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Perform an operation on the object store in a transaction of its own.
+   *
+   * @param {string} mode - The mode of the transaction, either `'readonly'` or `'readwrite'`.
+   * @param {Function} operation - Function which is called with the `IDBObjectStore` and returns an `IDBRequest`.
+   * @returns {Promise} Promise containing the result of the request once the transaction is complete.
+   */
+  request(mode, operation) {
+    return this._db
+      .then(db => new Promise((resolve, reject) => {
+        const transaction = db.transaction(this._storeName, mode);
+        const request = operation(transaction.objectStore(this._storeName));
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      }));
+  }
+
+  /**
+   * Close the database.
+   *
+   * @returns {Promise} Promise which resolves once the database is closed.
+   */
+  close() {
+    return this._db.then(db => db.close());
+  }
+}
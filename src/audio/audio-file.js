@@ -0,0 +1,256 @@
+import Logger from '../logger/logger';
+import ValidationError from '../administrative-sdk/errors/validation-error';
+import ee from 'event-emitter';
+
+/**
+ * A pre-recorded audio file, like a WAV or OGG file uploaded by a user, which takes the place of an
+ * {@link AudioRecorder} in a streaming session. Once loaded, it "records" its audio as soon as the session listens
+ * for it, in chunks, followed by the `'recorded'` event.
+ *
+ * WAV files must hold 16 bit PCM audio, which is streamed without its header like the audio of a recorder. OGG files
+ * must hold Opus or Vorbis audio, and are streamed as they are.
+ *
+ * @private
+ */
+export default class AudioFile {
+  /**
+   * @param {Blob|ArrayBuffer} blob - The audio file.
+   * @param {Object} [options] - Options of the audio file.
+   * Valid options include:
+   * * chunkSize - The number of bytes of each chunk of audio (default: 16384).
+   * @param {Logger} [logger] - The logger to log with.
+   */
+  constructor(blob, options = {}, logger = new Logger()) {
+    this._blob = blob;
+    this._chunkSize = options.chunkSize || 16384;
+    this._logger = logger;
+    this._emitter = ee({});
+    this._specs = null;
+    this._audio = null;
+    this._recording = false;
+    this._timer = null;
+  }
+
+  /**
+   * Read and decode the audio file.
+   *
+   * @returns {Promise} Promise which resolves once the audio file can be streamed.
+   * @throws {Promise.<ValidationError>} If the file is not a supported WAV or OGG file.
+   */
+  load() {
+    return AudioFile._read(this._blob)
+      .then(buffer => {
+        const view = new DataView(buffer);
+        const format = AudioFile._text(view, 0, 4);
+        if (format === 'RIFF' && AudioFile._text(view, 8, 4) === 'WAVE') {
+          this._decodeWave(view);
+        } else if (format === 'OggS') {
+          this._decodeOgg(view);
+        } else {
+          throw new ValidationError('Unsupported audio file, expected a WAV or OGG file');
+        }
+        this._logger.debug('Loaded ' + this._specs.audioFormat + ' file of ' + this._audio.byteLength + ' bytes');
+      });
+  }
+
+  /**
+   * Get the audio specs of the file.
+   *
+   * @returns {Object} The audio format and its parameters, like those of an {@link AudioRecorder}.
+   */
+  getAudioSpecs() {
+    return this._specs;
+  }
+
+  /**
+   * A loaded audio file can be streamed at once.
+   *
+   * @returns {boolean} True.
+   */
+  hasUserMediaApproval() {
+    return true;
+  }
+
+  /**
+   * Is the audio being streamed.
+   *
+   * @returns {boolean} True when recording. False otherwise.
+   */
+  isRecording() {
+    return this._recording;
+  }
+
+  /**
+   * Stop streaming the audio, without reporting the rest of it.
+   */
+  stop() {
+    this._recording = false;
+    clearTimeout(this._timer);
+  }
+
+  /**
+   * Add an event listener. Listening for `'dataavailable'` starts streaming the audio.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to add.
+   */
+  addEventListener(name, handler) {
+    this._emitter.on(name, handler);
+    if (name === 'dataavailable' && !this._recording) {
+      this._recording = true;
+      this._timer = setTimeout(() => this._record());
+    }
+  }
+
+  /**
+   * Remove an event listener.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to remove.
+   */
+  removeEventListener(name, handler) {
+    this._emitter.off(name, handler);
+  }
+
+  /**
+   * Report the audio in chunks.
+   *
+   * @emits {Event} 'dataavailable' With arguments: [ArrayBuffer] for each chunk.
+   * @emits {Event} 'recorded' When all audio was reported.
+   * @private
+   */
+  _record() {
+    for (let offset = 0; offset < this._audio.byteLength && this._recording; offset += this._chunkSize) {
+      this._emitter.emit('dataavailable', this._audio.slice(offset, offset + this._chunkSize));
+    }
+    if (this._recording) {
+      this._recording = false;
+      this._emitter.emit('recorded');
+    }
+  }
+
+  /**
+   * Decode a WAV file, keeping the PCM audio of its data chunk.
+   *
+   * @param {DataView} view - The file.
+   * @throws {ValidationError} If the file does not hold 16 bit PCM audio.
+   * @private
+   */
+  _decodeWave(view) {
+    let fmt = null;
+    let data = null;
+    let offset = 12;
+    while (offset + 8 <= view.byteLength) {
+      const id = AudioFile._text(view, offset, 4);
+      const size = view.getUint32(offset + 4, true);
+      if (id === 'fmt ' && size >= 16) {
+        fmt = offset + 8;
+      } else if (id === 'data') {
+        data = {offset: offset + 8, size: Math.min(size, view.byteLength - offset - 8)};
+        break;
+      }
+      // The chunks of a RIFF file are padded to an even number of bytes.
+      offset += 8 + size + size % 2;
+    }
+    if (fmt === null || data === null) {
+      throw new ValidationError('Invalid WAV file, missing the fmt or data chunk');
+    }
+    const sampleWidth = view.getUint16(fmt + 14, true);
+    if (view.getUint16(fmt, true) !== 1 || sampleWidth !== 16) {
+      throw new ValidationError('Unsupported WAV file, expected 16 bit PCM audio');
+    }
+    if (!data.size) {
+      throw new ValidationError('The WAV file holds no audio');
+    }
+    const sampleRate = view.getUint32(fmt + 4, true);
+    this._specs = {
+      audioFormat: 'audio/wave',
+      audioParameters: {
+        channels: view.getUint16(fmt + 2, true),
+        sampleWidth,
+        frameRate: sampleRate,
+        sampleRate
+      }
+    };
+    this._audio = view.buffer.slice(view.byteOffset + data.offset, view.byteOffset + data.offset + data.size);
+  }
+
+  /**
+   * Decode an OGG file, reading the audio parameters from the identification header of its first page.
+   *
+   * @param {DataView} view - The file.
+   * @throws {ValidationError} If the file does not hold Opus or Vorbis audio.
+   * @private
+   */
+  _decodeOgg(view) {
+    // The first packet follows the 27 byte page header and its segment table.
+    const packet = 27 + (view.byteLength > 26 ? view.getUint8(26) : 0);
+    let channels;
+    let sampleRate;
+    if (packet + 19 <= view.byteLength && AudioFile._text(view, packet, 8) === 'OpusHead') {
+      channels = view.getUint8(packet + 9);
+      // Opus is always decoded at 48 kHz, the header holds the sample rate of the original audio.
+      sampleRate = view.getUint32(packet + 12, true) || 48000;
+    } else if (packet + 16 <= view.byteLength && view.getUint8(packet) === 1 &&
+      AudioFile._text(view, packet + 1, 6) === 'vorbis') {
+      channels = view.getUint8(packet + 11);
+      sampleRate = view.getUint32(packet + 12, true);
+    } else {
+      throw new ValidationError('Unsupported OGG file, expected Opus or Vorbis audio');
+    }
+    this._specs = {
+      audioFormat: 'audio/ogg',
+      audioParameters: {
+        channels,
+        sampleRate
+      }
+    };
+    this._audio = view.buffer.slice(view.byteOffset, view.byteOffset + view.byteLength);
+  }
+
+  /**
+   * Read a Blob.
+   *
+   * @param {Blob|ArrayBuffer} blob - The Blob, or its content.
+   * @returns {Promise.<ArrayBuffer>} Promise containing the content of the Blob.
+   * @throws {Promise.<ValidationError>} If the Blob is missing or empty.
+   * @private
+   */
+  static _read(blob) {
+    if (blob instanceof ArrayBuffer) {
+      return blob.byteLength ? Promise.resolve(blob) : Promise.reject(new ValidationError('The audio file is empty'));
+    }
+    if (!blob || typeof blob.size !== 'number') {
+      return Promise.reject(new ValidationError('blob parameter of type "Blob" is required'));
+    }
+    if (!blob.size) {
+      return Promise.reject(new ValidationError('The audio file is empty'));
+    }
+    if (typeof blob.arrayBuffer === 'function') {
+      return blob.arrayBuffer();
+    }
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsArrayBuffer(blob);
+    });
+  }
+
+  /**
+   * Read ASCII text from a file.
+   *
+   * @param {DataView} view - The file.
+   * @param {number} offset - The offset of the text.
+   * @param {number} length - The number of characters.
+   * @returns {string} The text, which is shorter if the file ends first.
+   * @private
+   */
+  static _text(view, offset, length) {
+    let text = '';
+    for (let i = offset; i < offset + length && i < view.byteLength; i++) {
+      text += String.fromCharCode(view.getUint8(i));
+    }
+    return text;
+  }
+}
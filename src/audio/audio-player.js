@@ -1,4 +1,5 @@
 import CordovaMediaPlayer from './cordova-media-player';
+import Logger from '../logger/logger';
 import Stopwatch from './tools';
 import WebAudioPlayer from './web-audio-player';
 import allOff from 'event-emitter/all-off';
@@ -11,11 +12,14 @@ export default class AudioPlayer {
    * Construct an AudioPlayer for playing .wav or .mp3 files.
    *
    * @param {?Object} options - Override any of the default settings.
+   * The `logger` option sets the {@link Logger} to log with, or the options of a new one. By default only warnings
+   * and errors are logged to the console.
    * @emits {Event} 'playbackstopped' When playback has ended, been stopped or been paused.
    * @emits {Event} All events the HTML5 Audio also fires. {@link http://www.w3schools.com/tags/ref_av_dom.asp}
    */
   constructor(options) {
     this._settings = Object.assign({}, options);
+    this._logger = Logger.from(this._settings.logger, 'player');
 
     this._playbackCompatibility();
     const self = this;
@@ -103,13 +107,13 @@ export default class AudioPlayer {
     // Detect HTML5 Audio playback.
     // http://caniuse.com/#feat=audio
     this.canUseAudio = Boolean(Audio);
-    console.log('Native HTML5 Audio playback capability:', this.canUseAudio);
+    this._logger.debug('Native HTML5 Audio playback capability:', this.canUseAudio);
 
     // Detect Cordova Media Playback
     // It allows playing audio using the native bridge inside WebView Apps.
     // https://github.com/apache/cordova-plugin-media/blob/master/doc/index.md
     this.canUseCordovaMedia = Boolean(window.Media);
-    console.log('Cordova Media playback capability:', this.canUseCordovaMedia);
+    this._logger.debug('Cordova Media playback capability:', this.canUseCordovaMedia);
 
     if (!this.canUseAudio && !this.canUseCordovaMedia) {
       throw new Error(
@@ -132,12 +136,12 @@ export default class AudioPlayer {
       const canPlay3GPP = _audio.canPlayType(
           'audio/3gpp; codecs="samr"') !== '';
 
-      console.log('Native Vorbis audio in Ogg container playback capability:', canPlayOggVorbis);
-      console.log('Native Opus audio in Ogg container playback capability:', canPlayOggOpus);
-      console.log('Native PCM audio in Waveform Audio File Format (WAVE) playback capability:', canPlayWave);
-      console.log('Native MPEG Audio Layer 3 (MP3) playback capability:', canPlayMP3);
-      console.log('Native Low-Complexity AAC audio in MP4 container playback capability:', canPlayAAC);
-      console.log('Native AMR audio in 3GPP container playback capability:', canPlay3GPP);
+      this._logger.debug('Native Vorbis audio in Ogg container playback capability:', canPlayOggVorbis);
+      this._logger.debug('Native Opus audio in Ogg container playback capability:', canPlayOggOpus);
+      this._logger.debug('Native PCM audio in Waveform Audio File Format (WAVE) playback capability:', canPlayWave);
+      this._logger.debug('Native MPEG Audio Layer 3 (MP3) playback capability:', canPlayMP3);
+      this._logger.debug('Native Low-Complexity AAC audio in MP4 container playback capability:', canPlayAAC);
+      this._logger.debug('Native AMR audio in 3GPP container playback capability:', canPlay3GPP);
 
       if (!(canPlayWave || canPlayMP3)) {
         throw new Error(
@@ -165,14 +169,14 @@ export default class AudioPlayer {
     // also disables functionality that would not be available on a device.
     if (this.canUseCordovaMedia) {
       // Use Cordova audio encoding (used codec depends on the platform).
-      player = new CordovaMediaPlayer(callbacks);
+      player = new CordovaMediaPlayer(Object.assign({logger: this._logger.child('cordova-media-player')}, callbacks));
     } else if (this.canUseAudio) {
       // Use the recorder with MediaRecorder implementation.
-      player = new WebAudioPlayer(callbacks);
+      player = new WebAudioPlayer(Object.assign({logger: this._logger.child('web-audio-player')}, callbacks));
     } else {
       throw new Error('Unable to find a proper player.');
     }
-    console.log('Player initialised.');
+    this._logger.debug('Player initialised.');
     return player;
   }
 
@@ -368,7 +372,7 @@ export default class AudioPlayer {
       } else {
         tickCb(time);
       }
-    });
+    }, this._logger.child('stopwatch'));
     return this._stopwatch;
   }
 
@@ -1,4 +1,5 @@
 import CordovaMediaRecorder from './cordova-media-recorder';
+import Logger from '../logger/logger';
 import MediaRecorder from './media-recorder';
 import Stopwatch from './tools';
 import WavePacker from './wave-packer';
@@ -16,10 +17,12 @@ export default class AudioRecorder {
    * ITSLanguage AudioRecorder.
    *
    * @param {?Object} options - Override any of the default settings.
-   *
+   * The `logger` option sets the {@link Logger} to log with, or the options of a new one. By default only warnings
+   * and errors are logged to the console.
    */
   constructor(options) {
     this._settings = Object.assign({}, options);
+    this._logger = Logger.from(this._settings.logger, 'recorder');
 
     this._recordingCompatibility();
 
@@ -105,7 +108,7 @@ export default class AudioRecorder {
       navigator.mozGetUserMedia ||
       navigator.msGetUserMedia;
     this.canGetUserMedia = Boolean(navigator.getUserMedia);
-    console.log('Native deprecated navigator.getUserMedia API capability:', this.canGetUserMedia);
+    this._logger.debug('Native deprecated navigator.getUserMedia API capability:', this.canGetUserMedia);
 
     // https://developer.mozilla.org/en-US/docs/Web/API/MediaDevices/mediaDevices.getUserMedia
     this.canMediaDevicesGetUserMedia = false;
@@ -115,14 +118,14 @@ export default class AudioRecorder {
         navigator.mediaDevices.mozGetUserMedia;
       this.canMediaDevicesGetUserMedia = Boolean(navigator.mediaDevices.getUserMedia);
     }
-    console.log('Native navigator.mediaDevices.getUserMedia API capability:', this.canMediaDevicesGetUserMedia);
+    this._logger.debug('Native navigator.mediaDevices.getUserMedia API capability:', this.canMediaDevicesGetUserMedia);
 
     // Detect MediaStream Recording
     // It allows recording audio using the MediaStream from the above
     // getUserMedia directly with a native codec better than Wave.
     // http://www.w3.org/TR/mediastream-recording/
     this.canUseMediaRecorder = Boolean(window.MediaRecorder);
-    console.log('Native MediaRecorder recording capability:', this.canUseMediaRecorder);
+    this._logger.debug('Native MediaRecorder recording capability:', this.canUseMediaRecorder);
 
     // Web Audio API
     // High-level JavaScript API for processing and synthesizing audio
@@ -130,7 +133,7 @@ export default class AudioRecorder {
     window.AudioContext = window.AudioContext ||
       window.webkitAudioContext || window.mozAudioContext;
     const canCreateAudioContext = Boolean(window.AudioContext);
-    console.log('Native Web Audio API (AudioContext) processing capability:', canCreateAudioContext);
+    this._logger.debug('Native Web Audio API (AudioContext) processing capability:', canCreateAudioContext);
 
     // Detect Cordova Media Recording
     // It allows recording audio using the native bridge inside WebView Apps.
@@ -138,7 +141,7 @@ export default class AudioRecorder {
     // recording that are not yet supported in the WebView.
     // https://github.com/apache/cordova-plugin-media/blob/master/doc/index.md
     this.canUseCordovaMedia = Boolean(window.Media);
-    console.log('Cordova Media recording capability:', this.canUseCordovaMedia);
+    this._logger.debug('Cordova Media recording capability:', this.canUseCordovaMedia);
 
     if (!(this.canGetUserMedia || this.canUseCordovaMedia)) {
       throw new Error(
@@ -147,7 +150,7 @@ export default class AudioRecorder {
 
     window.URL = window.URL || window.webkitURL;
     const hasWindowURL = Boolean(window.URL);
-    console.log('Native window.URL capability:', hasWindowURL);
+    this._logger.debug('Native window.URL capability:', hasWindowURL);
     if (!hasWindowURL) {
       throw new Error(
         'No window.URL blob conversion capabilities');
@@ -166,12 +169,12 @@ export default class AudioRecorder {
   requestUserMedia() {
     const self = this;
     function success(stream) {
-      console.log('Got getUserMedia stream');
+      self._logger.debug('Got getUserMedia stream');
 
       // checking audio presence
       if (self.canMediaDevicesGetUserMedia) {
         if (stream.getAudioTracks().length) {
-          console.log('Got audio tracks:', stream.getAudioTracks().length);
+          self._logger.debug('Got audio tracks:', stream.getAudioTracks().length);
         }
       }
 
@@ -182,7 +185,7 @@ export default class AudioRecorder {
       self.fireEvent('ready', [self.audioContext, micInputGain]);
     }
     function failure(e) {
-      console.log(e);
+      self._logger.error(e);
       throw new Error('No live audio input available or permitted');
     }
 
@@ -249,20 +252,20 @@ export default class AudioRecorder {
     // also disables functionality that would not be available on a device.
     if (this.canUseCordovaMedia && !this._settings.forceWave) {
       // Use Cordova audio encoding (used codec depends on the platform).
-      recorder = new CordovaMediaRecorder();
+      recorder = new CordovaMediaRecorder(this._logger.child('cordova-media-recorder'));
     } else if (this.canUserMediaRecorder && !this._settings.forceWave) {
       // Use the recorder with MediaRecorder implementation.
-      recorder = new MediaRecorder(micInputGain);
+      recorder = new MediaRecorder(micInputGain, this._logger.child('media-recorder'));
     } else if (this.canGetUserMedia) {
       // Fall back to raw (WAVE) audio encoding.
       const self = this;
       recorder = new WebAudioRecorder(micInputGain, data => {
         self.streamCallback(data);
-      }, new WavePacker());
+      }, new WavePacker(this._logger.child('wave-packer')), this._logger.child('web-audio-recorder'));
     } else {
       throw new Error('Unable to find a proper recorder.');
     }
-    console.log('Recorder initialised.');
+    this._logger.debug('Recorder initialised.');
     return recorder;
   }
 
@@ -284,7 +287,7 @@ export default class AudioRecorder {
     if (this._recorder) {
       return true;
     }
-    console.log('Requesting getUserMedia permission first.');
+    this._logger.debug('Requesting getUserMedia permission first.');
     this.requestUserMedia();
     return false;
   }
@@ -328,7 +331,7 @@ export default class AudioRecorder {
     if (!this.activeRecordingId) {
       this.startRecordingSession();
     }
-    console.log('Recording as id: ' + this.activeRecordingId);
+    this._logger.debug('Recording as id: ' + this.activeRecordingId);
 
     this.fireEvent('recording', [this.activeRecordingId]);
     return cb;
@@ -342,18 +345,18 @@ export default class AudioRecorder {
    */
   stop(forced) {
     if (!this._recorder.isRecording()) {
-      console.error('Recorder was already stopped.');
+      this._logger.warn('Recorder was already stopped.');
       return;
     }
     this._recorder.stop();
     if (this._stopwatch) {
       this._stopwatch.stop();
     }
-    console.log('Stopped recording for id: ' + this.activeRecordingId);
+    this._logger.debug('Stopped recording for id: ' + this.activeRecordingId);
 
     const self = this;
     this._recorder.getEncodedAudio(blob => {
-      console.log('Received encoded audio of type: ' + blob.type);
+      this._logger.debug('Received encoded audio of type: ' + blob.type);
       // Allow direct playback from local blob.
       self.fireEvent('recorded', [self.activeRecordingId, blob, Boolean(forced)]);
     });
@@ -399,7 +402,7 @@ export default class AudioRecorder {
    * @returns {Stopwatch} New Stopwatch object.
    */
   bindStopwatch(tickCb) {
-    this._stopwatch = new Stopwatch(tickCb);
+    this._stopwatch = new Stopwatch(tickCb, this._logger.child('stopwatch'));
     return this._stopwatch;
   }
 }
@@ -11,6 +11,8 @@ device
  * @author d-centralize
  */
 
+import Logger from '../logger/logger';
+
 /**
  * @private
  */
@@ -22,10 +24,11 @@ export default class CordovaMediaPlayer {
    * through native Android or iOS code.
    *
    * @param {?Object} options - Override any of the default settings.
-   *
+   * The `logger` option sets the {@link Logger} to log with.
    */
   constructor(options) {
     this._settings = Object.assign({}, options);
+    this._logger = this._settings.logger || new Logger();
 
     this._isPlaying = false;
     this._canPlay = false;
@@ -52,6 +55,7 @@ export default class CordovaMediaPlayer {
 
   _writeFile(
     filename, callback) {
+    const logger = this._logger;
     // org.apache.cordova.file provides the HTML5 Filesystem API.
 
     // var fs = window.TEMPORARY;
@@ -62,11 +66,11 @@ export default class CordovaMediaPlayer {
 
     function fileSystemCallback(fileSystem) {
       // www.w3.org/TR/2012/WD-file-system-api-20120417/#idl-def-FileSystem
-      console.debug('Got filesystem name: ' + fileSystem.name);
+      logger.debug('Got filesystem name: ' + fileSystem.name);
 
       // getFile Creates or looks up a file.
       // By setting options to create:false, only a lookup will be performed.
-      console.debug('Calling getFile in read mode: ' + filename);
+      logger.debug('Calling getFile in read mode: ' + filename);
       fileSystem.root.getFile(filename, {
         create: true
       },
@@ -74,41 +78,41 @@ export default class CordovaMediaPlayer {
     }
 
     function fileSystemErrorCallback(domError) {
-      console.debug('Error calling requestFileSystem: ' + domError.name);
+      logger.warn('Error calling requestFileSystem: ' + domError.name);
     }
 
     function entryCallback(entry) {
       // http://www.w3.org/TR/2012/WD-file-system-api-20120417/#idl-def-Entry
-      console.debug('Got file entry: ' + entry.name);
+      logger.debug('Got file entry: ' + entry.name);
       callback(entry);
     }
 
     function entryErrorCallback(fileError) {
-      console.debug('Error calling getFile: ' + fileError.code);
+      logger.warn('Error calling getFile: ' + fileError.code);
     }
   }
 
   _loadMedia(
         filepath, closure, loadedCb) {
-    console.debug('Loading media: ' + filepath);
+    this._logger.debug('Loading media: ' + filepath);
     const self = this;
     // Cordova Media can only be loaded during instantiation.
     this.sound = new window.Media(filepath, () => {
-      console.debug('Playback ended successfully.');
+      self._logger.debug('Playback ended successfully.');
     },
       e => {
-        console.debug('Playback failed: ' + e.code);
+        self._logger.warn('Playback failed: ' + e.code);
       },
       mediaStatus => {
-        console.debug('Playback status update: ' + mediaStatus);
+        self._logger.debug('Playback status update: ' + mediaStatus);
         if (mediaStatus === window.Media.MEDIA_STARTING) {
-          console.debug('Metadata is being loaded.');
+          self._logger.debug('Metadata is being loaded.');
         }
         // We could have the duration known by now,
         // but Cordova should do better. Improvement reported:
         // https://issues.apache.org/jira/browse/CB-6880
         const duration = self.sound.getDuration();
-        console.debug('Duration: ' + duration);
+        self._logger.debug('Duration: ' + duration);
 
         if (duration > 0 && closure._settings.durationchangeCb) {
           closure._settings.durationchangeCb();
@@ -151,9 +155,9 @@ export default class CordovaMediaPlayer {
     xhr.onload = function() {
       if (this.status === 200) {
         const blob = this.response;
-        console.debug('Downloaded blob');
+        self._logger.debug('Downloaded blob');
 
-        console.debug('Writing blob to file');
+        self._logger.debug('Writing blob to file');
         self._writeFile(self.filename, file => {
           file.createWriter(writer => {
             writer.onwriteend = function() {
@@ -4,6 +4,8 @@ device,
 Media
  */
 
+import Logger from '../logger/logger';
+
 /**
  * Use the Cordova Media recorder for recording and encoding audio
  * on a WebView, wrapped in a native App.
@@ -16,9 +18,12 @@ Media
 export default class CordovaMediaRecorder {
   /**
    * MediaRecorder.
+   *
+   * @param {Logger} [logger] - The logger to log with.
    */
-  constructor() {
+  constructor(logger = new Logger()) {
     this._isRecording = false;
+    this._logger = logger;
 
     const platform = device.platform;
     let filepath = null;
@@ -54,12 +59,12 @@ export default class CordovaMediaRecorder {
     this.mediaRecorder = new Media(filepath,
       // success callback
       () => {
-        console.log('Final recording written to: ' + filepath);
+        this._logger.debug('Final recording written to: ' + filepath);
       },
 
       // error callback
       err => {
-        console.debug('recordAudio(): Audio Error: ' + err.code);
+        this._logger.warn('recordAudio(): Audio Error: ' + err.code);
       }
     );
   }
@@ -93,6 +98,7 @@ export default class CordovaMediaRecorder {
 
   _requestFilepath(
     filename, callback) {
+    const logger = this._logger;
     // org.apache.cordova.file provides the HTML5 Filesystem API.
 
     // var fs = window.TEMPORARY;
@@ -103,11 +109,11 @@ export default class CordovaMediaRecorder {
 
     function fileSystemCallback(fileSystem) {
       // www.w3.org/TR/2012/WD-file-system-api-20120417/#idl-def-FileSystem
-      console.debug('Got filesystem name: ' + fileSystem.name);
+      logger.debug('Got filesystem name: ' + fileSystem.name);
 
       // getFile Creates or looks up a file.
       // By setting options to create:false, only a lookup will be performed.
-      console.debug('Calling getFile in read mode: ' + filename);
+      logger.debug('Calling getFile in read mode: ' + filename);
       fileSystem.root.getFile(filename, {
         create: false
       },
@@ -115,17 +121,17 @@ export default class CordovaMediaRecorder {
     }
 
     function fileSystemErrorCallback(domError) {
-      console.debug('Error calling requestFileSystem: ' + domError.name);
+      logger.warn('Error calling requestFileSystem: ' + domError.name);
     }
 
     function entryCallback(entry) {
       // http://www.w3.org/TR/2012/WD-file-system-api-20120417/#idl-def-Entry
-      console.debug('Got file entry: ' + entry.name);
+      logger.debug('Got file entry: ' + entry.name);
       entry.file(callback);
     }
 
     function entryErrorCallback(fileError) {
-      console.debug('Error calling getFile: ' + fileError.code);
+      logger.warn('Error calling getFile: ' + fileError.code);
     }
   }
 
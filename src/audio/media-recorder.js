@@ -13,6 +13,9 @@
  * https://wiki.mozilla.org/Gecko:MediaRecorder
  *
  */
+
+import Logger from '../logger/logger';
+
 /**
  * @private
  */
@@ -21,15 +24,17 @@ export default class MediaRecorder {
    * MediaRecorder.
    *
    * @param {MediaStream} mediaStream - The MediaStream to analyze.
+   * @param {Logger} [logger] - The logger to log with.
    */
-  constructor(mediaStream) {
+  constructor(mediaStream, logger = new Logger()) {
     const self = this;
+    this._logger = logger;
     this.mediaRecorder = new window.MediaRecorder(mediaStream);
     this.mediaRecorder.ondataavailable = function(e) {
       self.recordedBlob = new Blob([e.data], {
         type: 'audio/ogg'
       });
-      console.log('Recorded audio/ogg Blob size: ' + self.recordedBlob.size);
+      self._logger.debug('Recorded audio/ogg Blob size: ' + self.recordedBlob.size);
       if (self.callback) {
         self.callback(self.recordedBlob);
         self.callback = null;
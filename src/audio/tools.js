@@ -6,6 +6,8 @@
  * @author d-centralize
  */
 
+import Logger from '../logger/logger';
+
 const ee = require('event-emitter');
 
 /**
@@ -24,15 +26,17 @@ ITSLanguage helper tools.
 export default class Stopwatch {
   /**
    * @param {Function} tickCb - The callback that is invoked on every tick (every 100ms).
+   * @param {Logger} [logger] - The logger to log with.
    * @throws {Error} If tickCb is missing.
    */
-  constructor(tickCb) {
+  constructor(tickCb, logger = new Logger()) {
     if (!tickCb) {
       throw new Error('tickCb parameter required');
     }
     this._interval = null;
     this._value = 0;
     this._tickCb = tickCb;
+    this._logger = logger;
     this._emitter = ee({});
   }
 
@@ -40,7 +44,7 @@ export default class Stopwatch {
    * Start counting and tick every 100 ms.
    */
   start() {
-    console.debug('Start counting');
+    this._logger.debug('Start counting');
     // Tick every 100ms (0.1s)
     const self = this;
     this._interval = setInterval(() => {
@@ -52,7 +56,7 @@ export default class Stopwatch {
    * Stop counting.
    */
   stop() {
-    console.debug('Stop counting');
+    this._logger.debug('Stop counting');
     clearInterval(this._interval);
     this.tick();
     this._interval = null;
@@ -62,7 +66,7 @@ export default class Stopwatch {
    * Reset count to 0.
    */
   reset() {
-    console.debug('Reset count');
+    this._logger.debug('Reset count');
     this._value = 0;
     this.tick();
   }
@@ -1,9 +1,18 @@
+import Logger from '../logger/logger';
+
 /**
  * Packer class for audio packing
  *
  * @private
  */
 export default class WavePacker {
+  /**
+   * @param {Logger} [logger] - The logger to log with.
+   */
+  constructor(logger = new Logger()) {
+    this._logger = logger;
+  }
+
   /**
    * Stop recording audio.
    *
@@ -134,7 +143,7 @@ export default class WavePacker {
     const blob = new Blob([view], {
       type: 'audio/wav'
     });
-    console.log('Recorded audio/wav Blob size: ' + blob.size);
+    this._logger.debug('Recorded audio/wav Blob size: ' + blob.size);
     return blob;
   }
 
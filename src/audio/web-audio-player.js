@@ -1,3 +1,5 @@
+import Logger from '../logger/logger';
+
 /**
  * @title ITSLanguage Javascript Audio
  * @overview This is part of the ITSLanguage Javascript SDK to perform audio related functions.
@@ -8,7 +10,6 @@
  * This class fires the same events as the HTML5 Audio does. {@link http://www.w3schools.com/tags/ref_av_dom.asp}
  * @private
  */
-
 export default class WebAudioPlayer {
   /**
    * ITSLanguage WebAudioPlayer non-graphical component.
@@ -16,9 +17,11 @@ export default class WebAudioPlayer {
    * This player uses the HTML5 Audio component for playback.
    *
    * @param {?Object} options - Override any of the default settings.
+   * The `logger` option sets the {@link Logger} to log with.
    */
   constructor(options) {
     this._settings = Object.assign({}, options);
+    this._logger = this._settings.logger || new Logger();
 
     this._initPlayer();
   }
@@ -87,26 +90,26 @@ export default class WebAudioPlayer {
     this.sound.addEventListener('error', e => {
       switch (e.target.error.code) {
         case e.target.error.MEDIA_ERR_ABORTED:
-          console.error('You aborted the playback.');
+          this._logger.error('You aborted the playback.');
           break;
         case e.target.error.MEDIA_ERR_NETWORK:
-          console.error(
+          this._logger.error(
           'A network error caused the audio download to fail.');
           break;
         case e.target.error.MEDIA_ERR_DECODE:
-          console.error(
+          this._logger.error(
           'The audio playback was aborted due to a corruption ' +
           'problem or because the media used features your ' +
           'browser did not support.');
           break;
         case e.target.error.MEDIA_ERR_SRC_NOT_SUPPORTED:
-          console.error(
+          this._logger.error(
           'The audio could not be loaded, either because the ' +
           'server or network failed or because the format is ' +
           'not supported.');
           break;
         default:
-          console.error('An unknown error occurred.');
+          this._logger.error('An unknown error occurred.');
           break;
       }
       if (self._settings.errorCb) {
@@ -144,7 +147,7 @@ export default class WebAudioPlayer {
     const self = this;
     if (loadedCb) {
       this.sound.addEventListener('durationchange', () => {
-        console.log('Duration change for ' + url + ' to : ' +
+        this._logger.debug('Duration change for ' + url + ' to : ' +
           self.sound.duration);
         loadedCb(self.sound);
       });
@@ -164,15 +167,15 @@ export default class WebAudioPlayer {
       if (this.sound.readyState < this.sound.HAVE_METADATA) {
         // In case the audio wasn't already preloaded, do it now.
         this.sound.preload = 'auto';
-        console.warn('Playing from a given position is not possible. ' +
+        this._logger.warn('Playing from a given position is not possible. ' +
           'Audio was not yet loaded. Try again.');
       } else {
-        console.debug('Scrub position to: ' + position);
+        this._logger.debug('Scrub position to: ' + position);
         this.sound.currentTime = position;
       }
     }
     this.sound.play();
-    console.debug('Start playing from position: ' + this.sound.currentTime);
+    this._logger.debug('Start playing from position: ' + this.sound.currentTime);
   }
 
   /**
@@ -206,7 +209,7 @@ export default class WebAudioPlayer {
   preload() {
     // In case the audio wasn't already preloaded, do it now.
     if (this.sound.preload !== 'auto') {
-      console.info('Start preloading audio.');
+      this._logger.info('Start preloading audio.');
       this.sound.preload = 'auto';
     }
   }
@@ -221,13 +224,13 @@ export default class WebAudioPlayer {
     // In case the audio wasn't already preloaded, do it now.
     if (this.sound.readyState < this.sound.HAVE_METADATA) {
       this.preload();
-      console.warn('Scrubbing not possible. Audio was not yet loaded. ' +
+      this._logger.warn('Scrubbing not possible. Audio was not yet loaded. ' +
         'Try again.');
       return;
     }
 
     const newTime = this.sound.duration / 100 * percentage;
-    console.log('Moving audio position to: ' + percentage + '%: ' +
+    this._logger.debug('Moving audio position to: ' + percentage + '%: ' +
       newTime + 's of total playing time: ' + this.sound.duration);
     this.sound.currentTime = newTime;
   }
@@ -269,7 +272,7 @@ export default class WebAudioPlayer {
     // Round up,so the buffer won't get stuck on 99% when
     // duration and buffer are equal, except for some far decimal.
     const loaded = Math.round(probableEnd * 100 / this.sound.duration);
-    console.log('Buffer filled to ' + loaded + '%');
+    this._logger.debug('Buffer filled to ' + loaded + '%');
     return loaded;
   }
 
@@ -1,3 +1,5 @@
+import Logger from '../logger/logger';
+
 /**
  * WebAudioRecorder.
  * @private
@@ -12,9 +14,11 @@ export default class WebAudioRecorder {
    * @param {GainNode} source - The source to record.
    * @param {?Function} streamingCallback - The callback to deliver audio chunks to.
    * @param {WavePacker} packer - Packer to use.
+   * @param {Logger} [logger] - The logger to log with.
    */
-  constructor(source, streamingCallback, packer) {
+  constructor(source, streamingCallback, packer, logger = new Logger()) {
     this.recording = false;
+    this._logger = logger;
 
     const context = source.context;
     // For the best quality, use the samplerate in which audio is recorded.
@@ -29,7 +33,7 @@ export default class WebAudioRecorder {
 
     // Always record audio in mono.
     this.channels = 1;
-    console.log('Recording at: ' +
+    this._logger.debug('Recording at: ' +
                   this.getAudioSpecs().audioParameters.sampleRate);
 
     this.packer = packer;
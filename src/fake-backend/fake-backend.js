@@ -0,0 +1,279 @@
+/* eslint-disable
+camelcase
+ */
+
+import FakeRestApi from './fake-rest-api';
+import FakeWampRouter from './fake-wamp-router';
+import FakeWebSocket from './fake-websocket';
+
+/**
+ * Stand-in for the ITSLanguage REST API and WAMP router, running in the same process as the app using it. It makes it
+ * possible to test an app or the SDK itself end to end without the real service, for example while offline.
+ *
+ * A {@link Connection} is pointed at the fake backend through the options returned by
+ * {@link FakeBackend#connectionOptions}:
+ *
+ * ```js
+ * const backend = new FakeBackend();
+ * backend.addCredentials('principal', 'secret');
+ * const connection = new Connection(backend.connectionOptions());
+ * ```
+ *
+ * The backend keeps its data in memory, in collections of records like `'users'` or `'challenges/pronunciation'`.
+ * The data is not separated by tenant or organisation. The results of the streaming sessions are generated from the
+ * challenge, unless a result was scripted with {@link FakeBackend#scriptResult}.
+ */
+export default class FakeBackend {
+  /**
+   * @param {Object} [options] - Options to configure the backend with.
+   * Valid options include:
+   * * apiUrl - The URL of the fake REST API (default: `'https://api.itslanguage.test'`).
+   * * wsUrl - The URL of the fake WAMP router (default: `'wss://ws.itslanguage.test'`).
+   * * latency - The number of milliseconds each HTTP response and WebSocket message takes to arrive (default: 0).
+   * * tokenLifetime - The number of seconds an issued OAuth2 token is valid (default: 3600).
+   * * serializers - The serializations of WAMP the fake WAMP router speaks: `'msgpack'` and `'json'` (default: both).
+   * Leave out `'msgpack'` to stand in for an older router, to which audio is streamed in base64.
+   */
+  constructor(options) {
+    this._settings = Object.assign({
+      apiUrl: 'https://api.itslanguage.test',
+      wsUrl: 'wss://ws.itslanguage.test',
+      latency: 0,
+      tokenLifetime: 3600,
+      serializers: ['msgpack', 'json']
+    }, options);
+    this._collections = {};
+    this._credentials = {};
+    this._tokens = {};
+    this._refreshTokens = {};
+    this._scripts = {
+      pronunciation: [],
+      recording: [],
+      choice: []
+    };
+    this._lastId = 0;
+    this._restApi = new FakeRestApi(this);
+    this._router = new FakeWampRouter(this);
+
+    /**
+     * The fetch implementation performing the HTTP requests on the fake REST API.
+     *
+     * @type {Function}
+     */
+    this.fetch = this._restApi.fetch.bind(this._restApi);
+
+    /**
+     * The W3C WebSocket implementation connecting to the fake WAMP router.
+     *
+     * @type {Function}
+     */
+    this.WebSocket = FakeWebSocket.bind(null, this);
+  }
+
+  /**
+   * The options for a {@link Connection} to use this backend.
+   *
+   * @param {Object} [options] - Other options of the connection, as described by {@link Connection}.
+   * @returns {Object} The options of the connection.
+   */
+  connectionOptions(options) {
+    return Object.assign({
+      apiUrl: this._settings.apiUrl,
+      wsUrl: this._settings.wsUrl,
+      fetch: this.fetch,
+      WebSocket: this.WebSocket
+    }, options);
+  }
+
+  /**
+   * Allow credentials to obtain an OAuth2 token with, like those of a {@link BasicAuth}. The email credentials created
+   * through the REST API are allowed as well.
+   *
+   * @param {string} principal - The principal.
+   * @param {string} credentials - The secret.
+   */
+  addCredentials(principal, credentials) {
+    this._credentials[principal] = credentials;
+  }
+
+  /**
+   * Issue an OAuth2 token, to pass as `oAuth2Token` to a {@link Connection}.
+   *
+   * @param {string} scope - The scope of the token, like `'tenant/4/organisation/fb/user/1'`.
+   * @returns {string} The access token.
+   */
+  createToken(scope) {
+    return this._issueToken(scope).access_token;
+  }
+
+  /**
+   * Add a record to a collection, like a role to `'roles'`. The identifier and timestamps are set unless the record
+   * holds them already.
+   *
+   * @param {string} collection - The name of the collection.
+   * @param {Object} record - The record to add.
+   * @returns {Object} The added record.
+   */
+  add(collection, record) {
+    const now = new Date().toISOString();
+    const added = Object.assign({created: now, updated: now}, record);
+    if (added.id === null || added.id === undefined) {
+      added.id = String(++this._lastId);
+    }
+    this.list(collection).push(added);
+    return added;
+  }
+
+  /**
+   * Get a record of a collection.
+   *
+   * @param {string} collection - The name of the collection.
+   * @param {string} id - The identifier of the record.
+   * @returns {?Object} The record, or `null` if there is none with the identifier.
+   */
+  get(collection, id) {
+    return this.list(collection).find(record => record.id === id) || null;
+  }
+
+  /**
+   * Get the records of a collection.
+   *
+   * @param {string} collection - The name of the collection.
+   * @returns {Object[]} The records. The array is the collection itself.
+   */
+  list(collection) {
+    if (!this._collections[collection]) {
+      this._collections[collection] = [];
+    }
+    return this._collections[collection];
+  }
+
+  /**
+   * Remove a record from a collection.
+   *
+   * @param {string} collection - The name of the collection.
+   * @param {string} id - The identifier of the record.
+   * @returns {boolean} True if the record was removed, false if there was none with the identifier.
+   */
+  remove(collection, id) {
+    const records = this.list(collection);
+    const index = records.findIndex(record => record.id === id);
+    if (index === -1) {
+      return false;
+    }
+    records.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Script the outcome of the next streaming session of a type. Scripts are used in the order they were added, one
+   * per session.
+   *
+   * @param {string} type - The type of session: `'pronunciation'`, `'recording'` or `'choice'`.
+   * @param {Object} script - The outcome of the session.
+   * Valid properties include:
+   * * result - Properties of the result overriding the generated ones, like `score`, `words` or `recognised`.
+   * * progress - The progress results to report before the result, for sessions reporting progress.
+   * * error - The URI of the error to fail the session with instead, like `'nl.itslanguage.alignment_failed'`.
+   * @throws {Error} If the type is unknown.
+   */
+  scriptResult(type, script) {
+    if (!this._scripts[type]) {
+      throw new Error('Unknown session type: ' + type);
+    }
+    this._scripts[type].push(script);
+  }
+
+  /**
+   * Close the WebSocket connections of all clients, as if the connections were lost.
+   */
+  disconnectClients() {
+    this._router.disconnectClients();
+  }
+
+  /**
+   * Take the script of the next session of a type.
+   *
+   * @param {string} type - The type of session.
+   * @returns {Object} The script, or an empty script if none was added.
+   * @private
+   */
+  _takeScript(type) {
+    return this._scripts[type].shift() || {};
+  }
+
+  /**
+   * Check the credentials of a password grant.
+   *
+   * @param {string} principal - The principal.
+   * @param {string} credentials - The secret.
+   * @returns {boolean} True if the credentials are allowed.
+   * @private
+   */
+  _checkCredentials(principal, credentials) {
+    if (this._credentials.hasOwnProperty(principal)) {
+      return this._credentials[principal] === credentials;
+    }
+    return this.list('emailauths').some(auth => auth.email === principal && auth.password === credentials);
+  }
+
+  /**
+   * Issue an OAuth2 token.
+   *
+   * @param {string} scope - The scope of the token.
+   * @returns {Object} The token response of the token endpoint.
+   * @private
+   */
+  _issueToken(scope) {
+    const id = ++this._lastId;
+    const token = {
+      access_token: 'fake-access-token-' + id,
+      token_type: 'Bearer',
+      expires_in: this._settings.tokenLifetime,
+      refresh_token: 'fake-refresh-token-' + id,
+      scope
+    };
+    this._tokens[token.access_token] = {
+      scope,
+      expires: Date.now() + token.expires_in * 1000
+    };
+    this._refreshTokens[token.refresh_token] = scope;
+    return token;
+  }
+
+  /**
+   * Look up an access token.
+   *
+   * @param {?string} accessToken - The access token.
+   * @returns {?Object} The scope and expiry time of the token, or `null` if it is unknown or expired.
+   * @private
+   */
+  _authenticate(accessToken) {
+    const token = this._tokens[accessToken];
+    if (!token || token.expires <= Date.now()) {
+      return null;
+    }
+    return token;
+  }
+
+  /**
+   * The URL to download the audio of a challenge, analysis or recording from.
+   *
+   * @param {string} id - The identifier of the audio.
+   * @returns {string} The URL.
+   * @private
+   */
+  _downloadUrl(id) {
+    return this._settings.apiUrl + '/download/' + id;
+  }
+
+  /**
+   * Run a function once the configured latency passed.
+   *
+   * @param {Function} callback - The function to run.
+   * @private
+   */
+  _delay(callback) {
+    setTimeout(callback, this._settings.latency);
+  }
+}
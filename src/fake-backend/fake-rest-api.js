@@ -0,0 +1,410 @@
+/* eslint-disable
+camelcase
+ */
+
+import Scope from '../administrative-sdk/scope/scope';
+
+/**
+ * The REST API of a {@link FakeBackend}. It answers the requests of the SDK from the records of the backend.
+ *
+ * @private
+ */
+export default class FakeRestApi {
+  /**
+   * @param {FakeBackend} backend - The backend holding the records.
+   */
+  constructor(backend) {
+    this._backend = backend;
+    this._routes = [];
+    this._route('POST', '/tokens', request => this._requestToken(request));
+    this._resource('organisations');
+    this._resource('users');
+    this._route('GET', '/user', request => {
+      const scope = Scope.parse(request.token.scope);
+      return this._read('users', scope && scope.userId);
+    });
+    this._route('POST', '/users/:userId/emailauths', request => {
+      if (!this._backend.get('users', request.params.userId)) {
+        return FakeRestApi._notFound();
+      }
+      return this._create('emailauths', Object.assign({}, request.body, {userId: request.params.userId}));
+    });
+    this._route('GET', '/profiles', () => FakeRestApi._ok(this._backend.list('users').map(user => user.profile)));
+    this._route('GET', '/profiles/:id', request => {
+      const user = this._backend.get('users', request.params.id);
+      return user ? FakeRestApi._ok(user.profile) : FakeRestApi._notFound();
+    });
+    this._route('GET', '/roles', () => FakeRestApi._ok(this._backend.list('roles')));
+    this._route('GET', '/roles/:id', request => this._read('roles', request.params.id));
+    // Only the top level categories are listed, so this route precedes the one of the resource.
+    this._route('GET', '/categories', () =>
+      FakeRestApi._ok(this._backend.list('categories').filter(category => !category.parent)));
+    this._resource('categories', category => Object.assign({
+      imageUrl: null,
+      iconUrl: null,
+      speechChallenges: []
+    }, category));
+    this._route('GET', '/categories/:id/categories', request =>
+      FakeRestApi._ok(this._backend.list('categories').filter(category => category.parent === request.params.id)));
+    this._resource('challenges/pronunciation', (challenge, id) => {
+      const created = Object.assign({}, challenge, {
+        referenceAudioUrl: this._backend._downloadUrl(id),
+        status: 'prepared'
+      });
+      delete created.referenceAudio;
+      return created;
+    });
+    this._route('DELETE', '/challenges/pronunciation/:id', request => {
+      if (!this._backend.remove('challenges/pronunciation', request.params.id)) {
+        return FakeRestApi._notFound();
+      }
+      return {status: 204, body: null};
+    });
+    this._resource('challenges/speech', (challenge, id) => {
+      const created = Object.assign({}, challenge, {
+        referenceAudioUrl: challenge.referenceAudio ? this._backend._downloadUrl(id) : null,
+        srtUrl: challenge.srt ? this._backend._downloadUrl(id + '.srt') : null,
+        imageUrl: challenge.image ? this._backend._downloadUrl(id + '.image') : null
+      });
+      delete created.referenceAudio;
+      delete created.srt;
+      delete created.image;
+      return created;
+    });
+    this._resource('challenges/choice', challenge => Object.assign({}, challenge, {
+      choices: (challenge.choices || []).map(choice => ({choice})),
+      status: 'prepared'
+    }));
+    this._results('challenges/pronunciation', 'analyses');
+    this._results('challenges/speech', 'recordings');
+    this._results('challenges/choice', 'recognitions');
+  }
+
+  /**
+   * Perform a HTTP request, like `fetch` does.
+   *
+   * @param {string} url - The URL of the request.
+   * @param {Object} [init] - The method, headers and body of the request.
+   * @returns {Promise.<Response>} Promise containing the response.
+   * @throws {Promise.<TypeError>} If the URL is not one of the fake REST API.
+   * @throws {Promise.<Error>} If the request was aborted.
+   */
+  fetch(url, init = {}) {
+    const apiUrl = this._backend._settings.apiUrl;
+    return new Promise((resolve, reject) => {
+      if (url.indexOf(apiUrl + '/') !== 0) {
+        reject(new TypeError('Failed to fetch'));
+        return;
+      }
+      const headers = new Headers(init.headers);
+      const [path, query] = url.substring(apiUrl.length).split('?');
+      const request = {
+        method: (init.method || 'GET').toUpperCase(),
+        path,
+        query: FakeRestApi._parseParameters(query),
+        headers,
+        body: init.body || null
+      };
+      const response = this._handle(request);
+      this._backend._delay(() => {
+        if (init.signal && init.signal.aborted) {
+          const error = new Error('The operation was aborted.');
+          error.name = 'AbortError';
+          reject(error);
+          return;
+        }
+        resolve(response);
+      });
+    });
+  }
+
+  /**
+   * Answer a request.
+   *
+   * @param {Object} request - The request.
+   * @returns {Response} The response.
+   * @private
+   */
+  _handle(request) {
+    const routes = this._routes.filter(route => route.pattern.test(request.path));
+    const route = routes.find(candidate => candidate.method === request.method);
+    let result;
+    if (!route) {
+      result = routes.length ? {status: 405, body: {message: 'Method not allowed'}} : FakeRestApi._notFound();
+    } else {
+      result = this._authorize(request, route);
+      if (!result) {
+        const match = route.pattern.exec(request.path);
+        request.params = {};
+        route.keys.forEach((key, index) => {
+          request.params[key] = decodeURIComponent(match[index + 1]);
+        });
+        result = this._parseBody(request) || route.handler(request);
+      }
+    }
+    return FakeRestApi._response(request, result);
+  }
+
+  /**
+   * Check the access token of a request. The token endpoint does not need one.
+   *
+   * @param {Object} request - The request.
+   * @param {Object} route - The route of the request.
+   * @returns {?Object} The error result if the request is not authorized, or `null` if it is.
+   * @private
+   */
+  _authorize(request, route) {
+    if (route.path === '/tokens') {
+      return null;
+    }
+    const authorization = request.headers.get('Authorization') || '';
+    const accessToken = authorization.indexOf('Bearer ') === 0 ? authorization.substring(7) :
+      request.query.access_token;
+    request.token = this._backend._authenticate(accessToken);
+    if (!request.token) {
+      return {status: 401, body: {message: 'Invalid access token'}};
+    }
+    return null;
+  }
+
+  /**
+   * Parse the body of a request. The token endpoint takes a form, the other endpoints JSON.
+   *
+   * @param {Object} request - The request.
+   * @returns {?Object} The error result if the body could not be parsed, or `null` if it was.
+   * @private
+   */
+  _parseBody(request) {
+    if (typeof request.body !== 'string') {
+      return null;
+    }
+    if (request.path === '/tokens') {
+      request.body = FakeRestApi._parseParameters(request.body);
+      return null;
+    }
+    try {
+      request.body = JSON.parse(request.body);
+    } catch (error) {
+      return {status: 400, body: {message: 'Invalid JSON: ' + error.message}};
+    }
+    return null;
+  }
+
+  /**
+   * Answer a request to the token endpoint.
+   *
+   * @param {Object} request - The request.
+   * @returns {Object} The result.
+   * @private
+   */
+  _requestToken(request) {
+    const params = request.body || {};
+    let scope;
+    if (params.grant_type === 'password') {
+      if (!this._backend._checkCredentials(params.username, params.password)) {
+        return FakeRestApi._tokenError('invalid_grant', 'Invalid credentials');
+      }
+      scope = params.scope;
+    } else if (params.grant_type === 'refresh_token') {
+      scope = this._backend._refreshTokens[params.refresh_token];
+      if (!scope) {
+        return FakeRestApi._tokenError('invalid_grant', 'Invalid refresh token');
+      }
+      delete this._backend._refreshTokens[params.refresh_token];
+    } else {
+      return FakeRestApi._tokenError('unsupported_grant_type', 'Unsupported grant type');
+    }
+    return FakeRestApi._ok(this._backend._issueToken(scope));
+  }
+
+  /**
+   * Add a route.
+   *
+   * @param {string} method - The HTTP method of the route.
+   * @param {string} path - The path of the route, in which parameters are prefixed with a colon, like `/users/:id`.
+   * @param {Function} handler - Function answering a request with a result holding a `status` and a `body`.
+   * @private
+   */
+  _route(method, path, handler) {
+    const keys = [];
+    const pattern = new RegExp('^' + path.replace(/:(\w+)/g, (match, key) => {
+      keys.push(key);
+      return '([^/]+)';
+    }) + '$');
+    this._routes.push({method, path, pattern, keys, handler});
+  }
+
+  /**
+   * Add the routes to create, list and get the records of a collection.
+   *
+   * @param {string} collection - The name of the collection, which is also its path.
+   * @param {Function} [prepare] - Function preparing the posted record for storage, given the record and its
+   * identifier.
+   * @private
+   */
+  _resource(collection, prepare = record => record) {
+    this._route('GET', '/' + collection, () => FakeRestApi._ok(this._backend.list(collection)));
+    this._route('POST', '/' + collection, request => {
+      const record = Object.assign({}, request.body);
+      if (record.id === null || record.id === undefined) {
+        record.id = String(++this._backend._lastId);
+      }
+      return this._create(collection, prepare(record, record.id));
+    });
+    this._route('GET', '/' + collection + '/:id', request => this._read(collection, request.params.id));
+  }
+
+  /**
+   * Add the routes to list and get the results of the streaming sessions of a type of challenge.
+   *
+   * @param {string} challenges - The name of the collection of the challenges.
+   * @param {string} collection - The name of the collection of the results, which is also the path within a
+   * challenge.
+   * @private
+   */
+  _results(challenges, collection) {
+    const path = '/' + challenges + '/:challengeId/' + collection;
+    this._route('GET', path, request => {
+      if (!this._backend.get(challenges, request.params.challengeId)) {
+        return FakeRestApi._notFound();
+      }
+      return FakeRestApi._ok(this._backend.list(collection)
+        .filter(result => result.challengeId === request.params.challengeId));
+    });
+    this._route('GET', path + '/:id', request => {
+      const result = this._backend.get(collection, request.params.id);
+      if (!result || result.challengeId !== request.params.challengeId) {
+        return FakeRestApi._notFound();
+      }
+      return FakeRestApi._ok(result);
+    });
+  }
+
+  /**
+   * Add a posted record to a collection.
+   *
+   * @param {string} collection - The name of the collection.
+   * @param {Object} record - The record.
+   * @returns {Object} The result.
+   * @private
+   */
+  _create(collection, record) {
+    if (record.id && this._backend.get(collection, record.id)) {
+      return {
+        status: 422,
+        body: {
+          message: 'Validation failed.',
+          errors: [{field: 'id', message: 'Id already exists', code: 'invalid'}]
+        }
+      };
+    }
+    return {status: 201, body: this._backend.add(collection, record)};
+  }
+
+  /**
+   * Get a record of a collection.
+   *
+   * @param {string} collection - The name of the collection.
+   * @param {?string} id - The identifier of the record.
+   * @returns {Object} The result.
+   * @private
+   */
+  _read(collection, id) {
+    const record = this._backend.get(collection, id);
+    return record ? FakeRestApi._ok(record) : FakeRestApi._notFound();
+  }
+
+  /**
+   * Create a successful result.
+   *
+   * @param {Object} body - The body of the result.
+   * @returns {Object} The result.
+   * @private
+   */
+  static _ok(body) {
+    return {status: 200, body};
+  }
+
+  /**
+   * Create the result of a request for something which does not exist.
+   *
+   * @returns {Object} The result.
+   * @private
+   */
+  static _notFound() {
+    return {status: 404, body: {message: 'Not found'}};
+  }
+
+  /**
+   * Create the error result of the token endpoint.
+   *
+   * @param {string} error - The OAuth2 error code.
+   * @param {string} description - The description of the error.
+   * @returns {Object} The result.
+   * @private
+   */
+  static _tokenError(error, description) {
+    return {
+      status: 400,
+      body: {
+        error,
+        error_description: description
+      }
+    };
+  }
+
+  /**
+   * Create the response to a request. A successful response to a GET request has an ETag, and is answered with
+   * 304 Not Modified if the request holds the same ETag.
+   *
+   * @param {Object} request - The request.
+   * @param {Object} result - The status and body of the response.
+   * @returns {Response} The response.
+   * @private
+   */
+  static _response(request, result) {
+    const body = result.body === null ? null : JSON.stringify(result.body);
+    const headers = {
+      'Content-type': 'application/json; charset=utf-8'
+    };
+    let status = result.status;
+    if (request.method === 'GET' && status === 200) {
+      headers.ETag = '"' + FakeRestApi._hash(body) + '"';
+      if (request.headers.get('If-None-Match') === headers.ETag) {
+        status = 304;
+      }
+    }
+    return new Response(status === 304 ? null : body, {status, headers});
+  }
+
+  /**
+   * Calculate a hash of a text, to use as ETag.
+   *
+   * @param {string} text - The text.
+   * @returns {string} The hash.
+   * @private
+   */
+  static _hash(text) {
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+      hash = (hash * 33 ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(16);
+  }
+
+  /**
+   * Parse url encoded parameters.
+   *
+   * @param {?string} text - The parameters, like `'grant_type=password&scope=tenant%2F4'`.
+   * @returns {Object} The parameters by name.
+   * @private
+   */
+  static _parseParameters(text) {
+    const params = {};
+    (text || '').split('&').filter(Boolean).forEach(param => {
+      const [name, value = ''] = param.split('=');
+      params[decodeURIComponent(name)] = decodeURIComponent(value.replace(/\+/g, ' '));
+    });
+    return params;
+  }
+}
@@ -0,0 +1,474 @@
+/* eslint-disable
+camelcase
+ */
+
+import RpcError from '../administrative-sdk/errors/rpc-error';
+import Scope from '../administrative-sdk/scope/scope';
+
+/**
+ * WAMP message types used by the router.
+ *
+ * @type {Object}
+ */
+const MESSAGE = {
+  HELLO: 1,
+  WELCOME: 2,
+  ABORT: 3,
+  CHALLENGE: 4,
+  AUTHENTICATE: 5,
+  GOODBYE: 6,
+  ERROR: 8,
+  CALL: 48,
+  RESULT: 50
+};
+
+/**
+ * The WAMP router of a {@link FakeBackend}. Clients authenticate with an OAuth2 token issued by the backend as ticket,
+ * like they do with the real router. The router implements the RPCs of the pronunciation analyses, speech recordings
+ * and choice recognitions. A session is finished with a generated result, or with the result scripted through
+ * {@link FakeBackend#scriptResult}, which is then stored as analysis, recording or recognition of the challenge. An
+ * aborted session leaves no result.
+ *
+ * Like the real router, it handles the RPCs a client sends again after its connection was lost: a write of audio is
+ * only received once, and finishing a session which was finished before returns the same outcome.
+ *
+ * @private
+ */
+export default class FakeWampRouter {
+  /**
+   * @param {FakeBackend} backend - The backend holding the challenges and results.
+   */
+  constructor(backend) {
+    this._backend = backend;
+    this._clients = [];
+    this._sessions = {};
+    this._finished = {};
+    this._procedures = {};
+    const challenges = {
+      pronunciation: 'challenges/pronunciation',
+      recording: 'challenges/speech',
+      choice: 'challenges/choice'
+    };
+    Object.keys(challenges).forEach(type => {
+      this._register(type + '.init_challenge', args => this._initChallenge(type, challenges[type], args));
+      this._register(type + '.init_audio', (args, kwargs) => this._initAudio(type, args, kwargs));
+      this._register(type + '.write', (args, kwargs) => this._write(type, args, kwargs));
+      this._register(type + '.abort', args => this._abortSession(type, args));
+    });
+    this._register('pronunciation.init_analysis', (args, kwargs, client) =>
+      this._initSession('pronunciation', kwargs, client));
+    this._register('pronunciation.analyse', (args, kwargs, client, progress) =>
+      this._finishOnce(args[0], () => this._analyse(args, progress)));
+    this._register('recording.init_recording', (args, kwargs, client) =>
+      this._initSession('recording', kwargs, client));
+    this._register('recording.close', args => this._finishOnce(args[0], () => this._closeRecording(args)));
+    this._register('choice.init_recognition', (args, kwargs, client) => this._initSession('choice', kwargs, client));
+    this._register('choice.recognise', args => this._finishOnce(args[0], () => this._recognise(args)));
+  }
+
+  /**
+   * Accept the connection of a client.
+   *
+   * @param {FakeWebSocket} socket - The WebSocket of the client.
+   */
+  open(socket) {
+    this._clients.push({socket, sessionId: null, token: null});
+  }
+
+  /**
+   * Forget a client once its connection is closed.
+   *
+   * @param {FakeWebSocket} socket - The WebSocket of the client.
+   */
+  close(socket) {
+    this._clients = this._clients.filter(client => client.socket !== socket);
+  }
+
+  /**
+   * Close the connections of all clients, as if they were lost.
+   */
+  disconnectClients() {
+    this._clients.slice().forEach(client => client.socket._drop());
+  }
+
+  /**
+   * Handle a message of a connected client.
+   *
+   * @param {FakeWebSocket} socket - The WebSocket of the client.
+   * @param {Array} message - The WAMP message.
+   */
+  receive(socket, message) {
+    const client = this._clients.find(candidate => candidate.socket === socket);
+    const type = message[0];
+    if (type === MESSAGE.HELLO && client.sessionId === null) {
+      const details = message[2] || {};
+      if ((details.authmethods || []).indexOf('ticket') === -1) {
+        this._abort(client, 'Ticket authentication is required', 'wamp.error.not_authorized');
+        return;
+      }
+      this._send(client, [MESSAGE.CHALLENGE, 'ticket', {}]);
+    } else if (type === MESSAGE.AUTHENTICATE && client.sessionId === null) {
+      client.token = this._backend._authenticate(message[1]);
+      if (!client.token) {
+        this._abort(client, 'Invalid ticket', 'wamp.error.not_authorized');
+        return;
+      }
+      client.sessionId = ++this._backend._lastId;
+      this._send(client, [MESSAGE.WELCOME, client.sessionId, {
+        authid: 'oauth2',
+        authmethod: 'ticket',
+        roles: {
+          dealer: {
+            features: {
+              progressive_call_results: true
+            }
+          }
+        }
+      }]);
+    } else if (type === MESSAGE.CALL && client.sessionId !== null) {
+      this._call(client, message);
+    } else if (type === MESSAGE.GOODBYE && client.sessionId !== null) {
+      client.sessionId = null;
+      this._send(client, [MESSAGE.GOODBYE, {}, 'wamp.error.goodbye_and_out']);
+    } else {
+      this._abort(client, 'Unexpected message type ' + type, 'wamp.error.protocol_violation');
+    }
+  }
+
+  /**
+   * Register the handler of an RPC.
+   *
+   * @param {string} procedure - The RPC, without the `'nl.itslanguage.'` prefix.
+   * @param {Function} handler - Function handling a call, given its arguments, keyword arguments, the client calling
+   * and a function reporting progress. It returns the result or a Promise of it, and throws an {@link RpcError} to
+   * return an error.
+   * @private
+   */
+  _register(procedure, handler) {
+    this._procedures['nl.itslanguage.' + procedure] = handler;
+  }
+
+  /**
+   * Handle a CALL message.
+   *
+   * @param {Object} client - The client calling.
+   * @param {Array} message - The CALL message.
+   * @private
+   */
+  _call(client, message) {
+    const [, request, options, procedure, args = [], kwargs = {}] = message;
+    const handler = this._procedures[procedure];
+    const progress = result => {
+      if (options.receive_progress) {
+        this._send(client, [MESSAGE.RESULT, request, {progress: true}, [result]]);
+      }
+    };
+    new Promise(resolve => {
+      if (!handler) {
+        throw new RpcError('No callee registered for procedure ' + procedure, 'wamp.error.no_such_procedure',
+          ['no callee registered for procedure <' + procedure + '>']);
+      }
+      resolve(handler(args, kwargs, client, progress));
+    })
+      .then(result => {
+        this._send(client, [MESSAGE.RESULT, request, {}, result === undefined ? [] : [result]]);
+      }, error => {
+        const rpcError = error instanceof RpcError ? error :
+          new RpcError(error.message, 'wamp.error.runtime_error', [error.message]);
+        this._send(client, [MESSAGE.ERROR, MESSAGE.CALL, request, {}, rpcError.uri, rpcError.args,
+          rpcError.kwargs]);
+      });
+  }
+
+  /**
+   * Start a streaming session.
+   *
+   * @param {string} type - The type of session: `'pronunciation'`, `'recording'` or `'choice'`.
+   * @param {Object} kwargs - The options of the session, like `trimStart` and `trimEnd`.
+   * @param {Object} client - The client starting the session.
+   * @returns {string} The identifier of the session, which becomes that of the result.
+   * @private
+   */
+  _initSession(type, kwargs, client) {
+    const scope = Scope.parse(client.token.scope);
+    const session = {
+      id: String(++this._backend._lastId),
+      type,
+      userId: scope && scope.userId,
+      trimStart: kwargs.trimStart,
+      trimEnd: kwargs.trimEnd,
+      challenge: null,
+      audioFormat: null,
+      audioParameters: null,
+      audioSize: 0,
+      writes: 0
+    };
+    this._sessions[session.id] = session;
+    return session.id;
+  }
+
+  /**
+   * Set the challenge of a session.
+   *
+   * @param {string} type - The type of session.
+   * @param {string} collection - The name of the collection of the challenges of the session type.
+   * @param {Array} args - The session identifier and challenge identifier.
+   * @returns {string} The identifier of the session.
+   * @throws {RpcError} If the session or challenge does not exist.
+   * @private
+   */
+  _initChallenge(type, collection, args) {
+    const session = this._getSession(type, args[0]);
+    session.challenge = this._backend.get(collection, args[1]);
+    if (!session.challenge) {
+      throw FakeWampRouter._invalidArgument('Unknown challenge: ' + args[1]);
+    }
+    return session.id;
+  }
+
+  /**
+   * Set the audio format of a session.
+   *
+   * @param {string} type - The type of session.
+   * @param {Array} args - The session identifier and audio format.
+   * @param {Object} kwargs - The audio parameters.
+   * @returns {string} The identifier of the session.
+   * @throws {RpcError} If the session does not exist.
+   * @private
+   */
+  _initAudio(type, args, kwargs) {
+    const session = this._getSession(type, args[0]);
+    session.audioFormat = args[1];
+    session.audioParameters = kwargs;
+    return session.id;
+  }
+
+  /**
+   * Receive audio of a session.
+   *
+   * @param {string} type - The type of session.
+   * @param {Array} args - The session identifier, the audio and its encoding.
+   * @param {Object} kwargs - The sequence number of the write, if any. A write with the sequence number of a write
+   * which was received before is ignored.
+   * @throws {RpcError} If the session does not exist, its audio format is not set, the write is out of sequence, or
+   * the audio is neither an `ArrayBuffer` nor base64 encoded.
+   * @private
+   */
+  _write(type, args, kwargs) {
+    const session = this._getSession(type, args[0]);
+    if (session.audioFormat === null) {
+      throw FakeWampRouter._invalidArgument('The audio format is not set');
+    }
+    if (kwargs.sequence < session.writes) {
+      // The write was sent again after the connection was lost.
+      return;
+    }
+    if (kwargs.sequence !== undefined && kwargs.sequence !== session.writes) {
+      throw FakeWampRouter._invalidArgument('Expected audio chunk ' + session.writes + ', got ' + kwargs.sequence);
+    }
+    if (args[2] === 'binary' && args[1] instanceof ArrayBuffer) {
+      session.audioSize += args[1].byteLength;
+    } else if (args[2] === 'base64') {
+      session.audioSize += atob(args[1]).length;
+    } else {
+      throw FakeWampRouter._invalidArgument('Unsupported encoding: ' + args[2]);
+    }
+    session.writes++;
+  }
+
+  /**
+   * Finish a pronunciation analysis.
+   *
+   * @param {Array} args - The session identifier.
+   * @param {Function} progress - Function reporting progress.
+   * @returns {Object} The analysis.
+   * @throws {RpcError} If the session does not exist, or the analysis failed as scripted.
+   * @private
+   */
+  _analyse(args, progress) {
+    const session = this._finishSession('pronunciation', args[0]);
+    const script = this._backend._takeScript('pronunciation');
+    (script.progress || []).forEach(progress);
+    if (script.error) {
+      const analysis = this._backend.add('analyses', this._createResult(session));
+      throw new RpcError(script.error, script.error, [], {analysis});
+    }
+    const words = session.challenge.transcription.split(/\s+/).filter(Boolean).map(word => ({
+      chunks: [{graphemes: word, score: 1, verdict: 'good', phonemes: []}]
+    }));
+    return this._backend.add('analyses', Object.assign(this._createResult(session), {
+      score: 1,
+      confidenceScore: 1,
+      words
+    }, script.result));
+  }
+
+  /**
+   * Finish a speech recording.
+   *
+   * @param {Array} args - The session identifier.
+   * @returns {Object} The recording.
+   * @throws {RpcError} If the session does not exist, or the recording failed as scripted.
+   * @private
+   */
+  _closeRecording(args) {
+    const session = this._finishSession('recording', args[0]);
+    const script = this._backend._takeScript('recording');
+    if (script.error) {
+      throw new RpcError(script.error, script.error);
+    }
+    return this._backend.add('recordings', Object.assign(this._createResult(session),
+      script.result));
+  }
+
+  /**
+   * Finish a choice recognition. The first choice of the challenge is recognised, unless scripted otherwise.
+   *
+   * @param {Array} args - The session identifier.
+   * @returns {Object} The recognition.
+   * @throws {RpcError} If the session does not exist, or the recognition failed as scripted.
+   * @private
+   */
+  _recognise(args) {
+    const session = this._finishSession('choice', args[0]);
+    const script = this._backend._takeScript('choice');
+    if (script.error) {
+      const recognition = this._backend.add('recognitions', this._createResult(session));
+      throw new RpcError(script.error, script.error, [], {recognition});
+    }
+    const choices = session.challenge.choices || [];
+    return this._backend.add('recognitions', Object.assign(this._createResult(session), {
+      recognised: choices.length ? choices[0].choice : null
+    }, script.result));
+  }
+
+  /**
+   * Finish a streaming session once. Finishing it again returns the result or error it was finished with.
+   *
+   * @param {string} id - The identifier of the session.
+   * @param {Function} finish - Function finishing the session, returning its result or throwing an {@link RpcError}.
+   * @returns {Object} The result.
+   * @throws {RpcError} If the session could not be finished.
+   * @private
+   */
+  _finishOnce(id, finish) {
+    const finished = this._finished[id];
+    if (finished) {
+      if (finished.error) {
+        throw finished.error;
+      }
+      return finished.result;
+    }
+    const started = Boolean(this._sessions[id]);
+    try {
+      const result = finish();
+      this._finished[id] = {result};
+      return result;
+    } catch (error) {
+      if (started && !this._sessions[id]) {
+        // The session was finished with an error.
+        this._finished[id] = {error};
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Abort a streaming session, without creating its result.
+   *
+   * @param {string} type - The type of session.
+   * @param {Array} args - The session identifier.
+   * @throws {RpcError} If the session does not exist.
+   * @private
+   */
+  _abortSession(type, args) {
+    this._getSession(type, args[0]);
+    delete this._sessions[args[0]];
+  }
+
+  /**
+   * Get a streaming session.
+   *
+   * @param {string} type - The type of session.
+   * @param {string} id - The identifier of the session.
+   * @returns {Object} The session.
+   * @throws {RpcError} If there is no session of the type with the identifier.
+   * @private
+   */
+  _getSession(type, id) {
+    const session = this._sessions[id];
+    if (!session || session.type !== type) {
+      throw FakeWampRouter._invalidArgument('Unknown session: ' + id);
+    }
+    return session;
+  }
+
+  /**
+   * End a streaming session to create its result.
+   *
+   * @param {string} type - The type of session.
+   * @param {string} id - The identifier of the session.
+   * @returns {Object} The session.
+   * @throws {RpcError} If there is no session of the type with the identifier, or its challenge is not set.
+   * @private
+   */
+  _finishSession(type, id) {
+    const session = this._getSession(type, id);
+    if (!session.challenge) {
+      throw FakeWampRouter._invalidArgument('The challenge is not set');
+    }
+    delete this._sessions[id];
+    return session;
+  }
+
+  /**
+   * Send a message to a client.
+   *
+   * @param {Object} client - The client.
+   * @param {Array} message - The WAMP message.
+   * @private
+   */
+  _send(client, message) {
+    client.socket._deliver(message);
+  }
+
+  /**
+   * Refuse or end the session of a client.
+   *
+   * @param {Object} client - The client.
+   * @param {string} message - Description of the reason.
+   * @param {string} reason - The WAMP error URI of the reason.
+   * @private
+   */
+  _abort(client, message, reason) {
+    client.sessionId = null;
+    this._send(client, [MESSAGE.ABORT, {message}, reason]);
+  }
+
+  /**
+   * Create the basic metadata of the result of a session.
+   *
+   * @param {Object} session - The session.
+   * @returns {Object} The metadata.
+   * @private
+   */
+  _createResult(session) {
+    return {
+      id: session.id,
+      challengeId: session.challenge.id,
+      userId: session.userId,
+      audioUrl: this._backend._downloadUrl(session.id)
+    };
+  }
+
+  /**
+   * Create the error for an RPC called with invalid arguments.
+   *
+   * @param {string} message - Description of the error.
+   * @returns {RpcError} The error.
+   * @private
+   */
+  static _invalidArgument(message) {
+    return new RpcError(message, 'wamp.error.invalid_argument', [message]);
+  }
+}
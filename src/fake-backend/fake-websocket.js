@@ -0,0 +1,160 @@
+import MsgpackSerializer from '../administrative-sdk/connection/msgpack-serializer';
+
+/**
+ * WebSocket connected to the WAMP router of a {@link FakeBackend}. It follows the parts of the W3C WebSocket API the
+ * SDK uses, and speaks the JSON or MessagePack serialization of WAMP, whichever is offered first of those the backend
+ * speaks.
+ *
+ * @private
+ */
+export default class FakeWebSocket {
+  /**
+   * @param {FakeBackend} backend - The backend to connect to.
+   * @param {string} url - The URL of the Websocket server.
+   * @param {string|string[]} [protocols] - The subprotocols the client supports.
+   */
+  constructor(backend, url, protocols = []) {
+    this.url = url;
+    this.protocol = '';
+    this.binaryType = 'blob';
+    this.readyState = FakeWebSocket.CONNECTING;
+    this.onopen = null;
+    this.onmessage = null;
+    this.onerror = null;
+    this.onclose = null;
+    this._backend = backend;
+    this._serializer = null;
+    const offered = typeof protocols === 'string' ? [protocols] : protocols;
+    const protocol = offered.find(other => backend._settings.serializers.some(id => other === 'wamp.2.' + id));
+    backend._delay(() => {
+      if (this.readyState !== FakeWebSocket.CONNECTING) {
+        return;
+      }
+      if (url !== backend._settings.wsUrl || !protocol) {
+        this._closed(1006, '', false);
+        return;
+      }
+      if (protocol === FakeWebSocket.MSGPACK_PROTOCOL) {
+        this._serializer = new MsgpackSerializer();
+      }
+      this.protocol = protocol;
+      this.readyState = FakeWebSocket.OPEN;
+      backend._router.open(this);
+      this._fire('onopen', {});
+    });
+  }
+
+  /**
+   * Send a message to the router.
+   *
+   * @param {string|Uint8Array} data - The serialized WAMP message.
+   * @throws {Error} If the WebSocket is not open.
+   */
+  send(data) {
+    if (this.readyState !== FakeWebSocket.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+    const message = this._serializer ? this._serializer.unserialize(data) : JSON.parse(data);
+    this._backend._delay(() => {
+      if (this.readyState === FakeWebSocket.OPEN) {
+        this._backend._router.receive(this, message);
+      }
+    });
+  }
+
+  /**
+   * Close the WebSocket.
+   *
+   * @param {number} [code] - The status code explaining why the connection is closed.
+   * @param {string} [reason] - The reason why the connection is closed.
+   */
+  close(code = 1000, reason = '') {
+    if (this.readyState === FakeWebSocket.CLOSING || this.readyState === FakeWebSocket.CLOSED) {
+      return;
+    }
+    const wasOpen = this.readyState === FakeWebSocket.OPEN;
+    this.readyState = FakeWebSocket.CLOSING;
+    if (wasOpen) {
+      this._backend._router.close(this);
+    }
+    this._backend._delay(() => this._closed(code, reason, true));
+  }
+
+  /**
+   * Pass a message of the router on to the client.
+   *
+   * @param {Array} message - The WAMP message.
+   * @private
+   */
+  _deliver(message) {
+    let data = JSON.stringify(message);
+    if (this._serializer) {
+      const bytes = this._serializer.serialize(message);
+      data = bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength);
+    }
+    this._backend._delay(() => {
+      if (this.readyState === FakeWebSocket.OPEN) {
+        this._fire('onmessage', {data});
+      }
+    });
+  }
+
+  /**
+   * Lose the open connection, as if the network failed.
+   *
+   * @private
+   */
+  _drop() {
+    this.readyState = FakeWebSocket.CLOSING;
+    this._backend._router.close(this);
+    this._backend._delay(() => this._closed(1006, '', false));
+  }
+
+  /**
+   * Finish closing the WebSocket.
+   *
+   * @param {number} code - The status code explaining why the connection was closed.
+   * @param {string} reason - The reason why the connection was closed.
+   * @param {boolean} wasClean - Whether the connection was closed cleanly.
+   * @private
+   */
+  _closed(code, reason, wasClean) {
+    this.readyState = FakeWebSocket.CLOSED;
+    if (!wasClean) {
+      this._fire('onerror', {});
+    }
+    this._fire('onclose', {code, reason, wasClean});
+  }
+
+  /**
+   * Call an event handler, if it is set.
+   *
+   * @param {string} handler - The name of the handler, like `'onopen'`.
+   * @param {Object} event - The event to pass.
+   * @private
+   */
+  _fire(handler, event) {
+    if (this[handler]) {
+      this[handler](Object.assign({type: handler.substring(2), target: this}, event));
+    }
+  }
+}
+
+/**
+ * The subprotocol of the JSON serialization of WAMP.
+ *
+ * @type {string}
+ */
+FakeWebSocket.PROTOCOL = 'wamp.2.json';
+
+/**
+ * The subprotocol of the MessagePack serialization of WAMP.
+ *
+ * @type {string}
+ */
+FakeWebSocket.MSGPACK_PROTOCOL = 'wamp.2.msgpack';
+
+FakeWebSocket.CONNECTING = 0;
+FakeWebSocket.OPEN = 1;
+FakeWebSocket.CLOSING = 2;
+FakeWebSocket.CLOSED = 3;
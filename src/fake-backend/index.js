@@ -0,0 +1,9 @@
+/**
+ * Entry point of the fake backend, to test apps without the ITSLanguage service. It is kept out of the entry points
+ * of the SDK, so apps do not bundle it.
+ */
+import FakeBackend from './fake-backend';
+
+export {
+  FakeBackend
+};
@@ -0,0 +1,180 @@
+/**
+ * Logger used by all components of the SDK, instead of writing to the console directly.
+ *
+ * Messages are written to an output with the same API as `console`, prefixed with the namespace of the component
+ * they come from. Messages below the configured level and messages of disabled namespaces are dropped. OAuth2 tokens
+ * and passwords are redacted from messages before they are written.
+ *
+ * A logger is configured once on the {@link Connection}, {@link AudioRecorder} or {@link AudioPlayer}, which pass
+ * it on to the components they use. Those components log using a child of it, so changing the level of a logger
+ * also changes the level of its children.
+ */
+export default class Logger {
+  /**
+   * @param {Object} [options] - Options to configure the logger with.
+   * Valid options include:
+   * * level - The minimum level of messages to write. One of `'debug'`, `'info'`, `'warn'`, `'error'` or `'silent'`
+   * (default: `'warn'`).
+   * * namespace - The namespace of the messages (default: `'itslanguage'`).
+   * * namespaces - The namespaces to write messages of, or `null` to write messages of all namespaces. A namespace
+   * also enables the namespaces within it, so `'itslanguage:connection'` enables `'itslanguage:connection:rpc'`.
+   * * output - Where to write messages to. It must have a method for each level, like `console` (default: `console`).
+   */
+  constructor(options = {}) {
+    this._settings = Object.assign({
+      level: 'warn',
+      namespaces: null,
+      output: console
+    }, options);
+    if (Logger.LEVELS.indexOf(this._settings.level) === -1) {
+      throw new Error('level must be one of ' + Logger.LEVELS.join(', '));
+    }
+    delete this._settings.namespace;
+
+    /**
+     * The namespace of the messages of this logger.
+     *
+     * @type {string}
+     */
+    this.namespace = options.namespace || 'itslanguage';
+  }
+
+  /**
+   * Obtain a logger for a component. The component is configured with either a logger, or options for a new one.
+   *
+   * @param {?(Logger|Object)} logger - The logger, or the options of a new logger.
+   * @param {string} name - The name of the component.
+   * @returns {Logger} A child of the logger for the component.
+   */
+  static from(logger, name) {
+    const parent = logger instanceof Logger ? logger : new Logger(logger || {});
+    return parent.child(name);
+  }
+
+  /**
+   * The minimum level of messages to write. It is shared with the parent and children of this logger.
+   *
+   * @type {string}
+   */
+  get level() {
+    return this._settings.level;
+  }
+
+  set level(level) {
+    if (Logger.LEVELS.indexOf(level) === -1) {
+      throw new Error('level must be one of ' + Logger.LEVELS.join(', '));
+    }
+    this._settings.level = level;
+  }
+
+  /**
+   * Create a logger for a part of the component this logger belongs to. It shares the configuration of this logger.
+   *
+   * @param {string} name - The name of the part, which is appended to the namespace of this logger.
+   * @returns {Logger} The child logger.
+   */
+  child(name) {
+    const child = new Logger();
+    child._settings = this._settings;
+    child.namespace = this.namespace + ':' + name;
+    return child;
+  }
+
+  /**
+   * Check whether messages of a level would be written.
+   *
+   * @param {string} level - The level of the messages.
+   * @returns {boolean} True if the level and namespace of this logger are enabled.
+   */
+  isEnabled(level) {
+    const settings = this._settings;
+    if (Logger.LEVELS.indexOf(level) < Logger.LEVELS.indexOf(settings.level)) {
+      return false;
+    }
+    if (!settings.namespaces) {
+      return true;
+    }
+    return settings.namespaces.some(namespace =>
+      this.namespace === namespace || this.namespace.indexOf(namespace + ':') === 0);
+  }
+
+  /**
+   * Write a debug message, like the data being sent to the server.
+   *
+   * @param {...any} args - The message.
+   */
+  debug(...args) {
+    this._write('debug', args);
+  }
+
+  /**
+   * Write an informational message, like a change of the connection state.
+   *
+   * @param {...any} args - The message.
+   */
+  info(...args) {
+    this._write('info', args);
+  }
+
+  /**
+   * Write a warning about something which went wrong, but which the SDK recovers from.
+   *
+   * @param {...any} args - The message.
+   */
+  warn(...args) {
+    this._write('warn', args);
+  }
+
+  /**
+   * Write an error message.
+   *
+   * @param {...any} args - The message.
+   */
+  error(...args) {
+    this._write('error', args);
+  }
+
+  /**
+   * Write a message to the output, if the level and namespace are enabled.
+   *
+   * @param {string} level - The level of the message.
+   * @param {Array} args - The message.
+   * @private
+   */
+  _write(level, args) {
+    if (!this.isEnabled(level)) {
+      return;
+    }
+    const output = this._settings.output;
+    const write = output[level] || output.log;
+    const message = args.map(arg => typeof arg === 'string' ? Logger.redact(arg) : arg);
+    write.call(output, '[' + this.namespace + ']', ...message);
+  }
+
+  /**
+   * Remove OAuth2 tokens and passwords from a message.
+   *
+   * @param {string} message - The message.
+   * @returns {string} The message with any secrets replaced.
+   */
+  static redact(message) {
+    return Logger.SECRETS.reduce((redacted, pattern) => redacted.replace(pattern, '$1[redacted]'), message);
+  }
+}
+
+/**
+ * The levels of messages, from least to most severe. Setting the level to `'silent'` disables all messages.
+ *
+ * @type {string[]}
+ */
+Logger.LEVELS = ['debug', 'info', 'warn', 'error', 'silent'];
+
+/**
+ * Patterns of secrets which are redacted from messages. The first group of each pattern is kept.
+ *
+ * @type {RegExp[]}
+ */
+Logger.SECRETS = [
+  /(Bearer\s+)[^\s'",]+/gi,
+  /((?:access_token|refresh_token|password|ticket)["']?\s*[=:]\s*["']?)[^\s&'",}]+/gi
+];
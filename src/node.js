@@ -0,0 +1,75 @@
+/**
+ * Entry point for Node.js. It exposes the same API as the browser entry point, except for the audio modules which
+ * depend on browser APIs.
+ */
+import AdministrativeSDK from './administrative-sdk/administrative-sdk';
+import ApiError from './administrative-sdk/errors/api-error';
+import AuthenticationError from './administrative-sdk/errors/authentication-error';
+import BasicAuth from './administrative-sdk/basic-auth/basic-auth';
+import CancellationError from './administrative-sdk/errors/cancellation-error';
+import Category from './administrative-sdk/category/category';
+import ChoiceChallenge from './administrative-sdk/choice-challenge/choice-challenge';
+import Connection from './administrative-sdk/connection/connection-controller';
+import ConnectionLostError from './administrative-sdk/errors/connection-lost-error';
+import EmailCredentials from './administrative-sdk/email-credentials/email-credentials';
+import Group from './administrative-sdk/group/group';
+import HttpCache from './administrative-sdk/cache/http-cache';
+import IndexedDbCacheStore from './administrative-sdk/cache/indexeddb-cache-store';
+import Logger from './logger/logger';
+import MemoryCacheStore from './administrative-sdk/cache/memory-cache-store';
+import MemoryTokenStore from './administrative-sdk/token-store/memory-token-store';
+import OfflineError from './administrative-sdk/errors/offline-error';
+import OfflineQueue from './administrative-sdk/offline-queue/offline-queue';
+import Organisation from './administrative-sdk/organisation/organisation';
+import Profile from './administrative-sdk/profile/profile';
+import PronunciationChallenge from './administrative-sdk/pronunciation-challenge/pronunciation-challenge';
+import Role from './administrative-sdk/role/role';
+import RpcError from './administrative-sdk/errors/rpc-error';
+import Scope from './administrative-sdk/scope/scope';
+import SdkError from './administrative-sdk/errors/sdk-error';
+import SpeechChallenge from './administrative-sdk/speech-challenge/speech-challenge';
+import StreamingError from './administrative-sdk/errors/streaming-error';
+import StreamingSession from './administrative-sdk/streaming-session/streaming-session';
+import TimeoutError from './administrative-sdk/errors/timeout-error';
+import TrafficRecorder from './administrative-sdk/traffic-recorder/traffic-recorder';
+import TrafficReplayer from './administrative-sdk/traffic-recorder/traffic-replayer';
+import User from './administrative-sdk/user/user';
+import ValidationError from './administrative-sdk/errors/validation-error';
+import WebStorageTokenStore from './administrative-sdk/token-store/web-storage-token-store';
+
+export {
+  AdministrativeSDK,
+  ApiError,
+  AuthenticationError,
+  BasicAuth,
+  CancellationError,
+  Category,
+  ChoiceChallenge,
+  Connection,
+  ConnectionLostError,
+  EmailCredentials,
+  Group,
+  HttpCache,
+  IndexedDbCacheStore,
+  Logger,
+  MemoryCacheStore,
+  MemoryTokenStore,
+  OfflineError,
+  OfflineQueue,
+  Organisation,
+  Profile,
+  PronunciationChallenge,
+  Role,
+  RpcError,
+  Scope,
+  SdkError,
+  SpeechChallenge,
+  StreamingError,
+  StreamingSession,
+  TimeoutError,
+  TrafficRecorder,
+  TrafficReplayer,
+  User,
+  ValidationError,
+  WebStorageTokenStore
+};
@@ -12,6 +12,7 @@ import * as SpeechRecordingController from '../src/administrative-sdk/speech-rec
 import * as UserController from '../src/administrative-sdk/user/user-controller';
 import AdministrativeSDK from '../src/administrative-sdk/administrative-sdk';
 import Connection from '../src/administrative-sdk/connection/connection-controller';
+import Scope from '../src/administrative-sdk/scope/scope';
 
 describe('Administrative SDK', () => {
   const connection = new Connection({
@@ -30,7 +31,8 @@ describe('Administrative SDK', () => {
     ['createOrganisation', 'getOrganisation', 'getOrganisations']);
   const fakeProfileController = jasmine.createSpyObj('ProfileController', ['getProfile', 'getProfiles']);
   const fakePronunciationAnalysisController = jasmine.createSpyObj('PronunciationAnalysisController',
-    ['startStreamingPronunciationAnalysis', 'getPronunciationAnalysis', 'getPronunciationAnalyses']);
+    ['startStreamingPronunciationAnalysis', 'analysePronunciationFromBlob', 'getPronunciationAnalysis',
+      'getPronunciationAnalyses']);
   const fakePronunciationChallengeController = jasmine.createSpyObj(
     'PronunciationChallengeController',
     ['createPronunciationChallenge', 'getPronunciationChallenge',
@@ -59,87 +61,111 @@ describe('Administrative SDK', () => {
   });
 
   it('should call all the methods', () => {
-    sdk.createChoiceChallenge(1);
-    sdk.getChoiceChallenge(1, 2);
-    sdk.getChoiceChallenges(1);
-    sdk.startStreamingChoiceRecognition(1, 2, 3);
-    sdk.getChoiceRecognition(1, 2, 3);
-    sdk.getChoiceRecognitions(1, 2);
-    sdk.createOrganisation(1);
-    sdk.getOrganisation(1);
-    sdk.getOrganisations();
-    sdk.startStreamingPronunciationAnalysis(1, 2, 3);
-    sdk.getPronunciationAnalysis(1, 2, 3);
-    sdk.getPronunciationAnalyses(1, 2, 3);
-    sdk.createPronunciationChallenge(1);
-    sdk.getPronunciationChallenge(1, 2);
-    sdk.getPronunciationChallenges(1);
-    sdk.deletePronunciationChallenge(1);
-    sdk.createSpeechChallenge(1, 2);
-    sdk.getSpeechChallenge(1, 2);
-    sdk.getSpeechChallenges(1);
-    sdk.startStreamingSpeechRecording(1, 2);
-    sdk.getSpeechRecording(1, 2, 3);
-    sdk.getSpeechRecordings(1, 2);
-    sdk.createUser(1);
-    sdk.getUser(1);
-    sdk.getCurrentUser();
-    sdk.getUsers();
-    sdk.createEmailCredentials(1, 2);
-    sdk.getRoles();
-    sdk.getRole(1);
-    sdk.getProfile(1);
-    sdk.getProfiles();
-    sdk.createCategory(1);
-    sdk.getCategory(1);
-    sdk.getCategoriesWithParent(1);
-    sdk.getTopLevelCategories();
+    const options = {signal: {}};
+    sdk.createChoiceChallenge(1, options);
+    sdk.getChoiceChallenge(1, options);
+    sdk.getChoiceChallenges(options);
+    sdk.startStreamingChoiceRecognition(1, 2, 3, options);
+    sdk.getChoiceRecognition(1, 2, options);
+    sdk.getChoiceRecognitions(1, options);
+    sdk.createOrganisation(1, options);
+    sdk.getOrganisation(1, options);
+    sdk.getOrganisations(options);
+    sdk.startStreamingPronunciationAnalysis(1, 2, 3, options);
+    sdk.analysePronunciationFromBlob(1, 2, options);
+    sdk.getPronunciationAnalysis(1, 2, options);
+    sdk.getPronunciationAnalyses(1, 2, options);
+    sdk.createPronunciationChallenge(1, 2, options);
+    sdk.getPronunciationChallenge(1, options);
+    sdk.getPronunciationChallenges(options);
+    sdk.deletePronunciationChallenge(1, options);
+    sdk.createSpeechChallenge(1, 2, options);
+    sdk.getSpeechChallenge(1, options);
+    sdk.getSpeechChallenges(options);
+    sdk.startStreamingSpeechRecording(1, 2, 3, options);
+    sdk.getSpeechRecording(1, 2, options);
+    sdk.getSpeechRecordings(1, options);
+    sdk.createUser(1, options);
+    sdk.getUser(1, options);
+    sdk.getCurrentUser(options);
+    sdk.getUsers(options);
+    sdk.createEmailCredentials(1, 2, options);
+    sdk.getRoles(options);
+    sdk.getRole(1, options);
+    sdk.getProfile(1, options);
+    sdk.getProfiles(options);
+    sdk.createCategory(1, options);
+    sdk.getCategory(1, options);
+    sdk.getCategoriesWithParent(1, options);
+    sdk.getTopLevelCategories(options);
 
-    expect(fakeCategoryController.createCategory).toHaveBeenCalledWith(1);
-    expect(fakeCategoryController.getCategory).toHaveBeenCalledWith(1);
-    expect(fakeCategoryController.getTopLevelCategories).toHaveBeenCalledWith();
-    expect(fakeCategoryController.getCategoriesWithParent).toHaveBeenCalledWith(1);
+    expect(fakeCategoryController.createCategory).toHaveBeenCalledWith(1, options);
+    expect(fakeCategoryController.getCategory).toHaveBeenCalledWith(1, options);
+    expect(fakeCategoryController.getTopLevelCategories).toHaveBeenCalledWith(options);
+    expect(fakeCategoryController.getCategoriesWithParent).toHaveBeenCalledWith(1, options);
 
-    expect(fakeChoiceChallengeController.createChoiceChallenge).toHaveBeenCalledWith(1);
-    expect(fakeChoiceChallengeController.getChoiceChallenge).toHaveBeenCalledWith(1);
-    expect(fakeChoiceChallengeController.getChoiceChallenges).toHaveBeenCalledWith();
+    expect(fakeChoiceChallengeController.createChoiceChallenge).toHaveBeenCalledWith(1, options);
+    expect(fakeChoiceChallengeController.getChoiceChallenge).toHaveBeenCalledWith(1, options);
+    expect(fakeChoiceChallengeController.getChoiceChallenges).toHaveBeenCalledWith(options);
 
-    expect(fakeChoiceRecognitionController.startStreamingChoiceRecognition).toHaveBeenCalledWith(1, 2, 3);
-    expect(fakeChoiceRecognitionController.getChoiceRecognition).toHaveBeenCalledWith(1, 2);
-    expect(fakeChoiceRecognitionController.getChoiceRecognitions).toHaveBeenCalledWith(1);
+    expect(fakeChoiceRecognitionController.startStreamingChoiceRecognition).toHaveBeenCalledWith(1, 2, 3, options);
+    expect(fakeChoiceRecognitionController.getChoiceRecognition).toHaveBeenCalledWith(1, 2, options);
+    expect(fakeChoiceRecognitionController.getChoiceRecognitions).toHaveBeenCalledWith(1, options);
 
-    expect(fakeEmailCredentialsController.createEmailCredentials).toHaveBeenCalledWith(1, 2);
+    expect(fakeEmailCredentialsController.createEmailCredentials).toHaveBeenCalledWith(1, 2, options);
 
-    expect(fakeOrganisationController.createOrganisation).toHaveBeenCalledWith(1);
-    expect(fakeOrganisationController.getOrganisation).toHaveBeenCalledWith(1);
-    expect(fakeOrganisationController.getOrganisations).toHaveBeenCalledWith();
+    expect(fakeOrganisationController.createOrganisation).toHaveBeenCalledWith(1, options);
+    expect(fakeOrganisationController.getOrganisation).toHaveBeenCalledWith(1, options);
+    expect(fakeOrganisationController.getOrganisations).toHaveBeenCalledWith(options);
 
-    expect(fakePronunciationAnalysisController.startStreamingPronunciationAnalysis).toHaveBeenCalledWith(1, 2, 3);
-    expect(fakePronunciationAnalysisController.getPronunciationAnalysis).toHaveBeenCalledWith(1, 2);
-    expect(fakePronunciationAnalysisController.getPronunciationAnalyses).toHaveBeenCalledWith(1, 2);
+    expect(fakePronunciationAnalysisController.startStreamingPronunciationAnalysis)
+      .toHaveBeenCalledWith(1, 2, 3, options);
+    expect(fakePronunciationAnalysisController.analysePronunciationFromBlob).toHaveBeenCalledWith(1, 2, options);
+    expect(fakePronunciationAnalysisController.getPronunciationAnalysis).toHaveBeenCalledWith(1, 2, options);
+    expect(fakePronunciationAnalysisController.getPronunciationAnalyses).toHaveBeenCalledWith(1, 2, options);
 
-    expect(fakePronunciationChallengeController.createPronunciationChallenge).toHaveBeenCalledWith(1);
-    expect(fakePronunciationChallengeController.getPronunciationChallenge).toHaveBeenCalledWith(1);
-    expect(fakePronunciationChallengeController.getPronunciationChallenges).toHaveBeenCalledWith();
-    expect(fakePronunciationChallengeController.deletePronunciationChallenge).toHaveBeenCalledWith(1);
+    expect(fakePronunciationChallengeController.createPronunciationChallenge).toHaveBeenCalledWith(1, 2, options);
+    expect(fakePronunciationChallengeController.getPronunciationChallenge).toHaveBeenCalledWith(1, options);
+    expect(fakePronunciationChallengeController.getPronunciationChallenges).toHaveBeenCalledWith(options);
+    expect(fakePronunciationChallengeController.deletePronunciationChallenge).toHaveBeenCalledWith(1, options);
 
-    expect(fakeSpeechChallengeController.createSpeechChallenge).toHaveBeenCalledWith(1, 2);
-    expect(fakeSpeechChallengeController.getSpeechChallenge).toHaveBeenCalledWith(1);
-    expect(fakeSpeechChallengeController.getSpeechChallenges).toHaveBeenCalledWith();
+    expect(fakeSpeechChallengeController.createSpeechChallenge).toHaveBeenCalledWith(1, 2, null, null, options);
+    expect(fakeSpeechChallengeController.getSpeechChallenge).toHaveBeenCalledWith(1, options);
+    expect(fakeSpeechChallengeController.getSpeechChallenges).toHaveBeenCalledWith(options);
 
-    expect(fakeSpeechRecordingController.startStreamingSpeechRecording).toHaveBeenCalledWith(1, 2);
-    expect(fakeSpeechRecordingController.getSpeechRecording).toHaveBeenCalledWith(1, 2);
-    expect(fakeSpeechRecordingController.getSpeechRecordings).toHaveBeenCalledWith(1);
+    expect(fakeSpeechRecordingController.startStreamingSpeechRecording).toHaveBeenCalledWith(1, 2, 3, options);
+    expect(fakeSpeechRecordingController.getSpeechRecording).toHaveBeenCalledWith(1, 2, options);
+    expect(fakeSpeechRecordingController.getSpeechRecordings).toHaveBeenCalledWith(1, options);
 
-    expect(fakeUserController.createUser).toHaveBeenCalledWith(1);
-    expect(fakeUserController.getUser).toHaveBeenCalledWith(1);
-    expect(fakeUserController.getCurrentUser).toHaveBeenCalledWith();
-    expect(fakeUserController.getUsers).toHaveBeenCalledWith();
+    expect(fakeUserController.createUser).toHaveBeenCalledWith(1, options);
+    expect(fakeUserController.getUser).toHaveBeenCalledWith(1, options);
+    expect(fakeUserController.getCurrentUser).toHaveBeenCalledWith(options);
+    expect(fakeUserController.getUsers).toHaveBeenCalledWith(options);
 
-    expect(fakeRoleController.getRoles).toHaveBeenCalledWith();
-    expect(fakeRoleController.getRole).toHaveBeenCalledWith(1);
+    expect(fakeRoleController.getRoles).toHaveBeenCalledWith(options);
+    expect(fakeRoleController.getRole).toHaveBeenCalledWith(1, options);
 
-    expect(fakeProfileController.getProfile).toHaveBeenCalledWith(1);
-    expect(fakeProfileController.getProfiles).toHaveBeenCalledWith();
+    expect(fakeProfileController.getProfile).toHaveBeenCalledWith(1, options);
+    expect(fakeProfileController.getProfiles).toHaveBeenCalledWith(options);
+  });
+
+  it('should create an SDK acting within another scope', done => {
+    const scoped = new Connection({oAuth2Token: 'scoped'});
+    const scope = new Scope('4', 'fb');
+    spyOn(connection, 'withScope').and.returnValue(Promise.resolve(scoped));
+    sdk.withScope(scope)
+      .then(scopedSdk => {
+        expect(connection.withScope).toHaveBeenCalledWith(scope);
+        expect(scopedSdk).toEqual(jasmine.any(AdministrativeSDK));
+        expect(scopedSdk._connection).toBe(scoped);
+        expect(sdk._connection).toBe(connection);
+        spyOn(scoped, 'logout').and.returnValue(Promise.resolve());
+        return scopedSdk.logout();
+      })
+      .then(() => {
+        expect(scoped.logout).toHaveBeenCalled();
+      })
+      .catch(fail)
+      .then(done);
   });
 });
@@ -0,0 +1,233 @@
+import AudioFile from '../src/audio/audio-file';
+import ValidationError from '../src/administrative-sdk/errors/validation-error';
+
+/**
+ * Write ASCII text into a file.
+ *
+ * @param {DataView} view - The file.
+ * @param {number} offset - The offset of the text.
+ * @param {string} text - The text.
+ */
+function writeText(view, offset, text) {
+  for (let i = 0; i < text.length; i++) {
+    view.setUint8(offset + i, text.charCodeAt(i));
+  }
+}
+
+/**
+ * Create a WAV file.
+ *
+ * @param {number} samples - The number of 16 bit samples of audio.
+ * @param {number} [format=1] - The audio format, 1 being PCM.
+ * @returns {ArrayBuffer} The file.
+ */
+function createWave(samples, format = 1) {
+  const view = new DataView(new ArrayBuffer(44 + 10 + samples * 2));
+  writeText(view, 0, 'RIFF');
+  view.setUint32(4, view.byteLength - 8, true);
+  writeText(view, 8, 'WAVE');
+  writeText(view, 12, 'fmt ');
+  view.setUint32(16, 16, true);
+  view.setUint16(20, format, true);
+  view.setUint16(22, 1, true);
+  view.setUint32(24, 16000, true);
+  view.setUint32(28, 32000, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  // An odd sized chunk before the audio, which is padded.
+  writeText(view, 36, 'LIST');
+  view.setUint32(40, 1, true);
+  writeText(view, 46, 'data');
+  view.setUint32(50, samples * 2, true);
+  for (let i = 0; i < samples; i++) {
+    view.setInt16(54 + i * 2, i, true);
+  }
+  return view.buffer;
+}
+
+/**
+ * Create an OGG file holding just the identification header of its codec.
+ *
+ * @param {string} codec - The codec: `'opus'` or `'vorbis'`.
+ * @returns {ArrayBuffer} The file.
+ */
+function createOgg(codec) {
+  const view = new DataView(new ArrayBuffer(28 + 30));
+  writeText(view, 0, 'OggS');
+  view.setUint8(26, 1);
+  view.setUint8(27, 30);
+  if (codec === 'opus') {
+    writeText(view, 28, 'OpusHead');
+    view.setUint8(28 + 9, 1);
+    view.setUint32(28 + 12, 16000, true);
+  } else {
+    view.setUint8(28, 1);
+    writeText(view, 29, 'vorbis');
+    view.setUint8(28 + 11, 2);
+    view.setUint32(28 + 12, 44100, true);
+  }
+  return view.buffer;
+}
+
+describe('AudioFile', () => {
+  it('should decode a WAV file', done => {
+    const file = new AudioFile(new Blob([createWave(10)]));
+    file.load()
+      .then(() => {
+        expect(file.getAudioSpecs()).toEqual({
+          audioFormat: 'audio/wave',
+          audioParameters: {channels: 1, sampleWidth: 16, frameRate: 16000, sampleRate: 16000}
+        });
+        expect(file.hasUserMediaApproval()).toBeTruthy();
+        expect(file.isRecording()).toBeFalsy();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should read a file in browsers without the arrayBuffer method of a Blob', done => {
+    const blob = new Blob([createWave(10)]);
+    blob.arrayBuffer = undefined;
+    const file = new AudioFile(blob);
+    file.load()
+      .then(() => {
+        expect(file.getAudioSpecs().audioFormat).toEqual('audio/wave');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should reject a file which cannot be read', done => {
+    const blob = new Blob([createWave(10)]);
+    const error = new Error('The file could not be read');
+    blob.arrayBuffer = undefined;
+    spyOn(window, 'FileReader').and.returnValue({
+      readAsArrayBuffer() {
+        this.error = error;
+        this.onerror();
+      }
+    });
+    new AudioFile(blob).load()
+      .then(fail, reason => {
+        expect(reason).toBe(error);
+      })
+      .then(done);
+  });
+
+  it('should decode an OGG file', done => {
+    const opus = new AudioFile(createOgg('opus'));
+    const vorbis = new AudioFile(createOgg('vorbis'));
+    const unknownRate = createOgg('opus');
+    // Opus audio of which the original sample rate is unknown.
+    new DataView(unknownRate).setUint32(28 + 12, 0, true);
+    const opusAt48kHz = new AudioFile(unknownRate);
+    Promise.all([opus.load(), vorbis.load(), opusAt48kHz.load()])
+      .then(() => {
+        expect(opus.getAudioSpecs()).toEqual({
+          audioFormat: 'audio/ogg',
+          audioParameters: {channels: 1, sampleRate: 16000}
+        });
+        expect(opusAt48kHz.getAudioSpecs().audioParameters.sampleRate).toEqual(48000);
+        expect(vorbis.getAudioSpecs()).toEqual({
+          audioFormat: 'audio/ogg',
+          audioParameters: {channels: 2, sampleRate: 44100}
+        });
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should reject unsupported files', done => {
+    function rejected(file) {
+      return file.load().then(fail, error => {
+        expect(error).toEqual(jasmine.any(ValidationError));
+        return error.message;
+      });
+    }
+    const text = new Uint8Array(20);
+    text.set([0x4c, 0x6f, 0x72, 0x65, 0x6d]);
+    Promise.all([
+      rejected(new AudioFile()),
+      rejected(new AudioFile(new Blob([]))),
+      rejected(new AudioFile(new ArrayBuffer(0))),
+      rejected(new AudioFile(text.buffer)),
+      rejected(new AudioFile(createWave(10).slice(0, 36))),
+      rejected(new AudioFile(createWave(10, 3))),
+      rejected(new AudioFile(createWave(0))),
+      rejected(new AudioFile(createOgg('opus').slice(0, 40))),
+      rejected(new AudioFile(createOgg('opus').slice(0, 20)))
+    ])
+      .then(messages => {
+        expect(messages).toEqual([
+          'blob parameter of type "Blob" is required',
+          'The audio file is empty',
+          'The audio file is empty',
+          'Unsupported audio file, expected a WAV or OGG file',
+          'Invalid WAV file, missing the fmt or data chunk',
+          'Unsupported WAV file, expected 16 bit PCM audio',
+          'The WAV file holds no audio',
+          'Unsupported OGG file, expected Opus or Vorbis audio',
+          'Unsupported OGG file, expected Opus or Vorbis audio'
+        ]);
+      })
+      .then(done);
+  });
+
+  it('should record the audio in chunks once it is listened for', done => {
+    const file = new AudioFile(createWave(5), {chunkSize: 4});
+    const chunks = [];
+    file.load()
+      .then(() => new Promise(resolve => {
+        file.addEventListener('recorded', resolve);
+        file.addEventListener('dataavailable', chunk => chunks.push(new Int16Array(chunk)));
+        expect(file.isRecording()).toBeTruthy();
+      }))
+      .then(() => {
+        expect(chunks).toEqual([new Int16Array([0, 1]), new Int16Array([2, 3]), new Int16Array([4])]);
+        expect(file.isRecording()).toBeFalsy();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should stop recording', done => {
+    const file = new AudioFile(createWave(5), {chunkSize: 4});
+    const dataavailable = jasmine.createSpy('dataavailable');
+    const recorded = jasmine.createSpy('recorded');
+    file.load()
+      .then(() => {
+        file.addEventListener('recorded', recorded);
+        file.addEventListener('dataavailable', dataavailable);
+        file.stop();
+        return new Promise(resolve => setTimeout(resolve, 10));
+      })
+      .then(() => {
+        expect(file.isRecording()).toBeFalsy();
+        expect(dataavailable).not.toHaveBeenCalled();
+        expect(recorded).not.toHaveBeenCalled();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should stop recording while the audio is reported', done => {
+    const file = new AudioFile(createWave(5), {chunkSize: 4});
+    const chunks = [];
+    const recorded = jasmine.createSpy('recorded');
+    file.load()
+      .then(() => {
+        file.addEventListener('recorded', recorded);
+        file.addEventListener('dataavailable', chunk => {
+          chunks.push(chunk);
+          file.stop();
+        });
+        return new Promise(resolve => setTimeout(resolve, 10));
+      })
+      .then(() => {
+        expect(chunks.length).toEqual(1);
+        expect(recorded).not.toHaveBeenCalled();
+      })
+      .catch(fail)
+      .then(done);
+  });
+});
@@ -56,10 +56,10 @@ describe('Audio recorder', () => {
     window.navigator.mediaDevices.getUserMedia = jasmine.createSpy().and.callFake(() => Promise.resolve(fakeStream));
     const recorder = new AudioRecorder();
     recorder.audioContext = 'context';
-    spyOn(console, 'log');
+    spyOn(recorder._logger, 'debug');
     spyOn(recorder, '_startUserMedia').and.returnValue('started media');
     spyOn(recorder, 'fireEvent').and.callFake(() => {
-      expect(console.log).toHaveBeenCalledWith('Got audio tracks:', 1);
+      expect(recorder._logger.debug).toHaveBeenCalledWith('Got audio tracks:', 1);
       expect(recorder.userMediaApproval).toBeTruthy();
       expect(recorder._startUserMedia).toHaveBeenCalledTimes(1);
       expect(recorder.fireEvent).toHaveBeenCalledWith('ready', ['context', 'started media']);
@@ -76,10 +76,10 @@ describe('Audio recorder', () => {
     fakeStream.getAudioTracks.and.returnValue({});
     const recorder = new AudioRecorder();
     recorder.audioContext = 'context';
-    spyOn(console, 'log');
+    spyOn(recorder._logger, 'debug');
     spyOn(recorder, '_startUserMedia').and.returnValue('started media');
     spyOn(recorder, 'fireEvent').and.callFake(() => {
-      expect(console.log).toHaveBeenCalledTimes(1);
+      expect(recorder._logger.debug).toHaveBeenCalledTimes(1);
       expect(recorder.userMediaApproval).toBeTruthy();
       expect(recorder._startUserMedia).toHaveBeenCalledWith(fakeStream);
       expect(recorder.fireEvent).toHaveBeenCalledWith('ready', ['context', 'started media']);
@@ -96,13 +96,13 @@ describe('Audio recorder', () => {
     const fakeStream = jasmine.createSpyObj('stream', ['getAudioTracks']);
     fakeStream.getAudioTracks.and.returnValue({});
     window.navigator.getUserMedia = jasmine.createSpy().and.callFake((options, successCb) => successCb(fakeStream));
-    spyOn(console, 'log');
+    spyOn(recorder._logger, 'debug');
     spyOn(recorder, '_startUserMedia').and.returnValue('started media');
     spyOn(recorder, 'fireEvent');
     recorder.canMediaDevicesGetUserMedia = false;
     recorder.canGetUserMedia = true;
     recorder.requestUserMedia();
-    expect(console.log).toHaveBeenCalledWith('Got getUserMedia stream');
+    expect(recorder._logger.debug).toHaveBeenCalledWith('Got getUserMedia stream');
     expect(recorder.userMediaApproval).toBeTruthy();
     expect(recorder._startUserMedia).toHaveBeenCalledWith(fakeStream);
     expect(recorder.fireEvent).toHaveBeenCalledWith('ready', ['context', 'started media']);
@@ -115,7 +115,7 @@ describe('Audio recorder', () => {
       failCb('error123'));
     const recorder = new AudioRecorder();
     recorder.audioContext = 'context';
-    spyOn(console, 'log');
+    spyOn(recorder._logger, 'error');
     spyOn(recorder, '_startUserMedia').and.returnValue('started media');
     spyOn(recorder, 'fireEvent');
     recorder.canMediaDevicesGetUserMedia = false;
@@ -123,7 +123,7 @@ describe('Audio recorder', () => {
     expect(() => {
       recorder.requestUserMedia();
     }).toThrowError('No live audio input available or permitted');
-    expect(console.log).toHaveBeenCalledWith('error123');
+    expect(recorder._logger.error).toHaveBeenCalledWith('error123');
     expect(recorder.userMediaApproval).toBeFalsy();
     expect(recorder._startUserMedia).toHaveBeenCalledTimes(0);
     expect(recorder.fireEvent).not.toHaveBeenCalled();
@@ -131,13 +131,13 @@ describe('Audio recorder', () => {
 
   it('should request microphone access when it cannot request any media', () => {
     const recorder = new AudioRecorder();
-    spyOn(console, 'log');
+    spyOn(recorder._logger, 'debug');
     spyOn(recorder, '_startUserMedia');
     spyOn(recorder, 'fireEvent');
     recorder.canMediaDevicesGetUserMedia = false;
     recorder.canGetUserMedia = false;
     recorder.requestUserMedia();
-    expect(console.log).not.toHaveBeenCalled();
+    expect(recorder._logger.debug).not.toHaveBeenCalled();
     expect(recorder.userMediaApproval).toBeFalsy();
     expect(recorder._startUserMedia).toHaveBeenCalledTimes(0);
     expect(recorder.fireEvent).not.toHaveBeenCalled();
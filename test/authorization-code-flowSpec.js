@@ -0,0 +1,420 @@
+/* eslint-disable
+camelcase
+ */
+
+import AuthenticationError from '../src/administrative-sdk/errors/authentication-error';
+import AuthorizationCodeFlow from '../src/administrative-sdk/connection/authorization-code-flow';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+
+function tokenResponse(content) {
+  return Promise.resolve(new Response(JSON.stringify(content), {
+    status: 200,
+    headers: {
+      'Content-type': 'application/json; charset=utf-8'
+    }
+  }));
+}
+
+function createStorage() {
+  const items = {};
+  return {
+    getItem: key => items.hasOwnProperty(key) ? items[key] : null,
+    setItem: (key, value) => {
+      items[key] = value;
+    },
+    removeItem: key => {
+      delete items[key];
+    }
+  };
+}
+
+function createIdToken(claims) {
+  function encode(object) {
+    return btoa(unescape(encodeURIComponent(JSON.stringify(object)))).replace(/=+$/, '');
+  }
+  return encode({alg: 'RS256'}) + '.' + encode(claims) + '.signature';
+}
+
+describe('Authorization code flow', () => {
+  const redirectUri = 'https://app.example.com/callback';
+  let api;
+  let browser;
+  let storage;
+
+  function createConnection(options) {
+    return new Connection({
+      authorization: Object.assign({
+        clientId: 'app',
+        redirectUri,
+        storage,
+        window: browser
+      }, options)
+    });
+  }
+
+  beforeEach(() => {
+    storage = createStorage();
+    browser = {
+      location: jasmine.createSpyObj('location', ['assign'])
+    };
+    api = createConnection();
+    spyOn(window, 'fetch').and.callFake(() => tokenResponse({access_token: 'token', expires_in: 3600}));
+  });
+
+  afterEach(() => {
+    clearTimeout(api._tokenRefreshTimer);
+  });
+
+  it('should require a client id, redirect URI and Web Crypto', () => {
+    expect(() => {
+      createConnection({clientId: null});
+    }).toThrowError('options.clientId of type "string" is required');
+    expect(() => {
+      createConnection({redirectUri: null});
+    }).toThrowError('options.redirectUri of type "string" is required');
+    expect(() => {
+      createConnection({crypto: null});
+    }).toThrowError('No Web Crypto capabilities');
+  });
+
+  it('should not authorize without the authorization option', done => {
+    new Connection().authorize('4')
+      .then(fail, error => {
+        expect(error.message).toEqual('Please set the authorization option');
+      })
+      .then(done);
+  });
+
+  it('should not authorize in a popup or handle a redirect without the authorization option', done => {
+    api = new Connection();
+    api.authorizeWithPopup('4')
+      .then(fail, error => {
+        expect(error.message).toEqual('Please set the authorization option');
+        return api.handleAuthorizationCallback();
+      })
+      .then(fail, error => {
+        expect(error.message).toEqual('Please set the authorization option');
+      })
+      .then(done);
+  });
+
+  it('should redirect to the authorization server using PKCE', done => {
+    api.authorize('4', 'fb', 'user')
+      .then(() => {
+        const url = browser.location.assign.calls.mostRecent().args[0];
+        const params = AuthorizationCodeFlow._parseParameters(url);
+        expect(url.indexOf('https://api.itslanguage.nl/authorize?')).toEqual(0);
+        expect(params.response_type).toEqual('code');
+        expect(params.client_id).toEqual('app');
+        expect(params.redirect_uri).toEqual(redirectUri);
+        expect(params.scope).toEqual('tenant/4/organisation/fb/user/user');
+        expect(params.code_challenge_method).toEqual('S256');
+        expect(params.nonce).toBeUndefined();
+        const transaction = JSON.parse(storage.getItem(AuthorizationCodeFlow.STORAGE_KEY))[params.state];
+        expect(transaction.codeVerifier.length).toEqual(43);
+        return api._authorization._codeChallenge(transaction.codeVerifier)
+          .then(challenge => {
+            expect(params.code_challenge).toEqual(challenge);
+          });
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should exchange the code on the page it redirects to', done => {
+    api.authorize('4', 'fb')
+      .then(() => {
+        const params = AuthorizationCodeFlow._parseParameters(browser.location.assign.calls.mostRecent().args[0]);
+        const transaction = JSON.parse(storage.getItem(AuthorizationCodeFlow.STORAGE_KEY))[params.state];
+        // The page at the redirect URI uses a new connection.
+        api = createConnection();
+        return api.handleAuthorizationCallback(redirectUri + '?code=c%2F1&state=' + params.state)
+          .then(data => {
+            const body = window.fetch.calls.mostRecent().args[1].body;
+            expect(body).toEqual('grant_type=authorization_code&code=c%2F1' +
+              '&redirect_uri=' + encodeURIComponent(redirectUri) + '&client_id=app' +
+              '&code_verifier=' + transaction.codeVerifier);
+            expect(data.access_token).toEqual('token');
+            expect(api._settings.oAuth2Token).toEqual('token');
+            expect(api._authorizationRequest).toEqual({scope: 'tenant/4/organisation/fb'});
+            expect(api._canRefreshToken()).toBeTruthy();
+            // A redirect can only be handled once.
+            return api.handleAuthorizationCallback(redirectUri + '?code=c%2F1&state=' + params.state);
+          });
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(AuthenticationError));
+        expect(error.code).toEqual('invalid_state');
+      })
+      .then(done);
+  });
+
+  it('should keep the query of the authorization URL', done => {
+    api = createConnection({authorizationUrl: 'https://login.example.com/authorize?tenant=4'});
+    api.authorize('4')
+      .then(() => {
+        const url = browser.location.assign.calls.mostRecent().args[0];
+        expect(url.indexOf('https://login.example.com/authorize?tenant=4&response_type=code&')).toEqual(0);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should only remember authorizations in progress on the page itself without a storage', done => {
+    api = createConnection({storage: null});
+    api.authorize('4')
+      .then(() => {
+        const params = AuthorizationCodeFlow._parseParameters(browser.location.assign.calls.mostRecent().args[0]);
+        expect(storage.getItem(AuthorizationCodeFlow.STORAGE_KEY)).toBeNull();
+        return api.handleAuthorizationCallback(redirectUri + '?code=code&state=' + params.state);
+      })
+      .then(data => {
+        expect(data.access_token).toEqual('token');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should handle the redirect to the current page by default', done => {
+    api.handleAuthorizationCallback()
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(AuthenticationError));
+        expect(error.code).toEqual('invalid_state');
+      })
+      .then(done);
+  });
+
+  it('should reject a redirect without a code', done => {
+    api.authorize('4')
+      .then(() => {
+        const params = AuthorizationCodeFlow._parseParameters(browser.location.assign.calls.mostRecent().args[0]);
+        return api.handleAuthorizationCallback(redirectUri + '?state=' + params.state);
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(AuthenticationError));
+        expect(error.message).toEqual('Missing code in the authorization response');
+        expect(error.code).toEqual('invalid_request');
+        expect(window.fetch).not.toHaveBeenCalled();
+      })
+      .then(done);
+  });
+
+  it('should reject an authorization the server denied', done => {
+    api.handleAuthorizationCallback(redirectUri + '?error=access_denied&error_description=Not+allowed&state=x')
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(AuthenticationError));
+        expect(error.message).toEqual('Not allowed');
+        expect(error.code).toEqual('access_denied');
+        expect(window.fetch).not.toHaveBeenCalled();
+      })
+      .then(done);
+  });
+
+  it('should reject an authorization the server denied without a description', done => {
+    api.handleAuthorizationCallback(redirectUri + '?error=server_error')
+      .then(fail, error => {
+        expect(error.message).toEqual('server_error');
+        expect(error.code).toEqual('server_error');
+      })
+      .then(done);
+  });
+
+  it('should parse parameters without a value', () => {
+    expect(AuthorizationCodeFlow._parseParameters(redirectUri + '?silent&state=a+b#code=c%2F1')).toEqual({
+      silent: '',
+      state: 'a b',
+      code: 'c/1'
+    });
+  });
+
+  describe('OpenID Connect', () => {
+    /**
+     * Log in using OpenID Connect.
+     *
+     * @param {Object} claims - The claims to replace those of a valid ID token with.
+     * @param {?string} [idToken] - The ID token to return instead of one with the claims.
+     * @returns {Promise} Promise which resolves once the redirect was handled.
+     */
+    function login(claims, idToken) {
+      api = createConnection({openid: true, issuer: 'https://login.example.com'});
+      return api.authorize('4')
+        .then(() => {
+          const params = AuthorizationCodeFlow._parseParameters(browser.location.assign.calls.mostRecent().args[0]);
+          expect(params.scope).toEqual('openid tenant/4');
+          window.fetch.and.callFake(() => tokenResponse({
+            access_token: 'token',
+            id_token: idToken === undefined ? createIdToken(Object.assign({
+              iss: 'https://login.example.com',
+              aud: 'app',
+              sub: 'user',
+              nonce: params.nonce,
+              exp: Math.floor(Date.now() / 1000) + 300
+            }, claims)) : idToken
+          }));
+          return api.handleAuthorizationCallback(redirectUri + '#code=code&state=' + params.state);
+        });
+    }
+
+    it('should validate the ID token', done => {
+      login({name: 'Jörg'})
+        .then(() => {
+          expect(api.idTokenClaims.sub).toEqual('user');
+          expect(api.idTokenClaims.name).toEqual('Jörg');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should reject an ID token of another login', done => {
+      login({nonce: 'other'})
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual('Invalid ID token: nonce mismatch');
+          expect(api._settings.oAuth2Token).toBeNull();
+        })
+        .then(done);
+    });
+
+    it('should reject an ID token for another client or issuer', done => {
+      login({aud: ['other']})
+        .then(fail, error => {
+          expect(error.message).toEqual('Invalid ID token: audience mismatch');
+          return login({iss: 'https://evil.example.com'});
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('Invalid ID token: issuer mismatch');
+          return login({exp: 1});
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('Invalid ID token: expired');
+        })
+        .then(done);
+    });
+
+    it('should reject a missing or malformed ID token', done => {
+      login({}, null)
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual('Invalid ID token: missing');
+          expect(error.code).toEqual('invalid_id_token');
+          return login({}, 'not a token');
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('Invalid ID token: malformed');
+        })
+        .then(done);
+    });
+  });
+
+  describe('Popup', () => {
+    let popup;
+
+    beforeEach(() => {
+      popup = {
+        closed: false,
+        close: jasmine.createSpy('close'),
+        location: {href: 'about:blank'}
+      };
+      browser.open = jasmine.createSpy('open').and.returnValue(popup);
+    });
+
+    it('should authorize in a popup', done => {
+      Object.defineProperty(popup.location, 'href', {
+        get() {
+          return this._href || 'about:blank';
+        },
+        set(url) {
+          // Simulate the authorization server redirecting back.
+          this._href = redirectUri + '?code=code&state=' + AuthorizationCodeFlow._parseParameters(url).state;
+        }
+      });
+      api.authorizeWithPopup('4')
+        .then(data => {
+          expect(browser.open).toHaveBeenCalled();
+          expect(data.access_token).toEqual('token');
+          expect(api._settings.oAuth2Token).toEqual('token');
+          expect(popup.close).toHaveBeenCalled();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should reject when the popup is closed', done => {
+      popup.closed = true;
+      api.authorizeWithPopup('4')
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.code).toEqual('access_denied');
+          expect(api._authorization._transactions).toEqual({});
+        })
+        .then(done);
+    });
+
+    it('should reject when the popup is blocked', done => {
+      browser.open.and.returnValue(null);
+      api.authorizeWithPopup('4')
+        .then(fail, error => {
+          expect(error.code).toEqual('popup_blocked');
+        })
+        .then(done);
+    });
+  });
+
+  describe('Silent renewal', () => {
+    let iframe;
+
+    beforeEach(() => {
+      iframe = {
+        style: {},
+        contentWindow: {
+          closed: false,
+          location: {href: 'about:blank'}
+        }
+      };
+      browser.document = {
+        createElement: jasmine.createSpy('createElement').and.returnValue(iframe),
+        body: jasmine.createSpyObj('body', ['appendChild', 'removeChild'])
+      };
+      api._authorizationRequest = {scope: 'tenant/4'};
+      api._settings.oAuth2Token = 'expired';
+    });
+
+    it('should renew a token in a hidden iframe', done => {
+      Object.defineProperty(iframe, 'src', {
+        get() {
+          return this._src;
+        },
+        set(url) {
+          this._src = url;
+          const params = AuthorizationCodeFlow._parseParameters(url);
+          expect(params.prompt).toEqual('none');
+          expect(params.redirect_uri).toEqual(redirectUri + '/silent');
+          iframe.contentWindow.location.href = redirectUri + '/silent?code=code&state=' + params.state;
+        }
+      });
+      api = createConnection({silentRedirectUri: redirectUri + '/silent'});
+      api._authorizationRequest = {scope: 'tenant/4'};
+      api.refreshOauth2Token()
+        .then(data => {
+          expect(data.access_token).toEqual('token');
+          expect(api._settings.oAuth2Token).toEqual('token');
+          expect(iframe.style.display).toEqual('none');
+          expect(browser.document.body.removeChild).toHaveBeenCalledWith(iframe);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should give up when the authorization server does not answer', done => {
+      api = createConnection({silentTimeout: 200});
+      api._authorizationRequest = {scope: 'tenant/4'};
+      api.refreshOauth2Token()
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.code).toEqual('timeout');
+          expect(browser.document.body.removeChild).toHaveBeenCalledWith(iframe);
+        })
+        .then(done);
+    });
+  });
+});
@@ -1,7 +1,11 @@
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
 import ChoiceChallenge from '../src/administrative-sdk/choice-challenge/choice-challenge';
 import ChoiceRecognition from '../src/administrative-sdk/choice-recognition/choice-recognition';
 import ChoiceRecognitionController from '../src/administrative-sdk/choice-recognition/choice-recognition-controller';
 import Connection from '../src/administrative-sdk/connection/connection-controller';
+import RpcError from '../src/administrative-sdk/errors/rpc-error';
+import StreamingError from '../src/administrative-sdk/errors/streaming-error';
+import StreamingSession from '../src/administrative-sdk/streaming-session/streaming-session';
 import autobahn from 'autobahn';
 
 describe('ChoiceRecognition Websocket API interaction test', () => {
@@ -83,6 +87,7 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
       audioUrl: 'https://api.itslanguage.nl/download/Ysjd7bUGseu8-bsJ'
     };
     api._session = new SessionMock();
+    api._state = 'open';
     spyOn(api._session, 'call').and.callThrough();
     spyOn(api, 'addAccessToken').and.callFake(url => url + 'token');
     controller = new ChoiceRecognitionController(api);
@@ -143,6 +148,7 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
   it('should fail streaming when recording is already recording', done => {
     recorder.isRecording = () => true;
     api._session = {};
+    api._state = 'open';
     challenge = new ChoiceChallenge('4', null, ['a']);
     controller.startStreamingChoiceRecognition(challenge, recorder)
         .then(() => {
@@ -154,10 +160,13 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
         .then(done);
   });
 
-  it('should fail streaming when there is a session in progress', done => {
+  it('should fail streaming when the recorder is used by another session', done => {
     recorder.isRecording = () => false;
-    api._recognitionId = '5';
+    const other = new StreamingSession(api, 'choice', recorder);
+    other.id = '5';
+    other.open();
     api._session = {};
+    api._state = 'open';
     controller = new ChoiceRecognitionController(api);
     challenge = new ChoiceChallenge('4', null, ['a']);
     controller.startStreamingChoiceRecognition(challenge, recorder)
@@ -165,11 +174,50 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           fail('No result should be returned');
         })
         .catch(error => {
-          expect(error.message).toEqual('Session with recognitionId 5 still in progress.');
+          expect(error.message).toEqual('Recorder is already used by the choice session with id 5.');
         })
         .then(done);
   });
 
+  describe('Cancellation', () => {
+    let abortController;
+    let cancelRecorder;
+
+    beforeEach(() => {
+      abortController = new AbortController();
+      cancelRecorder = jasmine.createSpyObj('recorder', ['getAudioSpecs', 'hasUserMediaApproval', 'isRecording',
+        'addEventListener', 'removeEventListener', 'stop']);
+      cancelRecorder.isRecording.and.returnValue(false);
+      api._session.call = jasmine.createSpy('call').and.returnValue(autobahn.when.defer().promise);
+    });
+
+    it('should not start a session which was cancelled already', done => {
+      abortController.abort();
+      controller.startStreamingChoiceRecognition(challenge, cancelRecorder, true, {signal: abortController.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(api._session.call).not.toHaveBeenCalled();
+        })
+        .then(done);
+    });
+
+    it('should cancel a session in progress', done => {
+      controller.startStreamingChoiceRecognition(challenge, cancelRecorder, true, {signal: abortController.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(cancelRecorder.removeEventListener).toHaveBeenCalledWith('recorded', jasmine.any(Function));
+          expect(cancelRecorder.removeEventListener).toHaveBeenCalledWith('dataavailable', jasmine.any(Function));
+          expect(cancelRecorder.stop).toHaveBeenCalled();
+          expect(api.sessions).toEqual([]);
+        })
+        .then(done);
+      cancelRecorder.isRecording.and.returnValue(true);
+      abortController.abort();
+    });
+  });
+
   it('should start streaming a new choice recognition', done => {
     let progressCalled = false;
     controller.startStreamingChoiceRecognition(challenge, recorder)
@@ -248,13 +296,8 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
       const d = autobahn.when.defer();
       if (name === 'nl.itslanguage.choice.write') {
         d.reject({
-          message: 'Encountered an error during writing',
-          error: 'error',
-          userId: '1',
-          id: '2',
-          created: stringDate,
-          updated: stringDate,
-          audioUrl: fakeResponse.audioUrl
+          error: 'nl.itslanguage.write_failed',
+          args: ['Encountered an error during writing']
         });
       } else {
         d.resolve(fakeResponse);
@@ -265,13 +308,10 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
     controller.startStreamingChoiceRecognition(challenge, recorder)
         .then(result => fail('An error should be thrown ' + JSON.stringify(result)))
         .catch(error => {
+          expect(error).toEqual(jasmine.any(RpcError));
           expect(error.message).toEqual('Encountered an error during writing');
-          expect(error.recognition.id).toEqual('2');
-          expect(error.recognition.userId).toEqual('1');
-          expect(error.recognition.created).toEqual(new Date(stringDate));
-          expect(error.recognition.updated).toEqual(new Date(stringDate));
-          expect(error.recognition.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-          expect(controller._connection._recognitionId).toBeNull();
+          expect(error.uri).toEqual('nl.itslanguage.write_failed');
+          expect(controller._connection.sessions).toEqual([]);
         })
         .then(done);
   });
@@ -337,8 +377,8 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           fail('An error should be returned');
         })
         .catch(error => {
-          expect(error.error).toEqual('error123');
-          expect(controller._connection._recognitionId).toBeNull();
+          expect(error.uri).toEqual('error123');
+          expect(controller._connection.sessions).toEqual([]);
         })
         .then(done);
   });
@@ -391,8 +431,8 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           fail('An error should be returned');
         })
         .catch(error => {
-          expect(error.error).toEqual('error123');
-          expect(controller._connection._recognitionId).toBeNull();
+          expect(error.uri).toEqual('error123');
+          expect(controller._connection.sessions).toEqual([]);
         })
         .then(done);
   });
@@ -439,8 +479,8 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           fail('An error should be returned');
         })
         .catch(error => {
-          expect(error.error).toEqual('error123');
-          expect(controller._connection._recognitionId).toBeNull();
+          expect(error.uri).toEqual('error123');
+          expect(controller._connection.sessions).toEqual([]);
         })
         .then(done);
   });
@@ -486,10 +526,6 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           error: 'nl.itslanguage.recognition_failed',
           kwargs: {
             recognition: {
-              message: null
-            },
-            analysis: {
-              message: 'Encountered an error',
               userId: '1',
               id: '2',
               created: stringDate,
@@ -509,13 +545,14 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           fail('An error should be returned');
         })
         .catch(error => {
-          expect(error.message).toEqual('Encountered an error');
-          expect(error.recognition.id).toEqual('2');
-          expect(error.recognition.userId).toEqual('1');
-          expect(error.recognition.created).toEqual(new Date(stringDate));
-          expect(error.recognition.updated).toEqual(new Date(stringDate));
-          expect(error.recognition.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-          expect(controller._connection._recognitionId).toBeNull();
+          expect(error).toEqual(jasmine.any(StreamingError));
+          expect(error.message).toEqual('Recognition failed');
+          expect(error.model.id).toEqual('2');
+          expect(error.model.userId).toEqual('1');
+          expect(error.model.created).toEqual(new Date(stringDate));
+          expect(error.model.updated).toEqual(new Date(stringDate));
+          expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+          expect(controller._connection.sessions).toEqual([]);
         })
         .then(done);
   });
@@ -561,10 +598,6 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           error: 'UNKNOWN ERROR',
           kwargs: {
             recognition: {
-              message: null
-            },
-            analysis: {
-              message: 'Encountered an error',
               userId: '1',
               id: '2',
               created: stringDate,
@@ -584,13 +617,13 @@ describe('ChoiceRecognition Websocket API interaction test', () => {
           fail('An error should be returned');
         })
         .catch(error => {
-          expect(error.message).toEqual('Encountered an error');
-          expect(error.recognition.id).toEqual('2');
-          expect(error.recognition.userId).toEqual('1');
-          expect(error.recognition.created).toEqual(new Date(stringDate));
-          expect(error.recognition.updated).toEqual(new Date(stringDate));
-          expect(error.recognition.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-          expect(controller._connection._recognitionId).toBeNull();
+          expect(error.message).toEqual('Unhandled error');
+          expect(error.model.id).toEqual('2');
+          expect(error.model.userId).toEqual('1');
+          expect(error.model.created).toEqual(new Date(stringDate));
+          expect(error.model.updated).toEqual(new Date(stringDate));
+          expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+          expect(controller._connection.sessions).toEqual([]);
         })
         .then(done);
   });
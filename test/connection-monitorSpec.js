@@ -0,0 +1,186 @@
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import {FakeBackend} from '../src/fake-backend';
+
+describe('Connection monitor', () => {
+  let backend;
+  let connection;
+
+  /**
+   * Connect to the fake backend.
+   *
+   * @param {Object|boolean} heartbeat - The heartbeat option of the connection.
+   * @returns {Promise} Promise which resolves once the connection is open.
+   */
+  function connect(heartbeat) {
+    connection = new Connection(backend.connectionOptions({
+      oAuth2Token: backend.createToken('tenant/4/organisation/fb/user/1'),
+      heartbeat
+    }));
+    return connection.connect();
+  }
+
+  /**
+   * Wait for the quality of the connection to change.
+   *
+   * @returns {Promise.<Array>} Promise containing the new and previous quality.
+   */
+  function nextQuality() {
+    return new Promise(resolve => {
+      function handler(quality, previous) {
+        connection.removeEventListener('connectionquality', handler);
+        resolve([quality, previous]);
+      }
+      connection.addEventListener('connectionquality', handler);
+    });
+  }
+
+  beforeEach(() => {
+    backend = new FakeBackend();
+  });
+
+  afterEach(done => {
+    connection.disconnect().then(done);
+  });
+
+  it('should count the RPCs and their failures', done => {
+    connect(false)
+      .then(() => connection.call('pronunciation.init_analysis'))
+      .then(() => connection.call('pronunciation.init_challenge', ['unknown', 'c1']))
+      .then(fail, () => {
+        const stats = connection.getStats();
+        expect(stats.calls).toEqual(2);
+        expect(stats.failedCalls).toEqual(1);
+        expect(stats.averageCallTime).toEqual(jasmine.any(Number));
+        expect(stats.heartbeats).toEqual(0);
+        expect(stats.latency).toBeNull();
+        expect(stats.averageLatency).toBeNull();
+        expect(stats.quality).toBeNull();
+      })
+      .then(done);
+  });
+
+  it('should measure the latency with a heartbeat', done => {
+    backend = new FakeBackend({latency: 20});
+    const opened = connect({interval: 100000, degradedLatency: 30});
+    const judged = nextQuality();
+    opened
+      .then(() => judged)
+      .then(change => {
+        expect(change).toEqual(['degraded', null]);
+        const stats = connection.getStats();
+        expect(stats.heartbeats).toEqual(1);
+        expect(stats.missedHeartbeats).toEqual(0);
+        expect(stats.latency).not.toBeLessThan(30);
+        expect(stats.averageLatency).toEqual(stats.latency);
+        expect(stats.quality).toEqual('degraded');
+        expect(stats.calls).toEqual(0);
+        const closed = nextQuality();
+        connection.disconnect();
+        return closed;
+      })
+      .then(change => {
+        expect(change).toEqual([null, 'degraded']);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should judge a connection with missed heartbeats to be poor', done => {
+    backend = new FakeBackend({latency: 50});
+    const opened = connect({interval: 100000, timeout: 10});
+    const judged = nextQuality();
+    spyOn(connection._monitor._logger, 'warn');
+    opened
+      .then(() => judged)
+      .then(change => {
+        expect(change).toEqual(['poor', null]);
+        expect(connection.getStats().missedHeartbeats).toEqual(1);
+        expect(connection.getStats().latency).toBeNull();
+        expect(connection._monitor._logger.warn).toHaveBeenCalledWith(
+          'Heartbeat not answered within 10 milliseconds');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should judge a lost connection to be poor', done => {
+    const opened = connect(true);
+    const judged = nextQuality();
+    opened
+      .then(() => judged)
+      .then(change => {
+        expect(change).toEqual(['good', null]);
+        const lost = nextQuality();
+        backend.disconnectClients();
+        return lost;
+      })
+      .then(change => {
+        expect(change).toEqual(['poor', 'good']);
+        expect(connection.state).toEqual('reconnecting');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should keep sending heartbeats while the connection is open', done => {
+    const opened = connect({interval: 10});
+    const judged = nextQuality();
+    opened
+      .then(() => judged)
+      .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+      .then(() => {
+        expect(connection.getStats().heartbeats).toBeGreaterThan(1);
+        expect(connection._monitor.quality).toEqual('good');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should judge a connection with a high latency to be poor', done => {
+    backend = new FakeBackend({latency: 20});
+    const opened = connect({interval: 100000, poorLatency: 30});
+    const judged = nextQuality();
+    opened
+      .then(() => judged)
+      .then(change => {
+        expect(change).toEqual(['poor', null]);
+        expect(connection.getStats().missedHeartbeats).toEqual(0);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should ignore a heartbeat which is answered after the connection closed', done => {
+    backend = new FakeBackend({latency: 20});
+    const changed = jasmine.createSpy('connectionquality');
+    connect({interval: 100000})
+      .then(() => {
+        connection.addEventListener('connectionquality', changed);
+        return connection.disconnect();
+      })
+      .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+      .then(() => {
+        expect(connection.getStats().heartbeats).toEqual(1);
+        expect(connection.getStats().latency).toBeNull();
+        expect(changed).not.toHaveBeenCalled();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not send heartbeats over a replayed connection', done => {
+    connection = new Connection({
+      oAuth2Token: 'token',
+      heartbeat: true,
+      replay: {version: 1, entries: []}
+    });
+    connection.connect()
+      .then(() => {
+        expect(connection.state).toEqual('open');
+        expect(connection.getStats().heartbeats).toEqual(0);
+        expect(connection.getStats().quality).toBeNull();
+      })
+      .catch(fail)
+      .then(done);
+  });
+});
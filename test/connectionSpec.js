@@ -2,9 +2,19 @@
 camelcase
  */
 
+import ApiError from '../src/administrative-sdk/errors/api-error';
+import AuthenticationError from '../src/administrative-sdk/errors/authentication-error';
+import AuthorizationCodeFlow from '../src/administrative-sdk/connection/authorization-code-flow';
 import Autobahn from 'autobahn';
 import BasicAuth from '../src/administrative-sdk/basic-auth/basic-auth';
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
 import Connection from '../src/administrative-sdk/connection/connection-controller';
+import ConnectionLostError from '../src/administrative-sdk/errors/connection-lost-error';
+import MemoryTokenStore from '../src/administrative-sdk/token-store/memory-token-store';
+import MsgpackSerializer from '../src/administrative-sdk/connection/msgpack-serializer';
+import RpcError from '../src/administrative-sdk/errors/rpc-error';
+import Scope from '../src/administrative-sdk/scope/scope';
+import StreamingSession from '../src/administrative-sdk/streaming-session/streaming-session';
 let api;
 
 describe('Events', () => {
@@ -102,7 +112,8 @@ describe('Connection', () => {
       api._secureAjaxGet()
         .then(fail)
         .catch(error => {
-          expect(error).toEqual('Please set oAuth2Token');
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual('Please set oAuth2Token');
         })
         .then(done);
     });
@@ -112,7 +123,8 @@ describe('Connection', () => {
       api._secureAjaxPost()
         .then(fail)
         .catch(error => {
-          expect(error).toEqual('Please set oAuth2Token');
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual('Please set oAuth2Token');
         })
         .then(done);
     });
@@ -122,7 +134,8 @@ describe('Connection', () => {
       api._secureAjaxDelete()
         .then(fail)
         .catch(error => {
-          expect(error).toEqual('Please set oAuth2Token');
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual('Please set oAuth2Token');
         })
         .then(done);
     });
@@ -235,7 +248,9 @@ describe('Connection', () => {
             fail('No result should be returned');
           })
           .catch(error => {
-            expect(error).toEqual('400: Bad Request');
+            expect(error).toEqual(jasmine.any(ApiError));
+            expect(error.message).toEqual('400: Bad Request');
+            expect(error.status).toEqual(400);
           })
           .then(done);
       });
@@ -254,7 +269,9 @@ describe('Connection', () => {
             fail('No result should be returned');
           })
           .catch(error => {
-            expect(error).toEqual('400: Bad Request');
+            expect(error).toEqual(jasmine.any(ApiError));
+            expect(error.message).toEqual('400: Bad Request');
+            expect(error.status).toEqual(400);
           })
           .then(done);
       });
@@ -273,7 +290,49 @@ describe('Connection', () => {
             fail('No result should be returned');
           })
           .catch(error => {
-            expect(error).toEqual('400: Bad Request');
+            expect(error).toEqual(jasmine.any(ApiError));
+            expect(error.message).toEqual('400: Bad Request');
+            expect(error.status).toEqual(400);
+          })
+          .then(done);
+      });
+
+      it('should reject with the field errors returned by the server', done => {
+        const content = {
+          message: 'Validation failed',
+          errors: [{resource: 'User', field: 'firstName', code: 'missing'}]
+        };
+        window.fetch.and.returnValue(Promise.resolve(new Response(JSON.stringify(content), {
+          status: 422,
+          headers: {
+            'Content-type': 'application/json; charset=utf-8'
+          }
+        })));
+        api._secureAjaxPost(url, '{}')
+          .then(fail)
+          .catch(error => {
+            expect(error).toEqual(jasmine.any(ApiError));
+            expect(error.message).toEqual('Validation failed');
+            expect(error.status).toEqual(422);
+            expect(error.fieldErrors).toEqual(content.errors);
+            expect(error.body).toEqual(content);
+          })
+          .then(done);
+      });
+
+      it('should reject with an authentication error on 401 Unauthorized', done => {
+        window.fetch.and.returnValue(Promise.resolve(new Response(JSON.stringify({message: 'Invalid token'}), {
+          status: 401,
+          headers: {
+            'Content-type': 'application/json; charset=utf-8'
+          }
+        })));
+        api._secureAjaxGet(url)
+          .then(fail)
+          .catch(error => {
+            expect(error).toEqual(jasmine.any(AuthenticationError));
+            expect(error.message).toEqual('Invalid token');
+            expect(error.status).toEqual(401);
           })
           .then(done);
       });
@@ -322,6 +381,344 @@ describe('Connection', () => {
     });
   });
 
+  describe('Retry policy', () => {
+    const usersUrl = 'https://api.itslanguage.nl/users';
+
+    function jsonResponse(status, headers = {}) {
+      return new Response('{}', {
+        status,
+        headers: Object.assign({
+          'Content-type': 'application/json; charset=utf-8'
+        }, headers)
+      });
+    }
+
+    beforeEach(() => {
+      api = new Connection({
+        oAuth2Token: 'token',
+        retry: {
+          initialDelay: 1,
+          jitter: 0
+        }
+      });
+      spyOn(window, 'fetch');
+    });
+
+    it('should retry idempotent requests by default', () => {
+      api = new Connection();
+      expect(api._settings.retry).toEqual({
+        maxRetries: 3,
+        initialDelay: 500,
+        maxDelay: 30000,
+        delayGrowth: 2,
+        jitter: 0.1,
+        statusCodes: [408, 429, 500, 502, 503, 504],
+        methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+        retryAfter: true
+      });
+    });
+
+    it('should disable retrying', () => {
+      api = new Connection({retry: false});
+      expect(api._settings.retry.maxRetries).toEqual(0);
+    });
+
+    it('should retry a request the server failed to handle', done => {
+      const retrying = jasmine.createSpy('requestRetrying');
+      api.addEventListener('requestRetrying', retrying);
+      window.fetch.and.returnValues(
+        Promise.resolve(jsonResponse(503)),
+        Promise.resolve(jsonResponse(502)),
+        Promise.resolve(jsonResponse(200)));
+      api._secureAjaxGet(usersUrl)
+        .then(result => {
+          expect(result).toEqual({});
+          expect(window.fetch).toHaveBeenCalledTimes(3);
+          expect(retrying).toHaveBeenCalledWith(usersUrl, 1, 1);
+          expect(retrying).toHaveBeenCalledWith(usersUrl, 2, 2);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should retry a request on a network error', done => {
+      window.fetch.and.returnValues(
+        Promise.reject(new TypeError('Failed to fetch')),
+        Promise.resolve(jsonResponse(200)));
+      api._secureAjaxDelete(usersUrl)
+        .then(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(2);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should give up after the maximum number of retries', done => {
+      window.fetch.and.callFake(() => Promise.reject(new TypeError('Failed to fetch')));
+      api._secureAjaxGet(usersUrl)
+        .then(fail)
+        .catch(error => {
+          expect(error.message).toEqual('Failed to fetch');
+          expect(window.fetch).toHaveBeenCalledTimes(4);
+        })
+        .then(done);
+    });
+
+    it('should return the last response after the maximum number of retries', done => {
+      window.fetch.and.callFake(() => Promise.resolve(jsonResponse(500)));
+      api._secureAjaxGet(usersUrl)
+        .then(fail)
+        .catch(error => {
+          expect(error.status).toEqual(500);
+          expect(window.fetch).toHaveBeenCalledTimes(4);
+        })
+        .then(done);
+    });
+
+    it('should not retry a request which is not idempotent', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(503)));
+      api._secureAjaxPost(usersUrl, '{}')
+        .then(fail)
+        .catch(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(1);
+        })
+        .then(done);
+    });
+
+    it('should not retry on a client error', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(404)));
+      api._secureAjaxGet(usersUrl)
+        .then(fail)
+        .catch(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(1);
+        })
+        .then(done);
+    });
+
+    it('should disable retrying a single request', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(503)));
+      api._secureAjaxGet(usersUrl, {retry: false})
+        .then(fail)
+        .catch(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(1);
+          expect(api._settings.retry.maxRetries).toEqual(3);
+        })
+        .then(done);
+    });
+
+    it('should override the retry policy for a single request', done => {
+      window.fetch.and.returnValues(
+        Promise.resolve(jsonResponse(503)),
+        Promise.resolve(jsonResponse(201)));
+      api._secureAjaxPost(usersUrl, '{}', {retry: {methods: ['POST']}})
+        .then(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(2);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    describe('Retry delay', () => {
+      let retry;
+
+      beforeEach(() => {
+        retry = Object.assign({}, new Connection()._settings.retry, {jitter: 0});
+      });
+
+      it('should back off exponentially', () => {
+        expect(Connection._retryDelay(retry, 0, null)).toEqual(500);
+        expect(Connection._retryDelay(retry, 1, null)).toEqual(1000);
+        expect(Connection._retryDelay(retry, 2, null)).toEqual(2000);
+        expect(Connection._retryDelay(retry, 10, null)).toEqual(30000);
+      });
+
+      it('should apply jitter', () => {
+        retry.jitter = 0.1;
+        spyOn(Math, 'random').and.returnValues(0, 1);
+        expect(Connection._retryDelay(retry, 0, null)).toEqual(450);
+        expect(Connection._retryDelay(retry, 0, null)).toEqual(550);
+      });
+
+      it('should honour a Retry-After header in seconds', () => {
+        expect(Connection._retryDelay(retry, 0, jsonResponse(503, {'Retry-After': '3'}))).toEqual(3000);
+        expect(Connection._retryDelay(retry, 0, jsonResponse(503, {'Retry-After': '120'}))).toEqual(30000);
+      });
+
+      it('should honour a Retry-After header with a date', () => {
+        jasmine.clock().install();
+        jasmine.clock().mockDate(new Date('Wed, 21 Oct 2015 07:28:00 GMT'));
+        expect(Connection._retryDelay(retry, 0, jsonResponse(429, {'Retry-After': 'Wed, 21 Oct 2015 07:28:05 GMT'})))
+          .toEqual(5000);
+        expect(Connection._retryDelay(retry, 0, jsonResponse(429, {'Retry-After': 'Wed, 21 Oct 2015 07:27:00 GMT'})))
+          .toEqual(0);
+        jasmine.clock().uninstall();
+      });
+
+      it('should ignore an invalid Retry-After header', () => {
+        expect(Connection._retryDelay(retry, 1, jsonResponse(503, {'Retry-After': 'soon'}))).toEqual(1000);
+      });
+
+      it('should ignore a Retry-After header if disabled', () => {
+        retry.retryAfter = false;
+        expect(Connection._retryDelay(retry, 0, jsonResponse(503, {'Retry-After': '3'}))).toEqual(500);
+      });
+    });
+  });
+
+  describe('Cancellation', () => {
+    const usersUrl = 'https://api.itslanguage.nl/users';
+    let controller;
+
+    function jsonResponse(status) {
+      return new Response('{}', {
+        status,
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
+      });
+    }
+
+    beforeEach(() => {
+      controller = new AbortController();
+      api = new Connection({
+        oAuth2Token: 'token',
+        retry: {
+          initialDelay: 10,
+          jitter: 0
+        }
+      });
+      spyOn(window, 'fetch');
+    });
+
+    it('should be an error', () => {
+      const error = new CancellationError();
+      expect(error instanceof Error).toBeTruthy();
+      expect(error.name).toEqual('CancellationError');
+      expect(error.message).toEqual('The request was cancelled.');
+      expect(error.stack).toBeDefined();
+      expect(new CancellationError('Gone').message).toEqual('Gone');
+    });
+
+    it('should pass the signal to fetch', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(200)));
+      api._secureAjaxGet(usersUrl, {signal: controller.signal})
+        .then(() => {
+          expect(window.fetch.calls.mostRecent().args[1].signal).toBe(controller.signal);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should not perform a request which was cancelled already', done => {
+      controller.abort();
+      api._secureAjaxGet(usersUrl, {signal: controller.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(window.fetch).not.toHaveBeenCalled();
+        })
+        .then(done);
+    });
+
+    it('should reject a request once it is cancelled', done => {
+      window.fetch.and.returnValue(new Promise(() => {}));
+      api._secureAjaxPost(usersUrl, '{}', {signal: controller.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+        })
+        .then(done);
+      controller.abort();
+    });
+
+    it('should turn the abort error of fetch into a cancellation error', done => {
+      window.fetch.and.callFake((requestUrl, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(new Error('The user aborted a request.')));
+      }));
+      api._secureAjaxDelete(usersUrl, {signal: controller.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+        })
+        .then(done);
+      controller.abort();
+    });
+
+    it('should not retry a request which was cancelled', done => {
+      window.fetch.and.callFake(() => {
+        controller.abort();
+        return Promise.reject(new Error('The user aborted a request.'));
+      });
+      api._secureAjaxGet(usersUrl, {signal: controller.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(window.fetch).toHaveBeenCalledTimes(1);
+        })
+        .then(done);
+    });
+
+    it('should stop retrying when cancelled while waiting', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(503)));
+      api.addEventListener('requestRetrying', () => controller.abort());
+      api._secureAjaxGet(usersUrl, {signal: controller.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          // Wait for the retry to have been due.
+          return new Promise(resolve => setTimeout(resolve, 20));
+        })
+        .then(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(1);
+        })
+        .then(done);
+    });
+
+    it('should not reject a request which completed before it was cancelled', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(200)));
+      api._secureAjaxGet(usersUrl, {signal: controller.signal})
+        .then(result => {
+          controller.abort();
+          expect(result).toEqual({});
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should reject a request which failed before it was cancelled with its error', done => {
+      window.fetch.and.returnValue(Promise.resolve(jsonResponse(404)));
+      api._secureAjaxGet(usersUrl, {signal: controller.signal})
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(ApiError));
+          expect(error.status).toEqual(404);
+        })
+        .then(done);
+    });
+
+    it('should stop listening to a signal', () => {
+      const callback = jasmine.createSpy('callback');
+      const stopListening = Connection._onAbort(controller.signal, callback);
+      stopListening();
+      controller.abort();
+      expect(callback).not.toHaveBeenCalled();
+    });
+
+    it('should call back right away if a signal was aborted already', () => {
+      const callback = jasmine.createSpy('callback');
+      controller.abort();
+      Connection._onAbort(controller.signal, callback)();
+      expect(callback).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ignore a missing signal', () => {
+      const promise = Promise.resolve();
+      expect(Connection._abortable(promise, undefined)).toBe(promise);
+      const stopListening = Connection._onAbort(undefined, fail);
+      expect(stopListening).toEqual(jasmine.any(Function));
+      stopListening();
+    });
+  });
+
   describe('Connection oauth2 token get', () => {
     it('should handle server error on invalid scope', done => {
       const content = {
@@ -338,7 +735,10 @@ describe('Connection', () => {
       api.getOauth2Token(basicAuth, 'fb', 'dummy')
         .then(fail)
         .catch(error => {
-          expect(error).toEqual(content);
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual(content.error);
+          expect(error.status).toEqual(400);
+          expect(error.code).toEqual(content.error);
         })
         .then(done);
     });
@@ -358,7 +758,29 @@ describe('Connection', () => {
       api.getOauth2Token(basicAuth, 'fb', 'dummy')
         .then(fail)
         .catch(error => {
-          expect(error).toEqual(content);
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual(content.error);
+          expect(error.status).toEqual(400);
+          expect(error.code).toEqual(content.error);
+        })
+        .then(done);
+    });
+
+    it('should describe a token error without details by the status of the response', done => {
+      fakeResponse = new Response('{}', {
+        status: 500,
+        statusText: 'Internal Server Error',
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
+      });
+      spyOn(window, 'fetch').and.returnValue(Promise.resolve(fakeResponse));
+      api.getOauth2Token(new BasicAuth('', 'principal', 'credentials'), 'fb')
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.message).toEqual('500: Internal Server Error');
+          expect(error.status).toEqual(500);
+          expect(error.code).toBeNull();
         })
         .then(done);
     });
@@ -476,7 +898,7 @@ describe('Connection', () => {
       api.getOauth2Token(basicAuth)
         .then(fail)
         .catch(error => {
-          expect(error.error).toEqual('invalid_scope');
+          expect(error.code).toEqual('invalid_scope');
           const request = window.fetch.calls.mostRecent().args;
           expect(request[0]).toBe(url);
           expect(request[1].body).toEqual('grant_type=password&' +
@@ -496,112 +918,1035 @@ describe('Connection', () => {
     });
   });
 
-  describe('Add access token', () => {
-    it('should throw when credentials are invalid', () => {
-      api = new Connection({
-        oAuth2Token: null
-      });
-      expect(() => {
-        api.addAccessToken();
-      }).toThrowError('Please set oAuth2Token');
-    });
+  describe('OAuth2 token refresh', () => {
+    let basicAuth;
 
-    it('should add an access token to an url', () => {
-      api = new Connection({
-        oAuth2Token: 'token'
+    function tokenResponse(content, status = 200) {
+      return new Response(JSON.stringify(content), {
+        status,
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
       });
-      url = 'https://api.itslanguage.nl';
-      const output = api.addAccessToken(url);
-      expect(output).toEqual(url + '?access_token=token');
-    });
+    }
 
-    it('should add an access token to an url with an existing query parameter', () => {
-      api = new Connection({
-        oAuth2Token: 'token'
-      });
-      url = 'https://api.itslanguage.nl?foo=bar';
-      const output = api.addAccessToken(url);
-      expect(output).toEqual(url + '&access_token=token');
+    beforeEach(() => {
+      basicAuth = new BasicAuth('4', 'principal', 'credentials');
+      spyOn(window, 'fetch');
     });
-  });
-  it('should log RPC errors', () => {
-    spyOn(console, 'error');
-    Connection.logRPCError({
-      error: 'Got an error!'
+
+    it('should track the expiry of a token', done => {
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({
+        access_token: 'first',
+        expires_in: 3600
+      })));
+      const now = Date.now();
+      api.getOauth2Token(basicAuth, 'fb')
+        .then(() => {
+          expect(api._tokenExpiry).not.toBeLessThan(now + 3600000);
+          expect(api._tokenExpiresSoon()).toBeFalsy();
+          expect(api._tokenRefreshTimer).not.toBeNull();
+          clearTimeout(api._tokenRefreshTimer);
+        })
+        .catch(fail)
+        .then(done);
     });
-    expect(console.error).toHaveBeenCalledTimes(1);
-    expect(console.error).toHaveBeenCalledWith('RPC error returned:', 'Got an error!');
-  });
 
-  it('should detect browser incompatibility', () => {
-    const backupSocket = window.WebSocket;
-    delete window.WebSocket;
-    expect(() => {
-      Connection._sdkCompatibility();
-    }).toThrowError('No WebSocket capabilities');
-    window.WebSocket = backupSocket;
-  });
+    it('should not schedule a refresh for a token without expiry', () => {
+      api._storeToken({access_token: 'token'});
+      expect(api._tokenExpiry).toBeNull();
+      expect(api._tokenRefreshTimer).toBeNull();
+    });
 
-  describe('Cancel streaming', () => {
-    let recorderMock;
-    beforeEach(() => {
-      recorderMock = {
-        removeAllEventListeners: jasmine.createSpy(),
-        isRecording: jasmine.createSpy().and.returnValue(true),
-        stop: jasmine.createSpy()
-      };
-      api = new Connection();
+    it('should refresh a token before it expires', () => {
+      jasmine.clock().install();
+      jasmine.clock().mockDate(new Date(2017, 0, 1));
+      spyOn(api, 'refreshOauth2Token').and.returnValue(Promise.resolve());
+      api._refreshToken = 'refresh';
+      api._storeToken({access_token: 'token', expires_in: 120});
+      jasmine.clock().tick(59999);
+      expect(api.refreshOauth2Token).not.toHaveBeenCalled();
+      jasmine.clock().tick(1);
+      expect(api.refreshOauth2Token).toHaveBeenCalledTimes(1);
+      jasmine.clock().uninstall();
     });
 
-    it('should cancel streaming', () => {
-      api._recordingId = '1';
-      api._analysisId = '2';
-      api._recognitionId = '3';
+    it('should refresh a token using a refresh token', done => {
+      const refreshed = jasmine.createSpy('tokenRefreshed');
+      api.addEventListener('tokenRefreshed', refreshed);
+      api._refreshToken = 'refresh/token';
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({
+        access_token: 'second',
+        refresh_token: 'other'
+      })));
+      api.refreshOauth2Token()
+        .then(data => {
+          const request = window.fetch.calls.mostRecent().args;
+          expect(request[0]).toEqual('https://api.itslanguage.nl/tokens');
+          expect(request[1].body).toEqual('grant_type=refresh_token&refresh_token=refresh%2Ftoken');
+          expect(api._settings.oAuth2Token).toEqual('second');
+          expect(api._refreshToken).toEqual('other');
+          expect(refreshed).toHaveBeenCalledWith(data);
+        })
+        .catch(fail)
+        .then(done);
+    });
 
-      api.cancelStreaming(recorderMock);
+    it('should refresh a token using the credentials it was obtained with', done => {
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({access_token: 'first'})));
+      api.getOauth2Token(basicAuth, 'fb', 'dummy')
+        .then(() => {
+          window.fetch.and.returnValue(Promise.resolve(tokenResponse({access_token: 'second'})));
+          return api.refreshOauth2Token();
+        })
+        .then(() => {
+          const request = window.fetch.calls.mostRecent().args;
+          expect(request[1].body).toEqual('grant_type=password&scope=tenant/4/organisation/fb/user/dummy' +
+            '&username=principal&password=credentials');
+          expect(api._settings.oAuth2Token).toEqual('second');
+        })
+        .catch(fail)
+        .then(done);
+    });
 
-      expect(recorderMock.removeAllEventListeners).toHaveBeenCalledTimes(1);
-      expect(recorderMock.isRecording).toHaveBeenCalledTimes(1);
-      expect(recorderMock.stop).toHaveBeenCalledTimes(1);
-      expect(api._recognitionId).toBeNull();
-      expect(api._recordingId).toBeNull();
-      expect(api._analysisId).toBeNull();
+    it('should fall back to the credentials if the refresh token is rejected', done => {
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({access_token: 'first'})));
+      api.getOauth2Token(basicAuth)
+        .then(() => {
+          api._refreshToken = 'expired';
+          window.fetch.and.returnValues(
+            Promise.resolve(tokenResponse({error: 'invalid_grant'}, 400)),
+            Promise.resolve(tokenResponse({access_token: 'second'})));
+          return api.refreshOauth2Token();
+        })
+        .then(() => {
+          expect(window.fetch).toHaveBeenCalledTimes(3);
+          expect(api._refreshToken).toBeNull();
+          expect(api._settings.oAuth2Token).toEqual('second');
+        })
+        .catch(fail)
+        .then(done);
     });
 
-    it('should not cancel streaming when there is no session in progress', () => {
-      api.cancelStreaming(recorderMock);
-      expect(recorderMock.removeAllEventListeners).toHaveBeenCalledTimes(0);
-      expect(recorderMock.isRecording).toHaveBeenCalledTimes(0);
-      expect(recorderMock.stop).toHaveBeenCalledTimes(0);
-      expect(api._recognitionId).toBeNull();
-      expect(api._recordingId).toBeNull();
-      expect(api._analysisId).toBeNull();
+    it('should report a refresh token which is rejected', done => {
+      const failed = jasmine.createSpy('authenticationFailed');
+      api.addEventListener('authenticationFailed', failed);
+      api._refreshToken = 'expired';
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({error: 'invalid_grant'}, 400)));
+      api.refreshOauth2Token()
+        .then(fail)
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.code).toEqual('invalid_grant');
+          expect(failed).toHaveBeenCalledWith(error);
+          expect(api._tokenRefresh).toBeNull();
+        })
+        .then(done);
+    });
+
+    it('should report a scheduled refresh which fails', done => {
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({error: 'invalid_grant'}, 400)));
+      api.addEventListener('authenticationFailed', error => {
+        expect(error.code).toEqual('invalid_grant');
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+        done();
+      });
+      api._applyToken({accessToken: 'token', refreshToken: 'expired', expiry: Date.now(), scope: null});
+    });
+
+    it('should fail to refresh without a refresh token or credentials', done => {
+      const failed = jasmine.createSpy('authenticationFailed');
+      api.addEventListener('authenticationFailed', failed);
+      api.refreshOauth2Token()
+        .then(fail)
+        .catch(error => {
+          expect(error.message).toEqual('Unable to refresh the OAuth2 token');
+          expect(failed).toHaveBeenCalledWith(error);
+          expect(window.fetch).not.toHaveBeenCalled();
+        })
+        .then(done);
+    });
+
+    it('should share a refresh between concurrent calls', () => {
+      api._refreshToken = 'refresh';
+      window.fetch.and.returnValue(new Promise(() => {}));
+      expect(api.refreshOauth2Token()).toBe(api.refreshOauth2Token());
+      expect(window.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should refresh a token which is about to expire before making a request', done => {
+      api._refreshToken = 'refresh';
+      api._tokenExpiry = Date.now() + 1000;
+      window.fetch.and.returnValues(
+        Promise.resolve(tokenResponse({access_token: 'second', expires_in: 3600})),
+        Promise.resolve(tokenResponse({})));
+      api._secureAjaxGet('https://api.itslanguage.nl/users')
+        .then(() => {
+          const request = window.fetch.calls.mostRecent().args;
+          expect(request[1].headers.get('Authorization')).toEqual('Bearer second');
+          clearTimeout(api._tokenRefreshTimer);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should refresh the token and retry a request once on 401', done => {
+      api._refreshToken = 'refresh';
+      window.fetch.and.returnValues(
+        Promise.resolve(tokenResponse({message: 'Unauthorized'}, 401)),
+        Promise.resolve(tokenResponse({access_token: 'second'})),
+        Promise.resolve(tokenResponse({message: 'Unauthorized'}, 401)));
+      api._secureAjaxDelete('https://api.itslanguage.nl/challenges/pronunciation/1')
+        .then(fail)
+        .catch(error => {
+          expect(error.message).toEqual('Unauthorized');
+          expect(window.fetch).toHaveBeenCalledTimes(3);
+          const request = window.fetch.calls.mostRecent().args;
+          expect(request[1].method).toEqual('DELETE');
+          expect(request[1].headers.get('Authorization')).toEqual('Bearer second');
+        })
+        .then(done);
+    });
+
+    it('should not retry a request on 401 if the token cannot be refreshed', done => {
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({message: 'Unauthorized'}, 401)));
+      api._secureAjaxGet('https://api.itslanguage.nl/users')
+        .then(fail)
+        .catch(error => {
+          expect(error.message).toEqual('Unauthorized');
+          expect(window.fetch).toHaveBeenCalledTimes(1);
+        })
+        .then(done);
+    });
+
+    it('should re-authenticate an open websocket connection after refreshing', done => {
+      const connections = [];
+      spyOn(Autobahn, 'Connection').and.callFake(options => {
+        const connection = {
+          options,
+          open: jasmine.createSpy('open'),
+          close: jasmine.createSpy('close')
+        };
+        connections.push(connection);
+        return connection;
+      });
+      spyOn(console, 'log');
+      api.connect();
+      connections[0].onopen({});
+      api._refreshToken = 'refresh';
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({access_token: 'second'})));
+      api.refreshOauth2Token()
+        .then(() => {
+          expect(connections.length).toEqual(2);
+          expect(connections[0].close).toHaveBeenCalledWith(null, 'Re-authenticating');
+          expect(connections[1].options.details.ticket).toEqual('second');
+          expect(connections[1].open).toHaveBeenCalled();
+          expect(api.state).toEqual('reconnecting');
+          connections[1].onopen({});
+          expect(api.state).toEqual('open');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should keep a refreshed token when the websocket connection cannot be re-authenticated', done => {
+      const connection = {open: jasmine.createSpy('open'), close: jasmine.createSpy('close')};
+      spyOn(Autobahn, 'Connection').and.returnValue(connection);
+      spyOn(console, 'log');
+      spyOn(api.logger, 'error');
+      api.connect();
+      connection.onopen({});
+      Autobahn.Connection.and.throwError('Cannot construct');
+      api._refreshToken = 'refresh';
+      window.fetch.and.returnValue(Promise.resolve(tokenResponse({access_token: 'second'})));
+      api.refreshOauth2Token()
+        .then(() => {
+          expect(api._settings.oAuth2Token).toEqual('second');
+          expect(api.logger.error).toHaveBeenCalledWith('WebSocket creation error: Error: Cannot construct');
+          expect(api.state).toEqual('open');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should not re-authenticate a websocket connection which is not open', done => {
+      api._reauthenticateWebSocket()
+        .then(() => {
+          expect(api.state).toEqual('idle');
+        })
+        .catch(fail)
+        .then(done);
+    });
+  });
+
+  describe('Token storage', () => {
+    const stored = {accessToken: 'stored', refreshToken: 'refresh', expiry: null};
+    let store;
+
+    function tokenResponse(content) {
+      return Promise.resolve(new Response(JSON.stringify(content), {
+        status: 200,
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
+      }));
+    }
+
+    /**
+     * Create a BroadcastChannel implementation delivering messages to the other channels with the same name.
+     *
+     * @returns {Function} The BroadcastChannel implementation.
+     */
+    function createBroadcastChannel() {
+      const channels = [];
+      return class {
+        constructor(name) {
+          this.name = name;
+          channels.push(this);
+        }
+
+        postMessage(data) {
+          channels
+            .filter(channel => channel !== this && channel.name === this.name)
+            .forEach(channel => channel.onmessage({data}));
+        }
+      };
+    }
+
+    beforeEach(() => {
+      store = new MemoryTokenStore();
+      spyOn(window, 'fetch').and.callFake(() => tokenResponse({}));
+    });
+
+    it('should restore a stored token', done => {
+      const restored = jasmine.createSpy('tokenRestored');
+      store.set(stored)
+        .then(() => {
+          api = new Connection({tokenStore: store});
+          api.addEventListener('tokenRestored', restored);
+          return api._secureAjaxGet('https://api.itslanguage.nl/users');
+        })
+        .then(() => {
+          const headers = window.fetch.calls.mostRecent().args[1].headers;
+          expect(headers.get('Authorization')).toEqual('Bearer stored');
+          expect(api._refreshToken).toEqual('refresh');
+          expect(restored).toHaveBeenCalled();
+          return api.restored;
+        })
+        .then(result => {
+          expect(result).toBeTruthy();
+          return new Connection({tokenStore: store, oAuth2Token: 'given'}).restored;
+        })
+        .then(result => {
+          expect(result).toBeFalsy();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should remove a stored token which expired', done => {
+      store.set({accessToken: 'expired', refreshToken: null, expiry: Date.now() - 1})
+        .then(() => new Connection({tokenStore: store}).restored)
+        .then(result => {
+          expect(result).toBeFalsy();
+          return store.get();
+        })
+        .then(token => {
+          expect(token).toBeNull();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should keep working when the store fails', done => {
+      store = jasmine.createSpyObj('store', ['get', 'set', 'clear']);
+      store.get.and.callFake(() => Promise.reject(new Error('SecurityError')));
+      api = new Connection({tokenStore: store});
+      spyOn(api._logger, 'warn');
+      api.restored
+        .then(result => {
+          expect(result).toBeFalsy();
+          expect(api._logger.warn).toHaveBeenCalledWith('Unable to restore the OAuth2 token:', jasmine.any(Error));
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should store an obtained token without the credentials', done => {
+      window.fetch.and.callFake(() => tokenResponse({access_token: 'obtained', refresh_token: 'refresh'}));
+      api = new Connection({tokenStore: store});
+      api.getOauth2Token(new BasicAuth('4', 'principal', 'credentials'), 'fb')
+        .then(() => store.get())
+        .then(token => {
+          expect(token).toEqual({
+            accessToken: 'obtained',
+            refreshToken: 'refresh',
+            expiry: null,
+            scope: 'tenant/4/organisation/fb'
+          });
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should keep working when a token cannot be stored or removed', done => {
+      store = jasmine.createSpyObj('store', ['get', 'set', 'clear']);
+      store.get.and.returnValue(Promise.resolve(null));
+      store.set.and.returnValue(Promise.reject(new Error('QuotaExceededError')));
+      store.clear.and.returnValue(Promise.reject(new Error('SecurityError')));
+      window.fetch.and.callFake(() => tokenResponse({access_token: 'obtained'}));
+      api = new Connection({tokenStore: store, cache: true});
+      spyOn(api.cache, 'clear').and.returnValue(Promise.reject(new Error('Database closed')));
+      spyOn(api._logger, 'warn');
+      api.getOauth2Token(new BasicAuth('4', 'principal', 'credentials'), 'fb')
+        .then(() => {
+          expect(api._settings.oAuth2Token).toEqual('obtained');
+          expect(api._logger.warn).toHaveBeenCalledWith('Unable to store the OAuth2 token:', jasmine.any(Error));
+          return api.logout();
+        })
+        .then(() => {
+          expect(api._settings.oAuth2Token).toBeNull();
+          expect(api._logger.warn).toHaveBeenCalledWith('Unable to remove the stored OAuth2 token:',
+            jasmine.any(Error));
+          expect(api._logger.warn).toHaveBeenCalledWith('Unable to clear the cache:', jasmine.any(Error));
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should use a Web Storage', () => {
+      expect(() => {
+        new Connection({tokenStore: 'sessionStorage'});
+      }).toThrowError('No sessionStorage capabilities');
+      window.localStorage = jasmine.createSpyObj('localStorage', ['getItem', 'setItem', 'removeItem']);
+      api = new Connection({tokenStore: 'localStorage', tokenStorageKey: 'key'});
+      expect(api._tokenStore._storage).toBe(window.localStorage);
+      expect(api._tokenStore._key).toEqual('key');
+      delete window.localStorage;
+    });
+
+    it('should log out', done => {
+      const loggedOut = jasmine.createSpy('loggedOut');
+      api = new Connection({tokenStore: store, cache: true});
+      api.addEventListener('loggedOut', loggedOut);
+      spyOn(api, 'disconnect').and.callThrough();
+      spyOn(api.cache, 'clear').and.callThrough();
+      store.set(stored)
+        .then(() => api.restored)
+        .then(() => api.logout())
+        .then(() => {
+          expect(api._settings.oAuth2Token).toBeNull();
+          expect(api._refreshToken).toBeNull();
+          expect(api.disconnect).toHaveBeenCalled();
+          expect(api.cache.clear).toHaveBeenCalled();
+          expect(loggedOut).toHaveBeenCalled();
+          return store.get();
+        })
+        .then(token => {
+          expect(token).toBeNull();
+          return api._secureAjaxGet('https://api.itslanguage.nl/users');
+        })
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+        })
+        .then(done);
+    });
+
+    it('should share logins and logouts with other tabs', done => {
+      const BroadcastChannel = createBroadcastChannel();
+      const other = new Connection({broadcastChannel: 'auth', BroadcastChannel});
+      const loggedOut = jasmine.createSpy('loggedOut');
+      other.addEventListener('loggedOut', loggedOut);
+      api = new Connection({broadcastChannel: 'auth', BroadcastChannel});
+      window.fetch.and.callFake(() => tokenResponse({access_token: 'shared', expires_in: 3600}));
+      Promise.all([api.restored, other.restored])
+        .then(() => api.getOauth2Token(new BasicAuth('4', 'principal', 'credentials'), 'fb'))
+        .then(() => {
+          expect(other._settings.oAuth2Token).toEqual('shared');
+          expect(other._tokenExpiry).toEqual(api._tokenExpiry);
+          expect(other._tokenRequest).toBeNull();
+          return api.logout();
+        })
+        .then(() => {
+          expect(other._settings.oAuth2Token).toBeNull();
+          expect(loggedOut).toHaveBeenCalled();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should keep a shared token when the websocket connection cannot be re-authenticated', done => {
+      const BroadcastChannel = createBroadcastChannel();
+      const other = new Connection({broadcastChannel: 'auth', BroadcastChannel});
+      const connection = {open: jasmine.createSpy('open'), close: jasmine.createSpy('close')};
+      spyOn(Autobahn, 'Connection').and.returnValue(connection);
+      spyOn(console, 'log');
+      spyOn(other.logger, 'error');
+      other.connect();
+      connection.onopen({});
+      Autobahn.Connection.and.throwError('Cannot construct');
+      api = new Connection({broadcastChannel: 'auth', BroadcastChannel});
+      window.fetch.and.callFake(() => tokenResponse({access_token: 'shared'}));
+      api.getOauth2Token(new BasicAuth('4', 'principal', 'credentials'), 'fb')
+        .then(() => {
+          expect(other._settings.oAuth2Token).toEqual('shared');
+          expect(other.logger.error).toHaveBeenCalledWith('WebSocket creation error: Error: Cannot construct');
+          expect(other.state).toEqual('open');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should ignore unknown messages of other tabs', () => {
+      const BroadcastChannel = createBroadcastChannel();
+      api = new Connection({broadcastChannel: 'auth', BroadcastChannel, oAuth2Token: 'token'});
+      spyOn(api, 'fireEvent');
+      new BroadcastChannel('auth').postMessage({type: 'unknown'});
+      expect(api._settings.oAuth2Token).toEqual('token');
+      expect(api.fireEvent).not.toHaveBeenCalled();
+    });
+
+    it('should not keep Node.js running while sharing with other tabs', () => {
+      const BroadcastChannel = createBroadcastChannel();
+      BroadcastChannel.prototype.unref = jasmine.createSpy('unref');
+      api = new Connection({broadcastChannel: 'auth', BroadcastChannel});
+      expect(api._channel.unref).toHaveBeenCalled();
+    });
+
+    it('should not share anything by default', () => {
+      expect(new Connection()._channel).toBeNull();
+    });
+  });
+
+  describe('Scopes', () => {
+    let basicAuth;
+
+    function tokenResponse(content) {
+      return Promise.resolve(new Response(JSON.stringify(content), {
+        status: 200,
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
+      }));
+    }
+
+    beforeEach(() => {
+      basicAuth = new BasicAuth('4', 'principal', 'credentials');
+      api = new Connection({apiUrl: 'https://api.example.com'});
+      spyOn(window, 'fetch').and.callFake((requestUrl, options) => {
+        const scope = /scope=([^&]*)/.exec(options.body)[1];
+        return tokenResponse({access_token: 'token ' + scope, scope});
+      });
+    });
+
+    it('should track the scope of the token', done => {
+      expect(api.scope).toBeNull();
+      window.fetch.and.callFake(() => tokenResponse({access_token: 'token'}));
+      api.getOauth2Token(basicAuth, 'fb')
+        .then(() => {
+          expect(api.scope).toEqual(new Scope('4', 'fb'));
+          window.fetch.and.callFake(() => tokenResponse({access_token: 'token', scope: 'tenant/4/organisation/other'}));
+          return api.getUserAuth(basicAuth, 'fb');
+        })
+        .then(() => {
+          expect(api.scope).toEqual(new Scope('4', 'other'));
+          return api.logout();
+        })
+        .then(() => {
+          expect(api.scope).toBeNull();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should act within another scope without changing the token', done => {
+      let scoped;
+      api.getOauth2Token(basicAuth)
+        .then(() => api.withScope(api.scope.organisation('fb').user('user')))
+        .then(connection => {
+          scoped = connection;
+          const request = window.fetch.calls.mostRecent().args;
+          expect(request[0]).toEqual('https://api.example.com/tokens');
+          expect(request[1].body).toEqual('grant_type=password&scope=tenant/4/organisation/fb/user/user' +
+            '&username=principal&password=credentials');
+          expect(scoped.scope).toEqual(new Scope('4', 'fb', 'user'));
+          expect(scoped._settings.oAuth2Token).toEqual('token tenant/4/organisation/fb/user/user');
+          expect(api.scope).toEqual(new Scope('4'));
+          expect(api._settings.oAuth2Token).toEqual('token tenant/4');
+          return scoped.logout();
+        })
+        .then(() => {
+          expect(api._settings.oAuth2Token).toEqual('token tenant/4');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should only share the settings to reach the servers and authorize with', done => {
+      const middleware = jasmine.createSpy('middleware').and.callFake((context, next) => next());
+      api = new Connection({
+        apiUrl: 'https://api.example.com',
+        wsUrl: 'wss://ws.example.com',
+        retry: {maxRetries: 1},
+        streaming: {maxInFlightWrites: 2},
+        record: true,
+        heartbeat: true,
+        middleware: [middleware],
+        cache: true
+      });
+      window.fetch.and.callFake((requestUrl, options) => {
+        const scope = /scope=([^&]*)/.exec(options.body)[1];
+        return tokenResponse({access_token: 'token ' + scope, scope, expires_in: 3600, refresh_token: 'refresh'});
+      });
+      let scoped;
+      api.getOauth2Token(basicAuth)
+        .then(() => api.withScope(new Scope('4', 'fb')))
+        .then(connection => {
+          scoped = connection;
+          expect(scoped._settings.wsUrl).toEqual('wss://ws.example.com');
+          expect(scoped._settings.retry.maxRetries).toEqual(1);
+          expect(scoped._settings.streaming.maxInFlightWrites).toEqual(2);
+          expect(scoped.recorder).toBeNull();
+          expect(scoped.replayer).toBeNull();
+          expect(scoped.cache).toBeNull();
+          expect(scoped._monitor._heartbeat).toBeNull();
+          expect(scoped._middleware).toEqual([]);
+          expect(scoped._tokenRefreshTimer).not.toBeNull();
+          return scoped.logout();
+        })
+        .then(() => {
+          expect(scoped._tokenRefreshTimer).toBeNull();
+          expect(api._tokenRefreshTimer).not.toBeNull();
+          return api.logout();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should act within another scope after an authorization', done => {
+      spyOn(AuthorizationCodeFlow.prototype, 'renew').and.callFake(request => Promise.resolve({
+        data: {access_token: 'scoped'},
+        claims: null,
+        request
+      }));
+      api = new Connection({authorization: {clientId: 'app', redirectUri: 'https://app.example.com/callback'}});
+      api._authorizationRequest = {scope: 'tenant/4'};
+      api.withScope(new Scope('4', 'fb'))
+        .then(scoped => {
+          expect(AuthorizationCodeFlow.prototype.renew).toHaveBeenCalledWith({scope: 'tenant/4/organisation/fb'});
+          expect(scoped.scope).toEqual(new Scope('4', 'fb'));
+          expect(scoped._settings.oAuth2Token).toEqual('scoped');
+          expect(api._settings.oAuth2Token).toBeNull();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should not act within another scope without credentials', done => {
+      api.withScope('tenant/4')
+        .then(fail, error => {
+          expect(error.message).toEqual('scope parameter of type "Scope" is required');
+          return api.withScope(new Scope('4'));
+        })
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(window.fetch).not.toHaveBeenCalled();
+        })
+        .then(done);
+    });
+  });
+
+  describe('Add access token', () => {
+    it('should throw when credentials are invalid', () => {
+      api = new Connection({
+        oAuth2Token: null
+      });
+      expect(() => {
+        api.addAccessToken();
+      }).toThrowError('Please set oAuth2Token');
+    });
+
+    it('should add an access token to an url', () => {
+      api = new Connection({
+        oAuth2Token: 'token'
+      });
+      url = 'https://api.itslanguage.nl';
+      const output = api.addAccessToken(url);
+      expect(output).toEqual(url + '?access_token=token');
+    });
+
+    it('should add an access token to an url with an existing query parameter', () => {
+      api = new Connection({
+        oAuth2Token: 'token'
+      });
+      url = 'https://api.itslanguage.nl?foo=bar';
+      const output = api.addAccessToken(url);
+      expect(output).toEqual(url + '&access_token=token');
+    });
+  });
+  it('should log RPC errors', () => {
+    spyOn(console, 'error');
+    Connection.logRPCError(new RpcError('Got an error!', 'nl.itslanguage.error'));
+    expect(console.error).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledWith('[itslanguage]', 'RPC error returned:', 'nl.itslanguage.error');
+  });
+
+  it('should log RPC errors with the logger of a controller', () => {
+    spyOn(api.logger, 'error');
+    Connection.logRPCError(new Error('Got an error!'), api.logger);
+    expect(api.logger.error).toHaveBeenCalledWith('RPC error returned:', 'Got an error!');
+  });
+
+  it('should log with a configured logger', () => {
+    const output = jasmine.createSpyObj('output', ['debug', 'info', 'warn', 'error']);
+    const connection = new Connection({logger: {level: 'info', output}});
+    expect(connection.logger.namespace).toEqual('itslanguage:connection');
+    connection.cancelStreaming();
+    expect(output.info).toHaveBeenCalledWith('[itslanguage:connection]', 'No session in progress, nothing to cancel.');
+  });
+
+  it('should detect browser incompatibility', () => {
+    const backupSocket = window.WebSocket;
+    delete window.WebSocket;
+    spyOn(Connection, '_isNode').and.returnValue(false);
+    expect(() => {
+      Connection._sdkCompatibility();
+    }).toThrowError('No WebSocket capabilities');
+    window.WebSocket = backupSocket;
+  });
+
+  it('should accept a WebSocket implementation passed in without browser support', () => {
+    const backupSocket = window.WebSocket;
+    delete window.WebSocket;
+    spyOn(Connection, '_isNode').and.returnValue(false);
+    expect(() => {
+      Connection._sdkCompatibility(jasmine.createSpy('WebSocket'));
+    }).not.toThrow();
+    window.WebSocket = backupSocket;
+  });
+
+  it('should rely on autobahn to provide a WebSocket in Node.js', () => {
+    const backupSocket = window.WebSocket;
+    delete window.WebSocket;
+    spyOn(Connection, '_isNode').and.returnValue(true);
+    expect(() => {
+      Connection._sdkCompatibility();
+    }).not.toThrow();
+    window.WebSocket = backupSocket;
+  });
+
+  describe('Middleware', () => {
+    beforeEach(() => {
+      spyOn(window, 'fetch').and.callFake(() => Promise.resolve(new Response(JSON.stringify({id: '1'}), {
+        status: 200,
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
+      })));
+    });
+
+    it('should pass requests through middleware in order', done => {
+      const order = [];
+      api = new Connection({
+        oAuth2Token: 'token',
+        middleware: [(context, next) => {
+          order.push('first');
+          context.headers['X-Request-Id'] = '42';
+          return next();
+        }]
+      });
+      api.addMiddleware((context, next) => {
+        order.push('second');
+        expect(context.type).toEqual('request');
+        expect(context.method).toEqual('POST');
+        expect(context.url).toEqual('https://api.itslanguage.nl/users');
+        expect(context.headers['Content-Type']).toEqual('application/json; charset=utf-8');
+        expect(context.body).toEqual('{}');
+        return next()
+          .then(result => {
+            expect(context.response.status).toEqual(200);
+            return Object.assign({version: 2}, result);
+          });
+      });
+      api._secureAjaxPost('https://api.itslanguage.nl/users', '{}')
+        .then(result => {
+          expect(order).toEqual(['first', 'second']);
+          expect(result).toEqual({id: '1', version: 2});
+          const headers = window.fetch.calls.mostRecent().args[1].headers;
+          expect(headers.get('Authorization')).toEqual('Bearer token');
+          expect(headers.get('X-Request-Id')).toEqual('42');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should let middleware answer requests itself', done => {
+      api.addMiddleware(() => Promise.resolve({id: 'cached'}));
+      api._secureAjaxGet('https://api.itslanguage.nl/users/1')
+        .then(result => {
+          expect(result).toEqual({id: 'cached'});
+          expect(window.fetch).not.toHaveBeenCalled();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should let middleware rewrite errors', done => {
+      const error = new Error('Offline');
+      api.addMiddleware(() => {
+        throw new Error('Something went wrong');
+      });
+      api.addMiddleware((context, next) => next().catch(() => Promise.reject(error)));
+      api._secureAjaxGet('https://api.itslanguage.nl/users/1')
+        .then(fail)
+        .catch(result => {
+          expect(result.message).toEqual('Something went wrong');
+          api._middleware.shift();
+          return api._secureAjaxGet('https://api.itslanguage.nl/users/1');
+        })
+        .then(result => {
+          expect(result).toEqual({id: '1'});
+          window.fetch.and.returnValue(Promise.reject(new TypeError('Failed to fetch')));
+          api._settings.retry.maxRetries = 0;
+          return api._secureAjaxGet('https://api.itslanguage.nl/users/1');
+        })
+        .then(fail)
+        .catch(result => {
+          expect(result).toBe(error);
+        })
+        .then(done);
+    });
+
+    it('should remove middleware', done => {
+      const middleware = jasmine.createSpy('middleware');
+      api.addMiddleware(middleware);
+      api.removeMiddleware(middleware);
+      api._secureAjaxGet('https://api.itslanguage.nl/users/1')
+        .then(() => {
+          expect(middleware).not.toHaveBeenCalled();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should pass RPCs through middleware', done => {
+      const deferred = Autobahn.when.defer();
+      api._session = {call: jasmine.createSpy('call').and.returnValue(deferred.promise)};
+      api.addMiddleware((context, next) => {
+        expect(context.type).toEqual('call');
+        expect(context.rpc).toEqual('nl.itslanguage.pronunciation.analyse');
+        context.args = [['2']];
+        // Native promises do not pass on progress.
+        return Promise.resolve(next()).then(result => result + '!');
+      });
+      const progress = jasmine.createSpy('progress');
+      api.call('pronunciation.analyse', ['1'])
+        .progress(progress)
+        .then(result => {
+          expect(api._session.call).toHaveBeenCalledWith('nl.itslanguage.pronunciation.analyse', ['2']);
+          expect(progress).toHaveBeenCalledWith('alignment');
+          expect(result).toEqual('done!');
+        })
+        .catch(fail)
+        .then(done);
+      deferred.notify('alignment');
+      deferred.resolve('done');
+    });
+
+    it('should let middleware answer RPCs itself', done => {
+      api.addMiddleware(context => Promise.reject(new RpcError('Not allowed', context.rpc)));
+      api.call('recording.write', ['1', 'data', 'base64'])
+        .then(fail)
+        .catch(error => {
+          expect(error).toEqual(jasmine.any(RpcError));
+          expect(error.uri).toEqual('nl.itslanguage.recording.write');
+          expect(api._pendingCalls).toEqual([]);
+        })
+        .then(done);
+    });
+  });
+
+  describe('Injected implementations', () => {
+    it('should perform requests with the fetch and Headers implementations passed in', done => {
+      const headers = jasmine.createSpyObj('headers', ['append']);
+      const HeadersImpl = jasmine.createSpy('Headers').and.returnValue(headers);
+      const fetchImpl = jasmine.createSpy('fetch').and.returnValue(Promise.resolve(new Response('{}', {
+        status: 200,
+        headers: {
+          'Content-type': 'application/json; charset=utf-8'
+        }
+      })));
+      spyOn(window, 'fetch');
+      api = new Connection({
+        oAuth2Token: 'token',
+        fetch: fetchImpl,
+        Headers: HeadersImpl
+      });
+      api._secureAjaxGet('https://api.itslanguage.nl/users')
+        .then(() => {
+          expect(HeadersImpl).toHaveBeenCalledTimes(1);
+          expect(headers.append).toHaveBeenCalledWith('Authorization', 'Bearer token');
+          expect(fetchImpl).toHaveBeenCalledWith('https://api.itslanguage.nl/users', {
+            method: 'GET',
+            headers
+          });
+          expect(window.fetch).not.toHaveBeenCalled();
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should connect using the WebSocket implementation passed in', () => {
+      const WebSocketImpl = jasmine.createSpy('WebSocket');
+      spyOn(Autobahn, 'Connection').and.returnValue({open: jasmine.createSpy('open')});
+      api = new Connection({
+        oAuth2Token: 'token',
+        wsUrl: 'wss://ws.itslanguage.nl',
+        WebSocket: WebSocketImpl
+      });
+      api.connect();
+      expect(Autobahn.Connection.calls.mostRecent().args[0].transports).toEqual([{
+        type: 'itslanguage.websocket',
+        url: 'wss://ws.itslanguage.nl',
+        serializers: [jasmine.any(MsgpackSerializer), jasmine.any(Autobahn.serializer.JSONSerializer)],
+        WebSocket: WebSocketImpl
+      }]);
+    });
+
+    it('should let autobahn pick the WebSocket implementation by default', () => {
+      spyOn(Autobahn, 'Connection').and.returnValue({open: jasmine.createSpy('open')});
+      api = new Connection({
+        oAuth2Token: 'token',
+        wsUrl: 'wss://ws.itslanguage.nl'
+      });
+      api.connect();
+      expect(Autobahn.Connection.calls.mostRecent().args[0].transports).toEqual([{
+        type: 'websocket',
+        url: 'wss://ws.itslanguage.nl',
+        serializers: [jasmine.any(MsgpackSerializer), jasmine.any(Autobahn.serializer.JSONSerializer)]
+      }]);
+    });
+
+    it('should only offer JSON if binary audio is disabled', () => {
+      spyOn(Autobahn, 'Connection').and.returnValue({open: jasmine.createSpy('open')});
+      api = new Connection({
+        oAuth2Token: 'token',
+        wsUrl: 'wss://ws.itslanguage.nl',
+        binaryAudio: false
+      });
+      api.connect();
+      expect(Autobahn.Connection.calls.mostRecent().args[0].transports[0].serializers).toEqual([
+        jasmine.any(Autobahn.serializer.JSONSerializer)
+      ]);
+      expect(api.audioEncoding).toEqual('base64');
+    });
+  });
+
+  describe('Cancel streaming', () => {
+    let recorderMock;
+    let session;
+    beforeEach(() => {
+      recorderMock = {
+        addEventListener: jasmine.createSpy(),
+        removeEventListener: jasmine.createSpy(),
+        isRecording: jasmine.createSpy().and.returnValue(true),
+        stop: jasmine.createSpy()
+      };
+      api = new Connection();
+      spyOn(api, 'call').and.returnValue(Promise.resolve());
+      session = new StreamingSession(api, 'pronunciation', recorderMock);
+      session.id = '2';
+      session.open();
+    });
+
+    it('should cancel streaming', () => {
+      function listener() {}
+      const cancel = jasmine.createSpy('cancel');
+      const cancelled = jasmine.createSpy('sessioncancelled');
+      session.addRecorderListener('dataavailable', listener);
+      session.addEventListener('cancel', cancel);
+      api.addEventListener('sessioncancelled', cancelled);
+
+      api.cancelStreaming(recorderMock);
+
+      expect(recorderMock.removeEventListener).toHaveBeenCalledWith('dataavailable', listener);
+      expect(api.call).toHaveBeenCalledWith('pronunciation.abort', ['2'], {}, {idempotent: true});
+      expect(cancel).toHaveBeenCalledWith(jasmine.any(CancellationError));
+      expect(cancelled).toHaveBeenCalledWith(session);
+      expect(recorderMock.isRecording).toHaveBeenCalledTimes(1);
+      expect(recorderMock.stop).toHaveBeenCalledTimes(1);
+      expect(api.sessions).toEqual([]);
+    });
+
+    it('should not cancel streaming when there is no session in progress', () => {
+      session.close();
+      api.cancelStreaming(recorderMock);
+      expect(recorderMock.isRecording).toHaveBeenCalledTimes(0);
+      expect(recorderMock.stop).toHaveBeenCalledTimes(0);
+      expect(api.sessions).toEqual([]);
     });
 
     it('should cancel streaming when the recorder has already stopped', () => {
       recorderMock.isRecording = jasmine.createSpy().and.returnValue(false);
-      api._recordingId = '1';
-      api._analysisId = '2';
-      api._recognitionId = '3';
       api.cancelStreaming(recorderMock);
-      expect(recorderMock.removeAllEventListeners).toHaveBeenCalledTimes(1);
       expect(recorderMock.isRecording).toHaveBeenCalledTimes(1);
       expect(recorderMock.stop).toHaveBeenCalledTimes(0);
-      expect(api._recognitionId).toBeNull();
-      expect(api._recordingId).toBeNull();
-      expect(api._analysisId).toBeNull();
+      expect(api.sessions).toEqual([]);
+    });
+
+    it('should only cancel the targeted session', () => {
+      const otherRecorder = jasmine.createSpyObj('recorder', ['isRecording', 'stop']);
+      const other = new StreamingSession(api, 'choice', otherRecorder);
+      other.id = '3';
+      other.open();
+      expect(api.sessions).toEqual([session, other]);
+
+      api.cancelStreaming('3');
+      expect(api.sessions).toEqual([session]);
+      expect(otherRecorder.isRecording).toHaveBeenCalled();
+      expect(recorderMock.isRecording).not.toHaveBeenCalled();
+
+      api.cancelStreaming(session);
+      expect(api.sessions).toEqual([]);
+      expect(api.call).toHaveBeenCalledWith('choice.abort', ['3'], {}, {idempotent: true});
+      expect(api.call).toHaveBeenCalledWith('pronunciation.abort', ['2'], {}, {idempotent: true});
+    });
+
+    it('should log when the server does not abort a session', done => {
+      api.call.and.returnValue(Promise.reject(new Error('WebSocket connection was not open.')));
+      spyOn(session._logger, 'warn');
+      api.cancelStreaming();
+      setTimeout(() => {
+        expect(session._logger.warn).toHaveBeenCalledWith(
+          'The server did not abort the pronunciation session with id 2:', 'WebSocket connection was not open.');
+        done();
+      });
+    });
+
+    it('should cancel all sessions', () => {
+      const other = new StreamingSession(api, 'recording', jasmine.createSpyObj('recorder', ['isRecording']));
+      other.open();
+      api.cancelStreaming();
+      expect(api.sessions).toEqual([]);
+      expect(recorderMock.stop).toHaveBeenCalled();
     });
   });
 
   describe('Autobahn', () => {
-    it('should try to create an autobahn connection and handle an error', () => {
-      spyOn(console, 'log');
+    it('should try to create an autobahn connection and handle an error', done => {
+      spyOn(api.logger, 'error');
       spyOn(Autobahn, 'Connection').and.callFake(() => {
         throw new Error('Cannot construct');
       });
-      api.webSocketConnect('token');
-      expect(console.log).toHaveBeenCalledTimes(1);
-      expect(console.log).toHaveBeenCalledWith('WebSocket creation error: Error: Cannot construct');
+      api.webSocketConnect('token')
+        .then(fail)
+        .catch(error => {
+          expect(error.message).toEqual('Cannot construct');
+          expect(api.logger.error).toHaveBeenCalledTimes(1);
+          expect(api.logger.error).toHaveBeenCalledWith('WebSocket creation error: Error: Cannot construct');
+          expect(api.state).toEqual('idle');
+        })
+        .then(done);
     });
 
     it('should create an autobahn connection', () => {
@@ -629,23 +1974,24 @@ describe('Connection', () => {
 
       spyOn(api, 'fireEvent');
       spyOn(console, 'log');
-      spyOn(console, 'debug');
+      spyOn(api.logger, 'error');
+      spyOn(api.logger, 'info');
       spyOn(Autobahn, 'Connection').and.callFake(mockBahn);
       api._settings.oAuth2Token = 'token';
       api.webSocketConnect();
       mockSession.call('apiUrl', 'extra argument');
       expect(api.fireEvent).toHaveBeenCalledWith('websocketError', ['error']);
-      expect(console.log).toHaveBeenCalledWith('WebSocket error: error');
+      expect(api.logger.error).toHaveBeenCalledWith('WebSocket error: error');
 
       expect(api.fireEvent).toHaveBeenCalledWith('websocketOpened');
-      expect(console.log).toHaveBeenCalledWith('WebSocket connection opened');
+      expect(api.logger.info).toHaveBeenCalledWith('WebSocket connection opened');
 
       expect(api.fireEvent).toHaveBeenCalledWith('websocketClosed');
-      expect(console.log).toHaveBeenCalledWith('WebSocket disconnected');
+      expect(api.logger.info).toHaveBeenCalledWith('WebSocket disconnected');
 
       expect(console.log).toHaveBeenCalledWith('Called mock session at apiUrl with extra argument');
 
-      expect(console.log).toHaveBeenCalledTimes(4);
+      expect(console.log).toHaveBeenCalledTimes(1);
 
       expect(constructedToken).toEqual('token');
     });
@@ -686,6 +2032,412 @@ describe('Connection', () => {
       expect(mockBahn.close).toHaveBeenCalledWith(null, 'Requested formal disconnect');
     });
 
+    it('should pass the reconnection settings to autobahn', () => {
+      spyOn(Autobahn, 'Connection').and.returnValue({open() {}});
+      api = new Connection({
+        reconnect: {
+          maxRetries: 3,
+          initialDelay: 500
+        }
+      });
+      api.webSocketConnect();
+      const options = Autobahn.Connection.calls.mostRecent().args[0];
+      expect(options.max_retries).toEqual(3);
+      expect(options.initial_retry_delay).toEqual(0.5);
+      expect(options.max_retry_delay).toEqual(300);
+      expect(options.retry_delay_growth).toEqual(1.5);
+      expect(options.retry_delay_jitter).toEqual(0.1);
+    });
+
+    it('should disable reconnecting', () => {
+      spyOn(Autobahn, 'Connection').and.returnValue({open() {}});
+      api = new Connection({
+        reconnect: false
+      });
+      api.webSocketConnect();
+      const options = Autobahn.Connection.calls.mostRecent().args[0];
+      expect(options.max_retries).toEqual(0);
+    });
+
+    describe('Connection state', () => {
+      let mockBahn;
+      let session;
+      let stateChanges;
+
+      beforeEach(() => {
+        mockBahn = {
+          open: jasmine.createSpy('open'),
+          close: jasmine.createSpy('close'),
+          isConnected: true
+        };
+        session = {call: jasmine.createSpy('call')};
+        stateChanges = [];
+        spyOn(Autobahn, 'Connection').and.returnValue(mockBahn);
+        spyOn(console, 'log');
+        api.addEventListener('statechange', (state, previous) => stateChanges.push([state, previous]));
+      });
+
+      it('should start idle', () => {
+        expect(api.state).toEqual('idle');
+      });
+
+      it('should resolve when the connection is opened', done => {
+        api.connect()
+          .then(() => {
+            expect(api.state).toEqual('open');
+            expect(stateChanges).toEqual([['connecting', 'idle'], ['open', 'connecting']]);
+          })
+          .catch(fail)
+          .then(done);
+        expect(api.state).toEqual('connecting');
+        mockBahn.onopen(session);
+      });
+
+      it('should return the same promise while connecting', () => {
+        const promise = api.connect();
+        expect(api.connect()).toBe(promise);
+        expect(Autobahn.Connection).toHaveBeenCalledTimes(1);
+      });
+
+      it('should resolve immediately when the connection is already open', done => {
+        api.connect();
+        mockBahn.onopen(session);
+        api.connect()
+          .then(() => {
+            expect(Autobahn.Connection).toHaveBeenCalledTimes(1);
+          })
+          .catch(fail)
+          .then(done);
+      });
+
+      it('should reject when authentication fails', done => {
+        api.connect()
+          .then(fail)
+          .catch(error => {
+            expect(error).toEqual(jasmine.any(AuthenticationError));
+            expect(error.code).toEqual('wamp.error.not_authorized');
+            expect(error.message).toEqual('WebSocket connection was closed before it was opened: ' +
+              'Invalid ticket');
+            expect(api.state).toEqual('closed');
+          })
+          .then(done);
+        mockBahn.onclose('closed', {
+          reason: 'wamp.error.not_authorized',
+          message: 'Invalid ticket',
+          will_retry: false
+        });
+      });
+
+      it('should reject with the reason the connection was closed for', done => {
+        api.connect()
+          .then(fail, error => {
+            expect(error).not.toEqual(jasmine.any(AuthenticationError));
+            expect(error.message).toEqual('WebSocket connection was closed before it was opened: ' +
+              'wamp.error.system_shutdown');
+          })
+          .then(done);
+        mockBahn.onclose('closed', {reason: 'wamp.error.system_shutdown', will_retry: false});
+      });
+
+      it('should stay connecting while the server is unreachable', () => {
+        api.connect();
+        mockBahn.onclose('unreachable', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        expect(api.state).toEqual('connecting');
+      });
+
+      it('should be reconnecting when the connection is lost', done => {
+        api.connect();
+        mockBahn.onopen(session);
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 2, retry_delay: 2.25});
+        expect(api.state).toEqual('reconnecting');
+        api.connect()
+          .then(() => {
+            expect(stateChanges).toEqual([
+              ['connecting', 'idle'],
+              ['open', 'connecting'],
+              ['reconnecting', 'open'],
+              ['open', 'reconnecting']
+            ]);
+          })
+          .catch(fail)
+          .then(done);
+        mockBahn.onopen(session);
+      });
+
+      it('should resolve when the connection is disconnected', done => {
+        api.connect();
+        mockBahn.onopen(session);
+        api.disconnect()
+          .then(() => {
+            expect(api.state).toEqual('closed');
+          })
+          .catch(fail)
+          .then(done);
+        expect(mockBahn.close).toHaveBeenCalledWith(null, 'Requested formal disconnect');
+        mockBahn.onclose('closed', {will_retry: false});
+      });
+
+      it('should reject a pending connect when disconnecting', done => {
+        api.connect()
+          .then(fail)
+          .catch(error => {
+            expect(error.message).toEqual('WebSocket connection was closed before it was opened.');
+          })
+          .then(done);
+        api.disconnect();
+      });
+
+      it('should resolve immediately when disconnecting while reconnecting', done => {
+        api.connect();
+        mockBahn.onopen(session);
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        mockBahn.isConnected = false;
+        mockBahn.close.and.throwError('connection already closed');
+        api.disconnect()
+          .then(() => {
+            expect(api.state).toEqual('closed');
+          })
+          .catch(fail)
+          .then(done);
+      });
+
+      it('should close a connection which is restored after disconnecting', () => {
+        api.connect();
+        mockBahn.onopen(session);
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        mockBahn.isConnected = false;
+        api.disconnect();
+        mockBahn.onopen(session);
+        expect(api.state).toEqual('closed');
+        expect(api._session).toBeNull();
+        expect(mockBahn.close).toHaveBeenCalledTimes(2);
+      });
+
+      it('should ignore a replaced connection when it closes', () => {
+        const replaced = mockBahn;
+        api.connect();
+        replaced.onopen(session);
+        mockBahn = {open() {}, close: jasmine.createSpy('close'), isConnected: true};
+        Autobahn.Connection.and.returnValue(mockBahn);
+        api._reauthenticateWebSocket();
+        expect(replaced.close).toHaveBeenCalledWith(null, 'Re-authenticating');
+        replaced.onclose('closed', {will_retry: false});
+        expect(api.state).toEqual('reconnecting');
+        mockBahn.onopen(session);
+        expect(api.state).toEqual('open');
+        expect(stateChanges).toEqual([
+          ['connecting', 'idle'],
+          ['open', 'connecting'],
+          ['reconnecting', 'open'],
+          ['open', 'reconnecting']
+        ]);
+      });
+
+      it('should keep the connection when it cannot be replaced to re-authenticate', done => {
+        spyOn(api.logger, 'error');
+        api.connect();
+        mockBahn.onopen(session);
+        Autobahn.Connection.and.throwError('Cannot construct');
+        api._reauthenticateWebSocket()
+          .then(fail, error => {
+            expect(error.message).toEqual('Cannot construct');
+            expect(api.logger.error).toHaveBeenCalledWith('WebSocket creation error: Error: Cannot construct');
+            expect(api.state).toEqual('open');
+            expect(mockBahn.close).not.toHaveBeenCalled();
+          })
+          .then(done);
+      });
+
+      it('should resolve when disconnecting without a connection', done => {
+        api.disconnect()
+          .then(() => {
+            expect(api.state).toEqual('idle');
+          })
+          .catch(fail)
+          .then(done);
+      });
+    });
+
+    describe('Reconnecting', () => {
+      let mockBahn;
+      let firstSession;
+      let secondSession;
+
+      beforeEach(() => {
+        mockBahn = {open() {}};
+        firstSession = {call: jasmine.createSpy('call').and.returnValue(Autobahn.when.defer().promise)};
+        secondSession = {call: jasmine.createSpy('call').and.returnValue(Autobahn.when.resolve('result'))};
+        spyOn(Autobahn, 'Connection').and.returnValue(mockBahn);
+        spyOn(console, 'log');
+        spyOn(console, 'debug');
+        api.webSocketConnect();
+        mockBahn.onopen(firstSession);
+      });
+
+      it('should fire an event when reconnecting', () => {
+        spyOn(api, 'fireEvent');
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 2, retry_delay: 1.5});
+        expect(api.fireEvent).toHaveBeenCalledWith('websocketReconnecting', [2, 1500]);
+        expect(api.fireEvent).not.toHaveBeenCalledWith('websocketClosed');
+        expect(api._session).toBeNull();
+      });
+
+      it('should resend idempotent calls which were not answered before the connection was lost', done => {
+        api.call('pronunciation.abort', ['1'], {}, {idempotent: true})
+          .then(result => {
+            expect(result).toEqual('result');
+            expect(secondSession.call).toHaveBeenCalledWith('nl.itslanguage.pronunciation.abort', ['1'], {}, {});
+            expect(api._pendingCalls).toEqual([]);
+          })
+          .catch(fail)
+          .then(done);
+        expect(firstSession.call).toHaveBeenCalledWith('nl.itslanguage.pronunciation.abort', ['1'], {}, {});
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        mockBahn.onopen(secondSession);
+      });
+
+      it('should reject other calls which were not answered before the connection was lost', done => {
+        api.call('pronunciation.init_analysis')
+          .then(fail, error => {
+            expect(error).toEqual(jasmine.any(ConnectionLostError));
+            expect(error.message).toEqual('The connection was lost before the RPC was answered.');
+            expect(error.rpc).toEqual('nl.itslanguage.pronunciation.init_analysis');
+            expect(secondSession.call).not.toHaveBeenCalled();
+            expect(api._pendingCalls).toEqual([]);
+          })
+          .then(done);
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        mockBahn.onopen(secondSession);
+      });
+
+      it('should send calls made while reconnecting once the connection is restored', done => {
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        api.call('recording.write', ['1', 'data', 'base64'])
+          .then(result => {
+            expect(result).toEqual('result');
+            expect(firstSession.call).not.toHaveBeenCalled();
+            expect(secondSession.call).toHaveBeenCalledTimes(1);
+          })
+          .catch(fail)
+          .then(done);
+        mockBahn.onopen(secondSession);
+      });
+
+      it('should ignore results of a session which was lost', done => {
+        const deferred = Autobahn.when.defer();
+        firstSession.call.and.returnValue(deferred.promise);
+        secondSession.call.and.returnValue(Autobahn.when.defer().promise);
+        const progress = jasmine.createSpy('progress');
+        const result = jasmine.createSpy('result');
+        const error = jasmine.createSpy('error');
+        api.call('pronunciation.analyse', ['1'])
+          .progress(progress)
+          .then(result, error);
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        mockBahn.onopen(secondSession);
+        deferred.notify('progress');
+        deferred.resolve('stale');
+        setTimeout(() => {
+          expect(progress).not.toHaveBeenCalled();
+          expect(result).not.toHaveBeenCalled();
+          expect(error).toHaveBeenCalledWith(jasmine.any(ConnectionLostError));
+          done();
+        });
+      });
+
+      it('should ignore errors of a session which was lost', done => {
+        const deferred = Autobahn.when.defer();
+        firstSession.call.and.returnValue(deferred.promise);
+        api.call('pronunciation.abort', ['1'], {}, {idempotent: true})
+          .then(result => {
+            expect(result).toEqual('result');
+          })
+          .catch(fail)
+          .then(done);
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        deferred.reject(new Autobahn.Error('wamp.error.canceled'));
+        mockBahn.onopen(secondSession);
+      });
+
+      it('should forward progress of a call', done => {
+        const deferred = Autobahn.when.defer();
+        firstSession.call.and.returnValue(deferred.promise);
+        const progress = jasmine.createSpy('progress');
+        api.call('pronunciation.analyse', ['1'])
+          .progress(progress)
+          .then(result => {
+            expect(progress).toHaveBeenCalledWith('alignment');
+            expect(result).toEqual('done');
+          })
+          .catch(fail)
+          .then(done);
+        deferred.notify('alignment');
+        deferred.resolve('done');
+      });
+
+      it('should reject pending calls when reconnecting is given up', done => {
+        spyOn(api, 'fireEvent');
+        mockBahn.onclose('lost', {will_retry: true, retry_count: 1, retry_delay: 1.5});
+        api.call('recording.write', ['1', 'data', 'base64'])
+          .then(fail)
+          .catch(error => {
+            expect(error.message).toEqual('WebSocket connection was closed.');
+            expect(api.fireEvent).toHaveBeenCalledWith('websocketClosed');
+            expect(api._pendingCalls).toEqual([]);
+          })
+          .then(done);
+        mockBahn.onclose('lost', {will_retry: false, retry_count: 16, retry_delay: 1.5});
+      });
+
+      it('should reject a call that fails', done => {
+        firstSession.call.and.returnValue(Autobahn.when.reject(
+          new Autobahn.Error('nl.itslanguage.error', ['Something went wrong'], {recordingId: '1'})));
+        api.call('recording.write', ['1', 'data', 'base64'])
+          .then(fail)
+          .catch(error => {
+            expect(error).toEqual(jasmine.any(RpcError));
+            expect(error.message).toEqual('Something went wrong');
+            expect(error.uri).toEqual('nl.itslanguage.error');
+            expect(error.args).toEqual(['Something went wrong']);
+            expect(error.kwargs).toEqual({recordingId: '1'});
+            expect(api._pendingCalls).toEqual([]);
+          })
+          .then(done);
+      });
+
+      it('should reject a call with other errors as they are', done => {
+        const error = new Error('Session not open');
+        firstSession.call.and.returnValue(Autobahn.when.reject(error));
+        api.call('recording.write', ['1', 'data', 'base64'])
+          .then(fail, rejection => {
+            expect(rejection).toBe(error);
+          })
+          .then(done);
+      });
+
+      it('should reject a call that throws', done => {
+        firstSession.call.and.throwError('session not open');
+        api.call('recording.write', ['1', 'data', 'base64'])
+          .then(fail)
+          .catch(error => {
+            expect(error.message).toEqual('session not open');
+            expect(api._pendingCalls).toEqual([]);
+          })
+          .then(done);
+      });
+    });
+
+    it('should reject a call when the connection is not open', done => {
+      spyOn(console, 'debug');
+      api.call('recording.write', ['1', 'data', 'base64'])
+        .then(fail)
+        .catch(error => {
+          expect(error.message).toEqual('WebSocket connection was not open.');
+        })
+        .then(done);
+    });
+
     it('should create an autobahn connection and disconnect and reconnect', () => {
       let isDisconnected = false;
 
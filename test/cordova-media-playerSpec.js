@@ -101,7 +101,8 @@ describe('Cordova Media Player', () => {
     player.sound = {
       getDuration: jasmine.createSpy().and.callFake(() => 10)
     };
-    spyOn(console, 'debug');
+    spyOn(player._logger, 'debug');
+    spyOn(player._logger, 'warn');
     const filePath = 'filePath/file.file';
     window.Media = function(path, callback, errorcb, statuscb) {
       expect(path).toEqual(filePath);
@@ -123,13 +124,13 @@ describe('Cordova Media Player', () => {
     expect(mockClosure._settings.durationchangeCb).toHaveBeenCalledTimes(1);
     expect(mockClosure._settings.canplayCb).toHaveBeenCalledTimes(1);
     expect(player.sound.seekTo).toHaveBeenCalledWith(0);
-    expect(console.debug).toHaveBeenCalledTimes(6);
-    expect(console.debug).toHaveBeenCalledWith('Loading media: filePath/file.file');
-    expect(console.debug).toHaveBeenCalledWith('Playback ended successfully.');
-    expect(console.debug).toHaveBeenCalledWith('Playback failed: 1337');
-    expect(console.debug).toHaveBeenCalledWith('Playback status update: 0');
-    expect(console.debug).toHaveBeenCalledWith('Metadata is being loaded.');
-    expect(console.debug).toHaveBeenCalledWith('Duration: 10');
+    expect(player._logger.debug).toHaveBeenCalledTimes(5);
+    expect(player._logger.debug).toHaveBeenCalledWith('Loading media: filePath/file.file');
+    expect(player._logger.debug).toHaveBeenCalledWith('Playback ended successfully.');
+    expect(player._logger.warn).toHaveBeenCalledWith('Playback failed: 1337');
+    expect(player._logger.debug).toHaveBeenCalledWith('Playback status update: 0');
+    expect(player._logger.debug).toHaveBeenCalledWith('Metadata is being loaded.');
+    expect(player._logger.debug).toHaveBeenCalledWith('Duration: 10');
     expect(cb).toHaveBeenCalledWith(player.sound);
   });
 
@@ -137,7 +138,8 @@ describe('Cordova Media Player', () => {
     player.sound = {
       getDuration: jasmine.createSpy().and.callFake(() => 10)
     };
-    spyOn(console, 'debug');
+    spyOn(player._logger, 'debug');
+    spyOn(player._logger, 'warn');
     const filePath = 'filePath/file.file';
     window.Media = function(path, callback, errorcb, statuscb) {
       expect(path).toEqual(filePath);
@@ -154,12 +156,12 @@ describe('Cordova Media Player', () => {
     player._loadMedia(filePath, mockClosure);
     expect(player._canPlay).toBeTruthy();
     expect(player.sound.seekTo).toHaveBeenCalledWith(0);
-    expect(console.debug).toHaveBeenCalledTimes(5);
-    expect(console.debug).toHaveBeenCalledWith('Loading media: filePath/file.file');
-    expect(console.debug).toHaveBeenCalledWith('Playback ended successfully.');
-    expect(console.debug).toHaveBeenCalledWith('Playback failed: 1337');
-    expect(console.debug).toHaveBeenCalledWith('Playback status update: 0');
-    expect(console.debug).toHaveBeenCalledWith('Duration: 10');
+    expect(player._logger.debug).toHaveBeenCalledTimes(4);
+    expect(player._logger.debug).toHaveBeenCalledWith('Loading media: filePath/file.file');
+    expect(player._logger.debug).toHaveBeenCalledWith('Playback ended successfully.');
+    expect(player._logger.warn).toHaveBeenCalledWith('Playback failed: 1337');
+    expect(player._logger.debug).toHaveBeenCalledWith('Playback status update: 0');
+    expect(player._logger.debug).toHaveBeenCalledWith('Duration: 10');
   });
 
   it('should get a file', () => {
@@ -178,7 +180,8 @@ describe('Cordova Media Player', () => {
         })
       }
     };
-    spyOn(console, 'debug');
+    spyOn(player._logger, 'debug');
+    spyOn(player._logger, 'warn');
     window.requestFileSystem = jasmine.createSpy().and.callFake((fs, number, callback, errorcb) => {
       errorcb(error);
       callback(fakeFS);
@@ -186,13 +189,13 @@ describe('Cordova Media Player', () => {
     player._writeFile(fileName, cb);
     expect(window.requestFileSystem).toHaveBeenCalledWith(window.PERSISTENT, 0, jasmine.any(Function),
       jasmine.any(Function));
-    expect(console.debug).toHaveBeenCalledWith('Error calling requestFileSystem: ' + error.name);
-    expect(console.debug).toHaveBeenCalledWith('Got filesystem name: ' + fakeFS.name);
-    expect(console.debug).toHaveBeenCalledWith('Calling getFile in read mode: ' + fileName);
+    expect(player._logger.warn).toHaveBeenCalledWith('Error calling requestFileSystem: ' + error.name);
+    expect(player._logger.debug).toHaveBeenCalledWith('Got filesystem name: ' + fakeFS.name);
+    expect(player._logger.debug).toHaveBeenCalledWith('Calling getFile in read mode: ' + fileName);
     expect(fakeFS.root.getFile).toHaveBeenCalledWith(fileName, jasmine.any(Object), jasmine.any(Function),
       jasmine.any(Function));
-    expect(console.debug).toHaveBeenCalledWith('Error calling getFile: ' + error.code);
-    expect(console.debug).toHaveBeenCalledWith('Got file entry: ' + entry.name);
+    expect(player._logger.warn).toHaveBeenCalledWith('Error calling getFile: ' + error.code);
+    expect(player._logger.debug).toHaveBeenCalledWith('Got file entry: ' + entry.name);
     expect(cb).toHaveBeenCalledWith(entry);
   });
 
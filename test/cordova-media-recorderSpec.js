@@ -40,11 +40,11 @@ describe('Cordova media recorder', () => {
       cb();
       return errorcb({code: 1337});
     });
-    spyOn(console, 'log');
-    spyOn(console, 'debug');
-    const player = new CordovaMediaRecorder();
-    expect(console.log).toHaveBeenCalledWith('Final recording written to: ' + player.filename);
-    expect(console.debug).toHaveBeenCalledWith('recordAudio(): Audio Error: ' + 1337);
+    const logger = jasmine.createSpyObj('logger', ['debug', 'warn']);
+    const player = new CordovaMediaRecorder(logger);
+    expect(player._logger).toBe(logger);
+    expect(logger.debug).toHaveBeenCalledWith('Final recording written to: ' + player.filename);
+    expect(logger.warn).toHaveBeenCalledWith('recordAudio(): Audio Error: ' + 1337);
   });
 
   it('should start recording audio', () => {
@@ -114,22 +114,22 @@ describe('Cordova media recorder', () => {
         })
       }
     };
-    spyOn(console, 'debug');
+    const logger = jasmine.createSpyObj('logger', ['debug', 'warn']);
     window.requestFileSystem = jasmine.createSpy().and.callFake((fs, number, callback, errorcb) => {
       errorcb(error);
       callback(fakeFS);
     });
-    const player = new CordovaMediaRecorder();
+    const player = new CordovaMediaRecorder(logger);
     player._requestFilepath(fileName, cb);
     expect(window.requestFileSystem).toHaveBeenCalledWith(window.PERSISTENT, 0, jasmine.any(Function),
       jasmine.any(Function));
-    expect(console.debug).toHaveBeenCalledWith('Error calling requestFileSystem: ' + error.name);
-    expect(console.debug).toHaveBeenCalledWith('Got filesystem name: ' + fakeFS.name);
-    expect(console.debug).toHaveBeenCalledWith('Calling getFile in read mode: ' + fileName);
+    expect(logger.warn).toHaveBeenCalledWith('Error calling requestFileSystem: ' + error.name);
+    expect(logger.debug).toHaveBeenCalledWith('Got filesystem name: ' + fakeFS.name);
+    expect(logger.debug).toHaveBeenCalledWith('Calling getFile in read mode: ' + fileName);
     expect(fakeFS.root.getFile).toHaveBeenCalledWith(fileName, jasmine.any(Object), jasmine.any(Function),
       jasmine.any(Function));
-    expect(console.debug).toHaveBeenCalledWith('Error calling getFile: ' + error.code);
-    expect(console.debug).toHaveBeenCalledWith('Got file entry: ' + entry.name);
+    expect(logger.warn).toHaveBeenCalledWith('Error calling getFile: ' + error.code);
+    expect(logger.debug).toHaveBeenCalledWith('Got file entry: ' + entry.name);
     expect(entry.file).toHaveBeenCalledWith(cb);
   });
 
@@ -0,0 +1,100 @@
+import ApiError from '../src/administrative-sdk/errors/api-error';
+import AuthenticationError from '../src/administrative-sdk/errors/authentication-error';
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
+import ConnectionLostError from '../src/administrative-sdk/errors/connection-lost-error';
+import OfflineError from '../src/administrative-sdk/errors/offline-error';
+import RpcError from '../src/administrative-sdk/errors/rpc-error';
+import SdkError from '../src/administrative-sdk/errors/sdk-error';
+import StreamingError from '../src/administrative-sdk/errors/streaming-error';
+import TimeoutError from '../src/administrative-sdk/errors/timeout-error';
+import UserController from '../src/administrative-sdk/user/user-controller';
+import ValidationError from '../src/administrative-sdk/errors/validation-error';
+
+describe('Errors', () => {
+  it('should all be SDK errors', () => {
+    [
+      new ApiError('Not Found', 404),
+      new AuthenticationError('Please set oAuth2Token'),
+      new CancellationError(),
+      new ConnectionLostError('The connection was lost before the RPC was answered.',
+        'nl.itslanguage.pronunciation.write'),
+      new OfflineError('The request was queued to be sent once the network is available again.', {id: 1}),
+      new RpcError('Alignment failed', 'nl.itslanguage.alignment_failed'),
+      new StreamingError('Alignment failed', 'nl.itslanguage.alignment_failed'),
+      new TimeoutError('The result of the choice session with id 1 timed out after 60000 milliseconds.', 'result',
+        60000),
+      new ValidationError('userId parameter of type "string" is required')
+    ].forEach(error => {
+      expect(error instanceof Error).toBeTruthy();
+      expect(error instanceof SdkError).toBeTruthy();
+      expect(error.stack).toEqual(jasmine.any(String));
+    });
+  });
+
+  it('should tell the errors apart', () => {
+    const error = new ValidationError('userId parameter of type "string" is required');
+    expect(error.name).toEqual('ValidationError');
+    expect(error.message).toEqual('userId parameter of type "string" is required');
+    expect(error instanceof ApiError).toBeFalsy();
+    expect(error instanceof AuthenticationError).toBeFalsy();
+  });
+
+  it('should create an API error', () => {
+    const fieldErrors = [{resource: 'User', field: 'firstName', code: 'missing'}];
+    const body = {message: 'Validation failed', errors: fieldErrors};
+    const error = new ApiError('Validation failed', 422, fieldErrors, body);
+    expect(error.name).toEqual('ApiError');
+    expect(error.status).toEqual(422);
+    expect(error.fieldErrors).toEqual(fieldErrors);
+    expect(error.body).toBe(body);
+    expect(new ApiError('404: Not Found', 404).fieldErrors).toEqual([]);
+  });
+
+  it('should create an authentication error', () => {
+    const error = new AuthenticationError('Invalid credentials', 400, 'invalid_grant');
+    expect(error.name).toEqual('AuthenticationError');
+    expect(error.status).toEqual(400);
+    expect(error.code).toEqual('invalid_grant');
+    expect(new AuthenticationError('Please set oAuth2Token').status).toBeNull();
+  });
+
+  it('should create an RPC error from a WAMP error', () => {
+    let error = RpcError.fromWampError({
+      error: 'nl.itslanguage.alignment_failed',
+      args: [],
+      kwargs: {message: 'The audio could not be aligned.'}
+    });
+    expect(error.name).toEqual('RpcError');
+    expect(error.message).toEqual('The audio could not be aligned.');
+    expect(error.uri).toEqual('nl.itslanguage.alignment_failed');
+
+    error = RpcError.fromWampError({error: 'wamp.error.no_such_procedure', args: ['no such procedure']});
+    expect(error.message).toEqual('no such procedure');
+    expect(error.kwargs).toEqual({});
+
+    error = RpcError.fromWampError({error: 'nl.itslanguage.error'});
+    expect(error.message).toEqual('nl.itslanguage.error');
+    expect(error.args).toEqual([]);
+  });
+
+  it('should carry the partial model in a streaming error', () => {
+    const model = {id: '2'};
+    const error = new StreamingError('Alignment failed', 'nl.itslanguage.alignment_failed', model);
+    expect(error instanceof RpcError).toBeTruthy();
+    expect(error.name).toEqual('StreamingError');
+    expect(error.uri).toEqual('nl.itslanguage.alignment_failed');
+    expect(error.model).toBe(model);
+    expect(new StreamingError('Unhandled error', 'nl.itslanguage.error').model).toBeNull();
+  });
+
+  it('should reject invalid parameters with a validation error', done => {
+    const controller = new UserController();
+    controller.getUser(null)
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(ValidationError));
+        expect(error.message).toEqual('userId parameter of type "string" is required');
+      })
+      .then(done);
+  });
+});
@@ -0,0 +1,652 @@
+import AdministrativeSDK from '../src/administrative-sdk/administrative-sdk';
+import ApiError from '../src/administrative-sdk/errors/api-error';
+import AuthenticationError from '../src/administrative-sdk/errors/authentication-error';
+import BasicAuth from '../src/administrative-sdk/basic-auth/basic-auth';
+import Category from '../src/administrative-sdk/category/category';
+import ChoiceChallenge from '../src/administrative-sdk/choice-challenge/choice-challenge';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import EmailCredentials from '../src/administrative-sdk/email-credentials/email-credentials';
+import {FakeBackend} from '../src/fake-backend';
+import Organisation from '../src/administrative-sdk/organisation/organisation';
+import PronunciationChallenge from '../src/administrative-sdk/pronunciation-challenge/pronunciation-challenge';
+import SpeechChallenge from '../src/administrative-sdk/speech-challenge/speech-challenge';
+import StreamingError from '../src/administrative-sdk/errors/streaming-error';
+import User from '../src/administrative-sdk/user/user';
+import {createRecorder} from './helpers/fake-recorder';
+
+describe('Fake backend', () => {
+  let backend;
+  let connection;
+  let sdk;
+
+  beforeEach(() => {
+    backend = new FakeBackend();
+    backend.addCredentials('principal', 'secret');
+    connection = new Connection(backend.connectionOptions({
+      oAuth2Token: backend.createToken('tenant/4/organisation/fb/user/1')
+    }));
+    sdk = new AdministrativeSDK(connection);
+  });
+
+  afterEach(done => {
+    clearTimeout(connection._tokenRefreshTimer);
+    connection.disconnect().then(done);
+  });
+
+  it('should answer the REST API from its records', done => {
+    backend.add('roles', {id: 'TEACHER', name: 'TEACHER', permissions: ['CREATE_USER']});
+    sdk.createOrganisation(new Organisation(null, 'School'))
+      .then(organisation => {
+        expect(organisation.id).toEqual(jasmine.any(String));
+        expect(organisation.name).toEqual('School');
+        return sdk.getOrganisations();
+      })
+      .then(organisations => {
+        expect(organisations.length).toEqual(1);
+        return sdk.getRole('TEACHER');
+      })
+      .then(role => {
+        expect(role.permissions).toEqual(['CREATE_USER']);
+        return sdk.getOrganisation('unknown');
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(ApiError));
+        expect(error.status).toEqual(404);
+      })
+      .then(done);
+  });
+
+  it('should only issue tokens for known credentials', done => {
+    connection.getOauth2Token(new BasicAuth('4', 'principal', 'secret'), 'fb')
+      .then(data => {
+        expect(data.scope).toEqual('tenant/4/organisation/fb');
+        expect(backend._authenticate(connection._settings.oAuth2Token).scope).toEqual('tenant/4/organisation/fb');
+        return connection.getOauth2Token(new BasicAuth('4', 'principal', 'wrong'), 'fb');
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(AuthenticationError));
+        expect(error.message).toEqual('Invalid credentials');
+      })
+      .then(done);
+  });
+
+  it('should refuse requests and connections without a valid token', done => {
+    connection = new Connection(backend.connectionOptions({oAuth2Token: 'invalid'}));
+    sdk = new AdministrativeSDK(connection);
+    sdk.getOrganisations()
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(AuthenticationError));
+        expect(error.status).toEqual(401);
+        return connection.connect();
+      })
+      .then(fail, error => {
+        expect(error.message).toContain('WebSocket connection was closed before it was opened');
+        expect(connection.state).toEqual('closed');
+      })
+      .then(done);
+  });
+
+  it('should answer the users, their credentials and profiles', done => {
+    const profile = {firstName: 'Jane', lastName: 'Doe', gender: 'female', birthDate: '2000-01-01'};
+    backend.add('users', {id: 'jane', profile, groups: null, roles: ['STUDENT']});
+    sdk.getProfiles()
+      .then(profiles => {
+        expect(profiles.map(found => found.firstName)).toEqual(['Jane']);
+        return sdk.getProfile('jane');
+      })
+      .then(found => {
+        expect(found.lastName).toEqual('Doe');
+        return sdk.getProfile('unknown');
+      })
+      .then(fail, error => {
+        expect(error.status).toEqual(404);
+        backend.add('users', {id: '1', profile: null, groups: null, roles: ['STUDENT']});
+        return sdk.getCurrentUser();
+      })
+      .then(user => {
+        expect(user.id).toEqual('1');
+        return sdk.createUser(new User(null, null, null, ['TEACHER']));
+      })
+      .then(user => {
+        expect(user.id).toEqual(jasmine.any(String));
+        return sdk.createEmailCredentials(user.id, new EmailCredentials('john@example.com', 'secret'));
+      })
+      .then(credentials => {
+        expect(credentials.email).toEqual('john@example.com');
+        return connection.getOauth2Token(new BasicAuth('4', 'john@example.com', 'secret'), 'fb');
+      })
+      .then(() => connection.getOauth2Token(new BasicAuth('4', 'john@example.com', 'wrong'), 'fb'))
+      .then(fail, error => {
+        expect(error.message).toEqual('Invalid credentials');
+        return sdk.createEmailCredentials('unknown', new EmailCredentials('john@example.com', 'secret'));
+      })
+      .then(fail, error => {
+        expect(error.status).toEqual(404);
+        connection._settings.oAuth2Token = backend.createToken('tenant/4/organisation/fb');
+        return sdk.getCurrentUser();
+      })
+      .then(fail, error => {
+        expect(error.status).toEqual(404);
+      })
+      .then(done);
+  });
+
+  it('should answer the roles and categories', done => {
+    let parent;
+    backend.add('roles', {name: 'STUDENT', permissions: ['CREATE_RECORDING']});
+    sdk.getRoles()
+      .then(roles => {
+        expect(roles.map(role => role.name)).toEqual(['STUDENT']);
+        return sdk.createCategory(new Category(null, null, 'Animals'));
+      })
+      .then(category => {
+        parent = category;
+        expect(category.imageUrl).toBeNull();
+        return sdk.createCategory(new Category(null, parent.id, 'Dogs'));
+      })
+      .then(() => sdk.getTopLevelCategories())
+      .then(categories => {
+        expect(categories.map(category => category.name)).toEqual(['Animals']);
+        return sdk.getCategoriesWithParent(parent.id);
+      })
+      .then(categories => {
+        expect(categories.map(category => category.name)).toEqual(['Dogs']);
+        return sdk.getCategory(categories[0].id);
+      })
+      .then(category => {
+        expect(category.parent).toEqual(parent.id);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should delete pronunciation challenges', done => {
+    backend.add('challenges/pronunciation', {id: 'c1', transcription: 'hello'});
+    sdk.deletePronunciationChallenge('c1')
+      .then(id => {
+        expect(id).toEqual('c1');
+        expect(backend.list('challenges/pronunciation')).toEqual([]);
+        return sdk.deletePronunciationChallenge('c1');
+      })
+      .then(fail, error => {
+        expect(error.status).toEqual(404);
+      })
+      .then(done);
+  });
+
+  it('should only answer the results of existing challenges', done => {
+    backend.add('challenges/speech', {id: 's1', topic: 'Weather'});
+    backend.add('recordings', {id: 'r1', challengeId: 's2'});
+    sdk.getSpeechRecordings('s2')
+      .then(fail, error => {
+        expect(error.status).toEqual(404);
+        return sdk.getSpeechRecording('s1', 'r1');
+      })
+      .then(fail, error => {
+        expect(error.status).toEqual(404);
+      })
+      .then(done);
+  });
+
+  it('should refuse unknown scripts', () => {
+    expect(() => {
+      backend.scriptResult('translation', {});
+    }).toThrowError('Unknown session type: translation');
+  });
+
+  describe('REST API', () => {
+    let authorization;
+
+    beforeEach(() => {
+      authorization = 'Bearer ' + connection._settings.oAuth2Token;
+    });
+
+    function request(path, init) {
+      return backend.fetch(backend._settings.apiUrl + path, Object.assign({
+        headers: {Authorization: authorization}
+      }, init));
+    }
+
+    function json(response) {
+      return response.json().then(body => ({status: response.status, body}));
+    }
+
+    it('should create challenges with the URLs of their files', done => {
+      const challenge = {id: 's1', topic: 'Weather', referenceAudio: {}, srt: {}, image: {}};
+      request('/challenges/speech', {method: 'POST', body: JSON.stringify(challenge)})
+        .then(json)
+        .then(result => {
+          expect(result.status).toEqual(201);
+          expect(result.body.referenceAudioUrl).toEqual('https://api.itslanguage.test/download/s1');
+          expect(result.body.srtUrl).toEqual('https://api.itslanguage.test/download/s1.srt');
+          expect(result.body.imageUrl).toEqual('https://api.itslanguage.test/download/s1.image');
+          expect(result.body.referenceAudio).toBeUndefined();
+          return request('/challenges/speech', {method: 'POST', body: JSON.stringify(challenge)});
+        })
+        .then(json)
+        .then(result => {
+          expect(result.status).toEqual(422);
+          expect(result.body.errors[0].message).toEqual('Id already exists');
+          return request('/challenges/choice', {method: 'POST', body: '{}'});
+        })
+        .then(json)
+        .then(result => {
+          expect(result.body.choices).toEqual([]);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should refuse unknown URLs, methods, tokens and bodies', done => {
+      backend.fetch('https://api.itslanguage.nl/organisations')
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(TypeError));
+          return request('/unknown');
+        })
+        .then(response => {
+          expect(response.status).toEqual(404);
+          return request('/organisations', {method: 'put'});
+        })
+        .then(json)
+        .then(result => {
+          expect(result).toEqual({status: 405, body: {message: 'Method not allowed'}});
+          return request('/organisations', {method: 'POST', body: '{'});
+        })
+        .then(json)
+        .then(result => {
+          expect(result.status).toEqual(400);
+          expect(result.body.message).toContain('Invalid JSON');
+          return backend.fetch(backend._settings.apiUrl + '/organisations');
+        })
+        .then(response => {
+          expect(response.status).toEqual(401);
+          return backend.fetch(backend._settings.apiUrl + '/organisations?access_token=' +
+            connection._settings.oAuth2Token);
+        })
+        .then(response => {
+          expect(response.status).toEqual(200);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should answer with 304 Not Modified while the ETag matches', done => {
+      let etag;
+      request('/organisations')
+        .then(response => {
+          etag = response.headers.get('ETag');
+          return request('/organisations', {headers: {Authorization: authorization, 'If-None-Match': etag}});
+        })
+        .then(response => {
+          expect(response.status).toEqual(304);
+          backend.add('organisations', {name: 'School'});
+          return request('/organisations', {headers: {Authorization: authorization, 'If-None-Match': etag}});
+        })
+        .then(response => {
+          expect(response.status).toEqual(200);
+          expect(response.headers.get('ETag')).not.toEqual(etag);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should abort requests', done => {
+      const controller = new AbortController();
+      request('/organisations', {signal: controller.signal})
+        .then(response => {
+          expect(response.status).toEqual(200);
+          const aborted = request('/organisations', {signal: controller.signal});
+          controller.abort();
+          return aborted;
+        })
+        .then(fail, error => {
+          expect(error.name).toEqual('AbortError');
+        })
+        .then(done);
+    });
+
+    it('should refresh tokens once and refuse other grants', done => {
+      const refreshToken = backend._issueToken('tenant/4').refresh_token;
+      function requestToken(body) {
+        return backend.fetch(backend._settings.apiUrl + '/tokens', {method: 'POST', body}).then(json);
+      }
+      requestToken('grant_type=refresh_token&refresh_token=' + refreshToken)
+        .then(result => {
+          expect(result.status).toEqual(200);
+          expect(result.body.scope).toEqual('tenant/4');
+          return requestToken('grant_type=refresh_token&refresh_token=' + refreshToken);
+        })
+        .then(result => {
+          expect(result.status).toEqual(400);
+          expect(result.body.error).toEqual('invalid_grant');
+          return requestToken('grant_type=client_credentials&scope');
+        })
+        .then(result => {
+          expect(result.body.error).toEqual('unsupported_grant_type');
+          return requestToken();
+        })
+        .then(result => {
+          expect(result.body.error).toEqual('unsupported_grant_type');
+        })
+        .catch(fail)
+        .then(done);
+    });
+  });
+
+  describe('WebSocket', () => {
+    /**
+     * Connect to the WAMP router using the JSON serialization.
+     *
+     * @param {string[]} messages - The array to collect the messages of the router in.
+     * @returns {Promise.<FakeWebSocket>} Promise containing the open WebSocket.
+     */
+    function open(messages) {
+      return new Promise(resolve => {
+        const socket = new backend.WebSocket(backend._settings.wsUrl, 'wamp.2.json');
+        socket.onopen = () => resolve(socket);
+        socket.onmessage = event => messages.push(JSON.parse(event.data));
+      });
+    }
+
+    /**
+     * Wait until the messages of the router arrived.
+     *
+     * @returns {Promise} Promise which resolves once the messages arrived.
+     */
+    function settle() {
+      return new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    it('should refuse URLs and subprotocols it does not serve', done => {
+      const refused = [
+        new backend.WebSocket(backend._settings.wsUrl),
+        new backend.WebSocket('wss://ws.itslanguage.nl', ['wamp.2.json'])
+      ];
+      refused.forEach(socket => {
+        socket.onerror = jasmine.createSpy('onerror');
+        socket.onclose = jasmine.createSpy('onclose');
+      });
+      settle()
+        .then(() => {
+          refused.forEach(socket => {
+            expect(socket.readyState).toEqual(WebSocket.CLOSED);
+            expect(socket.onerror).toHaveBeenCalled();
+            expect(socket.onclose).toHaveBeenCalledWith(jasmine.objectContaining({code: 1006, wasClean: false}));
+          });
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should close before it is open', done => {
+      const socket = new backend.WebSocket(backend._settings.wsUrl, 'wamp.2.json');
+      socket.onopen = fail;
+      socket.onclose = jasmine.createSpy('onclose');
+      socket.close();
+      socket.close();
+      expect(() => socket.send('[1]')).toThrowError('WebSocket is not open');
+      settle()
+        .then(() => {
+          expect(socket.readyState).toEqual(WebSocket.CLOSED);
+          expect(socket.onclose).toHaveBeenCalledTimes(1);
+          expect(socket.onclose).toHaveBeenCalledWith(jasmine.objectContaining({code: 1000, wasClean: true}));
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should drop the messages of a WebSocket which is being closed', done => {
+      const messages = [];
+      open(messages)
+        .then(socket => {
+          spyOn(backend._router, 'receive');
+          socket.send('[1, "realm", {"authmethods": ["ticket"]}]');
+          socket.close(4000, 'Leaving');
+          return settle();
+        })
+        .then(() => {
+          expect(backend._router.receive).not.toHaveBeenCalled();
+          expect(backend._router._clients).toEqual([]);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should only welcome clients authenticating with a ticket', done => {
+      const messages = [];
+      open(messages)
+        .then(socket => {
+          socket.send('[1, "realm"]');
+          socket.send('[1, "realm", {"authmethods": ["anonymous"]}]');
+          return settle();
+        })
+        .then(() => {
+          expect(messages).toEqual([
+            [3, {message: 'Ticket authentication is required'}, 'wamp.error.not_authorized'],
+            [3, {message: 'Ticket authentication is required'}, 'wamp.error.not_authorized']
+          ]);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should abort sessions which violate the protocol', done => {
+      const messages = [];
+      open(messages)
+        .then(socket => {
+          socket.send('[48, 1, {}, "nl.itslanguage.choice.init_recognition"]');
+          socket.send('[6, {}, "wamp.close.normal"]');
+          return settle();
+        })
+        .then(() => {
+          expect(messages).toEqual([
+            [3, {message: 'Unexpected message type 48'}, 'wamp.error.protocol_violation'],
+            [3, {message: 'Unexpected message type 6'}, 'wamp.error.protocol_violation']
+          ]);
+        })
+        .catch(fail)
+        .then(done);
+    });
+  });
+
+  describe('Streaming', () => {
+    beforeEach(done => {
+      connection.connect().then(done, fail);
+    });
+
+    it('should analyse pronunciation', done => {
+      const challenge = new PronunciationChallenge('c1', 'hello world');
+      const notifications = [];
+      backend.scriptResult('pronunciation', {progress: [{words: 1}], result: {score: 0.5}});
+      sdk.createPronunciationChallenge(challenge, new Blob(['audio']))
+        .then(() => sdk.startStreamingPronunciationAnalysis(challenge, createRecorder({chunks: [[1, 2], [3, 4]]}))
+          .progress(notification => notifications.push(notification)))
+        .then(result => {
+          expect(notifications[0]).toEqual('ReadyToReceive');
+          expect(notifications[1].progress).toEqual({words: 1});
+          expect(result.analysis.userId).toEqual('1');
+          expect(result.analysis.score).toEqual(0.5);
+          expect(result.analysis.words.map(word => word.chunks[0].graphemes)).toEqual(['hello', 'world']);
+          expect(result.analysis.audioUrl).toContain('access_token=');
+          return sdk.getPronunciationAnalysis('c1', result.analysisId);
+        })
+        .then(analysis => {
+          expect(analysis.score).toEqual(0.5);
+          expect(analysis.words.length).toEqual(2);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should fail an analysis as scripted', done => {
+      const challenge = new PronunciationChallenge('c1', 'hello');
+      backend.add('challenges/pronunciation', {id: 'c1', transcription: 'hello'});
+      backend.scriptResult('pronunciation', {error: 'nl.itslanguage.alignment_failed'});
+      sdk.startStreamingPronunciationAnalysis(challenge, createRecorder({chunks: [[1, 2]]}))
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(StreamingError));
+          expect(error.message).toEqual('Alignment failed');
+          expect(error.model.id).toEqual(jasmine.any(String));
+          expect(error.model.score).toBeUndefined();
+          expect(backend.list('analyses').length).toEqual(1);
+        })
+        .then(done);
+    });
+
+    it('should record speech', done => {
+      const challenge = new SpeechChallenge('s1', 'Weather');
+      sdk.createSpeechChallenge(challenge)
+        .then(() => sdk.startStreamingSpeechRecording(challenge, createRecorder({chunks: [[1, 2], [3, 4], [5, 6]]})))
+        .then(result => {
+          expect(result.recording.id).toEqual(result.recordingId);
+          return sdk.getSpeechRecordings('s1');
+        })
+        .then(recordings => {
+          expect(recordings.length).toEqual(1);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should recognise a choice', done => {
+      const challenge = new ChoiceChallenge('q1', 'Which one?', ['left', 'right']);
+      backend.scriptResult('choice', {result: {recognised: 'right'}});
+      sdk.createChoiceChallenge(challenge)
+        .then(created => {
+          expect(created.choices).toEqual(['left', 'right']);
+          return sdk.startStreamingChoiceRecognition(challenge, createRecorder({chunks: [[1, 2]]}));
+        })
+        .then(result => {
+          expect(result.recognition.recognised).toEqual('right');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should only receive writes and finish sessions once when they are sent again', done => {
+      let id;
+      backend.add('challenges/choice', {id: 'c1', choices: []});
+      backend.scriptResult('choice', {error: 'nl.itslanguage.recognition_failed'});
+      connection.call('choice.init_recognition')
+        .then(sessionId => {
+          id = sessionId;
+          return connection.call('choice.init_challenge', [id, 'c1']);
+        })
+        .then(() => connection.call('choice.init_audio', [id, 'audio/wave']))
+        .then(() => connection.call('choice.write', [id, 'AAE=', 'base64'], {sequence: 0}))
+        .then(() => connection.call('choice.write', [id, 'AAE=', 'base64'], {sequence: 0}))
+        .then(() => {
+          expect(backend._router._sessions[id].audioSize).toEqual(2);
+          expect(backend._router._sessions[id].writes).toEqual(1);
+          return connection.call('choice.recognise', [id]);
+        })
+        .then(fail, error => {
+          expect(error.uri).toEqual('nl.itslanguage.recognition_failed');
+          return connection.call('choice.recognise', [id]);
+        })
+        .then(fail, error => {
+          expect(error.uri).toEqual('nl.itslanguage.recognition_failed');
+          expect(backend.list('recognitions').length).toEqual(1);
+          return connection.call('choice.init_recognition');
+        })
+        .then(sessionId => {
+          id = sessionId;
+          return connection.call('choice.recognise', [id]);
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('The challenge is not set');
+          return connection.call('choice.init_challenge', [id, 'c1']);
+        })
+        .then(() => connection.call('choice.recognise', [id]))
+        .then(recognition => {
+          expect(recognition.recognised).toBeNull();
+          return connection.call('choice.recognise', [id]);
+        })
+        .then(recognition => {
+          expect(recognition.id).toEqual(id);
+          expect(backend.list('recognitions').length).toEqual(2);
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should reject RPCs with invalid arguments', done => {
+      let id;
+      connection.call('pronunciation.init_challenge', ['unknown', 'c1'])
+        .then(fail, error => {
+          expect(error.uri).toEqual('wamp.error.invalid_argument');
+          expect(error.message).toEqual('Unknown session: unknown');
+          return connection.call('recording.init_recording');
+        })
+        .then(sessionId => {
+          id = sessionId;
+          return connection.call('recording.init_challenge', [id, 'unknown']);
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('Unknown challenge: unknown');
+          return connection.call('recording.write', [id, 'AAE=', 'base64']);
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('The audio format is not set');
+          return connection.call('recording.init_audio', [id, 'audio/wave']);
+        })
+        .then(() => connection.call('recording.write', [id, 'AAE=', 'base64'], {sequence: 1}))
+        .then(fail, error => {
+          expect(error.message).toEqual('Expected audio chunk 0, got 1');
+          return connection.call('recording.write', [id, 'AAE=', 'hex']);
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('Unsupported encoding: hex');
+          return connection.call('recording.write', [id, '!', 'base64']);
+        })
+        .then(fail, error => {
+          expect(error.uri).toEqual('wamp.error.runtime_error');
+        })
+        .then(done);
+    });
+
+    it('should fail a recording as scripted', done => {
+      let id;
+      backend.add('challenges/speech', {id: 's1', topic: 'Weather'});
+      backend.scriptResult('recording', {error: 'nl.itslanguage.recording_failed'});
+      connection.call('recording.init_recording')
+        .then(sessionId => {
+          id = sessionId;
+          return connection.call('recording.init_challenge', [id, 's1']);
+        })
+        .then(() => connection.call('recording.close', [id]))
+        .then(fail, error => {
+          expect(error.uri).toEqual('nl.itslanguage.recording_failed');
+          expect(backend.list('recordings')).toEqual([]);
+        })
+        .then(done);
+    });
+
+    it('should only report the progress of calls which receive it', done => {
+      let id;
+      backend.add('challenges/pronunciation', {id: 'c1', transcription: 'hello'});
+      backend.add('challenges/choice', {id: 'q1'});
+      backend.scriptResult('pronunciation', {progress: [{words: 1}]});
+      connection.call('pronunciation.init_analysis')
+        .then(sessionId => {
+          id = sessionId;
+          return connection.call('pronunciation.init_challenge', [id, 'c1']);
+        })
+        .then(() => connection.call('pronunciation.analyse', [id]).progress(fail))
+        .then(analysis => {
+          expect(analysis.score).toEqual(1);
+          return connection.call('choice.init_recognition');
+        })
+        .then(sessionId => {
+          id = sessionId;
+          return connection.call('choice.init_challenge', [id, 'q1']);
+        })
+        .then(() => connection.call('choice.recognise', [id]))
+        .then(recognition => {
+          expect(recognition.recognised).toBeNull();
+        })
+        .catch(fail)
+        .then(done);
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Recorder which plays back audio it is given instead of recording it. It implements the methods of the
+ * {@link AudioRecorder} which the streaming sessions use, and has user media approval at once.
+ */
+class PlaybackRecorder {
+  /**
+   * @param {Object} options - Options of the recorder.
+   * Valid options include:
+   * * getAudioSpecs - Function returning the audio format and its parameters, like those of an {@link AudioRecorder}.
+   * * takeAudio - Function returning the chunks of audio to play back as soon as a session listens for audio. Without
+   * it, audio is only played back by {@link PlaybackRecorder#play}.
+   */
+  constructor(options) {
+    this._options = options;
+    this._listeners = {};
+    this._recording = false;
+  }
+
+  /**
+   * Get the audio specs of the recorder.
+   *
+   * @returns {Object} The audio format and its parameters.
+   */
+  getAudioSpecs() {
+    return this._options.getAudioSpecs();
+  }
+
+  /**
+   * The audio can be played back at once.
+   *
+   * @returns {boolean} True.
+   */
+  hasUserMediaApproval() {
+    return true;
+  }
+
+  /**
+   * Is the audio being played back.
+   *
+   * @returns {boolean} True when recording. False otherwise.
+   */
+  isRecording() {
+    return this._recording;
+  }
+
+  /**
+   * Stop recording.
+   */
+  stop() {
+    this._recording = false;
+  }
+
+  /**
+   * Get the number of listeners of an event.
+   *
+   * @param {string} name - Name of the event.
+   * @returns {number} The number of listeners.
+   */
+  listenerCount(name) {
+    return (this._listeners[name] || []).length;
+  }
+
+  /**
+   * Add an event listener. Listening for `'dataavailable'` plays back the audio taken by the `takeAudio` option.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to add.
+   */
+  addEventListener(name, handler) {
+    this._listeners[name] = (this._listeners[name] || []).concat(handler);
+    if (name === 'dataavailable' && this._options.takeAudio) {
+      setTimeout(() => this.play(this._options.takeAudio()));
+    }
+  }
+
+  /**
+   * Remove an event listener.
+   *
+   * @param {string} name - Name of the event.
+   * @param {Function} handler - Handler function to remove.
+   */
+  removeEventListener(name, handler) {
+    this._listeners[name] = (this._listeners[name] || []).filter(other => other !== handler);
+  }
+
+  /**
+   * Play back audio as if it was recorded.
+   *
+   * @param {ArrayBuffer[]} chunks - The chunks of audio.
+   * @emits {Event} 'dataavailable' With arguments: [ArrayBuffer] for each chunk.
+   * @emits {Event} 'recorded' When all audio was played back.
+   */
+  play(chunks) {
+    this._recording = true;
+    chunks.forEach(chunk => this._fire('dataavailable', chunk));
+    this._recording = false;
+    this._fire('recorded');
+  }
+
+  /**
+   * Fire an event.
+   *
+   * @param {string} name - Name of the event.
+   * @param {...any} args - Arguments.
+   * @private
+   */
+  _fire(name, ...args) {
+    (this._listeners[name] || []).slice().forEach(listener => listener(...args));
+  }
+}
+
+/**
+ * Create a recorder for the streaming sessions of the specs, recording 16 bit mono audio at 48 kHz. Its `stop` method
+ * is a spy, which stops the recorder as well.
+ *
+ * @param {Object} [options] - Options of the recorder.
+ * Valid options include:
+ * * chunks - The chunks of audio to record as soon as a session listens for audio, each an array of bytes. Without
+ * them, audio is only recorded by the `record` method of the recorder.
+ * @returns {PlaybackRecorder} The recorder, with a `record` method to record a number of two byte audio chunks.
+ */
+export function createRecorder(options = {}) {
+  const chunks = options.chunks;
+  const recorder = new PlaybackRecorder({
+    getAudioSpecs: () => ({
+      audioFormat: 'audio/wave',
+      audioParameters: {
+        channels: 1,
+        sampleWidth: 16,
+        sampleRate: 48000
+      }
+    }),
+    takeAudio: chunks ? () => chunks.map(chunk => new Uint8Array(chunk).buffer) : null
+  });
+  spyOn(recorder, 'stop').and.callThrough();
+  recorder.record = count => {
+    const recorded = [];
+    for (let i = 0; i < count; i++) {
+      recorded.push(new Uint8Array([i, i + 1]).buffer);
+    }
+    recorder.play(recorded);
+  };
+  return recorder;
+}
+
+/**
+ * Wait until a session streams the audio of a recorder.
+ *
+ * @param {PlaybackRecorder} recorder - The recorder.
+ * @returns {Promise} Promise which resolves once the session listens for audio.
+ */
+export function whenStreaming(recorder) {
+  return new Promise(resolve => {
+    function check() {
+      if (recorder.listenerCount('dataavailable')) {
+        resolve();
+      } else {
+        setTimeout(check);
+      }
+    }
+    check();
+  });
+}
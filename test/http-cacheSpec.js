@@ -0,0 +1,348 @@
+import ApiError from '../src/administrative-sdk/errors/api-error';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import HttpCache from '../src/administrative-sdk/cache/http-cache';
+import IndexedDbCacheStore from '../src/administrative-sdk/cache/indexeddb-cache-store';
+import MemoryCacheStore from '../src/administrative-sdk/cache/memory-cache-store';
+
+function jsonResponse(status, body, headers = {}) {
+  return Promise.resolve(new Response(status === 204 || status === 304 ? null : JSON.stringify(body), {
+    status,
+    headers: Object.assign({
+      'Content-type': 'application/json; charset=utf-8'
+    }, headers)
+  }));
+}
+
+describe('HTTP cache', () => {
+  const url = 'https://api.itslanguage.nl/categories';
+  let api;
+
+  beforeEach(() => {
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: true
+    });
+    spyOn(window, 'fetch').and.callFake(() => jsonResponse(200, [{id: '1'}], {ETag: '"v1"'}));
+  });
+
+  it('should not cache by default', () => {
+    expect(new Connection({oAuth2Token: 'token'}).cache).toBeNull();
+    expect(api.cache).toEqual(jasmine.any(HttpCache));
+    expect(api.cache._store).toEqual(jasmine.any(MemoryCacheStore));
+    expect(api._middleware).toEqual([api.cache._middleware]);
+  });
+
+  it('should use a cached response while it is fresh', done => {
+    api._secureAjaxGet(url)
+      .then(result => {
+        expect(result).toEqual([{id: '1'}]);
+        result.push({id: 'changed'});
+        return api._secureAjaxGet(url);
+      })
+      .then(result => {
+        expect(result).toEqual([{id: '1'}]);
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+        return api._secureAjaxGet(url, {cache: false});
+      })
+      .then(() => {
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should revalidate a cached response once it expired', done => {
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: {ttl: 0}
+    });
+    api._secureAjaxGet(url)
+      .then(() => {
+        window.fetch.and.callFake(() => jsonResponse(304, null, {ETag: '"v1"'}));
+        return api._secureAjaxGet(url);
+      })
+      .then(result => {
+        expect(result).toEqual([{id: '1'}]);
+        const headers = window.fetch.calls.mostRecent().args[1].headers;
+        expect(headers.get('If-None-Match')).toEqual('"v1"');
+        window.fetch.and.callFake(() => jsonResponse(200, [{id: '2'}], {ETag: '"v2"'}));
+        return api._secureAjaxGet(url);
+      })
+      .then(result => {
+        expect(result).toEqual([{id: '2'}]);
+        return api.cache._store.get(url);
+      })
+      .then(entry => {
+        expect(entry.etag).toEqual('"v2"');
+        expect(entry.result).toEqual([{id: '2'}]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not cache responses the server does not allow to be stored', done => {
+    window.fetch.and.callFake(() => jsonResponse(200, {id: '1'}, {'Cache-Control': 'no-store'}));
+    api._secureAjaxGet(url + '/1')
+      .then(() => api.cache._store.keys())
+      .then(keys => {
+        expect(keys).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not cache errors', done => {
+    window.fetch.and.callFake(() => jsonResponse(404, {message: 'Not found'}));
+    api._secureAjaxGet(url + '/1')
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(ApiError));
+        return api.cache._store.keys();
+      })
+      .then(keys => {
+        expect(keys).toEqual([]);
+      })
+      .then(done);
+  });
+
+  it('should invalidate the collection a request changed', done => {
+    const speechUrl = 'https://api.itslanguage.nl/challenges/speech';
+    Promise.all([
+      api._secureAjaxGet(url),
+      api._secureAjaxGet(url + '/1'),
+      api._secureAjaxGet(url + '?parent=1'),
+      api._secureAjaxGet(speechUrl),
+      api._secureAjaxGet(speechUrl + '/1')
+    ])
+      .then(() => {
+        window.fetch.and.callFake(() => jsonResponse(201, {id: '2'}));
+        return api._secureAjaxPost(url, '{}');
+      })
+      .then(() => api.cache._store.keys())
+      .then(keys => {
+        expect(keys).toEqual([speechUrl, speechUrl + '/1']);
+        window.fetch.and.callFake(() => jsonResponse(204, null, {'Content-type': 'text/plain'}));
+        return api._secureAjaxDelete(speechUrl + '/1');
+      })
+      .then(() => api.cache._store.keys())
+      .then(keys => {
+        expect(keys).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should clear the cache', done => {
+    api._secureAjaxGet(url)
+      .then(() => api.cache.clear())
+      .then(() => api._secureAjaxGet(url))
+      .then(() => {
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should only use the responses cached for the scope of the connection', done => {
+    const store = new MemoryCacheStore();
+    const other = new Connection({
+      oAuth2Token: 'token',
+      cache: {store}
+    });
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: {store}
+    });
+    other._applyToken({accessToken: 'other', scope: 'tenant/4/organisation/fb/user/2'});
+    api._applyToken({accessToken: 'token', scope: 'tenant/4/organisation/fb/user/1'});
+    other._secureAjaxGet(url)
+      .then(() => api._secureAjaxGet(url))
+      .then(() => {
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+        const headers = window.fetch.calls.mostRecent().args[1].headers;
+        expect(headers.get('If-None-Match')).toBeNull();
+        return store.get(url);
+      })
+      .then(entry => {
+        expect(entry.scope).toEqual('tenant/4/organisation/fb/user/1');
+        return api._secureAjaxGet(url);
+      })
+      .then(() => {
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should keep working when the store fails', done => {
+    const store = jasmine.createSpyObj('store', ['get', 'set', 'keys', 'delete', 'clear']);
+    store.get.and.returnValue(Promise.reject(new Error('Quota exceeded')));
+    store.set.and.returnValue(Promise.reject(new Error('Quota exceeded')));
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: {store}
+    });
+    spyOn(api.cache._logger, 'warn');
+    api._secureAjaxGet(url)
+      .then(result => {
+        expect(result).toEqual([{id: '1'}]);
+        expect(api.cache._logger.warn).toHaveBeenCalledWith('Unable to read the cache:', jasmine.any(Error));
+        expect(api.cache._logger.warn).toHaveBeenCalledWith('Unable to write the cache:', jasmine.any(Error));
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should only handle requests', done => {
+    const next = jasmine.createSpy('next').and.returnValue(Promise.resolve('result'));
+    api.cache._middleware({type: 'call', rpc: 'nl.itslanguage.example'}, next)
+      .then(result => {
+        expect(result).toEqual('result');
+        expect(next).toHaveBeenCalledTimes(1);
+        return api.cache._store.keys();
+      })
+      .then(keys => {
+        expect(keys).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should cache the results of other middleware for as long as they are fresh', done => {
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: {ttl: 1000}
+    });
+    api.addMiddleware(() => Promise.resolve([{id: '1'}]));
+    api._secureAjaxGet(url)
+      .then(() => api.cache._store.get(url))
+      .then(entry => {
+        expect(entry.result).toEqual([{id: '1'}]);
+        expect(entry.etag).toBeNull();
+        expect(window.fetch).not.toHaveBeenCalled();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not cache responses without an ETag when they expire at once', done => {
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: {ttl: 0}
+    });
+    window.fetch.and.callFake(() => jsonResponse(200, [{id: '1'}]));
+    api._secureAjaxGet(url)
+      .then(() => api.cache._store.keys())
+      .then(keys => {
+        expect(keys).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should keep working when the collection a request changed cannot be invalidated', done => {
+    const store = jasmine.createSpyObj('store', ['get', 'set', 'keys', 'delete', 'clear']);
+    store.keys.and.returnValue(Promise.reject(new Error('Database closed')));
+    api = new Connection({
+      oAuth2Token: 'token',
+      cache: {store}
+    });
+    spyOn(api.cache._logger, 'warn');
+    window.fetch.and.callFake(() => Promise.resolve(new Response(null, {status: 204})));
+    api._secureAjaxDelete(url + '/1')
+      .then(result => {
+        expect(result).toBeUndefined();
+        expect(api.cache._logger.warn).toHaveBeenCalledWith('Unable to invalidate the cache:', jasmine.any(Error));
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  describe('IndexedDB store', () => {
+    let objectStore;
+    let store;
+
+    beforeEach(() => {
+      objectStore = jasmine.createSpyObj('objectStore', ['get', 'put', 'delete', 'getAllKeys', 'clear']);
+      store = new IndexedDbCacheStore({indexedDB: {open: () => ({})}});
+      spyOn(store._store, 'request').and.callFake((mode, operation) => Promise.resolve(operation(objectStore)));
+    });
+
+    it('should not construct without IndexedDB', () => {
+      expect(() => {
+        new IndexedDbCacheStore({indexedDB: null});
+      }).toThrowError('No IndexedDB capabilities');
+    });
+
+    it('should reject a request when its transaction is aborted', done => {
+      const transaction = {objectStore: () => ({get: () => ({})})};
+      const db = {
+        transaction() {
+          setTimeout(() => {
+            transaction.error = new Error('Aborted');
+            transaction.onabort();
+          });
+          return transaction;
+        }
+      };
+      store = new IndexedDbCacheStore({
+        indexedDB: {
+          open() {
+            const request = {result: db};
+            setTimeout(() => request.onsuccess());
+            return request;
+          }
+        }
+      });
+      store.get(url)
+        .then(fail, error => {
+          expect(error.message).toEqual('Aborted');
+        })
+        .then(done);
+    });
+
+    it('should be used when configured', () => {
+      api = new Connection({
+        oAuth2Token: 'token',
+        cache: {store: 'indexeddb', indexedDB: {open: () => ({})}, databaseName: 'cache'}
+      });
+      expect(api.cache._store).toEqual(jasmine.any(IndexedDbCacheStore));
+      expect(api.cache._store._settings.databaseName).toEqual('cache');
+      api = new Connection({
+        oAuth2Token: 'token',
+        cache: {store: 'indexeddb', indexedDB: {open: () => ({})}}
+      });
+      expect(api.cache._store._settings.databaseName).toEqual('itslanguage-cache');
+    });
+
+    it('should store entries', done => {
+      const entry = {url, result: [], etag: null, expires: 0};
+      objectStore.get.and.returnValues(undefined, entry);
+      objectStore.getAllKeys.and.returnValue([url]);
+      store.get(url)
+        .then(result => {
+          expect(result).toBeNull();
+          return store.set(entry);
+        })
+        .then(() => {
+          expect(objectStore.put).toHaveBeenCalledWith(entry);
+          expect(store._store.request).toHaveBeenCalledWith('readwrite', jasmine.any(Function));
+          return store.get(url);
+        })
+        .then(result => {
+          expect(result).toBe(entry);
+          return store.keys();
+        })
+        .then(keys => {
+          expect(keys).toEqual([url]);
+          return Promise.all([store.delete(url), store.clear()]);
+        })
+        .then(() => {
+          expect(objectStore.delete).toHaveBeenCalledWith(url);
+          expect(objectStore.clear).toHaveBeenCalled();
+        })
+        .catch(fail)
+        .then(done);
+    });
+  });
+});
@@ -0,0 +1,97 @@
+import Logger from '../src/logger/logger';
+
+describe('Logger', () => {
+  let output;
+
+  beforeEach(() => {
+    output = jasmine.createSpyObj('output', ['debug', 'info', 'warn', 'error']);
+  });
+
+  it('should construct with default settings', () => {
+    const logger = new Logger();
+    expect(logger.level).toEqual('warn');
+    expect(logger.namespace).toEqual('itslanguage');
+    expect(logger._settings.output).toBe(console);
+  });
+
+  it('should not construct with an invalid level', () => {
+    expect(() => {
+      new Logger({level: 'verbose'});
+    }).toThrowError('level must be one of debug, info, warn, error, silent');
+    expect(() => {
+      new Logger().level = 'verbose';
+    }).toThrowError('level must be one of debug, info, warn, error, silent');
+  });
+
+  it('should only write messages of the configured level and up', () => {
+    const logger = new Logger({level: 'info', output});
+    logger.debug('debug');
+    logger.info('info', 1);
+    logger.warn('warn');
+    logger.error('error');
+    expect(output.debug).not.toHaveBeenCalled();
+    expect(output.info).toHaveBeenCalledWith('[itslanguage]', 'info', 1);
+    expect(output.warn).toHaveBeenCalledWith('[itslanguage]', 'warn');
+    expect(output.error).toHaveBeenCalledWith('[itslanguage]', 'error');
+  });
+
+  it('should not write anything when silent', () => {
+    const logger = new Logger({level: 'silent', output});
+    logger.error('error');
+    expect(output.error).not.toHaveBeenCalled();
+    expect(logger.isEnabled('error')).toBeFalsy();
+  });
+
+  it('should fall back to the log method of the output', () => {
+    const log = jasmine.createSpyObj('output', ['log']);
+    new Logger({output: log}).warn('warn');
+    expect(log.log).toHaveBeenCalledWith('[itslanguage]', 'warn');
+  });
+
+  it('should share its level with its children', () => {
+    const logger = new Logger({output});
+    const child = logger.child('connection').child('speech-recording');
+    expect(child.namespace).toEqual('itslanguage:connection:speech-recording');
+    logger.level = 'debug';
+    expect(child.level).toEqual('debug');
+    child.debug('debug');
+    expect(output.debug).toHaveBeenCalledWith('[itslanguage:connection:speech-recording]', 'debug');
+  });
+
+  it('should only write messages of the configured namespaces', () => {
+    const logger = new Logger({level: 'debug', namespaces: ['itslanguage:connection'], output});
+    logger.child('connection').child('choice-recognition').debug('connection');
+    logger.child('connections').debug('connections');
+    logger.child('recorder').debug('recorder');
+    logger.debug('root');
+    expect(output.debug).toHaveBeenCalledTimes(1);
+    expect(output.debug).toHaveBeenCalledWith('[itslanguage:connection:choice-recognition]', 'connection');
+  });
+
+  it('should redact secrets', () => {
+    const logger = new Logger({output});
+    const token = {token: 'abc'};
+    logger.warn('Authorization: Bearer abc.def-123', token);
+    expect(output.warn).toHaveBeenCalledWith('[itslanguage]', 'Authorization: Bearer [redacted]', token);
+    expect(Logger.redact('grant_type=password&password=secret&scope=tenant'))
+      .toEqual('grant_type=password&password=[redacted]&scope=tenant');
+    expect(Logger.redact('{"access_token": "abc", "refresh_token":"def"}'))
+      .toEqual('{"access_token": "[redacted]", "refresh_token":"[redacted]"}');
+    expect(Logger.redact('Recording as id: 4')).toEqual('Recording as id: 4');
+  });
+
+  it('should obtain a logger for a component', () => {
+    const logger = new Logger({output});
+    let child = Logger.from(logger, 'recorder');
+    expect(child.namespace).toEqual('itslanguage:recorder');
+    expect(child._settings).toBe(logger._settings);
+
+    child = Logger.from({level: 'error', namespace: 'app'}, 'player');
+    expect(child.namespace).toEqual('app:player');
+    expect(child.level).toEqual('error');
+
+    child = Logger.from(undefined, 'connection');
+    expect(child.namespace).toEqual('itslanguage:connection');
+    expect(child.level).toEqual('warn');
+  });
+});
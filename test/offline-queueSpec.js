@@ -0,0 +1,442 @@
+import ApiError from '../src/administrative-sdk/errors/api-error';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import OfflineError from '../src/administrative-sdk/errors/offline-error';
+import OfflineQueue from '../src/administrative-sdk/offline-queue/offline-queue';
+import SdkError from '../src/administrative-sdk/errors/sdk-error';
+
+/**
+ * Create a minimal in-memory IndexedDB implementation. Its transactions writing data fail while its `failWrites`
+ * property is set.
+ *
+ * @returns {Object} The IndexedDB implementation.
+ */
+function createIndexedDB() {
+  const databases = {};
+  const factory = {failWrites: false};
+
+  function createDatabase() {
+    const stores = {};
+    return {
+      closed: false,
+      createObjectStore(name) {
+        stores[name] = {items: [], nextId: 1};
+      },
+      transaction(name, mode) {
+        const data = stores[name];
+        const items = data.items;
+        const transaction = {};
+        function copy(item) {
+          return JSON.parse(JSON.stringify(item));
+        }
+        function complete(result) {
+          if (mode === 'readwrite' && factory.failWrites) {
+            data.items = items;
+            transaction.error = new Error('Quota exceeded');
+            setTimeout(() => transaction.onerror());
+            return {};
+          }
+          setTimeout(() => transaction.oncomplete());
+          return {result};
+        }
+        const store = {
+          count: () => complete(data.items.length),
+          getAll: (query, count) => complete(data.items.slice(0, count).map(copy)),
+          add: item => {
+            const stored = Object.assign(copy(item), {id: data.nextId++});
+            data.items = data.items.concat(stored);
+            return complete(stored.id);
+          },
+          put: item => {
+            data.items = data.items.map(stored => stored.id === item.id ? copy(item) : stored);
+            return complete(item.id);
+          },
+          delete: id => {
+            data.items = data.items.filter(stored => stored.id !== id);
+            return complete(undefined);
+          },
+          clear: () => {
+            data.items = [];
+            return complete(undefined);
+          }
+        };
+        transaction.objectStore = () => store;
+        return transaction;
+      },
+      close() {
+        this.closed = true;
+      }
+    };
+  }
+
+  return Object.assign(factory, {
+    open(name) {
+      const request = {};
+      setTimeout(() => {
+        const exists = Boolean(databases[name]);
+        if (!exists) {
+          databases[name] = createDatabase();
+        }
+        request.result = databases[name];
+        if (!exists) {
+          request.onupgradeneeded();
+        }
+        request.onsuccess();
+      });
+      return request;
+    }
+  });
+}
+
+function networkFailure() {
+  return Promise.reject(new TypeError('Failed to fetch'));
+}
+
+function jsonResponse(status, body) {
+  return Promise.resolve(new Response(JSON.stringify(body), {
+    status,
+    headers: {
+      'Content-type': 'application/json; charset=utf-8'
+    }
+  }));
+}
+
+describe('Offline queue', () => {
+  const url = 'https://api.itslanguage.nl/users';
+  let api;
+  let indexedDB;
+  let queue;
+
+  beforeEach(() => {
+    api = new Connection({
+      oAuth2Token: 'token',
+      retry: false
+    });
+    indexedDB = createIndexedDB();
+    queue = new OfflineQueue(api, {indexedDB});
+    spyOn(window, 'fetch').and.callFake(networkFailure);
+  });
+
+  afterEach(done => {
+    queue.close()
+      .catch(() => {})
+      .then(done);
+  });
+
+  it('should not construct without IndexedDB', () => {
+    expect(() => {
+      new OfflineQueue(api, {indexedDB: null});
+    }).toThrowError('No IndexedDB capabilities');
+  });
+
+  it('should send requests without queueing them when the database cannot be opened', done => {
+    const failing = {
+      open() {
+        const request = {error: new Error('Access denied')};
+        setTimeout(() => request.onerror());
+        return request;
+      }
+    };
+    api = new Connection({
+      oAuth2Token: 'token',
+      retry: false
+    });
+    queue = new OfflineQueue(api, {indexedDB: failing});
+    spyOn(queue._logger, 'warn');
+    window.fetch.and.callFake(() => jsonResponse(201, {id: '1'}));
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .then(result => {
+        expect(result).toEqual({id: '1'});
+        expect(queue._logger.warn).toHaveBeenCalledWith(
+          'Unable to open the offline queue, requests are sent without queueing them:', jasmine.any(Error));
+        return queue.replay();
+      })
+      .then(remaining => {
+        expect(remaining).toEqual(0);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should queue requests which change data when the network fails', done => {
+    const queued = jasmine.createSpy('queued');
+    queue.addEventListener('queued', queued);
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(OfflineError));
+        expect(error.item.id).toEqual(1);
+        expect(error.item.method).toEqual('POST');
+        expect(error.item.url).toEqual(url);
+        expect(error.item.body).toEqual('{"id":"1"}');
+        expect(queued).toHaveBeenCalledWith(error.item);
+        return queue.getItems();
+      })
+      .then(items => {
+        expect(items).toEqual([jasmine.objectContaining({id: 1, method: 'POST', body: '{"id":"1"}'})]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not queue requests which fail otherwise', done => {
+    window.fetch.and.callFake(() => jsonResponse(422, {message: 'Validation failed', errors: []}));
+    api._secureAjaxPost(url, '{}')
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(ApiError));
+        window.fetch.and.callFake(networkFailure);
+        return api._secureAjaxGet(url);
+      })
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(TypeError));
+        return api._secureAjaxPost(url, '{}', {queue: false});
+      })
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(TypeError));
+        return queue.getItems();
+      })
+      .then(items => {
+        expect(items).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should replay queued requests in order once a request succeeds', done => {
+    const replayed = jasmine.createSpy('replayed');
+    queue.addEventListener('replayed', replayed);
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(OfflineError));
+        window.fetch.and.callFake((requestUrl, options) => jsonResponse(201, JSON.parse(options.body || '{}')));
+        // The queue is not empty, so this request has to wait for the first one.
+        return api._secureAjaxPost(url, '{"id":"2"}');
+      })
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(OfflineError));
+        return queue.replay();
+      })
+      .then(remaining => {
+        expect(remaining).toEqual(0);
+        const bodies = window.fetch.calls.allArgs().map(args => args[1].body);
+        expect(bodies).toEqual(['{"id":"1"}', '{"id":"1"}', '{"id":"2"}']);
+        expect(replayed.calls.allArgs()).toEqual([
+          [jasmine.objectContaining({id: 1}), {id: '1'}],
+          [jasmine.objectContaining({id: 2}), {id: '2'}]
+        ]);
+        return queue.getItems();
+      })
+      .then(items => {
+        expect(items).toEqual([]);
+        return api._secureAjaxPost(url, '{"id":"3"}');
+      })
+      .then(result => {
+        expect(result).toEqual({id: '3'});
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should start replaying when any request succeeds', done => {
+    spyOn(queue, 'replay');
+    api._secureAjaxDelete(url + '/1')
+      .catch(() => {
+        window.fetch.and.callFake(() => jsonResponse(200, {}));
+        return api._secureAjaxGet(url);
+      })
+      .then(() => {
+        expect(queue.replay).toHaveBeenCalledTimes(1);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not replay after a request succeeds while nothing is queued', done => {
+    spyOn(queue, 'replay');
+    window.fetch.and.callFake(() => jsonResponse(200, {}));
+    api._secureAjaxGet(url)
+      .then(() => {
+        expect(queue.replay).not.toHaveBeenCalled();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should replay queued requests when the browser comes back online', done => {
+    queue.addEventListener('replayed', (item, result) => {
+      expect(item.body).toEqual('{"id":"1"}');
+      expect(result).toEqual({id: '1'});
+      done();
+    });
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => {
+        window.fetch.and.callFake(() => jsonResponse(201, {id: '1'}));
+        window.dispatchEvent(new Event('online'));
+      });
+  });
+
+  it('should reject a request with the error of the database when it cannot be queued', done => {
+    indexedDB.failWrites = true;
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .then(fail, error => {
+        expect(error.message).toEqual('Quota exceeded');
+        expect(queue._size).toEqual(0);
+        indexedDB.failWrites = false;
+        return queue.getItems();
+      })
+      .then(items => {
+        expect(items).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should stop the listeners it was given', () => {
+    const queued = jasmine.createSpy('queued');
+    queue.addEventListener('queued', queued);
+    queue.removeEventListener('queued', queued);
+    queue.fireEvent('queued');
+    expect(queued).not.toHaveBeenCalled();
+  });
+
+  it('should stop replaying when the network fails again', done => {
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => queue.replay())
+      .then(remaining => {
+        expect(remaining).toEqual(1);
+        expect(window.fetch).toHaveBeenCalledTimes(2);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should replay the requests queued before once it is created', done => {
+    const replayed = jasmine.createSpy('replayed');
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => queue.close())
+      .then(() => {
+        window.fetch.and.callFake(() => jsonResponse(201, {id: '1'}));
+        queue = new OfflineQueue(api, {indexedDB});
+        queue.addEventListener('replayed', replayed);
+        return new Promise(resolve => setTimeout(resolve, 10));
+      })
+      .then(() => {
+        expect(replayed).toHaveBeenCalledWith(jasmine.objectContaining({id: 1}), {id: '1'});
+        return queue.getItems();
+      })
+      .then(items => {
+        expect(items).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should drop requests which the server rejects', done => {
+    const replayFailed = jasmine.createSpy('replayfailed');
+    queue.addEventListener('replayfailed', replayFailed);
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => {
+        window.fetch.and.callFake(() => jsonResponse(409, {message: 'User already exists'}));
+        return queue.replay();
+      })
+      .then(remaining => {
+        expect(remaining).toEqual(0);
+        expect(replayFailed).toHaveBeenCalledWith(jasmine.objectContaining({id: 1}), jasmine.any(ApiError));
+        expect(replayFailed.calls.mostRecent().args[1].status).toEqual(409);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should resolve conflicts', done => {
+    const resolveConflict = jasmine.createSpy('resolveConflict').and.callFake(item =>
+      Promise.resolve(Object.assign({}, item, {body: '{"id":"2"}'})));
+    queue = new OfflineQueue(api, {indexedDB, databaseName: 'conflicts', resolveConflict});
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => {
+        window.fetch.and.callFake((requestUrl, options) => options.body === '{"id":"1"}' ?
+          jsonResponse(409, {message: 'User already exists'}) : jsonResponse(201, {id: '2'}));
+        return queue.replay();
+      })
+      .then(remaining => {
+        expect(remaining).toEqual(0);
+        expect(resolveConflict).toHaveBeenCalledWith(jasmine.objectContaining({id: 1}), jasmine.any(ApiError));
+        expect(window.fetch.calls.mostRecent().args[1].body).toEqual('{"id":"2"}');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should drop requests queued for another scope', done => {
+    const replayFailed = jasmine.createSpy('replayfailed');
+    queue.addEventListener('replayfailed', replayFailed);
+    api._applyToken({accessToken: 'token', scope: 'tenant/4/organisation/fb/user/1'});
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(error => {
+        expect(error.item.scope).toEqual('tenant/4/organisation/fb/user/1');
+        api._applyToken({accessToken: 'other', scope: 'tenant/4/organisation/fb/user/2'});
+        window.fetch.and.callFake(() => jsonResponse(201, {}));
+        return queue.replay();
+      })
+      .then(remaining => {
+        expect(remaining).toEqual(0);
+        expect(window.fetch).toHaveBeenCalledTimes(1);
+        expect(replayFailed).toHaveBeenCalledWith(jasmine.objectContaining({id: 1}), jasmine.any(SdkError));
+        expect(replayFailed.calls.mostRecent().args[1].message).toEqual('The request was queued for another scope');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should clear the queue when the connection logs out', done => {
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => api.logout())
+      .then(() => queue.getItems())
+      .then(items => {
+        expect(items).toEqual([]);
+        expect(queue._size).toEqual(0);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should warn when the queue cannot be cleared after logging out', done => {
+    spyOn(queue, 'clear').and.returnValue(Promise.reject(new Error('Access denied')));
+    spyOn(queue._logger, 'warn');
+    api.fireEvent('loggedOut');
+    setTimeout(() => {
+      expect(queue._logger.warn).toHaveBeenCalledWith('Unable to clear the offline queue:', jasmine.any(Error));
+      done();
+    });
+  });
+
+  it('should clear the queue', done => {
+    api._secureAjaxPost(url, '{"id":"1"}')
+      .catch(() => queue.clear())
+      .then(() => queue.getItems())
+      .then(items => {
+        expect(items).toEqual([]);
+        expect(queue._size).toEqual(0);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should stop queueing when closed', done => {
+    spyOn(queue, 'replay');
+    queue.close()
+      .then(() => {
+        window.dispatchEvent(new Event('online'));
+        expect(queue.replay).not.toHaveBeenCalled();
+        return api._secureAjaxPost(url, '{"id":"1"}');
+      })
+      .then(fail)
+      .catch(error => {
+        expect(error).toEqual(jasmine.any(TypeError));
+        expect(api._middleware).toEqual([]);
+      })
+      .then(done);
+  });
+});
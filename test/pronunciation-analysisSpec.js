@@ -1,8 +1,11 @@
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
 import Connection from '../src/administrative-sdk/connection/connection-controller';
 import Controller from '../src/administrative-sdk/pronunciation-analysis/pronunciation-analysis-controller';
 import Phoneme from '../src/administrative-sdk/phoneme/phoneme';
 import PronunciationAnalysis from '../src/administrative-sdk/pronunciation-analysis/pronunciation-analysis';
 import PronunciationChallenge from '../src/administrative-sdk/pronunciation-challenge/pronunciation-challenge';
+import StreamingError from '../src/administrative-sdk/errors/streaming-error';
+import StreamingSession from '../src/administrative-sdk/streaming-session/streaming-session';
 import Word from '../src/administrative-sdk/word/word';
 import WordChunk from '../src/administrative-sdk/word-chunk/word-chunk';
 import autobahn from 'autobahn';
@@ -95,6 +98,7 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       audioUrl
     };
     api._session = new SessionMock();
+    api._state = 'open';
     spyOn(api._session, 'call').and.callThrough();
     spyOn(api, 'addAccessToken').and.callFake(url => url + 'token');
     controller = new Controller(api);
@@ -155,6 +159,7 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
   it('should fail streaming when recording is already recording', done => {
     recorder.isRecording = () => true;
     api._session = {};
+    api._state = 'open';
     challenge = new PronunciationChallenge('1', '4', '', audioUrl);
     controller.startStreamingPronunciationAnalysis(challenge, recorder)
       .then(() => {
@@ -166,10 +171,13 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       .then(done);
   });
 
-  it('should fail streaming when there is a session in progress', done => {
+  it('should fail streaming when the recorder is used by another session', done => {
     recorder.isRecording = () => false;
-    api._analysisId = '5';
+    const other = new StreamingSession(api, 'pronunciation', recorder);
+    other.id = '5';
+    other.open();
     api._session = {};
+    api._state = 'open';
     controller = new Controller(api);
     challenge = new PronunciationChallenge('1', '4', '', audioUrl);
     controller.startStreamingPronunciationAnalysis(challenge, recorder)
@@ -177,11 +185,50 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
         fail('No result should be returned');
       })
       .catch(error => {
-        expect(error.message).toEqual('Session with analysisId 5 still in progress.');
+        expect(error.message).toEqual('Recorder is already used by the pronunciation session with id 5.');
       })
       .then(done);
   });
 
+  describe('Cancellation', () => {
+    let abortController;
+    let cancelRecorder;
+
+    beforeEach(() => {
+      abortController = new AbortController();
+      cancelRecorder = jasmine.createSpyObj('recorder', ['getAudioSpecs', 'hasUserMediaApproval', 'isRecording',
+        'addEventListener', 'removeEventListener', 'stop']);
+      cancelRecorder.isRecording.and.returnValue(false);
+      api._session.call = jasmine.createSpy('call').and.returnValue(autobahn.when.defer().promise);
+    });
+
+    it('should not start a session which was cancelled already', done => {
+      abortController.abort();
+      controller.startStreamingPronunciationAnalysis(challenge, cancelRecorder, true, {signal: abortController.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(api._session.call).not.toHaveBeenCalled();
+        })
+        .then(done);
+    });
+
+    it('should cancel a session in progress', done => {
+      controller.startStreamingPronunciationAnalysis(challenge, cancelRecorder, true, {signal: abortController.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(cancelRecorder.removeEventListener).toHaveBeenCalledWith('recorded', jasmine.any(Function));
+          expect(cancelRecorder.removeEventListener).toHaveBeenCalledWith('dataavailable', jasmine.any(Function));
+          expect(cancelRecorder.stop).toHaveBeenCalled();
+          expect(api.sessions).toEqual([]);
+        })
+        .then(done);
+      cancelRecorder.isRecording.and.returnValue(true);
+      abortController.abort();
+    });
+  });
+
   it('should start streaming a new pronunciation analysis without trimming', done => {
     controller.startStreamingPronunciationAnalysis(challenge, recorder, false)
       .then(() => {
@@ -204,13 +251,17 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       const d = autobahn.when.defer();
       if (name === 'nl.itslanguage.pronunciation.write') {
         d.reject({
-          message: 'Encountered an error during writing',
-          error: 'error',
-          userId: '1',
-          id: '2',
-          created: stringDate,
-          updated: stringDate,
-          audioUrl: fakeResponse.audioUrl
+          error: 'nl.itslanguage.write_failed',
+          kwargs: {
+            message: 'Encountered an error during writing',
+            analysis: {
+              userId: '1',
+              id: '2',
+              created: stringDate,
+              updated: stringDate,
+              audioUrl: fakeResponse.audioUrl
+            }
+          }
         });
       } else {
         d.notify();
@@ -252,12 +303,12 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       .then(result => fail('An error should be thrown ' + JSON.stringify(result)))
       .catch(error => {
         expect(error.message).toEqual('Encountered an error during writing');
-        expect(error.analysis.id).toEqual('2');
-        expect(error.analysis.userId).toEqual('1');
-        expect(error.analysis.created).toEqual(new Date(stringDate));
-        expect(error.analysis.updated).toEqual(new Date(stringDate));
-        expect(error.analysis.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.model.id).toEqual('2');
+        expect(error.model.userId).toEqual('1');
+        expect(error.model.created).toEqual(new Date(stringDate));
+        expect(error.model.updated).toEqual(new Date(stringDate));
+        expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -324,8 +375,8 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -379,8 +430,8 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -422,8 +473,8 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -490,13 +541,15 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
+        expect(error).toEqual(jasmine.any(StreamingError));
         expect(error.message).toEqual('Reference alignment failed');
-        expect(error.analysis.id).toEqual('2');
-        expect(error.analysis.userId).toEqual('1');
-        expect(error.analysis.created).toEqual(new Date(stringDate));
-        expect(error.analysis.updated).toEqual(new Date(stringDate));
-        expect(error.analysis.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.uri).toEqual('nl.itslanguage.ref_alignment_failed');
+        expect(error.model.id).toEqual('2');
+        expect(error.model.userId).toEqual('1');
+        expect(error.model.created).toEqual(new Date(stringDate));
+        expect(error.model.updated).toEqual(new Date(stringDate));
+        expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
     });
@@ -564,12 +617,12 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       })
       .catch(error => {
         expect(error.message).toEqual('Alignment failed');
-        expect(error.analysis.id).toEqual('2');
-        expect(error.analysis.userId).toEqual('1');
-        expect(error.analysis.created).toEqual(new Date(stringDate));
-        expect(error.analysis.updated).toEqual(new Date(stringDate));
-        expect(error.analysis.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.model.id).toEqual('2');
+        expect(error.model.userId).toEqual('1');
+        expect(error.model.created).toEqual(new Date(stringDate));
+        expect(error.model.updated).toEqual(new Date(stringDate));
+        expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
     });
@@ -637,12 +690,12 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       })
       .catch(error => {
         expect(error.message).toEqual('Analysis failed');
-        expect(error.analysis.id).toEqual('2');
-        expect(error.analysis.userId).toEqual('1');
-        expect(error.analysis.created).toEqual(new Date(stringDate));
-        expect(error.analysis.updated).toEqual(new Date(stringDate));
-        expect(error.analysis.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.model.id).toEqual('2');
+        expect(error.model.userId).toEqual('1');
+        expect(error.model.created).toEqual(new Date(stringDate));
+        expect(error.model.updated).toEqual(new Date(stringDate));
+        expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
     });
@@ -710,12 +763,12 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       })
       .catch(error => {
         expect(error.message).toEqual('Unhandled error');
-        expect(error.analysis.id).toEqual('2');
-        expect(error.analysis.userId).toEqual('1');
-        expect(error.analysis.created).toEqual(new Date(stringDate));
-        expect(error.analysis.updated).toEqual(new Date(stringDate));
-        expect(error.analysis.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
-        expect(controller._connection._analysisId).toBeNull();
+        expect(error.model.id).toEqual('2');
+        expect(error.model.userId).toEqual('1');
+        expect(error.model.created).toEqual(new Date(stringDate));
+        expect(error.model.updated).toEqual(new Date(stringDate));
+        expect(error.model.audioUrl).toEqual(fakeResponse.audioUrl + 'token');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
     });
@@ -747,7 +800,7 @@ describe('Pronunciation Analyisis Websocket API interaction test', () => {
       }
     })
     );
-    const expectedNotifyCall = {progress: 'NOTIFY', referenceAlignment: undefined};
+    const expectedNotifyCall = {progress: 'NOTIFY'};
     controller.startStreamingPronunciationAnalysis(
       challenge, recorder)
       .progress(args => {
@@ -318,7 +318,7 @@ describe('PronunciationChallenge API interaction test', () => {
           field: 'id',
           code: 'missing'
         }];
-        expect(error.errors).toEqual(errors);
+        expect(error.fieldErrors).toEqual(errors);
       })
       .then(done);
   });
@@ -0,0 +1,47 @@
+import Scope from '../src/administrative-sdk/scope/scope';
+
+describe('Scope object test', () => {
+  it('should require all required fields in constructor', () => {
+    expect(() => {
+      new Scope(4);
+    }).toThrowError('tenantId parameter of type "string" is required');
+    expect(() => {
+      new Scope('4', 1);
+    }).toThrowError('organisationId parameter of type "string|null" is required');
+    expect(() => {
+      new Scope('4', 'fb', 1);
+    }).toThrowError('userId parameter of type "string|null" is required');
+    expect(() => {
+      new Scope('4', null, 'user');
+    }).toThrowError('organisationId is required for a user scope');
+  });
+
+  it('should format a scope', () => {
+    expect(new Scope('4').toString()).toEqual('tenant/4');
+    expect(new Scope('4', 'fb').toString()).toEqual('tenant/4/organisation/fb');
+    expect(new Scope('4', 'fb', 'user').toString()).toEqual('tenant/4/organisation/fb/user/user');
+  });
+
+  it('should parse a scope', () => {
+    expect(Scope.parse('tenant/4')).toEqual(new Scope('4'));
+    expect(Scope.parse('openid tenant/4/organisation/fb/user/user')).toEqual(new Scope('4', 'fb', 'user'));
+    expect(Scope.parse('tenant/4/organisation/fb offline_access')).toEqual(new Scope('4', 'fb'));
+    expect(Scope.parse('tenant/4/something')).toBeNull();
+    expect(Scope.parse('openid')).toBeNull();
+    expect(Scope.parse(undefined)).toBeNull();
+  });
+
+  it('should navigate between scopes', () => {
+    const tenant = new Scope('4');
+    const user = tenant.organisation('fb').user('user');
+    expect(user).toEqual(new Scope('4', 'fb', 'user'));
+    expect(user.parent()).toEqual(new Scope('4', 'fb'));
+    expect(user.parent().parent().equals(tenant)).toBeTruthy();
+    expect(tenant.parent()).toBeNull();
+    expect(tenant.equals(user)).toBeFalsy();
+    expect(tenant.equals(null)).toBeFalsy();
+    expect(() => {
+      tenant.user('user');
+    }).toThrowError('organisationId is required for a user scope');
+  });
+});
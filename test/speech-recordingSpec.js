@@ -1,7 +1,9 @@
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
 import Connection from '../src/administrative-sdk/connection/connection-controller';
 import SpeechChallenge from '../src/administrative-sdk/speech-challenge/speech-challenge';
 import SpeechRecording from '../src/administrative-sdk/speech-recording/speech-recording';
 import SpeechRecordingController from '../src/administrative-sdk/speech-recording/speech-recording-controller';
+import StreamingSession from '../src/administrative-sdk/streaming-session/streaming-session';
 import autobahn from 'autobahn';
 
 describe('SpeechRecording API interaction test', () => {
@@ -202,6 +204,7 @@ describe('Speech Recording Websocket API interaction test', () => {
     stringDate = '2014-12-31T23:59:59Z';
     controller = new SpeechRecordingController(api);
     api._session = new SessionMock();
+    api._state = 'open';
   });
 
   it('should fail streaming when challenge is not present', done => {
@@ -241,6 +244,7 @@ describe('Speech Recording Websocket API interaction test', () => {
   it('should fail streaming when recording is already recording', done => {
     recorder.isRecording = () => true;
     api._session = {};
+    api._state = 'open';
     challenge = new SpeechChallenge('4', '', null);
     controller.startStreamingSpeechRecording(challenge, recorder)
       .then(() => {
@@ -252,10 +256,13 @@ describe('Speech Recording Websocket API interaction test', () => {
       .then(done);
   });
 
-  it('should fail streaming when there is a session in progress', done => {
+  it('should fail streaming when the recorder is used by another session', done => {
     recorder.isRecording = () => false;
-    api._recordingId = '5';
+    const other = new StreamingSession(api, 'recording', recorder);
+    other.id = '5';
+    other.open();
     api._session = {};
+    api._state = 'open';
     controller = new SpeechRecordingController(api);
     challenge = new SpeechChallenge('4', '', null);
     controller.startStreamingSpeechRecording(challenge, recorder)
@@ -263,11 +270,50 @@ describe('Speech Recording Websocket API interaction test', () => {
         fail('No result should be returned');
       })
       .catch(error => {
-        expect(error.message).toEqual('Session with recordingId 5 still in progress.');
+        expect(error.message).toEqual('Recorder is already used by the recording session with id 5.');
       })
       .then(done);
   });
 
+  describe('Cancellation', () => {
+    let abortController;
+    let cancelRecorder;
+
+    beforeEach(() => {
+      abortController = new AbortController();
+      cancelRecorder = jasmine.createSpyObj('recorder', ['getAudioSpecs', 'hasUserMediaApproval', 'isRecording',
+        'addEventListener', 'removeEventListener', 'stop']);
+      cancelRecorder.isRecording.and.returnValue(false);
+      api._session.call = jasmine.createSpy('call').and.returnValue(autobahn.when.defer().promise);
+    });
+
+    it('should not start a session which was cancelled already', done => {
+      abortController.abort();
+      controller.startStreamingSpeechRecording(challenge, cancelRecorder, true, {signal: abortController.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(api._session.call).not.toHaveBeenCalled();
+        })
+        .then(done);
+    });
+
+    it('should cancel a session in progress', done => {
+      controller.startStreamingSpeechRecording(challenge, cancelRecorder, true, {signal: abortController.signal})
+        .then(fail)
+        .catch(error => {
+          expect(error instanceof CancellationError).toBeTruthy();
+          expect(cancelRecorder.removeEventListener).toHaveBeenCalledWith('recorded', jasmine.any(Function));
+          expect(cancelRecorder.removeEventListener).toHaveBeenCalledWith('dataavailable', jasmine.any(Function));
+          expect(cancelRecorder.stop).toHaveBeenCalled();
+          expect(api.sessions).toEqual([]);
+        })
+        .then(done);
+      cancelRecorder.isRecording.and.returnValue(true);
+      abortController.abort();
+    });
+  });
+
   it('should handle errors while initializing challenge', done => {
     recorder = {
       getAudioSpecs() {
@@ -320,8 +366,8 @@ describe('Speech Recording Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._recordingId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -370,8 +416,8 @@ describe('Speech Recording Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._recordingId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -428,8 +474,8 @@ describe('Speech Recording Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._recordingId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -488,8 +534,8 @@ describe('Speech Recording Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._recordingId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -546,8 +592,8 @@ describe('Speech Recording Websocket API interaction test', () => {
         fail('An error should be returned');
       })
       .catch(error => {
-        expect(error.error).toEqual('error123');
-        expect(controller._connection._recordingId).toBeNull();
+        expect(error.uri).toEqual('error123');
+        expect(controller._connection.sessions).toEqual([]);
       })
       .then(done);
   });
@@ -588,6 +634,7 @@ describe('Speech Recording Websocket API interaction test', () => {
   it('should start streaming a new speech recording', done => {
     let progressCalled = false;
     api._session = session;
+    api._state = 'open';
     spyOn(api._session, 'call').and.callThrough();
     controller.startStreamingSpeechRecording(
       challenge, recorder)
@@ -600,7 +647,7 @@ describe('Speech Recording Websocket API interaction test', () => {
         expect(result.recording.userId).toBe('1');
         expect(api._session.call).toHaveBeenCalled();
         expect(api._session.call).toHaveBeenCalledWith(
-          'nl.itslanguage.recording.init_recording', []);
+          'nl.itslanguage.recording.init_recording', [], {trimStart: 0.15, trimEnd: 0});
         expect(progressCalled).toBeTruthy();
         expect(result.recordingId).toEqual(fakeResponse);
       })
@@ -0,0 +1,383 @@
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
+import ChoiceChallenge from '../src/administrative-sdk/choice-challenge/choice-challenge';
+import ChoiceRecognitionController from
+  '../src/administrative-sdk/choice-recognition/choice-recognition-controller';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import ConnectionLostError from '../src/administrative-sdk/errors/connection-lost-error';
+import {FakeBackend} from '../src/fake-backend';
+import PronunciationAnalysis from '../src/administrative-sdk/pronunciation-analysis/pronunciation-analysis';
+import PronunciationAnalysisController from
+  '../src/administrative-sdk/pronunciation-analysis/pronunciation-analysis-controller';
+import PronunciationChallenge from '../src/administrative-sdk/pronunciation-challenge/pronunciation-challenge';
+import SpeechChallenge from '../src/administrative-sdk/speech-challenge/speech-challenge';
+import SpeechRecordingController from '../src/administrative-sdk/speech-recording/speech-recording-controller';
+import StreamingEngine from '../src/administrative-sdk/streaming-session/streaming-engine';
+import StreamingError from '../src/administrative-sdk/errors/streaming-error';
+import TimeoutError from '../src/administrative-sdk/errors/timeout-error';
+import ValidationError from '../src/administrative-sdk/errors/validation-error';
+import {createRecorder} from './helpers/fake-recorder';
+import when from 'when';
+
+describe('Streaming engine', () => {
+  let backend;
+  let connection;
+
+  beforeEach(done => {
+    backend = new FakeBackend();
+    backend.add('challenges/pronunciation', {id: 'p1', transcription: 'hello world'});
+    backend.add('challenges/speech', {id: 's1', topic: 'Weather'});
+    backend.add('challenges/choice', {id: 'c1', choices: ['left', 'right']});
+    connection = new Connection(backend.connectionOptions({
+      oAuth2Token: backend.createToken('tenant/4/organisation/fb/user/1')
+    }));
+    connection.connect().then(done, fail);
+  });
+
+  afterEach(done => {
+    connection.disconnect().then(done);
+  });
+
+  it('should stream a challenge type plugged into it', done => {
+    const createModel = jasmine.createSpy('createModel').and.callFake((challenge, data) => ({
+      challengeId: challenge.id,
+      recognised: data.recognised
+    }));
+    const engine = new StreamingEngine(connection, {
+      type: 'choice',
+      logger: 'test',
+      name: 'recognition',
+      init: 'init_recognition',
+      finish: 'recognise',
+      createModel
+    });
+    const recorder = createRecorder();
+    const ready = jasmine.createSpy('ready');
+    backend.scriptResult('choice', {result: {recognised: 'left'}});
+    const session = engine.start(new ChoiceChallenge('c1', null, ['left', 'right']), recorder);
+    session.addEventListener('ready', ready);
+    session.addEventListener('ready', () => setTimeout(() => recorder.record(2), 10));
+    session.result
+      .then(result => {
+        expect(ready).toHaveBeenCalled();
+        expect(result).toEqual({
+          recognitionId: session.id,
+          recognition: {challengeId: 'c1', recognised: 'left'}
+        });
+        expect(createModel).toHaveBeenCalledTimes(1);
+        expect(connection.sessions).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should report the alignment progress as it is by default', done => {
+    const engine = new StreamingEngine(connection, {
+      type: 'pronunciation',
+      logger: 'test',
+      name: 'analysis',
+      init: 'init_analysis',
+      finish: 'analyse',
+      progress: true,
+      createModel: (challenge, data) => ({score: data.score})
+    });
+    const recorder = createRecorder({chunks: [[1, 2]]});
+    const alignments = [];
+    backend.scriptResult('pronunciation', {progress: [{words: 1}], result: {score: 0.5}});
+    const session = engine.start(new PronunciationChallenge('p1', 'hello world'), recorder);
+    session.addEventListener('alignmentprogress', alignment => alignments.push(alignment));
+    session.result
+      .then(result => {
+        expect(result.analysis).toEqual({score: 0.5});
+        expect(alignments).toEqual([{words: 1}]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should not send the audio specs of a session cancelled while the recorder is approved', done => {
+    const controller = new SpeechRecordingController(connection);
+    const recorder = createRecorder();
+    spyOn(recorder, 'hasUserMediaApproval').and.returnValue(false);
+    spyOn(connection, 'call').and.callThrough();
+    const session = controller.startStreamingSpeechRecording(new SpeechChallenge('s1', 'Weather'), recorder);
+    session.addEventListener('ready', () => {
+      // The user approves the recorder in the same event as the session is cancelled.
+      recorder.addEventListener('ready', () => session.cancel());
+      recorder._fire('ready');
+    });
+    session.result
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(CancellationError));
+        const rpcs = connection.call.calls.allArgs().map(args => args[0]);
+        expect(rpcs).not.toContain('recording.init_audio');
+      })
+      .then(done);
+  });
+
+  it('should reject an invalid challenge before opening a session', done => {
+    const engine = new StreamingEngine(connection, {
+      type: 'choice',
+      logger: 'test',
+      name: 'recognition',
+      init: 'init_recognition',
+      finish: 'recognise',
+      validate() {
+        throw new ValidationError('Invalid challenge');
+      }
+    });
+    spyOn(connection, 'call').and.callThrough();
+    engine.start({id: 'c1'}, createRecorder()).result
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(ValidationError));
+        expect(connection.call).not.toHaveBeenCalled();
+        expect(connection.sessions).toEqual([]);
+      })
+      .then(done);
+  });
+
+  it('should trim the audio of a speech recording', done => {
+    const controller = new SpeechRecordingController(connection);
+    const recorder = createRecorder();
+    spyOn(connection, 'call').and.callThrough();
+    const session = controller.startStreamingSpeechRecording(new SpeechChallenge('s1', 'Weather'), recorder, false);
+    session.addEventListener('ready', () => setTimeout(() => recorder.record(1), 10));
+    session.result
+      .then(() => {
+        expect(connection.call).toHaveBeenCalledWith('recording.init_recording', [],
+          {trimStart: 0, trimEnd: 0});
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should map a failed recognition to a streaming error with the partial recognition', done => {
+    const controller = new ChoiceRecognitionController(connection);
+    const recorder = createRecorder();
+    backend.scriptResult('choice', {error: 'nl.itslanguage.recognition_failed'});
+    const session = controller.startStreamingChoiceRecognition(
+      new ChoiceChallenge('c1', null, ['left', 'right']), recorder);
+    session.addEventListener('ready', () => setTimeout(() => recorder.record(1), 10));
+    session.result
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(StreamingError));
+        expect(error.message).toEqual('Recognition failed');
+        expect(error.uri).toEqual('nl.itslanguage.recognition_failed');
+        expect(error.model.id).toEqual(session.id);
+        expect(error.model.challengeId).toEqual('c1');
+        expect(error.model.recognised).toBeNull();
+      })
+      .then(done);
+  });
+
+  it('should fail a session which was lost with the connection before it was started', done => {
+    const controller = new ChoiceRecognitionController(connection);
+    const call = connection.call.bind(connection);
+    spyOn(connection, 'call').and.callFake((rpc, ...args) => {
+      if (rpc === 'choice.init_recognition') {
+        return when.reject(new ConnectionLostError('The connection was lost before the RPC was answered.',
+          'nl.itslanguage.choice.init_recognition'));
+      }
+      return call(rpc, ...args);
+    });
+    const session = controller.startStreamingChoiceRecognition(
+      new ChoiceChallenge('c1', null, ['left', 'right']), createRecorder());
+    session.result
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(ConnectionLostError));
+        expect(error.rpc).toEqual('nl.itslanguage.choice.init_recognition');
+        expect(connection.sessions).toEqual([]);
+      })
+      .then(done);
+  });
+
+  describe('Losing the connection', () => {
+    beforeEach(done => {
+      connection.disconnect()
+        .then(() => {
+          connection = new Connection(backend.connectionOptions({
+            oAuth2Token: backend.createToken('tenant/4/organisation/fb/user/1'),
+            reconnect: {initialDelay: 10, jitter: 0}
+          }));
+          return connection.connect();
+        })
+        .then(done, fail);
+    });
+
+    it('should send the audio and finish the session again once the connection is restored', done => {
+      const controller = new ChoiceRecognitionController(connection);
+      const recorder = createRecorder();
+      const router = backend._router;
+      const write = router._write.bind(router);
+      // Lose the connection right after the server received the first write, before it answered.
+      spyOn(router, '_write').and.callFake((...args) => {
+        write(...args);
+        if (router._write.calls.count() === 1) {
+          backend.disconnectClients();
+        }
+      });
+      const session = controller.startStreamingChoiceRecognition(
+        new ChoiceChallenge('c1', null, ['left', 'right']), recorder);
+      session.addEventListener('ready', () => setTimeout(() => recorder.record(1), 10));
+      session.result
+        .then(result => {
+          expect(router._write.calls.count()).toEqual(2);
+          expect(router._write.calls.argsFor(1)[2]).toEqual({sequence: 0});
+          expect(backend.get('recognitions', result.recognitionId)).not.toBeNull();
+          expect(connection.state).toEqual('open');
+        })
+        .catch(fail)
+        .then(done);
+    });
+
+    it('should start a session once the connection is restored', done => {
+      const controller = new ChoiceRecognitionController(connection);
+      const recorder = createRecorder({chunks: [[1, 2]]});
+      connection.addEventListener('websocketReconnecting', () => {
+        expect(connection.state).toEqual('reconnecting');
+        controller.startStreamingChoiceRecognition(new ChoiceChallenge('c1', null, ['left', 'right']), recorder)
+          .result
+          .then(result => {
+            expect(backend.get('recognitions', result.recognitionId)).not.toBeNull();
+          })
+          .catch(fail)
+          .then(done);
+      });
+      backend.disconnectClients();
+    });
+  });
+
+  it('should analyse the pronunciation of an audio file', done => {
+    const controller = new PronunciationAnalysisController(connection);
+    // A WAV file holding 16 bit mono audio at 16 kHz.
+    const wave = new DataView(new ArrayBuffer(44 + 40000));
+    [[0, 'RIFF'], [8, 'WAVEfmt '], [36, 'data']].forEach(([offset, text]) => {
+      text.split('').forEach((character, i) => wave.setUint8(offset + i, character.charCodeAt(0)));
+    });
+    [[16, 16], [24, 16000], [40, 40000]].forEach(([offset, value]) => wave.setUint32(offset, value, true));
+    [[20, 1], [22, 1], [34, 16]].forEach(([offset, value]) => wave.setUint16(offset, value, true));
+    const alignments = [];
+    spyOn(connection, 'call').and.callThrough();
+    backend.scriptResult('pronunciation', {progress: [{words: 1}], result: {score: 0.8}});
+    const session = controller.analysePronunciationFromBlob(new PronunciationChallenge('p1', 'hello world'),
+      new Blob([wave.buffer]), {trim: false});
+    session.addEventListener('alignmentprogress', alignment => alignments.push(alignment.progress));
+    session.result
+      .then(result => {
+        expect(result.analysis).toEqual(jasmine.any(PronunciationAnalysis));
+        expect(result.analysis.score).toEqual(0.8);
+        expect(result.analysis.words.length).toEqual(2);
+        expect(alignments).toEqual([{words: 1}]);
+        expect(connection.call).toHaveBeenCalledWith('pronunciation.init_analysis', [], {trimStart: 0, trimEnd: 0});
+        expect(connection.call).toHaveBeenCalledWith('pronunciation.init_audio', [session.id, 'audio/wave'],
+          {channels: 1, sampleWidth: 16, frameRate: 16000, sampleRate: 16000}, {idempotent: true});
+        const writes = connection.call.calls.allArgs().filter(args => args[0] === 'pronunciation.write');
+        expect(writes.reduce((size, args) => size + args[1][1].byteLength, 0)).toEqual(40000);
+        expect(connection.sessions).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should reject an unsupported audio file', done => {
+    const controller = new PronunciationAnalysisController(connection);
+    spyOn(connection, 'call').and.callThrough();
+    controller.analysePronunciationFromBlob(new PronunciationChallenge('p1', 'hello world'),
+      new Blob(['Not audio'])).result
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(ValidationError));
+        expect(error.message).toEqual('Unsupported audio file, expected a WAV or OGG file');
+        expect(connection.call).not.toHaveBeenCalled();
+      })
+      .then(done);
+  });
+
+  describe('Timeouts', () => {
+    let controller;
+    let unanswered;
+    let unansweredRpc;
+
+    beforeEach(() => {
+      controller = new ChoiceRecognitionController(connection);
+      unanswered = when.defer();
+      const call = connection.call.bind(connection);
+      spyOn(connection, 'call').and.callFake((rpc, ...args) => {
+        if (rpc === unansweredRpc) {
+          return unanswered.promise;
+        }
+        return call(rpc, ...args);
+      });
+    });
+
+    /**
+     * Start a choice recognition which records as soon as the server is ready.
+     *
+     * @param {string} rpc - The RPC the server does not answer.
+     * @param {Object} timeouts - The timeouts of choice recognitions.
+     * @returns {StreamingSession} The session.
+     */
+    function start(rpc, timeouts) {
+      unansweredRpc = rpc;
+      connection._settings.streaming.timeouts.choice = timeouts;
+      const recorder = createRecorder();
+      const session = controller.startStreamingChoiceRecognition(
+        new ChoiceChallenge('c1', null, ['left', 'right']), recorder);
+      session.addEventListener('ready', () => setTimeout(() => recorder.record(1), 10));
+      return session;
+    }
+
+    it('should time out waiting for the result', done => {
+      const session = start('choice.recognise', {result: 50});
+      session.result
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(TimeoutError));
+          expect(error.phase).toEqual('result');
+          expect(error.timeout).toEqual(50);
+          expect(connection.sessions).toEqual([]);
+          expect(session.recorder.listenerCount('dataavailable')).toEqual(0);
+          expect(session.recorder.listenerCount('recorded')).toEqual(0);
+          expect(connection.call).toHaveBeenCalledWith('choice.abort', [session.id], {}, {idempotent: true});
+        })
+        .then(done);
+    });
+
+    it('should time out writing audio', done => {
+      const session = start('choice.write', {write: 50});
+      session.result
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(TimeoutError));
+          expect(error.phase).toEqual('write');
+          expect(connection.sessions).toEqual([]);
+          expect(connection.call).not.toHaveBeenCalledWith('choice.recognise', jasmine.anything());
+          expect(connection.call).toHaveBeenCalledWith('choice.abort', [session.id], {}, {idempotent: true});
+        })
+        .then(done);
+    });
+
+    it('should abort a session the server started after it timed out', done => {
+      const session = start('choice.init_recognition', {init: 50});
+      session.result
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(TimeoutError));
+          expect(error.phase).toEqual('init');
+          expect(connection.sessions).toEqual([]);
+          unanswered.resolve('42');
+          return new Promise(resolve => setTimeout(resolve, 10));
+        })
+        .then(() => {
+          expect(session.id).toEqual('42');
+          expect(connection.call).toHaveBeenCalledWith('choice.abort', ['42'], {}, {idempotent: true});
+        })
+        .then(done);
+    });
+
+    it('should not time out when the timeout is disabled', done => {
+      const session = start(null, {init: 0, write: 0, result: 0});
+      session.result
+        .then(result => {
+          expect(result.recognitionId).toEqual(session.id);
+        })
+        .catch(fail)
+        .then(done);
+    });
+  });
+});
@@ -0,0 +1,375 @@
+import {createRecorder, whenStreaming} from './helpers/fake-recorder';
+import AdministrativeSDK from '../src/administrative-sdk/administrative-sdk';
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
+import ChoiceChallenge from '../src/administrative-sdk/choice-challenge/choice-challenge';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import {FakeBackend} from '../src/fake-backend';
+import PronunciationChallenge from '../src/administrative-sdk/pronunciation-challenge/pronunciation-challenge';
+import SpeechChallenge from '../src/administrative-sdk/speech-challenge/speech-challenge';
+import StreamingSession from '../src/administrative-sdk/streaming-session/streaming-session';
+
+describe('Streaming session', () => {
+  let backend;
+  let connection;
+  let sdk;
+
+  beforeEach(done => {
+    backend = new FakeBackend();
+    backend.add('challenges/pronunciation', {id: 'p1', transcription: 'hello'});
+    backend.add('challenges/speech', {id: 's1', topic: 'Weather'});
+    backend.add('challenges/choice', {id: 'c1', choices: ['left', 'right']});
+    connection = new Connection(backend.connectionOptions({
+      oAuth2Token: backend.createToken('tenant/4/organisation/fb/user/1')
+    }));
+    sdk = new AdministrativeSDK(connection);
+    connection.connect().then(done, fail);
+  });
+
+  afterEach(done => {
+    connection.disconnect().then(done);
+  });
+
+  it('should stream several sessions over one connection at once', done => {
+    const recorders = [createRecorder(), createRecorder(), createRecorder(), createRecorder()];
+    backend.scriptResult('pronunciation', {result: {score: 0.1}});
+    backend.scriptResult('pronunciation', {result: {score: 0.9}});
+    backend.scriptResult('choice', {result: {recognised: 'left'}});
+    const results = Promise.all([
+      sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorders[0]),
+      sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorders[1]),
+      sdk.startStreamingSpeechRecording(new SpeechChallenge('s1', 'Weather'), recorders[2]),
+      sdk.startStreamingChoiceRecognition(new ChoiceChallenge('c1', null, ['left', 'right']), recorders[3])
+    ]);
+    expect(connection.sessions.map(session => session.type)).toEqual([
+      'pronunciation', 'pronunciation', 'recording', 'choice'
+    ]);
+    Promise.all(recorders.map(whenStreaming))
+      .then(() => {
+        const ids = connection.sessions.map(session => session.id);
+        expect(new Set(ids).size).toEqual(4);
+        // Record in reverse order, interleaving the sessions.
+        recorders.slice().reverse().forEach((recorder, index) => recorder.record(index + 1));
+        return results;
+      })
+      .then(([first, second, speech, choice]) => {
+        // The scripted results are used in the order the analyses finish.
+        expect(first.analysis.score).toEqual(0.9);
+        expect(second.analysis.score).toEqual(0.1);
+        expect(first.analysisId).not.toEqual(second.analysisId);
+        expect(speech.recording.id).toEqual(speech.recordingId);
+        expect(choice.recognition.recognised).toEqual('left');
+        expect(connection.sessions).toEqual([]);
+        recorders.forEach(recorder => {
+          expect(recorder.listenerCount('dataavailable')).toEqual(0);
+          expect(recorder.listenerCount('recorded')).toEqual(0);
+        });
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should cancel only the session of a recorder', done => {
+    const cancelled = createRecorder();
+    const recorder = createRecorder();
+    const challenge = new PronunciationChallenge('p1', 'hello');
+    const handler = jasmine.createSpy('sessioncancelled');
+    connection.addEventListener('sessioncancelled', handler);
+    let session;
+    const cancelledResult = sdk.startStreamingPronunciationAnalysis(challenge, cancelled);
+    const result = sdk.startStreamingPronunciationAnalysis(challenge, recorder);
+    Promise.all([whenStreaming(cancelled), whenStreaming(recorder)])
+      .then(() => {
+        session = connection.sessions[0];
+        connection.cancelStreaming(cancelled);
+        expect(handler).toHaveBeenCalledWith(session);
+        expect(session.cancelled).toBeTruthy();
+        expect(connection.sessions.length).toEqual(1);
+        expect(connection.sessions[0].recorder).toBe(recorder);
+        expect(cancelled.listenerCount('dataavailable')).toEqual(0);
+        expect(cancelled.listenerCount('recorded')).toEqual(0);
+        return cancelledResult;
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(CancellationError));
+        // The server aborted the session.
+        return connection.call('pronunciation.write', [session.id, 'AAA=', 'base64']);
+      })
+      .then(fail, error => {
+        expect(error.message).toEqual('Unknown session: ' + session.id);
+        recorder.record(2);
+        return result;
+      })
+      .then(analysis => {
+        expect(analysis.analysis.score).toEqual(jasmine.any(Number));
+        expect(connection.sessions).toEqual([]);
+        expect(handler).toHaveBeenCalledTimes(1);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should abort a session cancelled while the server starts it', done => {
+    const recorder = createRecorder();
+    spyOn(connection, 'call').and.callThrough();
+    const result = sdk.startStreamingChoiceRecognition(new ChoiceChallenge('c1', null, ['left']), recorder);
+    const session = connection.sessions[0];
+    session.cancel();
+    expect(session.id).toBeNull();
+    result
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(CancellationError));
+        return new Promise(resolve => setTimeout(resolve, 10));
+      })
+      .then(() => {
+        expect(connection.call).toHaveBeenCalledWith('choice.abort', [session.id], {}, {idempotent: true});
+        expect(session.id).not.toBeNull();
+        expect(recorder.listenerCount('dataavailable')).toEqual(0);
+      })
+      .then(done);
+  });
+
+  it('should stream audio as binary if the router speaks MessagePack', done => {
+    const recorder = createRecorder();
+    spyOn(connection, 'call').and.callThrough();
+    const result = sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorder);
+    expect(connection.audioEncoding).toEqual('binary');
+    whenStreaming(recorder)
+      .then(() => {
+        recorder.record(1);
+        return result;
+      })
+      .then(analysis => {
+        expect(connection.call).toHaveBeenCalledWith('pronunciation.write', [
+          analysis.analysisId, new Uint8Array([0, 1]).buffer, 'binary'
+        ], {sequence: 0}, {idempotent: true});
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should stream audio in base64 if the router only speaks JSON', done => {
+    const recorder = createRecorder();
+    const json = new FakeBackend({serializers: ['json']});
+    json.add('challenges/choice', {id: 'c1', choices: ['left', 'right']});
+    const jsonConnection = new Connection(json.connectionOptions({
+      oAuth2Token: json.createToken('tenant/4/organisation/fb/user/1')
+    }));
+    spyOn(jsonConnection, 'call').and.callThrough();
+    jsonConnection.connect()
+      .then(() => {
+        expect(jsonConnection.audioEncoding).toEqual('base64');
+        const result = new AdministrativeSDK(jsonConnection)
+          .startStreamingChoiceRecognition(new ChoiceChallenge('c1', null, ['left', 'right']), recorder);
+        return whenStreaming(recorder).then(() => {
+          recorder.record(1);
+          return result;
+        });
+      })
+      .then(recognition => {
+        expect(jsonConnection.call).toHaveBeenCalledWith('choice.write', [
+          recognition.recognition.id, 'AAE=', 'base64'
+        ], {sequence: 0}, {idempotent: true});
+        return jsonConnection.disconnect();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should bound the writes in flight and combine the queued audio', done => {
+    const recorder = createRecorder();
+    const events = [];
+    const call = connection.call.bind(connection);
+    spyOn(connection, 'call').and.callFake((rpc, ...args) => {
+      const result = call(rpc, ...args);
+      if (rpc === 'recording.write') {
+        result.then(() => events.push('written'));
+      } else {
+        events.push(rpc);
+      }
+      return result;
+    });
+    Object.assign(connection._settings.streaming, {maxInFlightWrites: 1, maxWriteSize: 4});
+    const result = sdk.startStreamingSpeechRecording(new SpeechChallenge('s1', 'Weather'), recorder);
+    let session;
+    whenStreaming(recorder)
+      .then(() => {
+        session = connection.sessions[0];
+        recorder.record(5);
+        expect(session.bufferedAmount).toEqual(10);
+        return result;
+      })
+      .then(() => {
+        const writes = connection.call.calls.allArgs().filter(args => args[0] === 'recording.write');
+        // The first chunk is sent at once, the other four are combined in pairs while it is sent.
+        expect(writes.map(args => args[1][1].byteLength)).toEqual([2, 4, 4]);
+        expect(writes.map(args => args[2].sequence)).toEqual([0, 1, 2]);
+        expect(new Uint8Array(writes[1][1][1])).toEqual(new Uint8Array([1, 2, 2, 3]));
+        // The recording is closed once all audio was received.
+        expect(events.slice(-4)).toEqual(['written', 'written', 'written', 'recording.close']);
+        expect(session.bufferedAmount).toEqual(0);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should drop the queued audio of a cancelled session', done => {
+    const recorder = createRecorder();
+    spyOn(connection, 'call').and.callThrough();
+    Object.assign(connection._settings.streaming, {maxInFlightWrites: 1, maxWriteSize: 2});
+    const result = sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorder);
+    let session;
+    whenStreaming(recorder)
+      .then(() => {
+        session = connection.sessions[0];
+        recorder.record(3);
+        session.cancel();
+        // Only the audio being sent is still buffered.
+        expect(session.bufferedAmount).toEqual(2);
+        return result;
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(CancellationError));
+        return session.drain();
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(CancellationError));
+        expect(session.bufferedAmount).toEqual(0);
+        const rpcs = connection.call.calls.allArgs().map(args => args[0]);
+        expect(rpcs.filter(rpc => rpc === 'pronunciation.write').length).toEqual(1);
+        expect(rpcs).not.toContain('pronunciation.analyse');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should return the session at once and report its progress as events', done => {
+    const recorder = createRecorder();
+    const events = [];
+    backend.scriptResult('pronunciation', {progress: [{words: 1}, {words: 2}], result: {score: 0.8}});
+    const session = sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorder);
+    expect(session).toEqual(jasmine.any(StreamingSession));
+    expect(session.result).toEqual(jasmine.any(Promise));
+    const alignments = session[Symbol.asyncIterator]();
+    session.addEventListener('ready', () => events.push('ready'));
+    session.addEventListener('alignmentprogress', alignment => events.push(alignment.progress));
+    session.addEventListener('chunksent', (sequence, size) => events.push('chunk ' + sequence + ' of ' + size));
+    session.addEventListener('done', result => events.push(result.analysis.score));
+    whenStreaming(recorder)
+      .then(() => {
+        recorder.record(1);
+        return session.result;
+      })
+      .then(result => {
+        expect(result.analysis.score).toEqual(0.8);
+        expect(events).toEqual(['ready', 'chunk 0 of 2', {words: 1}, {words: 2}, 0.8]);
+        return alignments.next();
+      })
+      .then(alignment => {
+        expect(alignment).toEqual({value: {progress: {words: 1}}, done: false});
+        return alignments.next();
+      })
+      .then(alignment => {
+        expect(alignment.value.progress).toEqual({words: 2});
+        return alignments.next();
+      })
+      .then(alignment => {
+        expect(alignment.done).toBeTruthy();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should iterate over the alignments while the session is in progress', done => {
+    const recorder = createRecorder();
+    const progress = [];
+    backend.scriptResult('pronunciation', {progress: [{words: 1}, {words: 2}], result: {score: 0.8}});
+    const session = sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorder);
+    spyOn(session._emitter, 'on').and.callThrough();
+    const alignments = session[Symbol.asyncIterator]();
+    function iterate() {
+      return alignments.next().then(alignment => {
+        if (!alignment.done) {
+          progress.push(alignment.value.progress);
+          return iterate();
+        }
+      });
+    }
+    whenStreaming(recorder).then(() => recorder.record(1));
+    iterate()
+      .then(() => {
+        expect(progress).toEqual([{words: 1}, {words: 2}]);
+        // The iteration listens to the session once, however often it waits.
+        const events = session._emitter.on.calls.allArgs().map(args => args[0]);
+        expect(events).toEqual(['alignmentprogress', 'done', 'error']);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should report the failure of a session as an error', done => {
+    const handler = jasmine.createSpy('error');
+    const session = sdk.startStreamingSpeechRecording(null, createRecorder());
+    session.addEventListener('error', handler);
+    session[Symbol.asyncIterator]().next()
+      .then(fail, error => {
+        expect(error.message).toEqual('"challenge" parameter is required or invalid');
+        expect(handler).toHaveBeenCalledWith(error);
+        // An iteration started after the session failed fails as well.
+        return session[Symbol.asyncIterator]().next();
+      })
+      .then(fail, error => {
+        expect(error.message).toEqual('"challenge" parameter is required or invalid');
+        return session.result;
+      })
+      .then(fail, error => {
+        expect(error.message).toEqual('"challenge" parameter is required or invalid');
+        // The result can still be used as a when.js Promise.
+        return session.catch(() => 'handled');
+      })
+      .then(handled => {
+        expect(handled).toEqual('handled');
+      })
+      .then(done);
+  });
+
+  it('should not share a recorder between sessions', done => {
+    const recorder = createRecorder();
+    const session = new StreamingSession(connection, 'recording', recorder);
+    session.id = '7';
+    session.open();
+    expect(session.active).toBeTruthy();
+    sdk.startStreamingPronunciationAnalysis(new PronunciationChallenge('p1', 'hello'), recorder)
+      .then(fail, error => {
+        expect(error.message).toEqual('Recorder is already used by the recording session with id 7.');
+        session.close();
+        expect(session.active).toBeFalsy();
+      })
+      .then(done);
+  });
+
+  it('should only cancel a session in progress once', done => {
+    const recorder = createRecorder();
+    const session = new StreamingSession(connection, 'recording', recorder);
+    const cancelled = jasmine.createSpy('cancel');
+    const removed = jasmine.createSpy('removed');
+    session.addEventListener('cancel', cancelled);
+    session.addEventListener('cancel', removed);
+    session.removeEventListener('cancel', removed);
+    session.cancel();
+    session._expire();
+    expect(cancelled).not.toHaveBeenCalled();
+    session.id = '7';
+    session.open();
+    session.cancel();
+    session.cancel();
+    expect(cancelled).toHaveBeenCalledTimes(1);
+    expect(removed).not.toHaveBeenCalled();
+    expect(session.active).toBeFalsy();
+    session.write(new Uint8Array([1, 2]).buffer)
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(CancellationError));
+        expect(session.bufferedAmount).toEqual(0);
+      })
+      .then(done);
+  });
+});
@@ -0,0 +1,66 @@
+import MemoryTokenStore from '../src/administrative-sdk/token-store/memory-token-store';
+import WebStorageTokenStore from '../src/administrative-sdk/token-store/web-storage-token-store';
+
+describe('Token store', () => {
+  const token = {accessToken: 'access', refreshToken: 'refresh', expiry: 1000};
+
+  it('should keep a token in memory', done => {
+    const store = new MemoryTokenStore();
+    store.get()
+      .then(result => {
+        expect(result).toBeNull();
+        return store.set(token);
+      })
+      .then(() => store.get())
+      .then(result => {
+        expect(result).toEqual(token);
+        return store.clear();
+      })
+      .then(() => store.get())
+      .then(result => {
+        expect(result).toBeNull();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should keep a token in a Web Storage', done => {
+    const storage = jasmine.createSpyObj('storage', ['getItem', 'setItem', 'removeItem']);
+    storage.getItem.and.returnValues(null, JSON.stringify(token));
+    const store = new WebStorageTokenStore(storage);
+    store.get()
+      .then(result => {
+        expect(result).toBeNull();
+        return store.set(token);
+      })
+      .then(() => {
+        expect(storage.setItem).toHaveBeenCalledWith('itslanguage.token', JSON.stringify(token));
+        return store.get();
+      })
+      .then(result => {
+        expect(result).toEqual(token);
+        return new WebStorageTokenStore(storage, 'key').clear();
+      })
+      .then(() => {
+        expect(storage.removeItem).toHaveBeenCalledWith('key');
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should reject when the Web Storage fails', done => {
+    const storage = jasmine.createSpyObj('storage', ['getItem', 'setItem', 'removeItem']);
+    storage.setItem.and.throwError('QuotaExceededError');
+    storage.getItem.and.returnValue('{broken');
+    const store = new WebStorageTokenStore(storage);
+    store.set(token)
+      .then(fail, error => {
+        expect(error.message).toEqual('QuotaExceededError');
+        return store.get();
+      })
+      .then(fail, error => {
+        expect(error).toEqual(jasmine.any(SyntaxError));
+      })
+      .then(done);
+  });
+});
@@ -0,0 +1,276 @@
+import AdministrativeSDK from '../src/administrative-sdk/administrative-sdk';
+import ApiError from '../src/administrative-sdk/errors/api-error';
+import AuthenticationError from '../src/administrative-sdk/errors/authentication-error';
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
+import Connection from '../src/administrative-sdk/connection/connection-controller';
+import {FakeBackend} from '../src/fake-backend';
+import Organisation from '../src/administrative-sdk/organisation/organisation';
+import PronunciationChallenge from '../src/administrative-sdk/pronunciation-challenge/pronunciation-challenge';
+import RpcError from '../src/administrative-sdk/errors/rpc-error';
+import TrafficRecorder from '../src/administrative-sdk/traffic-recorder/traffic-recorder';
+import TrafficReplayer from '../src/administrative-sdk/traffic-recorder/traffic-replayer';
+import {createRecorder} from './helpers/fake-recorder';
+
+describe('Traffic recorder', () => {
+  let backend;
+  let connection;
+  let sdk;
+
+  beforeEach(() => {
+    backend = new FakeBackend();
+    connection = new Connection(backend.connectionOptions({
+      oAuth2Token: backend.createToken('tenant/4/organisation/fb/user/1'),
+      record: true
+    }));
+    sdk = new AdministrativeSDK(connection);
+  });
+
+  afterEach(done => {
+    connection.disconnect().then(done);
+  });
+
+  it('should not record by default', () => {
+    expect(new Connection().recorder).toBeNull();
+    expect(new Connection().replayer).toBeNull();
+    expect(connection.recorder).toEqual(jasmine.any(TrafficRecorder));
+  });
+
+  it('should record requests to the REST api', done => {
+    sdk.createOrganisation(new Organisation('fb', 'School'))
+      .then(() => sdk.getOrganisation('unknown'))
+      .then(fail, () => {
+        connection.recorder.stop();
+        return sdk.getOrganisations();
+      })
+      .then(() => {
+        const recording = JSON.parse(JSON.stringify(connection.recorder));
+        expect(recording.version).toEqual(1);
+        expect(recording.entries.length).toEqual(2);
+        const created = recording.entries[0];
+        expect(created.method).toEqual('POST');
+        expect(created.url).toEqual('https://api.itslanguage.test/organisations');
+        expect(JSON.parse(created.body).name).toEqual('School');
+        expect(created.headers.Authorization).toBeUndefined();
+        expect(created.status).toEqual(201);
+        expect(created.result.id).toEqual('fb');
+        expect(recording.entries[1].error).toEqual({
+          name: 'ApiError',
+          message: 'Not found',
+          status: 404,
+          fieldErrors: [],
+          body: {message: 'Not found'}
+        });
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should keep the configured number of requests', done => {
+    connection = new Connection(backend.connectionOptions({
+      oAuth2Token: backend.createToken('tenant/4'),
+      record: {maxEntries: 1}
+    }));
+    spyOn(connection.recorder._logger, 'warn');
+    const organisations = new AdministrativeSDK(connection);
+    organisations.getOrganisations()
+      .then(() => organisations.getOrganisations())
+      .then(() => {
+        expect(connection.recorder.entries.length).toEqual(1);
+        expect(connection.recorder._logger.warn).toHaveBeenCalled();
+        connection.recorder.clear();
+        expect(connection.recorder.entries).toEqual([]);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should only record while it is started', done => {
+    connection.recorder.stop();
+    expect(connection.recorder.recording).toBeFalsy();
+    sdk.getOrganisations()
+      .then(() => {
+        expect(connection.recorder.entries).toEqual([]);
+        connection.recorder.start();
+        expect(connection.recorder.recording).toBeTruthy();
+        return sdk.getOrganisations();
+      })
+      .then(() => {
+        expect(connection.recorder.entries.length).toEqual(1);
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should record requests answered without a result', done => {
+    connection.addMiddleware(() => Promise.resolve());
+    connection._secureAjaxGet(connection._settings.apiUrl + '/organisations')
+      .then(() => new Promise(resolve => setTimeout(resolve)))
+      .then(() => {
+        expect(connection.recorder.entries[0].result).toBeNull();
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  it('should record errors which are not an Error', done => {
+    connection.addMiddleware(() => Promise.reject({}));
+    sdk.getOrganisations()
+      .then(fail, () => new Promise(resolve => setTimeout(resolve)))
+      .then(() => {
+        expect(connection.recorder.entries[0].error).toEqual({name: 'Error', message: '[object Object]'});
+      })
+      .then(done);
+  });
+
+  it('should replay a recorded streaming session', done => {
+    const challenge = new PronunciationChallenge('c1', 'hello world');
+    const notifications = [];
+    let recorded;
+    backend.add('challenges/pronunciation', {id: 'c1', transcription: 'hello world'});
+    backend.scriptResult('pronunciation', {progress: [{words: 1}, {words: 2}], result: {score: 0.7}});
+    connection.connect()
+      .then(() => sdk.startStreamingPronunciationAnalysis(challenge, createRecorder({chunks: [[1, 2], [3, 4, 5]]})))
+      .then(result => {
+        recorded = result;
+        const rpcs = connection.recorder.entries.map(entry => entry.rpc.substring('nl.itslanguage.'.length));
+        expect(rpcs).toEqual(['pronunciation.init_analysis', 'pronunciation.init_challenge',
+          'pronunciation.init_audio', 'pronunciation.write', 'pronunciation.write', 'pronunciation.analyse']);
+        // The audio was sent as binary and is recorded in base64.
+        expect(connection.recorder.entries[3].args[0]).toEqual([recorded.analysisId, 'AQI=', 'binary']);
+        expect(connection.recorder.entries[5].progress.map(progress => progress.value)).toEqual([
+          {words: 1}, {words: 2}
+        ]);
+        // Replay without the backend.
+        const replaying = new Connection({
+          oAuth2Token: 'token',
+          replay: JSON.stringify(connection.recorder)
+        });
+        const replayer = replaying.replayer;
+        spyOn(replaying, '_invokeCall');
+        const audio = replayer.createRecorder();
+        expect(audio.getAudioSpecs().audioParameters.sampleRate).toEqual(48000);
+        return replaying.connect()
+          .then(() => {
+            expect(replaying.state).toEqual('open');
+            return new AdministrativeSDK(replaying).startStreamingPronunciationAnalysis(challenge, audio)
+              .progress(notification => notifications.push(notification));
+          })
+          .then(replayed => {
+            expect(replayed.analysisId).toEqual(recorded.analysisId);
+            expect(replayed.analysis.score).toEqual(0.7);
+            expect(notifications.map(notification => notification.progress || notification)).toEqual([
+              'ReadyToReceive', {words: 1}, {words: 2}
+            ]);
+            expect(replaying._invokeCall).not.toHaveBeenCalled();
+            expect(replayer.pending).toEqual([]);
+            return replaying.disconnect();
+          })
+          .then(() => {
+            expect(replaying.state).toEqual('closed');
+          });
+      })
+      .catch(fail)
+      .then(done);
+  });
+
+  describe('Replayer', () => {
+    it('should require a recording', () => {
+      expect(() => {
+        new Connection({replay: {}});
+      }).toThrowError('recording parameter of type "Object" is required');
+      expect(() => {
+        new Connection({replay: {version: 2, entries: []}});
+      }).toThrowError('Unsupported recording version: 2');
+    });
+
+    it('should create a recorder without audio when the recording holds no streaming session', done => {
+      const replaying = new Connection({oAuth2Token: 'token', replay: {version: 1, entries: []}});
+      const audio = replaying.replayer.createRecorder();
+      const dataavailable = jasmine.createSpy('dataavailable');
+      expect(audio.getAudioSpecs()).toEqual({audioFormat: null, audioParameters: {}});
+      expect(audio.hasUserMediaApproval()).toBeTruthy();
+      audio.removeEventListener('dataavailable', fail);
+      audio.addEventListener('dataavailable', dataavailable);
+      setTimeout(() => {
+        expect(dataavailable).not.toHaveBeenCalled();
+        audio.stop();
+        expect(audio.isRecording()).toBeFalsy();
+        done();
+      });
+    });
+
+    it('should recreate recorded errors of each kind', done => {
+      const url = 'https://api.itslanguage.nl/organisations';
+      const replaying = new Connection({
+        oAuth2Token: 'token',
+        replay: {
+          version: 1,
+          entries: [
+            {type: 'request', method: 'GET', url, error: {name: 'AuthenticationError', message: 'Denied', status: 401}},
+            {type: 'request', method: 'GET', url, error: {name: 'CancellationError', message: 'Cancelled'}},
+            {type: 'request', method: 'GET', url, error: {name: 'TypeError', message: 'Failed to fetch'}},
+            {
+              type: 'call',
+              rpc: 'nl.itslanguage.choice.recognise',
+              progress: [],
+              error: {name: 'RpcError', message: 'Failed', uri: 'nl.itslanguage.recognition_failed', args: []}
+            }
+          ]
+        }
+      });
+      replaying._secureAjaxGet(url)
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(AuthenticationError));
+          expect(error.status).toEqual(401);
+          return replaying._secureAjaxGet(url);
+        })
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(CancellationError));
+          return replaying._secureAjaxGet(url);
+        })
+        .then(fail, error => {
+          expect(error.constructor).toBe(Error);
+          expect(error.message).toEqual('Failed to fetch');
+          return replaying.connect();
+        })
+        .then(() => replaying.call('choice.recognise', ['1']))
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(RpcError));
+          expect(error.uri).toEqual('nl.itslanguage.recognition_failed');
+        })
+        .then(done);
+    });
+
+    it('should replay recorded errors in order', done => {
+      const url = 'https://api.itslanguage.nl/organisations/1';
+      const replaying = new Connection({
+        oAuth2Token: 'token',
+        replay: {
+          version: 1,
+          entries: [
+            {type: 'request', method: 'GET', url, error: {name: 'ApiError', message: 'Not found', status: 404}},
+            {type: 'request', method: 'GET', url, result: {id: '1', name: 'School'}}
+          ]
+        }
+      });
+      spyOn(window, 'fetch');
+      const replayed = new AdministrativeSDK(replaying);
+      replayed.getOrganisation('1')
+        .then(fail, error => {
+          expect(error).toEqual(jasmine.any(ApiError));
+          expect(error.status).toEqual(404);
+          return replayed.getOrganisation('1');
+        })
+        .then(organisation => {
+          expect(organisation.name).toEqual('School');
+          return replayed.getOrganisation('1');
+        })
+        .then(fail, error => {
+          expect(error.message).toEqual('The recording holds no more answers to GET ' + url);
+          expect(window.fetch).not.toHaveBeenCalled();
+          expect(replaying.replayer).toEqual(jasmine.any(TrafficReplayer));
+        })
+        .then(done);
+    });
+  });
+});
@@ -1,3 +1,4 @@
+import CancellationError from '../src/administrative-sdk/errors/cancellation-error';
 import Connection from '../src/administrative-sdk/connection/connection-controller';
 import User from '../src/administrative-sdk/user/user';
 import UserController from '../src/administrative-sdk/user/user-controller';
@@ -149,6 +150,25 @@ describe('User API interaction test', () => {
       .then(done);
   });
 
+  it('should cancel getting all users', done => {
+    const abortController = new AbortController();
+    spyOn(window, 'fetch').and.returnValue(new Promise(() => {}));
+    const api = new Connection({
+      oAuth2Token: 'token'
+    });
+    const controller = new UserController(api);
+    controller.getUsers({signal: abortController.signal})
+      .then(fail)
+      .catch(error => {
+        const request = window.fetch.calls.mostRecent().args;
+        expect(request[1].signal).toBe(abortController.signal);
+        expect(error instanceof CancellationError).toBeTruthy();
+      })
+      .then(done);
+    // Abort once the request has been made.
+    setTimeout(() => abortController.abort());
+  });
+
   it('should not get a user on invalid id', done => {
     const controller = new UserController();
     [0, {}, [], true, false, null, undefined].map(v => {
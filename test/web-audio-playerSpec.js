@@ -63,6 +63,7 @@ describe('WebAudioPlayer', () => {
         'progressCb',
         'errorCb'
       ]);
+      options.logger = jasmine.createSpyObj('logger', ['debug', 'info', 'warn', 'error']);
       webAudioPlayer = new WebAudioPlayer(options);
       webAudioPlayer._pauseIsStop = true;
       audioMock.firePausedEvent();
@@ -79,14 +80,14 @@ describe('WebAudioPlayer', () => {
       expect(options.playbackStoppedCb).toHaveBeenCalledTimes(2);
       expect(options.progressCb).toHaveBeenCalledTimes(1);
       expect(options.errorCb).toHaveBeenCalledTimes(5);
-      expect(console.error).toHaveBeenCalledTimes(5);
-      expect(console.error).toHaveBeenCalledWith('You aborted the playback.');
-      expect(console.error).toHaveBeenCalledWith('A network error caused the audio download to fail.');
-      expect(console.error).toHaveBeenCalledWith('The audio playback was aborted due to a corruption ' +
+      expect(options.logger.error).toHaveBeenCalledTimes(5);
+      expect(options.logger.error).toHaveBeenCalledWith('You aborted the playback.');
+      expect(options.logger.error).toHaveBeenCalledWith('A network error caused the audio download to fail.');
+      expect(options.logger.error).toHaveBeenCalledWith('The audio playback was aborted due to a corruption ' +
         'problem or because the media used features your browser did not support.');
-      expect(console.error).toHaveBeenCalledWith('The audio could not be loaded, either because the ' +
+      expect(options.logger.error).toHaveBeenCalledWith('The audio could not be loaded, either because the ' +
         'server or network failed or because the format is not supported.');
-      expect(console.error).toHaveBeenCalledWith('An unknown error occurred.');
+      expect(options.logger.error).toHaveBeenCalledWith('An unknown error occurred.');
     });
 
     it('should construct without event handlers', () => {
@@ -118,11 +119,11 @@ describe('WebAudioPlayer', () => {
 
   it('should preload audio', () => {
     audioMock.preload = null;
-    spyOn(console, 'info');
     webAudioPlayer = new WebAudioPlayer();
+    spyOn(webAudioPlayer._logger, 'info');
     webAudioPlayer.preload();
     expect(audioMock.preload).toEqual('auto');
-    expect(console.info).toHaveBeenCalledWith('Start preloading audio.');
+    expect(webAudioPlayer._logger.info).toHaveBeenCalledWith('Start preloading audio.');
     audioMock.preload = 'auto';
     webAudioPlayer = new WebAudioPlayer();
     webAudioPlayer.preload();
@@ -140,8 +141,8 @@ describe('WebAudioPlayer', () => {
       audioMock.preload = null;
       audioMock.duration = 10;
 
-      spyOn(console, 'log');
       webAudioPlayer = new WebAudioPlayer();
+      spyOn(webAudioPlayer._logger, 'debug');
     });
 
     it('should preload audio from an url', () => {
@@ -151,7 +152,7 @@ describe('WebAudioPlayer', () => {
       expect(audioMock.autobuffer).toEqual(true);
       expect(cb).toHaveBeenCalledTimes(1);
       expect(cb).toHaveBeenCalledWith(audioMock);
-      expect(console.log).toHaveBeenCalledWith('Duration change for url to : 10');
+      expect(webAudioPlayer._logger.debug).toHaveBeenCalledWith('Duration change for url to : 10');
     });
 
     it('should not preload audio from an url', () => {
@@ -161,7 +162,7 @@ describe('WebAudioPlayer', () => {
       expect(audioMock.autobuffer).toEqual(false);
       expect(cb).toHaveBeenCalledTimes(1);
       expect(cb).toHaveBeenCalledWith(audioMock);
-      expect(console.log).toHaveBeenCalledWith('Duration change for url to : 10');
+      expect(webAudioPlayer._logger.debug).toHaveBeenCalledWith('Duration change for url to : 10');
     });
 
     it('should preload audio from an url with an undefined parameter', () => {
@@ -183,15 +184,16 @@ describe('WebAudioPlayer', () => {
       audioMock.currentTime = 0;
       audioMock.preload = null;
       audioMock.HAVE_METADATA = 1;
-      spyOn(console, 'debug');
-      spyOn(console, 'warn');
       webAudioPlayer = new WebAudioPlayer();
+      spyOn(webAudioPlayer._logger, 'debug');
+      spyOn(webAudioPlayer._logger, 'warn');
     });
 
     it('should play audio from the start', () => {
       webAudioPlayer.play();
       expect(audioMock.play).toHaveBeenCalledTimes(1);
-      expect(console.debug).toHaveBeenCalledWith('Start playing from position: ' + audioMock.currentTime);
+      expect(webAudioPlayer._logger.debug).toHaveBeenCalledWith('Start playing from position: ' +
+        audioMock.currentTime);
     });
 
     it('should play audio from a position', () => {
@@ -199,9 +201,10 @@ describe('WebAudioPlayer', () => {
       webAudioPlayer.play(2);
       expect(audioMock.play).toHaveBeenCalledTimes(1);
       expect(audioMock.preload).toEqual('auto');
-      expect(console.warn).toHaveBeenCalledWith('Playing from a given position' +
+      expect(webAudioPlayer._logger.warn).toHaveBeenCalledWith('Playing from a given position' +
         ' is not possible. Audio was not yet loaded. Try again.');
-      expect(console.debug).toHaveBeenCalledWith('Start playing from position: ' + audioMock.currentTime);
+      expect(webAudioPlayer._logger.debug).toHaveBeenCalledWith('Start playing from position: ' +
+        audioMock.currentTime);
     });
 
     it('should play and preload audio from a position', () => {
@@ -210,8 +213,8 @@ describe('WebAudioPlayer', () => {
       webAudioPlayer.play(startTime);
       expect(audioMock.play).toHaveBeenCalledTimes(1);
       expect(audioMock.currentTime).toEqual(startTime);
-      expect(console.debug).toHaveBeenCalledWith('Scrub position to: ' + startTime);
-      expect(console.debug).toHaveBeenCalledWith('Start playing from position: ' + startTime);
+      expect(webAudioPlayer._logger.debug).toHaveBeenCalledWith('Scrub position to: ' + startTime);
+      expect(webAudioPlayer._logger.debug).toHaveBeenCalledWith('Start playing from position: ' + startTime);
     });
   });
 
@@ -253,13 +256,13 @@ describe('WebAudioPlayer', () => {
     audioMock.readyState = 0;
     audioMock.HAVE_METADATA = 1;
 
-    spyOn(console, 'warn');
     webAudioPlayer = new WebAudioPlayer();
+    spyOn(webAudioPlayer._logger, 'warn');
     spyOn(webAudioPlayer, 'preload');
     webAudioPlayer.scrub(10);
 
     expect(webAudioPlayer.preload).toHaveBeenCalledTimes(1);
-    expect(console.warn).toHaveBeenCalledWith('Scrubbing not possible. ' +
+    expect(webAudioPlayer._logger.warn).toHaveBeenCalledWith('Scrubbing not possible. ' +
       'Audio was not yet loaded. Try again.');
   });
 
@@ -273,12 +276,12 @@ describe('WebAudioPlayer', () => {
     audioMock.currentTime = 0;
     audioMock.duration = duration;
 
-    spyOn(console, 'log');
-    webAudioPlayer = new WebAudioPlayer();
+    const logger = jasmine.createSpyObj('logger', ['debug', 'info', 'warn', 'error']);
+    webAudioPlayer = new WebAudioPlayer({logger});
 
     webAudioPlayer.scrub(percentage);
 
-    expect(console.log).toHaveBeenCalledWith('Moving audio position to: ' +
+    expect(logger.debug).toHaveBeenCalledWith('Moving audio position to: ' +
       percentage + '%: ' + expectedNewTime + 's of total playing time: ' + duration);
     expect(audioMock.currentTime).toEqual(expectedNewTime);
 
@@ -286,10 +289,10 @@ describe('WebAudioPlayer', () => {
     percentage = 25;
     expectedNewTime = 12.5;
     audioMock.duration = duration;
-    webAudioPlayer = new WebAudioPlayer();
+    webAudioPlayer = new WebAudioPlayer({logger});
     webAudioPlayer.scrub(percentage);
 
-    expect(console.log).toHaveBeenCalledWith('Moving audio position to: ' +
+    expect(logger.debug).toHaveBeenCalledWith('Moving audio position to: ' +
       percentage + '%: ' + expectedNewTime + 's of total playing time: ' + duration);
     expect(audioMock.currentTime).toEqual(expectedNewTime);
 
@@ -297,10 +300,10 @@ describe('WebAudioPlayer', () => {
     percentage = 50;
     expectedNewTime = 10;
     audioMock.duration = duration;
-    webAudioPlayer = new WebAudioPlayer();
+    webAudioPlayer = new WebAudioPlayer({logger});
     webAudioPlayer.scrub(percentage);
 
-    expect(console.log).toHaveBeenCalledWith('Moving audio position to: ' +
+    expect(logger.debug).toHaveBeenCalledWith('Moving audio position to: ' +
       percentage + '%: ' + expectedNewTime + 's of total playing time: ' + duration);
     expect(audioMock.currentTime).toEqual(expectedNewTime);
 
@@ -308,10 +311,10 @@ describe('WebAudioPlayer', () => {
     percentage = 50;
     expectedNewTime = 25;
     audioMock.duration = duration;
-    webAudioPlayer = new WebAudioPlayer();
+    webAudioPlayer = new WebAudioPlayer({logger});
     webAudioPlayer.scrub(percentage);
 
-    expect(console.log).toHaveBeenCalledWith('Moving audio position to: ' +
+    expect(logger.debug).toHaveBeenCalledWith('Moving audio position to: ' +
       percentage + '%: ' + expectedNewTime + 's of total playing time: ' + duration);
     expect(audioMock.currentTime).toEqual(expectedNewTime);
   });
@@ -38,7 +38,8 @@ describe('WebAudioRecorder', () => {
 
   describe('Constructor', () => {
     it('should construct without callback', () => {
-      webAudioRecorder = new WebAudioRecorder(source, null, packerMock);
+      const logger = jasmine.createSpyObj('logger', ['debug']);
+      webAudioRecorder = new WebAudioRecorder(source, null, packerMock, logger);
       expect(webAudioRecorder.recording).toBeFalsy();
       expect(webAudioRecorder.recordedSampleRate).toEqual(48000);
       expect(webAudioRecorder.sampleRate).toEqual(24000);
@@ -50,12 +51,13 @@ describe('WebAudioRecorder', () => {
       expect(mockRecorder.onaudioprocess).toBeDefined();
       expect(mockRecorder.connect).toHaveBeenCalledTimes(1);
       expect(mockRecorder.connect).toHaveBeenCalledWith('destination');
-      expect(console.log).toHaveBeenCalledWith('Recording at: 24000');
+      expect(logger.debug).toHaveBeenCalledWith('Recording at: 24000');
       expect(packerMock.init).toHaveBeenCalledWith(48000, 24000, 1);
     });
 
     it('should construct with callback', () => {
-      webAudioRecorder = new WebAudioRecorder(source, cb, packerMock);
+      const logger = jasmine.createSpyObj('logger', ['debug']);
+      webAudioRecorder = new WebAudioRecorder(source, cb, packerMock, logger);
       expect(webAudioRecorder.recording).toBeFalsy();
       expect(webAudioRecorder.recordedSampleRate).toEqual(48000);
       expect(webAudioRecorder.sampleRate).toEqual(48000);
@@ -67,7 +69,7 @@ describe('WebAudioRecorder', () => {
       expect(mockRecorder.onaudioprocess).toBeDefined();
       expect(mockRecorder.connect).toHaveBeenCalledTimes(1);
       expect(mockRecorder.connect).toHaveBeenCalledWith('destination');
-      expect(console.log).toHaveBeenCalledWith('Recording at: 48000');
+      expect(logger.debug).toHaveBeenCalledWith('Recording at: 48000');
       expect(packerMock.init).toHaveBeenCalledWith(48000, 48000, 1);
     });
 
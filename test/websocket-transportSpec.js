@@ -0,0 +1,177 @@
+import Autobahn from 'autobahn';
+import MsgpackSerializer from '../src/administrative-sdk/connection/msgpack-serializer';
+import WebSocketTransport from '../src/administrative-sdk/connection/websocket-transport';
+
+describe('WebSocketTransport', () => {
+  let websocket;
+  let WebSocketImpl;
+
+  beforeEach(() => {
+    websocket = {
+      send: jasmine.createSpy('send'),
+      close: jasmine.createSpy('close')
+    };
+    WebSocketImpl = jasmine.createSpy('WebSocket').and.returnValue(websocket);
+  });
+
+  it('should be registered with autobahn', () => {
+    expect(Autobahn.transports.get('itslanguage.websocket')).toBe(WebSocketTransport);
+  });
+
+  it('should require a url', () => {
+    expect(() => {
+      new WebSocketTransport({WebSocket: WebSocketImpl});
+    }).toThrowError('options.url of type "string" is required');
+  });
+
+  it('should require a WebSocket implementation', () => {
+    expect(() => {
+      new WebSocketTransport({url: 'wss://ws.itslanguage.nl'});
+    }).toThrowError('options.WebSocket of type "Function" is required');
+  });
+
+  it('should open a WebSocket offering the WAMP serializers', () => {
+    const factory = new WebSocketTransport({url: 'wss://ws.itslanguage.nl', WebSocket: WebSocketImpl});
+    expect(factory.type).toEqual('itslanguage.websocket');
+    const transport = factory.create();
+    expect(WebSocketImpl).toHaveBeenCalledWith('wss://ws.itslanguage.nl', jasmine.any(Array));
+    expect(WebSocketImpl.calls.mostRecent().args[1][0]).toEqual('wamp.2.json');
+    expect(websocket.binaryType).toEqual('arraybuffer');
+    expect(transport.info).toEqual({
+      type: 'websocket',
+      url: 'wss://ws.itslanguage.nl',
+      protocol: null
+    });
+  });
+
+  it('should offer the MessagePack serializer of autobahn when it is available', () => {
+    const AutobahnMsgpackSerializer = Autobahn.serializer.MsgpackSerializer;
+    Autobahn.serializer.MsgpackSerializer = function() {
+      this.SERIALIZER_ID = 'msgpack';
+    };
+    try {
+      new WebSocketTransport({url: 'wss://ws.itslanguage.nl', WebSocket: WebSocketImpl}).create();
+      expect(WebSocketImpl).toHaveBeenCalledWith('wss://ws.itslanguage.nl', ['wamp.2.json', 'wamp.2.msgpack']);
+    } finally {
+      Autobahn.serializer.MsgpackSerializer = AutobahnMsgpackSerializer;
+    }
+  });
+
+  it('should offer the protocols it is given', () => {
+    new WebSocketTransport({
+      url: 'wss://ws.itslanguage.nl',
+      WebSocket: WebSocketImpl,
+      protocols: ['wamp.2.json']
+    }).create();
+    expect(WebSocketImpl).toHaveBeenCalledWith('wss://ws.itslanguage.nl', ['wamp.2.json']);
+  });
+
+  it('should ignore the WebSocket until a session listens to the transport', () => {
+    new WebSocketTransport({url: 'wss://ws.itslanguage.nl', WebSocket: WebSocketImpl}).create();
+    websocket.protocol = 'wamp.2.json';
+    expect(() => {
+      websocket.onopen();
+      websocket.onmessage({data: '[2,1,{}]'});
+      websocket.onclose({code: 1000, reason: '', wasClean: true});
+    }).not.toThrow();
+  });
+
+  it('should use the serializer negotiated with the server', () => {
+    const factory = new WebSocketTransport({url: 'wss://ws.itslanguage.nl', WebSocket: WebSocketImpl});
+    const transport = factory.create();
+    transport.onopen = jasmine.createSpy('onopen');
+    transport.onmessage = jasmine.createSpy('onmessage');
+    websocket.protocol = 'wamp.2.json';
+    websocket.onopen();
+    expect(transport.onopen).toHaveBeenCalled();
+    expect(transport.info.protocol).toEqual('wamp.2.json');
+    transport.send([1, 'default', {}]);
+    expect(websocket.send).toHaveBeenCalledWith('[1,"default",{}]');
+    websocket.onmessage({data: '[2,1,{}]'});
+    expect(transport.onmessage).toHaveBeenCalledWith([2, 1, {}]);
+  });
+
+  it('should unserialize binary messages', () => {
+    const serializer = {
+      SERIALIZER_ID: 'binary',
+      BINARY: true,
+      unserialize: jasmine.createSpy('unserialize').and.returnValue([2, 1, {}])
+    };
+    const factory = new WebSocketTransport({
+      url: 'wss://ws.itslanguage.nl',
+      WebSocket: WebSocketImpl,
+      serializers: [serializer]
+    });
+    const transport = factory.create();
+    expect(WebSocketImpl).toHaveBeenCalledWith('wss://ws.itslanguage.nl', ['wamp.2.binary']);
+    transport.onmessage = jasmine.createSpy('onmessage');
+    websocket.protocol = 'wamp.2.binary';
+    websocket.onopen();
+    websocket.onmessage({data: new Uint8Array([1, 2, 3]).buffer});
+    expect(serializer.unserialize).toHaveBeenCalledWith(new Uint8Array([1, 2, 3]));
+    expect(transport.onmessage).toHaveBeenCalledWith([2, 1, {}]);
+  });
+
+  it('should close the WebSocket', () => {
+    const factory = new WebSocketTransport({url: 'wss://ws.itslanguage.nl', WebSocket: WebSocketImpl});
+    const transport = factory.create();
+    transport.onclose = jasmine.createSpy('onclose');
+    transport.close(1000, 'wamp.close.normal');
+    expect(websocket.close).toHaveBeenCalledWith(1000, 'wamp.close.normal');
+    websocket.onclose({code: 1000, reason: 'wamp.close.normal', wasClean: true});
+    expect(transport.onclose).toHaveBeenCalledWith({code: 1000, reason: 'wamp.close.normal', wasClean: true});
+  });
+
+  it('should send ArrayBuffers as MessagePack binary', () => {
+    const factory = new WebSocketTransport({
+      url: 'wss://ws.itslanguage.nl',
+      WebSocket: WebSocketImpl,
+      serializers: [new MsgpackSerializer()]
+    });
+    const transport = factory.create();
+    expect(WebSocketImpl).toHaveBeenCalledWith('wss://ws.itslanguage.nl', ['wamp.2.msgpack']);
+    transport.onmessage = jasmine.createSpy('onmessage');
+    websocket.protocol = 'wamp.2.msgpack';
+    websocket.onopen();
+    transport.send([48, 1, {}, 'write', ['1', new Uint8Array([1, 2]).buffer, 'binary']]);
+    const sent = websocket.send.calls.mostRecent().args[0];
+    // The audio is sent as bin 8: 0xc4, followed by its length.
+    expect(Array.from(sent).slice(-11, -6)).toEqual([0xc4, 2, 1, 2, 0xa6]);
+    websocket.onmessage({data: sent.buffer.slice(sent.byteOffset, sent.byteOffset + sent.byteLength)});
+    expect(transport.onmessage).toHaveBeenCalledWith([48, 1, {}, 'write', ['1', new Uint8Array([1, 2]).buffer,
+      'binary']]);
+  });
+});
+
+describe('MsgpackSerializer', () => {
+  it('should unserialize an ArrayBuffer', () => {
+    const serializer = new MsgpackSerializer();
+    const payload = serializer.serialize([2, 1, {}]);
+    const buffer = payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength);
+    expect(serializer.unserialize(buffer)).toEqual([2, 1, {}]);
+    expect(serializer.unserialize(payload)).toEqual([2, 1, {}]);
+  });
+
+  it('should receive messages of the websocket transport of autobahn', () => {
+    const NativeWebSocket = window.WebSocket;
+    const websocket = {
+      send: jasmine.createSpy('send'),
+      close: jasmine.createSpy('close')
+    };
+    window.WebSocket = jasmine.createSpy('WebSocket').and.returnValue(websocket);
+    try {
+      const Factory = Autobahn.transports.get('websocket');
+      const transport = new Factory({url: 'wss://ws.itslanguage.nl', serializers: [new MsgpackSerializer()]}).create();
+      expect(window.WebSocket).toHaveBeenCalledWith('wss://ws.itslanguage.nl', ['wamp.2.msgpack']);
+      transport.onmessage = jasmine.createSpy('onmessage');
+      websocket.protocol = 'wamp.2.msgpack';
+      websocket.onopen();
+      // The browser delivers binary messages as an ArrayBuffer.
+      const payload = new MsgpackSerializer().serialize([2, 1, {}]);
+      websocket.onmessage({data: payload.buffer.slice(payload.byteOffset, payload.byteOffset + payload.byteLength)});
+      expect(transport.onmessage).toHaveBeenCalledWith([2, 1, {}]);
+    } finally {
+      window.WebSocket = NativeWebSocket;
+    }
+  });
+});